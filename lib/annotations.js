@@ -0,0 +1,206 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: annotations.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Sidecar file holding the annotations of a trial, next to its CSV files
+const ANNOTATIONS_FILE_NAME = "annotations.json";
+
+// Name of the tree nodes standing for a trial's annotations, next to its data files
+const ANNOTATIONS_NODE_NAME = "annotations";
+
+/**
+ * Kinds of events that can be marked on a trial. Span events cover a time range (`time` to `end`),
+ * the others a single instant.
+ */
+const ANNOTATION_TYPES = {
+	fatigue_onset: { label: "Fatigue onset", span: false },
+	task_failure: { label: "Task failure", span: false },
+	bad_segment: { label: "Bad segment", span: true }, // e.g. electrode artifacts, excluded from analyses
+	rep_boundary: { label: "Repetition boundary", span: false },
+};
+
+// Longest free-text note kept on an annotation
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Reads the annotations stored next to a trial's CSV files.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @returns {Array<Object>} - The annotations ordered by time, or an empty array if none are stored.
+ * @throws {Error} - Throws an error if the sidecar file exists but is not valid JSON.
+ */
+function readAnnotations(trialFolder) {
+	const filePath = path.join(trialFolder, ANNOTATIONS_FILE_NAME);
+	if (!fs.existsSync(filePath)) return [];
+	const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+	return Array.isArray(content.annotations) ? content.annotations : [];
+}
+
+/**
+ * Stores the annotations of a trial in its sidecar file. The file is written under a temporary name and
+ * renamed into place, so that readers never see a half-written file. No file is left for a trial without
+ * annotations.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {Array<Object>} annotations - The annotations to store.
+ * @returns {Array<Object>} - The annotations written, ordered by time.
+ */
+function writeAnnotations(trialFolder, annotations) {
+	const filePath = path.join(trialFolder, ANNOTATIONS_FILE_NAME);
+	const sorted = [...annotations].sort((a, b) => a.time - b.time);
+	if (sorted.length === 0) {
+		fs.rmSync(filePath, { force: true });
+		return sorted;
+	}
+	const temporaryFile = path.join(trialFolder, `.${ANNOTATIONS_FILE_NAME}.${process.pid}.tmp`);
+	const content = { version: 1, updated: new Date().toISOString(), annotations: sorted };
+	fs.writeFileSync(temporaryFile, JSON.stringify(content, null, 2), "utf8");
+	fs.renameSync(temporaryFile, filePath);
+	return sorted;
+}
+
+/**
+ * Validates the fields of an annotation given by a client.
+ *
+ * @param {Object} input - The fields: `type` (a key of `ANNOTATION_TYPES`), `time` (seconds on the trial's EMG
+ *                         time axis, where the first sample is at 0), `end` (required for span types, not
+ *                         allowed otherwise), and optional `channel` and `note` strings.
+ * @param {Object|null} [existing=null] - The annotation being updated; omitted fields keep its values.
+ * @returns {Object} - The validated `{ type, time, end, channel, note }`; absent optional fields are `null`.
+ * @throws {Error} - Throws an error describing the first invalid field.
+ */
+function validateAnnotation(input, existing = null) {
+	const merged = { ...(existing || {}) };
+	["type", "time", "end", "channel", "note"].forEach((field) => {
+		if (input[field] !== undefined) merged[field] = input[field];
+	});
+	const type = ANNOTATION_TYPES[merged.type];
+	if (!type) {
+		throw new Error(`Invalid or missing field: 'type' must be one of ${Object.keys(ANNOTATION_TYPES).join(", ")}.`);
+	}
+	if (typeof merged.time !== "number" || !Number.isFinite(merged.time) || merged.time < 0) {
+		throw new Error("Invalid or missing field: 'time' must be a non-negative number of seconds.");
+	}
+	const end = merged.end === undefined ? null : merged.end;
+	if (type.span) {
+		if (typeof end !== "number" || !Number.isFinite(end) || end <= merged.time) {
+			throw new Error(`Invalid or missing field: '${merged.type}' annotations need an 'end' after 'time'.`);
+		}
+	} else if (end !== null) {
+		throw new Error(`Invalid field: '${merged.type}' annotations mark an instant and take no 'end'.`);
+	}
+	const channel = merged.channel === undefined || merged.channel === "" ? null : merged.channel;
+	if (channel !== null && typeof channel !== "string") {
+		throw new Error("Invalid field: 'channel' must be a channel name.");
+	}
+	const note = merged.note === undefined || merged.note === "" ? null : merged.note;
+	if (note !== null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+		throw new Error(`Invalid field: 'note' must be a text of at most ${MAX_NOTE_LENGTH} characters.`);
+	}
+	return { type: merged.type, time: merged.time, end: end, channel: channel, note: note };
+}
+
+/**
+ * Adds an annotation to a trial.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {Object} input - The annotation fields (see `validateAnnotation()`).
+ * @returns {Object} - The stored annotation, with its `id` and `created`/`updated` dates.
+ * @throws {Error} - Throws an error if a field is invalid or the sidecar file cannot be read or written.
+ */
+function addAnnotation(trialFolder, input) {
+	const now = new Date().toISOString();
+	const annotation = {
+		id: crypto.randomUUID(),
+		...validateAnnotation(input),
+		created: now,
+		updated: now,
+	};
+	writeAnnotations(trialFolder, readAnnotations(trialFolder).concat(annotation));
+	return annotation;
+}
+
+/**
+ * Changes the fields of an annotation.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {string} id - The annotation id.
+ * @param {Object} input - The fields to change (see `validateAnnotation()`).
+ * @returns {Object|null} - The updated annotation, or `null` if the trial has no annotation with this id.
+ * @throws {Error} - Throws an error if a field is invalid or the sidecar file cannot be read or written.
+ */
+function updateAnnotation(trialFolder, id, input) {
+	const annotations = readAnnotations(trialFolder);
+	const index = annotations.findIndex((annotation) => annotation.id === id);
+	if (index < 0) return null;
+	annotations[index] = { ...annotations[index], ...validateAnnotation(input, annotations[index]), updated: new Date().toISOString() };
+	writeAnnotations(trialFolder, annotations);
+	return annotations[index];
+}
+
+/**
+ * Removes an annotation from a trial.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {string} id - The annotation id.
+ * @returns {Object|null} - The removed annotation, or `null` if the trial has no annotation with this id.
+ * @throws {Error} - Throws an error if the sidecar file cannot be read or written.
+ */
+function deleteAnnotation(trialFolder, id) {
+	const annotations = readAnnotations(trialFolder);
+	const removed = annotations.find((annotation) => annotation.id === id);
+	if (!removed) return null;
+	writeAnnotations(trialFolder, annotations.filter((annotation) => annotation !== removed));
+	return removed;
+}
+
+/**
+ * Summarises the content of an annotations file for the tree leaves.
+ *
+ * @param {Buffer|string} content - The file content.
+ * @returns {Object} - `{ count, types }` where `types` counts the annotations of each type, or `{ count: 0,
+ *                     types: {}, error }` if the file is not valid JSON.
+ */
+function summarizeAnnotations(content) {
+	try {
+		const parsed = JSON.parse(String(content));
+		const annotations = Array.isArray(parsed.annotations) ? parsed.annotations : [];
+		const types = {};
+		annotations.forEach((annotation) => { types[annotation.type] = (types[annotation.type] || 0) + 1; });
+		return { count: annotations.length, types: types };
+	} catch (error) {
+		return { count: 0, types: {}, error: error.message };
+	}
+}
+
+/**
+ * Reads the summary of an annotations file (see `summarizeAnnotations()`) without blocking the event loop.
+ *
+ * @async
+ * @param {string} filePath - The absolute path of the `annotations.json` file.
+ * @returns {Promise<Object>} - The summary.
+ */
+async function readAnnotationSummary(filePath) {
+	return summarizeAnnotations(await fs.promises.readFile(filePath));
+}
+
+module.exports = {
+	ANNOTATIONS_FILE_NAME,
+	ANNOTATIONS_NODE_NAME,
+	ANNOTATION_TYPES,
+	readAnnotations,
+	writeAnnotations,
+	validateAnnotation,
+	addAnnotation,
+	updateAnnotation,
+	deleteAnnotation,
+	summarizeAnnotations,
+	readAnnotationSummary,
+};
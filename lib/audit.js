@@ -0,0 +1,159 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: audit.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getCsvMetadata } = require("./csv");
+const { compileSchema, matchSegment } = require("./schema");
+
+/**
+ * Audits a `data_collection` folder for completeness and integrity.
+ *
+ * Unlike `buildTree`, nothing is silently dropped: every folder and file is either recognised by the
+ * schema's folder naming (`user_XX/<activity>_NN/<data_type>.csv` by default, see `lib/schema.js`),
+ * is a known sidecar file, or is reported as unrecognized. Hidden entries (e.g. the staging folders of uploads
+ * being written, see `lib/ingestion.js`) are skipped.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} instanceNames - The allowed instance names of each class and the schema (`instanceNames.json`).
+ * @param {Object} [options={}] - Options:
+ *                                - `sidecars`: File names allowed in trial folders besides the data CSVs.
+ * @returns {Object} - The report:
+ *   - `generated`: ISO date of the audit.
+ *   - `summary`: `{ users, trials, files, emptyFiles, unparseableFiles, trialGaps, unrecognized, inconsistentHeaders }` counts.
+ *   - `completeness`: `{ [user]: { [activity]: { [trial]: { [data_type]: status } } } }` with status
+ *     `'ok'`, `'empty'`, `'unparseable'` or `'missing'`. Activities without trials map to `{}`.
+ *   - `emptyFiles`: Relative paths of files with no bytes or no data rows.
+ *   - `unparseableFiles`: `{ path, error }` for files whose header cannot be read.
+ *   - `trialGaps`: `{ user, activity, present, missing }` where trial numbering skips numbers.
+ *   - `unrecognized`: `{ path, kind, reason }` for folders and files outside the naming scheme.
+ *   - `inconsistentHeaders`: `{ dataType, variants: [{ columns, files }] }` for data types whose
+ *     column headers differ between trials.
+ */
+function auditDataset(rootFolder, instanceNames, options = {}) {
+	const sidecars = options.sidecars || [];
+	const report = {
+		generated: new Date().toISOString(),
+		summary: {},
+		completeness: {},
+		emptyFiles: [],
+		unparseableFiles: [],
+		trialGaps: [],
+		unrecognized: [],
+		inconsistentHeaders: [],
+	};
+	const headers = {}; // data_type -> header string -> relative file paths
+	const relative = (...parts) => path.join(...parts).split(path.sep).join("/");
+	const schema = compileSchema(instanceNames);
+	let trialCount = 0;
+	let fileCount = 0;
+
+	fs.readdirSync(rootFolder, { withFileTypes: true }).forEach((userEntry) => {
+		if (userEntry.name.startsWith(".")) return;
+		const userMatch = userEntry.isDirectory() && matchSegment(schema, 0, userEntry.name);
+		if (!userMatch) {
+			report.unrecognized.push({
+				path: userEntry.name,
+				kind: userEntry.isDirectory() ? "folder" : "file",
+				reason: `Does not follow the ${schema.segments[0].template} naming.`,
+			});
+			return;
+		}
+		const user = userMatch.user_id;
+		const userActivities = report.completeness[user] || Object.fromEntries(instanceNames.activity.map((activity) => [activity, {}]));
+		report.completeness[user] = userActivities;
+
+		fs.readdirSync(path.join(rootFolder, userEntry.name), { withFileTypes: true }).forEach((trialEntry) => {
+			if (trialEntry.name.startsWith(".")) return;
+			const trialPath = relative(userEntry.name, trialEntry.name);
+			const trialMatch = trialEntry.isDirectory() && matchSegment(schema, 1, trialEntry.name);
+			if (!trialMatch) {
+				report.unrecognized.push({
+					path: trialPath,
+					kind: trialEntry.isDirectory() ? "folder" : "file",
+					reason: `Does not follow the ${schema.segments[1].template} naming with a registered activity.`,
+				});
+				return;
+			}
+			const { activity, trial } = trialMatch;
+			trialCount++;
+			const statuses = Object.fromEntries(instanceNames.data_type.map((dataType) => [dataType, "missing"]));
+			userActivities[activity][trial] = statuses;
+
+			fs.readdirSync(path.join(rootFolder, userEntry.name, trialEntry.name), { withFileTypes: true }).forEach((fileEntry) => {
+				if (fileEntry.name.startsWith(".")) return;
+				const filePath = relative(trialPath, fileEntry.name);
+				const fileMatch = fileEntry.isFile() && matchSegment(schema, 2, fileEntry.name);
+				if (!fileMatch) {
+					if (fileEntry.isFile() && sidecars.includes(fileEntry.name)) return;
+					report.unrecognized.push({
+						path: filePath,
+						kind: fileEntry.isDirectory() ? "folder" : "file",
+						reason: `Not a registered ${schema.segments[2].template} file.`,
+					});
+					return;
+				}
+				const dataType = fileMatch.data_type;
+				fileCount++;
+				const metadata = getCsvMetadata(path.join(rootFolder, filePath));
+				if (metadata.error || (metadata.size > 0 && metadata.columns.length === 0)) {
+					statuses[dataType] = "unparseable";
+					report.unparseableFiles.push({ path: filePath, error: metadata.error || "No header line." });
+				} else if (metadata.rows === 0) {
+					statuses[dataType] = "empty";
+					report.emptyFiles.push(filePath);
+				} else {
+					statuses[dataType] = "ok";
+				}
+				if (metadata.columns.length > 0) {
+					const header = JSON.stringify(metadata.columns);
+					headers[dataType] = headers[dataType] || {};
+					(headers[dataType][header] = headers[dataType][header] || []).push(filePath);
+				}
+			});
+		});
+	});
+
+	// Gaps in trial numbering, per user and activity
+	Object.entries(report.completeness).forEach(([user, activities]) => {
+		Object.entries(activities).forEach(([activity, trials]) => {
+			const present = Object.keys(trials).sort((a, b) => Number(a) - Number(b));
+			if (present.length === 0) return;
+			const width = present[0].length;
+			const missing = [];
+			for (let number = 1; number < Number(present[present.length - 1]); number++) {
+				if (!present.some((trial) => Number(trial) === number)) missing.push(String(number).padStart(width, "0"));
+			}
+			if (missing.length > 0) report.trialGaps.push({ user, activity, present, missing });
+		});
+	});
+
+	// Column headers that differ between files of the same data type
+	Object.entries(headers).forEach(([dataType, variants]) => {
+		if (Object.keys(variants).length < 2) return;
+		report.inconsistentHeaders.push({
+			dataType: dataType,
+			variants: Object.entries(variants).map(([header, files]) => ({ columns: JSON.parse(header), files })),
+		});
+	});
+
+	report.summary = {
+		users: Object.keys(report.completeness).length,
+		trials: trialCount,
+		files: fileCount,
+		emptyFiles: report.emptyFiles.length,
+		unparseableFiles: report.unparseableFiles.length,
+		trialGaps: report.trialGaps.length,
+		unrecognized: report.unrecognized.length,
+		inconsistentHeaders: report.inconsistentHeaders.length,
+	};
+	return report;
+}
+
+module.exports = {
+	auditDataset,
+};
@@ -0,0 +1,327 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: body-composition.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const { readCsv } = require("./csv");
+
+// Data type of the body composition files in the trial folders
+const BODY_COMPOSITION_DATA_TYPE = "body_composition";
+
+/**
+ * Body measures recognised in `body_composition.csv`, by canonical key. Measure names are compared in
+ * snake_case (e.g. "Body Fat %" becomes `body_fat`), against the key itself and its aliases.
+ */
+const BODY_MEASURES = {
+	mass_kg: { label: "Body mass", unit: "kg", aliases: ["mass", "weight", "body_mass", "body_weight", "weight_kg"] },
+	height_cm: { label: "Height", unit: "cm", aliases: ["height", "stature"] },
+	age_years: { label: "Age", unit: "years", aliases: ["age", "age_y"] },
+	fat_percent: { label: "Body fat", unit: "%", aliases: ["fat", "body_fat", "fat_percentage", "body_fat_percent", "body_fat_percentage", "fat_pct", "pbf"] },
+	fat_mass_kg: { label: "Fat mass", unit: "kg", aliases: ["fat_mass", "body_fat_mass"] },
+	lean_mass_kg: { label: "Lean mass", unit: "kg", aliases: ["lean_mass", "fat_free_mass", "fat_free_mass_kg", "ffm", "lbm"] },
+	muscle_mass_kg: { label: "Skeletal muscle mass", unit: "kg", aliases: ["muscle_mass", "skeletal_muscle_mass", "smm"] },
+	upper_arm_circumference_cm: { label: "Upper arm circumference", unit: "cm", aliases: ["arm_circumference", "upper_arm_circumference", "biceps_circumference", "arm_girth", "upper_arm_girth"] },
+	forearm_circumference_cm: { label: "Forearm circumference", unit: "cm", aliases: ["forearm_circumference", "forearm_girth"] },
+	biceps_skinfold_mm: { label: "Biceps skinfold", unit: "mm", aliases: ["biceps_skinfold", "skinfold_biceps", "skinfold_biceps_mm"] },
+	bmi: { label: "Body mass index", unit: "kg/m²", aliases: ["body_mass_index"] },
+};
+
+// Factors converting a unit to the unit of the canonical measures
+const UNIT_FACTORS = {
+	kg: { kg: 1, g: 0.001, lb: 0.45359237, lbs: 0.45359237 },
+	cm: { cm: 1, mm: 0.1, m: 100, in: 2.54, inch: 2.54 },
+	mm: { mm: 1, cm: 10 },
+	years: { years: 1, year: 1, y: 1, yr: 1 },
+};
+
+// Column names that mark the long layout (one measure per row)
+const MEASURE_COLUMNS = ["measure", "metric", "name", "parameter", "variable"];
+const VALUE_COLUMNS = ["value", "result"];
+
+// Default length of the moving window the MVC reference amplitude is taken from, in seconds
+const DEFAULT_MVC_WINDOW = 0.5;
+
+/**
+ * Converts a measure or column name to snake_case (e.g. "Body Fat (%)" becomes `body_fat`).
+ *
+ * @param {string} name - The name.
+ * @returns {string} - The snake_case name; units in parentheses or brackets are dropped.
+ */
+function toSnakeCase(name) {
+	return String(name)
+		.replace(/\(.*?\)|\[.*?\]|%/g, " ")
+		.trim()
+		.replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Finds the canonical key of a measure and the factor converting its values to the canonical unit.
+ *
+ * The unit is taken from `unit` if given, otherwise from the name: a suffix (`weight_lb`) or a unit
+ * in parentheses (`Height (m)`).
+ *
+ * @param {string} name - The measure or column name.
+ * @param {string|null} [unit=null] - The unit, when given in its own column.
+ * @returns {Object} - `{ key, factor }`. Unrecognised measures keep their snake_case name and a factor of 1.
+ */
+function resolveMeasure(name, unit = null) {
+	const bracketed = /\(([^)]*)\)|\[([^\]]*)\]/.exec(String(name));
+	const snake = toSnakeCase(name);
+	const givenUnit = unit ? String(unit).trim().toLowerCase() : bracketed ? (bracketed[1] || bracketed[2]).trim().toLowerCase() : null;
+	const key = Object.keys(BODY_MEASURES).find((candidate) => candidate === snake || BODY_MEASURES[candidate].aliases.includes(snake));
+	if (key) return { key: key, factor: unitFactor(key, givenUnit) };
+
+	// A unit suffix, e.g. `weight_lb` or `height_m`
+	const suffix = /^(.+)_([a-z]+)$/.exec(snake);
+	if (suffix) {
+		const base = Object.keys(BODY_MEASURES).find((candidate) => BODY_MEASURES[candidate].aliases.includes(suffix[1]));
+		if (base && unitFactor(base, suffix[2]) !== null) return { key: base, factor: unitFactor(base, suffix[2]) };
+	}
+	return { key: snake, factor: 1 };
+}
+
+/**
+ * Returns the factor converting a value in `unit` to the canonical unit of a measure.
+ *
+ * @param {string} key - The canonical measure key.
+ * @param {string|null} unit - The unit of the value (e.g. "lb"), or `null` if it is already canonical.
+ * @returns {number|null} - The factor, or `null` if the unit does not apply to the measure.
+ */
+function unitFactor(key, unit) {
+	const canonical = BODY_MEASURES[key].unit;
+	if (!unit || unit === canonical.toLowerCase()) return 1;
+	const factors = UNIT_FACTORS[canonical];
+	return factors && factors[unit] !== undefined ? factors[unit] : null;
+}
+
+/**
+ * Parses the content of a `body_composition.csv` file. Two layouts are accepted:
+ *
+ * - Long: a measure column (`measure`, `metric`, `name`, ...), a `value` column and an optional `unit` column,
+ *   one measure per row.
+ * - Wide: one column per measure; the last row holding a value wins (e.g. the latest of several dated
+ *   measurements).
+ *
+ * Values are converted to the units of `BODY_MEASURES`; unrecognised numeric measures are kept under their
+ * snake_case name. Non-numeric values (e.g. a date or a sex column) are ignored.
+ *
+ * @param {Object} csv - `{ columns, rows }` as returned by `parseCsv()` in `lib/csv.js`.
+ * @returns {Object} - `{ measures, warnings }` where `measures` maps measure keys to numbers and `warnings`
+ *                     lists the values that could not be converted.
+ *
+ * @example
+ * parseBodyComposition(parseCsv("measure,value,unit\nweight,165,lb\nbody fat,18,%\n"));
+ * // { measures: { mass_kg: 74.84, fat_percent: 18 }, warnings: [] }
+ */
+function parseBodyComposition(csv) {
+	const measures = {};
+	const warnings = [];
+	const store = (name, value, unit = null) => {
+		if (typeof value !== "number" || !Number.isFinite(value)) return;
+		const { key, factor } = resolveMeasure(name, unit);
+		if (factor === null) {
+			warnings.push(`Unknown unit '${unit}' for ${name}.`);
+			return;
+		}
+		measures[key] = value * factor;
+	};
+
+	const lowerColumns = csv.columns.map((column) => column.toLowerCase());
+	const measureIndex = lowerColumns.findIndex((column) => MEASURE_COLUMNS.includes(column));
+	const valueIndex = lowerColumns.findIndex((column) => VALUE_COLUMNS.includes(column));
+	if (measureIndex >= 0 && valueIndex >= 0) {
+		const unitIndex = lowerColumns.indexOf("unit");
+		csv.rows.forEach((row) => {
+			if (row[measureIndex] === null || row[measureIndex] === undefined) return;
+			const unit = unitIndex >= 0 && row[unitIndex] !== null ? row[unitIndex] : null;
+			store(String(row[measureIndex]), row[valueIndex], unit);
+		});
+	} else {
+		csv.rows.forEach((row) => {
+			csv.columns.forEach((column, index) => store(column, row[index]));
+		});
+	}
+	return { measures, warnings };
+}
+
+/**
+ * Adds the measures that follow from others and are not given: fat mass and lean mass from body mass and
+ * body fat, body fat from fat mass, and the body mass index from body mass and height.
+ *
+ * @param {Object} measures - Measures by canonical key.
+ * @returns {Object} - The derived measures only, e.g. `{ bmi: 23.1, fat_mass_kg: 13.5 }`.
+ */
+function deriveBodyMeasures(measures) {
+	const derived = {};
+	const { mass_kg: mass, height_cm: height } = measures;
+	let fatPercent = measures.fat_percent;
+	if (fatPercent === undefined && measures.fat_mass_kg !== undefined && mass > 0) {
+		fatPercent = derived.fat_percent = 100 * measures.fat_mass_kg / mass;
+	}
+	if (measures.fat_mass_kg === undefined && mass !== undefined && fatPercent !== undefined) {
+		derived.fat_mass_kg = mass * fatPercent / 100;
+	}
+	if (measures.lean_mass_kg === undefined && mass !== undefined && fatPercent !== undefined) {
+		derived.lean_mass_kg = mass * (1 - fatPercent / 100);
+	}
+	if (measures.bmi === undefined && mass !== undefined && height > 0) {
+		derived.bmi = mass / (height / 100) ** 2;
+	}
+	return derived;
+}
+
+/**
+ * Builds the body composition profile of a subject from the `body_composition.csv` files of their trials.
+ *
+ * Empty files are listed but contribute nothing. When a measure is given in several files, the most
+ * recently modified file wins, so a profile follows the latest measurement.
+ *
+ * @param {Array<Object>} sources - One `{ activity, trial, path, filePath, mtimeMs }` per file.
+ * @returns {Object} - The profile:
+ *                     - `measures`: The measured values by canonical key, in the units of `BODY_MEASURES`.
+ *                     - `derived`: Values computed from the measures (see `deriveBodyMeasures()`).
+ *                     - `definitions`: `{ label, unit }` of each recognised key present.
+ *                     - `sources`: One `{ activity, trial, path, empty, measures, warnings, error }` per file,
+ *                       oldest first.
+ */
+function buildSubjectProfile(sources) {
+	const ordered = [...sources].sort((a, b) => (a.mtimeMs || 0) - (b.mtimeMs || 0));
+	const measures = {};
+	const files = ordered.map((source) => {
+		const entry = { activity: source.activity, trial: source.trial, path: source.path, empty: false, measures: {}, warnings: [] };
+		try {
+			const parsed = parseBodyComposition(readCsv(source.filePath));
+			entry.measures = parsed.measures;
+			entry.warnings = parsed.warnings;
+		} catch (error) {
+			// An empty file has no header line
+			if (/no header line/.test(error.message)) entry.empty = true;
+			else entry.error = error.message;
+		}
+		if (!entry.empty && !entry.error && Object.keys(entry.measures).length === 0) entry.empty = true;
+		Object.assign(measures, entry.measures);
+		return entry;
+	});
+
+	const derived = deriveBodyMeasures(measures);
+	const definitions = {};
+	Object.keys({ ...measures, ...derived }).forEach((key) => {
+		if (BODY_MEASURES[key]) definitions[key] = { label: BODY_MEASURES[key].label, unit: BODY_MEASURES[key].unit };
+	});
+	return { measures, derived, definitions, sources: files };
+}
+
+/**
+ * Computes the MVC reference amplitude of each EMG channel: the highest RMS over a moving window of a
+ * maximal voluntary contraction trial.
+ *
+ * @param {Object} signals - The MVC recording, as returned by `readSignals()` in `lib/csv.js`.
+ * @param {number} [windowSize=DEFAULT_MVC_WINDOW] - The length of the moving window in seconds.
+ * @returns {Object} - `{ channel: { rms, time } }` where `time` is the centre of the peak window in seconds.
+ * @throws {Error} - Throws an error if the window is not positive or longer than the recording.
+ */
+function computeMvcReference(signals, windowSize = DEFAULT_MVC_WINDOW) {
+	if (!(windowSize > 0)) {
+		throw new Error("MVC window must be a positive number of seconds");
+	}
+	const length = Math.max(1, Math.round(windowSize * signals.samplingRate));
+	const reference = {};
+	Object.entries(signals.channels).forEach(([name, samples]) => {
+		if (length > samples.length) {
+			throw new Error(`MVC window of ${windowSize} s does not fit a recording of ${samples.length} samples`);
+		}
+		// Running sum of squares over the window
+		let sum = 0;
+		for (let i = 0; i < length; i++) sum += samples[i] * samples[i];
+		let best = sum;
+		let bestStart = 0;
+		for (let start = 1; start + length <= samples.length; start++) {
+			sum += samples[start + length - 1] ** 2 - samples[start - 1] ** 2;
+			if (sum > best) {
+				best = sum;
+				bestStart = start;
+			}
+		}
+		reference[name] = {
+			rms: Math.sqrt(Math.max(0, best) / length),
+			time: (bestStart + length / 2) / signals.samplingRate,
+		};
+	});
+	return reference;
+}
+
+/**
+ * Normalizes the amplitudes of a fatigue analysis to a subject's MVC reference, so that amplitudes can be
+ * compared across subjects.
+ *
+ * @param {Object} analysis - A channel analysis, as returned by `analyzeFatigue()` in `lib/emg-analysis.js`.
+ * @param {number} mvcRms - The MVC reference amplitude of the channel (see `computeMvcReference()`).
+ * @returns {Object} - A copy of the analysis whose windows carry `rmsPercentMvc`, with an `amplitude` summary:
+ *                     `{ mvcRms, meanPercentMvc, initialPercentMvc, finalPercentMvc, changePercentMvc }`.
+ * @throws {Error} - Throws an error if the reference amplitude is not positive.
+ */
+function normalizeToMvc(analysis, mvcRms) {
+	if (!(mvcRms > 0)) {
+		throw new Error("MVC reference amplitude must be positive");
+	}
+	const windows = analysis.windows.map((window) => ({ ...window, rmsPercentMvc: 100 * window.rms / mvcRms }));
+	const percents = windows.map((window) => window.rmsPercentMvc);
+	const mean = percents.length > 0 ? percents.reduce((sum, value) => sum + value, 0) / percents.length : null;
+	const initial = percents.length > 0 ? percents[0] : null;
+	const final = percents.length > 0 ? percents[percents.length - 1] : null;
+	return {
+		...analysis,
+		windows: windows,
+		amplitude: {
+			mvcRms: mvcRms,
+			meanPercentMvc: mean,
+			initialPercentMvc: initial,
+			finalPercentMvc: final,
+			changePercentMvc: initial !== null ? final - initial : null,
+		},
+	};
+}
+
+/**
+ * Expresses the amplitudes of a channel analysis per unit of body measures (e.g. per kg of lean mass).
+ *
+ * @param {Object} analysis - A channel analysis, optionally normalized by `normalizeToMvc()`.
+ * @param {Object} bodyMeasures - The subject's measures and derived values, by key.
+ * @param {Array<string>} keys - The measures to relate to.
+ * @returns {Object} - `{ key: { value, meanRms, mvcRms } }` with amplitudes divided by the measure; `mvcRms`
+ *                     only for normalized analyses.
+ * @throws {Error} - Throws an error if a measure is missing from the profile or not positive.
+ */
+function relateToBody(analysis, bodyMeasures, keys) {
+	const meanRms = analysis.windows.length > 0
+		? analysis.windows.reduce((sum, window) => sum + window.rms, 0) / analysis.windows.length
+		: null;
+	const related = {};
+	keys.forEach((key) => {
+		const value = bodyMeasures[key];
+		if (!(value > 0)) {
+			throw new Error(`The subject's profile has no positive '${key}' measure`);
+		}
+		related[key] = { value: value, meanRms: meanRms !== null ? meanRms / value : null };
+		if (analysis.amplitude) related[key].mvcRms = analysis.amplitude.mvcRms / value;
+	});
+	return related;
+}
+
+module.exports = {
+	BODY_COMPOSITION_DATA_TYPE,
+	BODY_MEASURES,
+	DEFAULT_MVC_WINDOW,
+	resolveMeasure,
+	parseBodyComposition,
+	deriveBodyMeasures,
+	buildSubjectProfile,
+	computeMvcReference,
+	normalizeToMvc,
+	relateToBody,
+};
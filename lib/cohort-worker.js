@@ -0,0 +1,19 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: cohort-worker.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Worker thread of `summarizeCohortInWorker()` in `lib/cohort.js`: computes the cohort statistics off the server's
+// event loop and posts `{ cohort }`, or `{ error_msg }` if they cannot be computed
+const { parentPort, workerData } = require("worker_threads");
+const { compileSchema } = require("./schema");
+const { summarizeCohort } = require("./cohort");
+
+try {
+	const cohort = summarizeCohort(workerData.rootFolder, compileSchema(workerData.instanceNames), workerData.activity, workerData.options);
+	parentPort.postMessage({ cohort: cohort });
+} catch (error) {
+	parentPort.postMessage({ error_msg: error.message });
+}
@@ -0,0 +1,380 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: cohort.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { readSignals } = require("./csv");
+const { analyzeFatigue, linearRegression } = require("./emg-analysis");
+const { matchSegment, formatSegment, compareValues } = require("./schema");
+
+// Per-trial fatigue metrics summarised across the cohort
+const COHORT_METRICS = [
+	{ key: "mdfSlope", label: "MDF slope", unit: "Hz/s" },
+	{ key: "mdfSlopePercent", label: "MDF slope (relative)", unit: "%/s" },
+	{ key: "timeToExhaustion", label: "Time to exhaustion", unit: "s" },
+	{ key: "rmsIncreasePercent", label: "RMS increase", unit: "%" },
+];
+
+// Tukey fences: values further than this many interquartile ranges outside the quartiles are outliers
+const OUTLIER_IQR_FACTOR = 1.5;
+
+// Fewest values the quartiles of the outlier fences are computed from
+const MIN_OUTLIER_SAMPLES = 4;
+
+/**
+ * Names the placeholder that tells the nodes of a schema level apart: the last of its placeholders (e.g.
+ * `user_id` for the `user` level), the ones before it being the registered names they share.
+ *
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string} level - The level name.
+ * @returns {string} - The placeholder.
+ * @throws {Error} - Throws an error if the schema has no such level.
+ */
+function levelKey(schema, level) {
+	const placeholders = schema.levels[level];
+	if (!placeholders || placeholders.length === 0) {
+		throw new Error(`The schema has no '${level}' level.`);
+	}
+	return placeholders[placeholders.length - 1];
+}
+
+/**
+ * Lists the trials of an activity across every user. Each folder level of the schema path is matched against its
+ * template, so that activities sharing a prefix (e.g. `curls` and `curls_seated`) are not mixed up, and the trial
+ * folders are the deepest folders. Users and trials are told apart by the placeholders of their schema levels
+ * (see `levelKey()`).
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string} activity - A registered activity name.
+ * @param {string} [dataType="emg"] - The data type whose file is returned for each trial.
+ * @returns {Array<Object>} - One `{ user, trial, path, filePath }` per trial folder, ordered by user and trial;
+ *                            `path` is relative to the data collection. The file may not exist.
+ * @throws {Error} - Throws an error if the activity is not registered, or the schema lacks the `activity`, `user` or
+ *                   `trial` level.
+ */
+function listActivityTrials(rootFolder, schema, activity, dataType = "emg") {
+	if (!schema.instanceNames.activity.includes(activity)) {
+		throw new Error(`Invalid or missing parameter: 'activity' must be one of ${schema.instanceNames.activity.join(", ")}.`);
+	}
+	const activityKey = levelKey(schema, "activity");
+	const userKey = levelKey(schema, "user");
+	const trialKey = levelKey(schema, "trial");
+	const lastDepth = schema.segments.length - 1;
+	const trials = [];
+	const walk = (folder, depth, values, relative) => {
+		fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+			if (!entry.isDirectory()) return;
+			const match = matchSegment(schema, depth, entry.name);
+			if (!match || (match[activityKey] !== undefined && match[activityKey] !== activity)) return;
+			const folderValues = { ...values, ...match };
+			const folderRelative = relative.concat(entry.name);
+			if (depth < lastDepth - 1) {
+				walk(path.join(folder, entry.name), depth + 1, folderValues, folderRelative);
+				return;
+			}
+			const fileName = formatSegment(schema, lastDepth, { ...folderValues, data_type: dataType });
+			trials.push({
+				user: folderValues[userKey],
+				trial: folderValues[trialKey],
+				path: folderRelative.concat(fileName).join("/"),
+				filePath: path.join(rootFolder, ...folderRelative, fileName),
+			});
+		});
+	};
+	walk(rootFolder, 0, {}, []);
+	const compareUsers = compareValues(schema, userKey);
+	const compareTrials = compareValues(schema, trialKey);
+	return trials.sort((a, b) => compareUsers(a.user, b.user) || compareTrials(a.trial, b.trial));
+}
+
+/**
+ * Computes the fatigue metrics of one trial's EMG channel.
+ *
+ * - `mdfSlope` / `mdfSlopePercent`: The fatigue index of `analyzeFatigue()`.
+ * - `rmsIncreasePercent`: The rise of a line fitted to the window RMS over the trial, relative to its initial value.
+ *
+ * @param {Object} signals - The recording, as returned by `readSignals()` in `lib/csv.js`.
+ * @param {string} channel - The EMG channel.
+ * @param {Object} [options={}] - Overrides for `DEFAULT_ANALYSIS_OPTIONS` in `lib/emg-analysis.js`.
+ * @returns {Object} - `{ mdfSlope, mdfSlopePercent, rmsIncreasePercent }`; a metric is `null` when it cannot
+ *                     be computed.
+ * @throws {Error} - Throws an error if the channel is missing or the recording is too short for the windows.
+ */
+function trialFatigueMetrics(signals, channel, options = {}) {
+	const samples = signals.channels[channel];
+	if (!samples) {
+		throw new Error(`No '${channel}' channel`);
+	}
+	const analysis = analyzeFatigue(samples, signals.samplingRate, options);
+	const duration = signals.time[signals.time.length - 1];
+	const rmsFit = linearRegression(
+		analysis.windows.map((window) => (window.start + window.end) / 2),
+		analysis.windows.map((window) => window.rms),
+	);
+	return {
+		mdfSlope: analysis.fatigueIndex.mdfSlope,
+		mdfSlopePercent: analysis.fatigueIndex.mdfSlopePercent,
+		rmsIncreasePercent: rmsFit && rmsFit.intercept > 0 ? 100 * rmsFit.slope * duration / rmsFit.intercept : null,
+	};
+}
+
+/**
+ * Computes the quantile of sorted values by linear interpolation.
+ *
+ * @param {Array<number>} sorted - Values in ascending order.
+ * @param {number} fraction - The quantile, between 0 and 1.
+ * @returns {number} - The quantile.
+ */
+function quantile(sorted, fraction) {
+	const position = (sorted.length - 1) * fraction;
+	const lower = Math.floor(position);
+	const upper = Math.ceil(position);
+	return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Describes a sample of values.
+ *
+ * @param {Array<number>} values - The values.
+ * @returns {Object} - `{ n, mean, sd, cv, min, median, max }` where `sd` is the sample standard deviation and `cv`
+ *                     its percentage of the absolute mean. Statistics are `null` when they cannot be computed.
+ */
+function describeValues(values) {
+	const n = values.length;
+	if (n === 0) return { n: 0, mean: null, sd: null, cv: null, min: null, median: null, max: null };
+	const sorted = [...values].sort((a, b) => a - b);
+	const mean = values.reduce((sum, value) => sum + value, 0) / n;
+	const sd = n > 1 ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)) : null;
+	return {
+		n: n,
+		mean: mean,
+		sd: sd,
+		cv: sd !== null && mean !== 0 ? 100 * sd / Math.abs(mean) : null,
+		min: sorted[0],
+		median: quantile(sorted, 0.5),
+		max: sorted[n - 1],
+	};
+}
+
+/**
+ * Computes the one-way random-effects intraclass correlation ICC(1,1) of repeated trials, i.e. the share of
+ * the variance that lies between users rather than between a user's trials. Unequal numbers of trials are
+ * handled with the adjusted group size k0.
+ *
+ * @param {Array<Array<number>>} groups - The values of each user's trials; users with fewer than two trials are ignored.
+ * @returns {number|null} - The ICC, or `null` with fewer than two users of two trials or no variance.
+ */
+function intraclassCorrelation(groups) {
+	const repeated = groups.filter((group) => group.length >= 2);
+	const g = repeated.length;
+	if (g < 2) return null;
+	const total = repeated.reduce((sum, group) => sum + group.length, 0);
+	const grandMean = repeated.flat().reduce((sum, value) => sum + value, 0) / total;
+	let between = 0;
+	let within = 0;
+	repeated.forEach((group) => {
+		const mean = group.reduce((sum, value) => sum + value, 0) / group.length;
+		between += group.length * (mean - grandMean) ** 2;
+		within += group.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+	});
+	const msBetween = between / (g - 1);
+	const msWithin = within / (total - g);
+	const k0 = (total - repeated.reduce((sum, group) => sum + group.length ** 2, 0) / total) / (g - 1);
+	const denominator = msBetween + (k0 - 1) * msWithin;
+	return denominator > 0 ? (msBetween - msWithin) / denominator : null;
+}
+
+/**
+ * Finds the values outside the Tukey fences (`OUTLIER_IQR_FACTOR` interquartile ranges beyond the quartiles).
+ *
+ * @param {Array<number|null>} values - The values; `null` values are never outliers.
+ * @returns {Array<boolean>} - Whether each value is an outlier. All `false` with fewer than `MIN_OUTLIER_SAMPLES` values.
+ */
+function flagOutliers(values) {
+	const present = values.filter((value) => value !== null).sort((a, b) => a - b);
+	if (present.length < MIN_OUTLIER_SAMPLES) return values.map(() => false);
+	const q1 = quantile(present, 0.25);
+	const q3 = quantile(present, 0.75);
+	const margin = OUTLIER_IQR_FACTOR * (q3 - q1);
+	return values.map((value) => value !== null && (value < q1 - margin || value > q3 + margin));
+}
+
+/**
+ * Summarises the fatigue metrics of an activity across users and trials.
+ *
+ * Every trial of the activity (see `listActivityTrials()`) is analysed on one EMG channel; trials that cannot be
+ * analysed are listed with their error and left out of the statistics. The time to exhaustion is only defined for
+ * the endurance activities of the schema, where it is detected from the trial's files (see `detectTrialExhaustion()`
+ * in `lib/endurance.js`); it is `null` for other activities and for trials where no failure is detected.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string} activity - A registered activity name.
+ * @param {Object} [options={}] - Options:
+ *                                - `channel`: The EMG channel. Defaults to the first channel of the first readable trial.
+ *                                - `analysis`: Overrides for `DEFAULT_ANALYSIS_OPTIONS` in `lib/emg-analysis.js`.
+ *                                - `samplingRate`: Sampling rate in Hz of files without a time column.
+ * @returns {Object} - The statistics:
+ *                     - `activity`, `channel`: What was analysed.
+ *                     - `metrics`: `COHORT_METRICS`.
+ *                     - `trials`: One `{ user, trial, path, ...metrics, outliers, error }` per trial, where `outliers`
+ *                       lists the metrics whose value is outside the Tukey fences of the cohort.
+ *                     - `summary`: `{ [metric]: describeValues() }` over all analysed trials.
+ *                     - `users`: `{ [user]: { [metric]: describeValues() } }` over each user's trials; the `cv` is the
+ *                       user's trial-to-trial variability.
+ *                     - `repeatability`: `{ [metric]: { icc, meanCv } }`, the ICC(1,1) across users with two trials or
+ *                       more and the mean of their CVs.
+ * @throws {Error} - Throws an error if the activity is not registered.
+ *
+ * @example
+ * const stats = summarizeCohort(rootFolder, schema, 'max_endurance_elbow_flexion_standing', { channel: 'biceps' });
+ * console.log(stats.summary.mdfSlope); // { n: 12, mean: -0.21, sd: 0.07, ... }
+ */
+function summarizeCohort(rootFolder, schema, activity, options = {}) {
+	// Required here: lib/endurance.js itself requires this module
+	const { detectTrialExhaustion } = require("./endurance");
+	let channel = options.channel || null;
+	const trials = listActivityTrials(rootFolder, schema, activity).map((trial) => {
+		const entry = { user: trial.user, trial: trial.trial, path: trial.path };
+		COHORT_METRICS.forEach((metric) => { entry[metric.key] = null; });
+		try {
+			const signals = readSignals(trial.filePath, { samplingRate: options.samplingRate });
+			if (!channel) channel = Object.keys(signals.channels)[0];
+			Object.assign(entry, trialFatigueMetrics(signals, channel, options.analysis));
+			if (schema.enduranceActivities.includes(activity)) {
+				const exhaustion = detectTrialExhaustion(path.dirname(trial.filePath), schema, {
+					channel: channel,
+					emg: signals,
+					samplingRate: options.samplingRate,
+				});
+				entry.timeToExhaustion = exhaustion.time;
+			}
+		} catch (error) {
+			entry.error = error.code === "ENOENT" ? "No EMG file" : error.message;
+		}
+		return entry;
+	});
+	const analysed = trials.filter((trial) => !trial.error);
+
+	const outlierFlags = {};
+	COHORT_METRICS.forEach(({ key }) => { outlierFlags[key] = flagOutliers(trials.map((trial) => trial[key])); });
+	trials.forEach((trial, index) => {
+		trial.outliers = COHORT_METRICS.map(({ key }) => key).filter((key) => outlierFlags[key][index]);
+	});
+
+	const values = (entries, key) => entries.map((entry) => entry[key]).filter((value) => value !== null);
+	const byUser = new Map();
+	analysed.forEach((trial) => {
+		if (!byUser.has(trial.user)) byUser.set(trial.user, []);
+		byUser.get(trial.user).push(trial);
+	});
+
+	const summary = {};
+	const users = {};
+	const repeatability = {};
+	byUser.forEach((_, user) => { users[user] = {}; });
+	COHORT_METRICS.forEach(({ key }) => {
+		summary[key] = describeValues(values(analysed, key));
+		const groups = [];
+		byUser.forEach((userTrials, user) => {
+			users[user][key] = describeValues(values(userTrials, key));
+			groups.push(values(userTrials, key));
+		});
+		const cvs = Object.values(users).map((userStats) => userStats[key].cv).filter((cv) => cv !== null);
+		repeatability[key] = {
+			icc: intraclassCorrelation(groups),
+			meanCv: cvs.length > 0 ? cvs.reduce((sum, cv) => sum + cv, 0) / cvs.length : null,
+		};
+	});
+
+	return { activity, channel, metrics: COHORT_METRICS, trials, summary, users, repeatability };
+}
+
+/**
+ * Summarises an activity like `summarizeCohort()`, but in a worker thread, so that a server keeps answering
+ * requests while the recording of every trial is read and analysed.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} instanceNames - The `instanceNames.json` content of the dataset; the worker compiles its schema.
+ * @param {string} activity - A registered activity name.
+ * @param {Object} [options={}] - The options of `summarizeCohort()`.
+ * @returns {Promise<Object>} - Resolves to the statistics.
+ * @throws {Error} - Rejects with the error of `summarizeCohort()`, or if the worker fails.
+ */
+function summarizeCohortInWorker(rootFolder, instanceNames, activity, options = {}) {
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(path.join(__dirname, "cohort-worker.js"), {
+			workerData: { rootFolder: rootFolder, instanceNames: instanceNames, activity: activity, options: options },
+		});
+		worker.once("message", (message) => (message.error_msg ? reject(new Error(message.error_msg)) : resolve(message.cohort)));
+		worker.once("error", reject);
+		worker.once("exit", (code) => {
+			if (code !== 0) reject(new Error(`The cohort statistics worker stopped with exit code ${code}.`));
+		});
+	});
+}
+
+/**
+ * Quotes a CSV field when needed.
+ *
+ * @param {*} value - The field value (`null` and `undefined` become empty fields).
+ * @returns {string} - The CSV field.
+ */
+function csvField(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts cohort statistics into a CSV table, ready for statistics software.
+ *
+ * @param {Object} stats - The statistics returned by `summarizeCohort()`.
+ * @param {string} [table="trials"] - The table:
+ *                                    - `trials`: One row per trial with its metrics and `outlier_<metric>` flags.
+ *                                    - `summary`: One row per metric with the cohort statistics and repeatability.
+ *                                    - `users`: One row per user and metric with the user's trial statistics.
+ * @returns {string} - The CSV text.
+ * @throws {Error} - Throws an error if the table is unknown.
+ */
+function cohortToCsv(stats, table = "trials") {
+	const keys = stats.metrics.map((metric) => metric.key);
+	const stat = ["n", "mean", "sd", "cv", "min", "median", "max"];
+	let header;
+	let rows;
+	if (table === "trials") {
+		header = ["activity", "channel", "user", "trial", "path", ...keys, ...keys.map((key) => `outlier_${key}`), "error"];
+		rows = stats.trials.map((trial) => [stats.activity, stats.channel, trial.user, trial.trial, trial.path,
+			...keys.map((key) => trial[key]), ...keys.map((key) => (trial.outliers.includes(key) ? 1 : 0)), trial.error]);
+	} else if (table === "summary") {
+		header = ["activity", "channel", "metric", "unit", ...stat, "icc", "mean_user_cv"];
+		rows = stats.metrics.map((metric) => [stats.activity, stats.channel, metric.key, metric.unit,
+			...stat.map((name) => stats.summary[metric.key][name]),
+			stats.repeatability[metric.key].icc, stats.repeatability[metric.key].meanCv]);
+	} else if (table === "users") {
+		header = ["activity", "channel", "user", "metric", "unit", ...stat];
+		rows = Object.entries(stats.users).flatMap(([user, userStats]) => stats.metrics.map((metric) =>
+			[stats.activity, stats.channel, user, metric.key, metric.unit, ...stat.map((name) => userStats[metric.key][name])]));
+	} else {
+		throw new Error(`Unknown table: ${table}. Use trials, summary or users.`);
+	}
+	return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+	COHORT_METRICS,
+	listActivityTrials,
+	trialFatigueMetrics,
+	describeValues,
+	intraclassCorrelation,
+	flagOutliers,
+	summarizeCohort,
+	summarizeCohortInWorker,
+	csvField,
+	cohortToCsv,
+};
@@ -0,0 +1,212 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: config.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Config file looked up in the working directory when none is given
+const CONFIG_FILE_NAME = "visualization-tool.config.json";
+
+// Name of the dataset served when no dataset is named
+const DEFAULT_DATASET_NAME = "default";
+
+/**
+ * Settings used when neither a flag, an environment variable nor the config file sets them.
+ * Relative paths are resolved against the working directory.
+ */
+const DEFAULT_CONFIG = {
+	port: 3000,
+	open: true, // Open the browser when the server starts
+	instanceNames: "instanceNames.json", // Schema and instance names shared by datasets without their own
+	datasets: { [DEFAULT_DATASET_NAME]: "data_collection" },
+	defaultDataset: null, // Dataset served without `?dataset=`; the first one if not set
+};
+
+// Environment variables and the setting each one overrides
+const ENVIRONMENT_VARIABLES = {
+	MFE_CONFIG: "config",
+	MFE_PORT: "port",
+	MFE_OPEN: "open",
+	MFE_INSTANCE_NAMES: "instanceNames",
+	MFE_DATA: "data",
+	MFE_DEFAULT_DATASET: "defaultDataset",
+};
+
+/**
+ * Parses a list of dataset roots, written `name=path` or as a bare path for a single unnamed dataset.
+ *
+ * @param {string|Array<string>} value - Comma-separated entries (e.g. `"study_a=/data/a,study_b=/data/b"`), or
+ *                                       an array of them (repeated flags).
+ * @param {string} baseFolder - The folder relative paths are resolved against.
+ * @returns {Object} - Dataset roots by name, e.g. `{ study_a: "/data/a", study_b: "/data/b" }`.
+ * @throws {Error} - Throws an error if a name is invalid or repeated, or several bare paths are given.
+ */
+function parseDatasetList(value, baseFolder) {
+	const entries = [].concat(value).flatMap((item) => String(item).split(",")).map((item) => item.trim()).filter(Boolean);
+	const datasets = {};
+	entries.forEach((entry) => {
+		const separator = entry.indexOf("=");
+		const name = separator > 0 ? entry.slice(0, separator) : DEFAULT_DATASET_NAME;
+		const root = separator > 0 ? entry.slice(separator + 1) : entry;
+		if (datasets[name] !== undefined) {
+			throw new Error(name === DEFAULT_DATASET_NAME
+				? "Several datasets without a name. Write them as name=path."
+				: `Repeated dataset name: ${name}.`);
+		}
+		datasets[name] = path.resolve(baseFolder, root);
+	});
+	return datasets;
+}
+
+/**
+ * Parses a boolean setting given as text (`true`/`false`, `1`/`0`, `yes`/`no`).
+ *
+ * @param {string|boolean} value - The value.
+ * @param {string} source - Where the value comes from, for the error message.
+ * @returns {boolean} - The boolean.
+ * @throws {Error} - Throws an error if the text is not a boolean.
+ */
+function parseBoolean(value, source) {
+	if (typeof value === "boolean") return value;
+	const text = String(value).trim().toLowerCase();
+	if (["true", "1", "yes"].includes(text)) return true;
+	if (["false", "0", "no"].includes(text)) return false;
+	throw new Error(`Invalid ${source}: '${value}' must be true or false.`);
+}
+
+/**
+ * Reads a config file. Relative paths in the file are resolved against the file's folder.
+ *
+ * @param {string} configPath - The absolute path of the JSON config file.
+ * @returns {Object} - The settings of the file, with resolved paths and `datasets` as `{ name: { root, instanceNames } }`.
+ * @throws {Error} - Throws an error if the file cannot be read or parsed.
+ */
+function readConfigFile(configPath) {
+	let content;
+	try {
+		content = JSON.parse(fs.readFileSync(configPath, "utf8"));
+	} catch (error) {
+		throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+	}
+	const folder = path.dirname(configPath);
+	const settings = { ...content };
+	if (content.instanceNames !== undefined) settings.instanceNames = path.resolve(folder, content.instanceNames);
+	if (content.datasets !== undefined) {
+		if (typeof content.datasets !== "object" || content.datasets === null || Array.isArray(content.datasets)) {
+			throw new Error(`Invalid config file ${configPath}: 'datasets' must map names to folders.`);
+		}
+		settings.datasets = Object.fromEntries(Object.entries(content.datasets).map(([name, dataset]) => {
+			const entry = typeof dataset === "string" ? { root: dataset } : { ...dataset };
+			if (typeof entry.root !== "string") {
+				throw new Error(`Invalid config file ${configPath}: dataset '${name}' has no root folder.`);
+			}
+			entry.root = path.resolve(folder, entry.root);
+			if (entry.instanceNames !== undefined) entry.instanceNames = path.resolve(folder, entry.instanceNames);
+			return [name, entry];
+		}));
+	}
+	return settings;
+}
+
+/**
+ * Resolves the server and dataset settings. Each setting comes from, in order of precedence:
+ * the command-line options, the environment variables (see `ENVIRONMENT_VARIABLES`), the config file
+ * (`--config`, `MFE_CONFIG` or `visualization-tool.config.json` in the working directory) and `DEFAULT_CONFIG`.
+ *
+ * Datasets from flags or environment variables replace those of the config file, and share the
+ * `instanceNames` file. In the config file, each dataset may have its own:
+ * ```json
+ * {
+ *   "port": 3000,
+ *   "open": false,
+ *   "instanceNames": "instanceNames.json",
+ *   "datasets": {
+ *     "study_a": "/data/study_a/data_collection",
+ *     "study_b": { "root": "/data/study_b/data_collection", "instanceNames": "/data/study_b/instanceNames.json" }
+ *   },
+ *   "defaultDataset": "study_a"
+ * }
+ * ```
+ *
+ * @param {Object} [options={}] - Command-line options: `config`, `port`, `open`, `instanceNames`, `data`
+ *                                (as parsed by `parseDatasetList()`) and `defaultDataset`.
+ * @param {Object} [env=process.env] - The environment variables.
+ * @param {string} [cwd=process.cwd()] - The working directory.
+ * @returns {Object} - The settings:
+ *                     - `port`: The port of the web server.
+ *                     - `open`: Whether to open the browser on start.
+ *                     - `datasets`: One `{ name, root, instanceNames }` per dataset, with absolute paths.
+ *                     - `defaultDataset`: The name of the dataset served without `?dataset=`.
+ *                     - `configFile`: The config file read, or `null`.
+ * @throws {Error} - Throws an error if a setting is invalid.
+ */
+function loadConfig(options = {}, env = process.env, cwd = process.cwd()) {
+	const fromEnv = {};
+	Object.entries(ENVIRONMENT_VARIABLES).forEach(([variable, setting]) => {
+		if (env[variable] !== undefined && env[variable] !== "") fromEnv[setting] = env[variable];
+	});
+	const given = { ...fromEnv };
+	Object.entries(options).forEach(([setting, value]) => {
+		if (value !== undefined) given[setting] = value;
+	});
+
+	// Config file: explicit, or the default one if it exists
+	let configFile = given.config ? path.resolve(cwd, given.config) : path.join(cwd, CONFIG_FILE_NAME);
+	if (!given.config && !fs.existsSync(configFile)) configFile = null;
+	const fromFile = configFile ? readConfigFile(configFile) : {};
+
+	const config = { ...DEFAULT_CONFIG, ...fromFile };
+	["port", "open", "instanceNames", "defaultDataset"].forEach((setting) => {
+		if (given[setting] !== undefined) config[setting] = given[setting];
+	});
+
+	const port = Number(config.port);
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		throw new Error(`Invalid port: '${config.port}' must be an integer between 0 and 65535.`);
+	}
+	const instanceNames = path.resolve(cwd, config.instanceNames);
+
+	let datasets;
+	if (given.data !== undefined) {
+		datasets = parseDatasetList(given.data, cwd);
+	} else if (fromFile.datasets) {
+		datasets = fromFile.datasets;
+	} else {
+		datasets = { [DEFAULT_DATASET_NAME]: path.resolve(cwd, DEFAULT_CONFIG.datasets[DEFAULT_DATASET_NAME]) };
+	}
+	const list = Object.entries(datasets).map(([name, dataset]) => {
+		if (!/^[\w-]+$/.test(name)) {
+			throw new Error(`Invalid dataset name: '${name}' may only contain letters, digits, '_' and '-'.`);
+		}
+		const entry = typeof dataset === "string" ? { root: dataset } : dataset;
+		return { name: name, root: entry.root, instanceNames: entry.instanceNames || instanceNames };
+	});
+	if (list.length === 0) {
+		throw new Error("No dataset configured.");
+	}
+	const defaultDataset = config.defaultDataset || list[0].name;
+	if (!list.some((dataset) => dataset.name === defaultDataset)) {
+		throw new Error(`Invalid default dataset: '${defaultDataset}' must be one of ${list.map((dataset) => dataset.name).join(", ")}.`);
+	}
+
+	return {
+		port: port,
+		open: parseBoolean(config.open, "open setting"),
+		datasets: list,
+		defaultDataset: defaultDataset,
+		configFile: configFile,
+	};
+}
+
+module.exports = {
+	CONFIG_FILE_NAME,
+	DEFAULT_DATASET_NAME,
+	DEFAULT_CONFIG,
+	ENVIRONMENT_VARIABLES,
+	parseDatasetList,
+	loadConfig,
+};
@@ -0,0 +1,321 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: csv.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+
+// Column names recognised as the time axis of a recording (compared in lower case)
+const TIME_COLUMN_NAMES = ["time", "timestamp", "t", "time_s", "time_ms", "time_us", "timestamp_ms", "timestamp_us", "elapsed", "elapsed_s"];
+
+/**
+ * Guesses the delimiter used by a CSV file from its header line.
+ *
+ * @param {string} headerLine - The first line of the file.
+ * @returns {string} - The most frequent of `,`, `;` or a tab. Defaults to `,`.
+ */
+function detectDelimiter(headerLine) {
+	const candidates = [",", ";", "\t"];
+	let best = ",";
+	let bestCount = 0;
+	candidates.forEach((delimiter) => {
+		const count = headerLine.split(delimiter).length - 1;
+		if (count > bestCount) {
+			best = delimiter;
+			bestCount = count;
+		}
+	});
+	return best;
+}
+
+/**
+ * Splits a single CSV line into its fields, honouring double-quoted fields.
+ *
+ * @param {string} line - The line to split (without the line break).
+ * @param {string} [delimiter=','] - The field delimiter.
+ * @returns {Array<string>} - The unquoted, trimmed fields.
+ */
+function parseCsvLine(line, delimiter = ",") {
+	const fields = [];
+	let field = "";
+	let inQuotes = false;
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (inQuotes) {
+			if (char === '"' && line[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			fields.push(field.trim());
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	fields.push(field.trim());
+	return fields;
+}
+
+/**
+ * Converts a raw CSV field into a number when possible.
+ *
+ * @param {string} value - The raw field.
+ * @returns {number|string|null} - A number for numeric fields, `null` for empty fields,
+ *                                 the original string otherwise.
+ */
+function toValue(value) {
+	if (value === "") return null;
+	const number = Number(value);
+	return Number.isNaN(number) ? value : number;
+}
+
+/**
+ * Parses the text of a CSV file whose first line is the header.
+ *
+ * @param {string} text - The file content.
+ * @returns {Object} - `{ columns, rows }` where `columns` is the array of header names and `rows`
+ *                     is an array of row arrays (numbers where the field is numeric).
+ * @throws {Error} - Throws an error if the file has no header line.
+ */
+function parseCsv(text) {
+	const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+	if (lines.length === 0) {
+		throw new Error("CSV file has no header line");
+	}
+	const delimiter = detectDelimiter(lines[0]);
+	const columns = parseCsvLine(lines[0], delimiter);
+	const rows = lines.slice(1).map((line) => parseCsvLine(line, delimiter).map(toValue));
+	return { columns, rows };
+}
+
+/**
+ * Reads and parses a CSV file from disk.
+ *
+ * @param {string} filePath - The absolute path of the file.
+ * @returns {Object} - `{ columns, rows }` as returned by `parseCsv()`.
+ */
+function readCsv(filePath) {
+	return parseCsv(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Finds the index of the column holding the time axis.
+ *
+ * @param {Array<string>} columns - The header names.
+ * @returns {number} - The index of the time column, or `-1` if none is recognised.
+ */
+function findTimeColumn(columns) {
+	return columns.findIndex((column) => TIME_COLUMN_NAMES.includes(column.toLowerCase()));
+}
+
+/**
+ * Converts a single time value to seconds.
+ *
+ * - ISO date strings are converted to epoch seconds.
+ * - Columns named in milliseconds or microseconds (`*_ms`, `*_us`) are scaled accordingly.
+ * - Numbers that look like epoch milliseconds (> 1e11) are scaled to seconds.
+ *
+ * @param {number|string|null} value - The raw time value.
+ * @param {string} columnName - The name of the time column, used to infer its unit.
+ * @returns {number|null} - The time in seconds, or `null` if the value cannot be interpreted.
+ */
+function timeToSeconds(value, columnName) {
+	if (value === null || value === undefined) return null;
+	if (typeof value === "string") {
+		const parsed = Date.parse(value);
+		return Number.isNaN(parsed) ? null : parsed / 1000;
+	}
+	const name = columnName.toLowerCase();
+	if (name.endsWith("_us")) return value / 1e6;
+	if (name.endsWith("_ms") || value > 1e11) return value / 1000;
+	return value;
+}
+
+/**
+ * Extracts the time axis of a parsed CSV in seconds.
+ *
+ * @param {Object} csv - `{ columns, rows }` as returned by `parseCsv()`.
+ * @returns {Array<number>|null} - The time of each row in seconds, or `null` if the file has no
+ *                                 recognised time column.
+ */
+function getTimeAxis(csv) {
+	const timeIndex = findTimeColumn(csv.columns);
+	if (timeIndex < 0) return null;
+	const columnName = csv.columns[timeIndex];
+	return csv.rows.map((row) => timeToSeconds(row[timeIndex], columnName));
+}
+
+/**
+ * Reads a CSV recording as numeric signals on a common time axis.
+ *
+ * The time column (if any) becomes `time`, re-based so that the first sample is at 0 s; every
+ * other column whose values are all numeric becomes a channel. When the file has no time column,
+ * `options.samplingRate` is used to generate one.
+ *
+ * @param {string} filePath - The absolute path of the CSV file.
+ * @param {Object} [options={}] - Reading options.
+ * @param {number} [options.samplingRate] - Sampling rate in Hz to assume when the file has no time column.
+ * @returns {Object} - The recording:
+ *                     - `time`: Float64Array of sample times in seconds, starting at 0.
+ *                     - `startTime`: The original timestamp of the first sample in seconds.
+ *                     - `samplingRate`: The average sampling rate in Hz.
+ *                     - `channels`: Object mapping each numeric column name to a Float64Array.
+ * @throws {Error} - Throws an error if the file is empty or its sampling rate cannot be determined.
+ */
+function readSignals(filePath, options = {}) {
+	const csv = readCsv(filePath);
+	if (csv.rows.length === 0) {
+		throw new Error("CSV file has no data rows");
+	}
+	const timeIndex = findTimeColumn(csv.columns);
+	const rowCount = csv.rows.length;
+	const time = new Float64Array(rowCount);
+	let startTime = 0;
+	let samplingRate = options.samplingRate || null;
+
+	if (timeIndex >= 0) {
+		const seconds = getTimeAxis(csv);
+		startTime = seconds[0];
+		seconds.forEach((value, i) => { time[i] = value - startTime; });
+		const duration = time[rowCount - 1];
+		if (rowCount > 1 && duration > 0) samplingRate = (rowCount - 1) / duration;
+	} else if (samplingRate) {
+		time.forEach((_, i) => { time[i] = i / samplingRate; });
+	}
+	if (!samplingRate) {
+		throw new Error("Sampling rate cannot be determined: no time column and no sampling rate given");
+	}
+
+	const channels = {};
+	csv.columns.forEach((column, index) => {
+		if (index === timeIndex) return;
+		if (!csv.rows.every((row) => typeof row[index] === "number")) return;
+		channels[column] = Float64Array.from(csv.rows, (row) => row[index]);
+	});
+	return { time, startTime, samplingRate, channels };
+}
+
+/**
+ * Builds the metadata of a trial CSV file from its content (see `getCsvMetadata()`).
+ *
+ * @param {number} size - The file size in bytes.
+ * @param {Function} read - Returns the file content as a Buffer; only called for non-empty files.
+ * @returns {Object} - The file metadata, as returned by `getCsvMetadata()`.
+ */
+function describeCsv(size, read) {
+	const metadata = {
+		size: size,
+		rows: 0,
+		columns: [],
+		samplingRate: null,
+		start: null,
+		end: null,
+		absoluteTime: false,
+		duration: null,
+	};
+	if (size === 0) return metadata;
+
+	try {
+		const buffer = read();
+		// Collect the non-empty lines needed for the metadata while counting data rows
+		let header = null;
+		let firstLine = null;
+		let lastLine = null;
+		let lineStart = 0;
+		for (let i = 0; i <= buffer.length; i++) {
+			if (i === buffer.length || buffer[i] === 0x0A) {
+				const line = buffer.toString("utf8", lineStart, i).replace(/\r$/, "");
+				lineStart = i + 1;
+				if (line.trim() === "") continue;
+				if (header === null) {
+					header = line;
+				} else {
+					if (firstLine === null) firstLine = line;
+					lastLine = line;
+					metadata.rows++;
+				}
+			}
+		}
+		if (header === null) return metadata;
+
+		const delimiter = detectDelimiter(header);
+		metadata.columns = parseCsvLine(header, delimiter);
+		const timeIndex = findTimeColumn(metadata.columns);
+		if (timeIndex < 0 || firstLine === null) return metadata;
+
+		const columnName = metadata.columns[timeIndex];
+		const start = timeToSeconds(toValue(parseCsvLine(firstLine, delimiter)[timeIndex] ?? ""), columnName);
+		const end = timeToSeconds(toValue(parseCsvLine(lastLine, delimiter)[timeIndex] ?? ""), columnName);
+		if (start === null || end === null) return metadata;
+
+		metadata.start = start;
+		metadata.end = end;
+		metadata.absoluteTime = start > 1e8; // Epoch seconds rather than time since recording start
+		metadata.duration = end - start;
+		if (metadata.rows > 1 && metadata.duration > 0) {
+			metadata.samplingRate = (metadata.rows - 1) / metadata.duration;
+		}
+	} catch (error) {
+		metadata.error = error.message;
+	}
+	return metadata;
+}
+
+/**
+ * Reads the descriptive metadata of a trial CSV file without parsing every row.
+ *
+ * The file is scanned once to count its rows; only the header, the first and the last data
+ * lines are parsed. The sampling rate is the average rate between the first and last samples.
+ *
+ * @param {string} filePath - The absolute path of the CSV file.
+ * @returns {Object} - The file metadata:
+ *                     - `size`: File size in bytes.
+ *                     - `rows`: Number of data rows (header excluded).
+ *                     - `columns`: Array of header names.
+ *                     - `samplingRate`: Inferred sampling rate in Hz, or `null`.
+ *                     - `start` / `end`: First and last timestamps in seconds, or `null`.
+ *                     - `absoluteTime`: `true` if `start`/`end` are epoch seconds.
+ *                     - `duration`: `end - start` in seconds, or `null`.
+ *                     - `error`: A message if the file could not be parsed, otherwise absent.
+ */
+function getCsvMetadata(filePath) {
+	return describeCsv(fs.statSync(filePath).size, () => fs.readFileSync(filePath));
+}
+
+/**
+ * Reads the descriptive metadata of a trial CSV file without blocking the event loop.
+ *
+ * @async
+ * @param {string} filePath - The absolute path of the CSV file.
+ * @returns {Promise<Object>} - The file metadata, as returned by `getCsvMetadata()`.
+ */
+async function getCsvMetadataAsync(filePath) {
+	const { size } = await fs.promises.stat(filePath);
+	const buffer = size > 0 ? await fs.promises.readFile(filePath).catch((error) => error) : null;
+	return describeCsv(size, () => {
+		if (buffer instanceof Error) throw buffer;
+		return buffer;
+	});
+}
+
+module.exports = {
+	detectDelimiter,
+	parseCsvLine,
+	parseCsv,
+	readCsv,
+	findTimeColumn,
+	timeToSeconds,
+	getTimeAxis,
+	readSignals,
+	getCsvMetadata,
+	getCsvMetadataAsync,
+};
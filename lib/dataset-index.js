@@ -0,0 +1,184 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: dataset-index.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { matchSegment } = require("./schema");
+const { mapConcurrently, annotationRecord, readRecordMetadata } = require("./dataset");
+const { ANNOTATIONS_FILE_NAME } = require("./annotations");
+
+// Format version of the index files; files of another version are discarded
+const INDEX_VERSION = 1;
+
+/**
+ * Reads a saved index, or returns an empty one if the file is missing, unreadable, of another version
+ * or describes another folder.
+ *
+ * @param {string|null} indexFile - The absolute path of the index file.
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @returns {Object} - `{ version, root, directories, files }`.
+ */
+function readIndexFile(indexFile, rootFolder) {
+	const empty = { version: INDEX_VERSION, root: rootFolder, directories: {}, files: {} };
+	if (!indexFile || !fs.existsSync(indexFile)) return empty;
+	try {
+		const saved = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+		return saved.version === INDEX_VERSION && saved.root === rootFolder ? saved : empty;
+	} catch (error) {
+		return empty;
+	}
+}
+
+/**
+ * Creates a persistent index of a `data_collection` folder, to list its data files and their metadata
+ * without reading every folder and parsing every CSV file on each request.
+ *
+ * - Folder listings are kept with the folder's modification time; a folder is only read again when its
+ *   modification time changed (i.e. entries were added, removed or renamed).
+ * - Data files are stat'ed on every refresh, since their content can change without touching the folder.
+ * - File metadata (CSV metadata, or the summary of an `annotations.json` sidecar) is kept with the file's size
+ *   and modification time, and only read again when either changed.
+ *
+ * The index is saved to `indexFile` by `save()` and reloaded by the next `createDatasetIndex()`, so that a
+ * restarted server does not parse every file again.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string|null} [indexFile=null] - The absolute path of the JSON file the index is saved to, or `null`
+ *                                         to keep it in memory only.
+ * @returns {Object} - The index:
+ *                     - `records()`: Resolves to the records of the data collection, as returned by
+ *                       `collectRecords()` in `lib/dataset.js`, each with `stats: { size, mtimeMs }`.
+ *                     - `readMetadata(record)`: Resolves to the metadata of a record (see `readRecordMetadata()` in
+ *                       `lib/dataset.js`), from the cache if the file is unchanged.
+ *                     - `fingerprint(records)`: A hash of the paths, sizes and modification times of the records,
+ *                       which changes whenever a file is added, removed or modified.
+ *                     - `save()`: Resolves once the index is written to `indexFile` (nothing is written if
+ *                       unchanged).
+ *
+ * @example
+ * const index = createDatasetIndex('/path/to/data_collection', schema, '/path/to/.dataset_index/default.json');
+ * const records = await index.records();
+ * const tree = await buildTreeAsync(rootFolder, schema, 'user', {}, { records, readMetadata: index.readMetadata });
+ * await index.save();
+ */
+function createDatasetIndex(rootFolder, schema, indexFile = null) {
+	const state = readIndexFile(indexFile, rootFolder);
+	let changed = false;
+	let saving = Promise.resolve();
+
+	const listFolder = async (relative) => {
+		const folder = path.join(rootFolder, relative);
+		const { mtimeMs } = await fs.promises.stat(folder);
+		const cached = state.directories[relative];
+		if (cached && cached.mtimeMs === mtimeMs) return cached.entries;
+		const entries = (await fs.promises.readdir(folder, { withFileTypes: true }))
+			.map((entry) => ({ name: entry.name, directory: entry.isDirectory(), file: entry.isFile() }));
+		state.directories[relative] = { mtimeMs: mtimeMs, entries: entries };
+		changed = true;
+		return entries;
+	};
+
+	const records = async () => {
+		const lastDepth = schema.segments.length - 1;
+		const seenFolders = new Set();
+		const walk = async (relative, depth, values) => {
+			seenFolders.add(relative);
+			let entries;
+			try {
+				entries = await listFolder(relative);
+			} catch (error) {
+				if (depth === 0) throw error;
+				return []; // Removed while scanning
+			}
+			const nested = await Promise.all(entries.map(async (entry) => {
+				if (depth === lastDepth ? !entry.file : !entry.directory) return [];
+				const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+				if (depth === lastDepth && entry.name === ANNOTATIONS_FILE_NAME) {
+					return [annotationRecord(values, path.join(rootFolder, entryRelative), entryRelative)];
+				}
+				const match = matchSegment(schema, depth, entry.name);
+				if (!match) return [];
+				if (depth === lastDepth) {
+					return [{ values: { ...values, ...match }, filePath: path.join(rootFolder, entryRelative), relativePath: entryRelative }];
+				}
+				return walk(entryRelative, depth + 1, { ...values, ...match });
+			}));
+			return nested.flat();
+		};
+		const found = await walk("", 0, {});
+
+		const stats = await mapConcurrently(found, (record) => fs.promises.stat(record.filePath).catch(() => null));
+		const present = [];
+		found.forEach((record, index) => {
+			if (!stats[index]) return; // Removed since its folder was listed
+			record.stats = { size: stats[index].size, mtimeMs: stats[index].mtimeMs };
+			present.push(record);
+		});
+
+		// Forget folders and files that are gone
+		Object.keys(state.directories).forEach((relative) => {
+			if (!seenFolders.has(relative)) {
+				delete state.directories[relative];
+				changed = true;
+			}
+		});
+		const presentPaths = new Set(present.map((record) => record.relativePath));
+		Object.keys(state.files).forEach((relative) => {
+			if (!presentPaths.has(relative)) {
+				delete state.files[relative];
+				changed = true;
+			}
+		});
+		return present;
+	};
+
+	const readMetadata = async (record) => {
+		const stats = record.stats || await fs.promises.stat(record.filePath);
+		const cached = state.files[record.relativePath];
+		if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) return cached.metadata;
+		const metadata = await readRecordMetadata(record);
+		state.files[record.relativePath] = { size: stats.size, mtimeMs: stats.mtimeMs, metadata: metadata };
+		changed = true;
+		return metadata;
+	};
+
+	const fingerprint = (indexRecords) => {
+		const hash = crypto.createHash("sha1");
+		indexRecords
+			.map((record) => `${record.relativePath}\t${record.stats.size}\t${record.stats.mtimeMs}`)
+			.sort()
+			.forEach((line) => hash.update(`${line}\n`));
+		return hash.digest("hex");
+	};
+
+	const save = () => {
+		if (!indexFile) return saving;
+		// Writes are chained so that two saves never write the file at the same time
+		saving = saving.catch(() => {}).then(async () => {
+			if (!changed) return;
+			changed = false;
+			const temporaryFile = `${indexFile}.${process.pid}.tmp`;
+			try {
+				await fs.promises.mkdir(path.dirname(indexFile), { recursive: true });
+				await fs.promises.writeFile(temporaryFile, JSON.stringify(state), "utf8");
+				await fs.promises.rename(temporaryFile, indexFile);
+			} catch (error) {
+				changed = true; // Retried by the next save
+				throw error;
+			}
+		});
+		return saving;
+	};
+
+	return { records, readMetadata, fingerprint, save };
+}
+
+module.exports = {
+	createDatasetIndex,
+};
@@ -0,0 +1,199 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: dataset-watcher.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { matchSegment } = require("./schema");
+
+// Default watcher timing, in milliseconds
+const DEFAULT_WATCH_OPTIONS = {
+	throttle: 1000, // Minimum time between two rescans triggered by file system notifications
+	pollInterval: 5000, // Rescan period when recursive fs.watch is not available on the platform
+};
+
+/**
+ * Names the event of a folder added at each path level of the schema after the level the folder identifies:
+ * the level whose placeholders come last in the folder's template (e.g. `'trial_added'` for `{activity}_{trial}`).
+ * The last path level holds files, whose events are not named after a level.
+ *
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @returns {Array<string>} - The event type of a new folder at each path level, `'folder_added'` if no level
+ *                            is fully named by the level's template.
+ */
+function folderEventTypes(schema) {
+	return schema.segments.map((segment) => {
+		let type = "folder_added";
+		let position = -1;
+		Object.entries(schema.levels).forEach(([level, placeholders]) => {
+			const positions = placeholders.map((name) => segment.placeholders.indexOf(name));
+			if (positions.length === 0 || positions.some((index) => index < 0)) return;
+			if (Math.max(...positions) > position) {
+				position = Math.max(...positions);
+				type = `${level}_added`;
+			}
+		});
+		return type;
+	});
+}
+
+/**
+ * Lists every folder and file of a `data_collection` folder down to the path levels of the schema, keyed by
+ * their relative path. Hidden entries (e.g. upload staging folders) are skipped. Folders are read one at a
+ * time, so that a scan never blocks the event loop nor opens many files at once.
+ *
+ * @async
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @returns {Promise<Map<string, Object>>} - Resolves to a map of relative path (with `/`) to `{ kind, depth, size,
+ *                                           added }` where `kind` is `'folder'` or `'file'`, `depth` is the path
+ *                                           level (0 for the top-level folders) and `added` is the type of the
+ *                                           event reporting the entry as new (see `folderEventTypes()`).
+ */
+async function scanDataset(rootFolder, schema) {
+	const entries = new Map();
+	const lastDepth = schema.segments.length - 1;
+	const eventTypes = folderEventTypes(schema);
+	const walk = async (folder, relative, depth) => {
+		let children;
+		try {
+			children = await fs.promises.readdir(folder, { withFileTypes: true });
+		} catch (error) {
+			return; // Removed while scanning
+		}
+		for (const child of children) {
+			if (child.name.startsWith(".")) continue;
+			const childRelative = relative ? `${relative}/${child.name}` : child.name;
+			const childPath = path.join(folder, child.name);
+			if (child.isDirectory()) {
+				const named = depth < lastDepth && matchSegment(schema, depth, child.name);
+				entries.set(childRelative, { kind: "folder", depth: depth, size: 0, added: named ? eventTypes[depth] : "folder_added" });
+				if (depth < lastDepth) await walk(childPath, childRelative, depth + 1);
+			} else if (child.isFile()) {
+				let stats;
+				try {
+					stats = await fs.promises.stat(childPath);
+				} catch (error) {
+					continue;
+				}
+				entries.set(childRelative, { kind: "file", depth: depth, size: stats.size, added: "file_added" });
+			}
+		}
+	};
+	await walk(rootFolder, "", 0);
+	return entries;
+}
+
+/**
+ * Compares two dataset scans and describes the changes.
+ *
+ * @param {Map<string, Object>} before - The previous scan.
+ * @param {Map<string, Object>} after - The current scan.
+ * @returns {Array<Object>} - One `{ type, path, size }` event per change, with `type` the `added` event of a
+ *                            new entry (e.g. `'user_added'`, `'trial_added'`, `'folder_added'` or `'file_added'`),
+ *                            or one of `'folder_removed'`, `'file_grown'`, `'file_changed'` or `'file_removed'`.
+ */
+function diffScans(before, after) {
+	const events = [];
+	after.forEach((entry, relative) => {
+		const previous = before.get(relative);
+		if (!previous) {
+			events.push({ type: entry.added, path: relative, size: entry.size });
+		} else if (entry.kind === "file" && entry.size !== previous.size) {
+			events.push({ type: entry.size > previous.size ? "file_grown" : "file_changed", path: relative, size: entry.size });
+		}
+	});
+	before.forEach((entry, relative) => {
+		if (after.has(relative)) return;
+		// Only report the top-most removed folder, not everything it contained
+		const parent = relative.split("/").slice(0, -1).join("/");
+		if (parent && before.has(parent) && !after.has(parent)) return;
+		events.push({ type: entry.kind === "folder" ? "folder_removed" : "file_removed", path: relative, size: 0 });
+	});
+	return events;
+}
+
+/**
+ * Watches a `data_collection` folder and emits a `change` event with the list of changes (see
+ * `diffScans()`) whenever trials, folders or files are added, grow or are removed.
+ *
+ * Recursive `fs.watch` notifications trigger a rescan at most once per `throttle` milliseconds, so a
+ * file being recorded produces a steady trickle of `file_grown` events rather than a flood. Where
+ * recursive watching is unavailable, the folder is polled instead. Scans are asynchronous (see
+ * `scanDataset()`) and never overlap: a notification received during a scan schedules another one.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} [options={}] - Overrides for `DEFAULT_WATCH_OPTIONS`.
+ * @returns {EventEmitter} - The watcher. Call its `close()` method to stop watching.
+ *
+ * @example
+ * const watcher = watchDataset('/path/to/data_collection', schema);
+ * watcher.on('change', (events) => console.log(events));
+ * // [ { type: 'trial_added', path: 'user_01/max_endurance_elbow_flexion_standing_03', size: 0 } ]
+ */
+function watchDataset(rootFolder, schema, options = {}) {
+	const settings = { ...DEFAULT_WATCH_OPTIONS, ...options };
+	const watcher = new EventEmitter();
+	let snapshot = null; // Until the first scan completes
+	let timer = null;
+	let fsWatcher = null;
+	let pollTimer = null;
+	let scanning = false;
+	let rescanPending = false;
+	let closed = false;
+
+	const schedule = () => {
+		if (!timer && !closed) timer = setTimeout(rescan, settings.throttle);
+	};
+	const rescan = () => {
+		timer = null;
+		if (scanning) {
+			rescanPending = true;
+			return;
+		}
+		scanning = true;
+		scanDataset(rootFolder, schema).then((current) => {
+			const events = snapshot ? diffScans(snapshot, current) : [];
+			snapshot = current;
+			if (events.length > 0 && !closed) watcher.emit("change", events);
+		}).catch((error) => {
+			if (!closed) watcher.emit("error", error);
+		}).finally(() => {
+			scanning = false;
+			if (rescanPending) {
+				rescanPending = false;
+				schedule();
+			}
+		});
+	};
+
+	rescan();
+	try {
+		fsWatcher = fs.watch(rootFolder, { recursive: true }, schedule);
+		fsWatcher.on("error", (error) => watcher.emit("error", error));
+	} catch (error) {
+		// Recursive watching is not supported on every platform and Node version
+		pollTimer = setInterval(rescan, settings.pollInterval);
+	}
+
+	watcher.close = () => {
+		closed = true;
+		clearTimeout(timer);
+		clearInterval(pollTimer);
+		if (fsWatcher) fsWatcher.close();
+	};
+	return watcher;
+}
+
+module.exports = {
+	DEFAULT_WATCH_OPTIONS,
+	folderEventTypes,
+	scanDataset,
+	diffScans,
+	watchDataset,
+};
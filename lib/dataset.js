@@ -0,0 +1,730 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: dataset.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getCsvMetadata, getCsvMetadataAsync } = require("./csv");
+const { compileSchema, matchSegment, formatSegment, resolveHierarchy, compareValues } = require("./schema");
+const { ANNOTATIONS_FILE_NAME, ANNOTATIONS_NODE_NAME, summarizeAnnotations, readAnnotationSummary } = require("./annotations");
+
+// Files read at the same time by the asynchronous functions
+const MAX_CONCURRENT_READS = 16;
+
+/**
+ * Dataset access without the web server: traversal, filtering and tree building for a `data_collection`
+ * folder. Every function takes the folder and the schema as arguments; nothing is read on require.
+ *
+ * `schema` arguments accept a compiled schema (see `compileSchema()` in `lib/schema.js`) or the content of
+ * an `instanceNames.json` file, which is compiled on the fly.
+ *
+ * @example
+ * const { loadSchema, buildTree, buildTreeAsync } = require("./lib/dataset");
+ * const schema = loadSchema("/path/to/instanceNames.json");
+ * const tree = buildTree("/path/to/data_collection", schema, ["activity", "user"], { dataTypes: ["emg"] });
+ * const sameTree = await buildTreeAsync("/path/to/data_collection", schema, ["activity", "user"], { dataTypes: ["emg"] });
+ */
+
+/**
+ * Reads and compiles the schema of an `instanceNames.json` file.
+ *
+ * @param {string} instanceNamesPath - The path of the `instanceNames.json` file.
+ * @returns {Object} - The compiled schema.
+ * @throws {Error} - Throws an error if the file cannot be read or its schema is invalid.
+ */
+function loadSchema(instanceNamesPath) {
+	return compileSchema(JSON.parse(fs.readFileSync(instanceNamesPath, "utf8")));
+}
+
+/**
+ * Returns a compiled schema, compiling `instanceNames.json` content if needed.
+ *
+ * @param {Object} schema - A compiled schema or `instanceNames.json` content.
+ * @returns {Object} - The compiled schema.
+ */
+function toSchema(schema) {
+	return Array.isArray(schema.segments) ? schema : compileSchema(schema);
+}
+
+/**
+ * Runs an asynchronous function on every item with a bounded number of calls in flight.
+ *
+ * @async
+ * @param {Array} items - The items.
+ * @param {Function} worker - Called with each item and its index; returns a promise.
+ * @returns {Promise<Array>} - The results, in the order of `items`.
+ */
+async function mapConcurrently(items, worker) {
+	const results = new Array(items.length);
+	let next = 0;
+	const run = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await worker(items[index], index);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_READS, items.length) }, run));
+	return results;
+}
+
+/**
+ * Validates whether a given folder name starts with any of the registered instance names
+ * for a specified class type.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {string} name - The folder name to validate.
+ * @param {string} className - The category of the instance. Must be one of the following:
+ *                             - 'user': Represents user-related folders.
+ *                             - 'activity': Represents activity-related folders.
+ *                             - 'data_type': Represents data type-related files or folders.
+ * @returns {boolean} - Returns `true` if the folder name starts with a valid prefix for the
+ *                      specified class, or `false` otherwise.
+ * @throws {Error} - Throws an error if the provided `className` is invalid (not found in
+ *                   the instance names).
+*/
+function isValidInstance(schema, name, className) {
+	const instanceNames = toSchema(schema).instanceNames;
+	if (!instanceNames[className]) {
+		throw new Error(`Invalid class name: ${className}`);
+	}
+	return instanceNames[className].some((prefix) => name.startsWith(prefix));
+}
+
+/**
+ * Filters directories in a given folder based on class name.
+ * @param {string} folderPath - The path of the folder to scan.
+ * @param {string} className - The class name to validate ('user', 'activity').
+ * @returns {Array} - An array of directory entries that match the criteria.
+ 
+function getVerifiedFolders(folderPath, schema, className) {
+    return fs.readdirSync(folderPath, { withFileTypes: true }).filter(
+                                                                      (entry) => entry.isDirectory() && isValidInstance(schema, entry.name, className)
+                                                                      );
+}
+*/
+
+/**
+ * Resolves the path of a trial's data file from its user, activity and trial identifiers, using
+ * the schema's folder naming that `buildTree` understands (`user_XX/<activity>_NN/<data_type>.csv` by default).
+ * Only identifiers are accepted, never raw paths, and the resolved file must lie inside `rootFolder`.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {Object} instance - The trial identifiers:
+ *                            - `user`: The user number (e.g., "01").
+ *                            - `activity`: A registered activity name.
+ *                            - `trial`: The trial number (e.g., "01").
+ * @param {string} dataType - A registered data type (e.g., "emg").
+ * @returns {string} - The absolute path of the CSV file (which may not exist).
+ * @throws {Error} - Throws an error if any identifier is missing or not a registered instance.
+ */
+function resolveTrialFile(rootFolder, schema, instance, dataType) {
+	const compiled = toSchema(schema);
+	const instanceNames = compiled.instanceNames;
+	const { user, activity, trial } = instance;
+	// Repeated query parameters arrive as arrays; only single strings are accepted
+	if ([user, activity, trial, dataType].some((value) => value !== undefined && typeof value !== "string")) {
+		throw new Error("Invalid parameters: trial identifiers must be single values.");
+	}
+	if (!/^\d+$/.test(user || "")) {
+		throw new Error("Invalid or missing parameter: 'user' must be a user number (e.g., '01').");
+	}
+	if (!instanceNames.activity.includes(activity)) {
+		throw new Error(`Invalid or missing parameter: 'activity' must be one of ${instanceNames.activity.join(", ")}.`);
+	}
+	if (!/^\d+$/.test(trial || "")) {
+		throw new Error("Invalid or missing parameter: 'trial' must be a trial number (e.g., '01').");
+	}
+	if (!instanceNames.data_type.includes(dataType)) {
+		throw new Error(`Invalid or missing parameter: 'dataType' must be one of ${instanceNames.data_type.join(", ")}.`);
+	}
+	const values = { user: instanceNames.user[0], user_id: user, activity: activity, trial: trial, data_type: dataType };
+	let segments;
+	try {
+		segments = compiled.segments.map((_, depth) => formatSegment(compiled, depth, values));
+	} catch (error) {
+		throw new Error(`Invalid trial identifiers: ${error.message}`);
+	}
+	const filePath = path.join(rootFolder, ...segments);
+
+	// Defence in depth: the file, with symbolic links resolved, must stay inside the data collection
+	const realRoot = fs.realpathSync(rootFolder);
+	const realFile = fs.existsSync(filePath) ? fs.realpathSync(filePath) : filePath;
+	const relative = path.relative(realRoot, realFile);
+	if (relative.startsWith("..") || path.isAbsolute(relative)) {
+		throw new Error("Invalid trial identifiers: the file is outside the data collection.");
+	}
+	return filePath;
+}
+
+/**
+ * Groups directories within a specified folder based on their prefixes, which correspond to
+ * the allowed instance names for a given class.
+ * @param {string} folderPath - The absolute path of the folder to scan.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {string} className - The category of the instance. Must be one of the following:
+ *                             - 'user': Represents user-related folders.
+ *                             - 'activity': Represents activity-related folders.
+ *                             - 'data_type': Represents data type-related files or folders.
+ * @returns {Object} - An object where each key is a valid instance name (prefix) of `className`,
+ *                     and its value is an array of directory names in `folderPath` that start
+ *                     with the corresponding instance name.
+ * @throws {Error} - Throws an error if the provided `className` is invalid (not found in
+ *                   the instance names).
+ */
+function getGroupedFolders(folderPath, schema, className) {
+	const leadingNames = toSchema(schema).instanceNames[className];
+	if (!leadingNames) {
+		throw new Error(`Invalid class name: ${className}`);
+	}
+
+	// Initialize result object with keys for each leading name
+	const groupedFolders = Object.fromEntries(leadingNames.map(name => [name, []]));
+
+	// Read and group folders
+	const entries = fs.readdirSync(folderPath, { withFileTypes: true });
+	entries.forEach(entry => {
+		if (entry.isDirectory()) {
+			leadingNames.forEach(name => {
+				if (entry.name.startsWith(name)) {
+					groupedFolders[name].push(entry.name);
+				}
+			});
+		}
+	});
+	return groupedFolders;
+}
+
+/**
+ * Builds the record of a trial's `annotations.json` sidecar. It is grouped like a data file whose data type
+ * is `ANNOTATIONS_NODE_NAME`, so that trees show which trials are labeled whatever their level order.
+ *
+ * @param {Object} values - The placeholder values of the trial folder (e.g. `{ user: "user", user_id: "01", activity: "...", trial: "01" }`).
+ * @param {string} filePath - The absolute path of the file.
+ * @param {string} relativePath - The path of the file inside the data collection, with `/` separators.
+ * @returns {Object} - The record, with `kind: 'annotations'`.
+ */
+function annotationRecord(values, filePath, relativePath) {
+	return { kind: 'annotations', values: { ...values, data_type: ANNOTATIONS_NODE_NAME }, filePath: filePath, relativePath: relativePath };
+}
+
+/**
+ * Tells the trials of records apart: every placeholder value but the data type.
+ *
+ * @param {Object} record - A record as returned by `collectRecords()`.
+ * @returns {string} - A key shared by the records of the same trial.
+ */
+function trialKey(record) {
+	return Object.keys(record.values).filter((key) => key !== 'data_type').sort()
+		.map((key) => `${key}=${record.values[key]}`).join('/');
+}
+
+/**
+ * Keeps the annotation records of the trials that still have a data file among the filtered records.
+ * Annotations describe a whole trial, so the data type, size, row and date filters do not apply to them.
+ *
+ * @param {Array<Object>} annotationRecords - The annotation records that pass the identifier filters.
+ * @param {Array<Object>} dataRecords - The data file records that pass every filter.
+ * @returns {Array<Object>} - The data file records followed by the kept annotation records.
+ */
+function withTrialAnnotations(annotationRecords, dataRecords) {
+	const trials = new Set(dataRecords.map(trialKey));
+	return dataRecords.concat(annotationRecords.filter((record) => trials.has(trialKey(record))));
+}
+
+/**
+ * Lists every data file of a `data_collection` folder that follows the schema's folder naming
+ * (`user_XX/<activity>_NN/<data_type>.csv` by default), as a flat collection of records.
+ * Folders and files outside the naming are skipped (see `auditDataset()` for reporting them).
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @returns {Array<Object>} - One record per file:
+ *                            - `values`: The placeholder values parsed from the path
+ *                              (e.g. `{ user: "user", user_id: "01", activity: "...", trial: "01", data_type: "emg" }`).
+ *                            - `filePath`: The absolute path of the file.
+ *                            - `relativePath`: The path of the file inside the data collection, with `/` separators.
+ *                            The `annotations.json` sidecar of a trial (see `lib/annotations.js`) is listed as well, as a
+ *                            record of `kind` `'annotations'` whose `data_type` is `'annotations'` (see `annotationRecord()`).
+ */
+function collectRecords(rootFolder, schema) {
+	const compiled = toSchema(schema);
+	const records = [];
+	const lastDepth = compiled.segments.length - 1;
+	const walk = (folder, depth, values, relative) => {
+		fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+			if (depth === lastDepth ? !entry.isFile() : !entry.isDirectory()) return;
+			const entryPath = path.join(folder, entry.name);
+			const entryRelative = relative.concat(entry.name);
+			if (depth === lastDepth && entry.name === ANNOTATIONS_FILE_NAME) {
+				records.push(annotationRecord(values, entryPath, entryRelative.join("/")));
+				return;
+			}
+			const match = matchSegment(compiled, depth, entry.name);
+			if (!match) return;
+			if (depth === lastDepth) {
+				records.push({ values: { ...values, ...match }, filePath: entryPath, relativePath: entryRelative.join("/") });
+			} else {
+				walk(entryPath, depth + 1, { ...values, ...match }, entryRelative);
+			}
+		});
+	};
+	walk(rootFolder, 0, {}, []);
+	return records;
+}
+
+/**
+ * Asynchronous `collectRecords()`: the folders of each level are read in parallel without blocking
+ * the event loop.
+ *
+ * @async
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @returns {Promise<Array<Object>>} - The records, in the same order as `collectRecords()`.
+ */
+async function collectRecordsAsync(rootFolder, schema) {
+	const compiled = toSchema(schema);
+	const lastDepth = compiled.segments.length - 1;
+	const walk = async (folder, depth, values, relative) => {
+		const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+		const nested = await Promise.all(entries.map(async (entry) => {
+			if (depth === lastDepth ? !entry.isFile() : !entry.isDirectory()) return [];
+			const entryPath = path.join(folder, entry.name);
+			const entryRelative = relative.concat(entry.name);
+			if (depth === lastDepth && entry.name === ANNOTATIONS_FILE_NAME) {
+				return [annotationRecord(values, entryPath, entryRelative.join("/"))];
+			}
+			const match = matchSegment(compiled, depth, entry.name);
+			if (!match) return [];
+			if (depth === lastDepth) {
+				return [{ values: { ...values, ...match }, filePath: entryPath, relativePath: entryRelative.join("/") }];
+			}
+			return walk(entryPath, depth + 1, { ...values, ...match }, entryRelative);
+		}));
+		return nested.flat();
+	};
+	return walk(rootFolder, 0, {}, []);
+}
+
+/**
+ * Reads the tree filters from the query of a `/get-tree` request. List filters accept comma-separated
+ * values or repeated parameters. Unset filters are omitted from the result.
+ *
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {Object} query - The request query.
+ * @returns {Object} - The filters, as accepted by `filterRecords()`:
+ *                     - `users`, `activities`, `dataTypes`: Arrays of allowed values.
+ *                     - `trialFrom`, `trialTo`: Inclusive trial number range.
+ *                     - `minSize`: Minimum file size in bytes. `minRows`: Minimum number of data rows.
+ *                     - `modifiedFrom`, `modifiedTo`: Inclusive modification time window, in milliseconds since epoch.
+ * @throws {Error} - Throws an error if a filter value is invalid.
+ */
+function parseTreeFilters(schema, query) {
+	const instanceNames = toSchema(schema).instanceNames;
+	const filters = {};
+	const list = (name) => [].concat(query[name]).flatMap((value) => String(value).split(',')).map((value) => value.trim()).filter(Boolean);
+	const number = (name) => {
+		const value = Number(query[name]);
+		if (typeof query[name] !== 'string' || query[name].trim() === '' || !Number.isFinite(value) || value < 0) {
+			throw new Error(`Invalid parameter: '${name}' must be a non-negative number.`);
+		}
+		return value;
+	};
+	const date = (name, endOfDay) => {
+		const text = typeof query[name] === 'string' ? query[name] : '';
+		// Plain dates (e.g. from a date input) cover the whole local day
+		const day = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+		const time = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + (endOfDay ? 1 : 0)).getTime() - (endOfDay ? 1 : 0) : Date.parse(text);
+		if (Number.isNaN(time)) {
+			throw new Error(`Invalid parameter: '${name}' must be a date (e.g., '2026-10-19' or an ISO date and time).`);
+		}
+		return time;
+	};
+
+	if (query.users !== undefined) {
+		filters.users = list('users');
+		if (filters.users.some((user) => !/^\d+$/.test(user))) {
+			throw new Error("Invalid parameter: 'users' must be user numbers (e.g., '01,02').");
+		}
+	}
+	if (query.activities !== undefined) {
+		filters.activities = list('activities');
+		if (filters.activities.some((activity) => !instanceNames.activity.includes(activity))) {
+			throw new Error(`Invalid parameter: 'activities' must be among ${instanceNames.activity.join(", ")}.`);
+		}
+	}
+	if (query.dataTypes !== undefined) {
+		filters.dataTypes = list('dataTypes');
+		if (filters.dataTypes.some((dataType) => !instanceNames.data_type.includes(dataType))) {
+			throw new Error(`Invalid parameter: 'dataTypes' must be among ${instanceNames.data_type.join(", ")}.`);
+		}
+	}
+	if (query.trialFrom !== undefined) filters.trialFrom = number('trialFrom');
+	if (query.trialTo !== undefined) filters.trialTo = number('trialTo');
+	if (filters.trialFrom > filters.trialTo) {
+		throw new Error("Invalid parameters: 'trialFrom' must not be greater than 'trialTo'.");
+	}
+	if (query.minSize !== undefined) filters.minSize = number('minSize');
+	if (query.minRows !== undefined) filters.minRows = number('minRows');
+	if (query.modifiedFrom !== undefined) filters.modifiedFrom = date('modifiedFrom', false);
+	if (query.modifiedTo !== undefined) filters.modifiedTo = date('modifiedTo', true);
+	if (filters.modifiedFrom > filters.modifiedTo) {
+		throw new Error("Invalid parameters: 'modifiedFrom' must not be later than 'modifiedTo'.");
+	}
+	return filters;
+}
+
+/**
+ * Reads the tree hierarchy and filters from the query of a `/get-tree` or `/export` request. An explicit
+ * `hierarchy` level order takes precedence over `startingClassName` (default 'user').
+ *
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {Object} query - The request query.
+ * @returns {Object} - `{ hierarchy, filters, by }` where `hierarchy` is the full level order, `filters` is
+ *                     as returned by `parseTreeFilters()` and `by` names the hierarchy in file names
+ *                     (e.g. "user" or "data_type-activity-user-trial").
+ * @throws {Error} - Throws an error if a class name or filter is invalid.
+ */
+function parseTreeRequest(schema, query) {
+	const compiled = toSchema(schema);
+	const startingClassName = query.startingClassName || 'user';
+	if (typeof startingClassName !== 'string' || (query.hierarchy !== undefined && typeof query.hierarchy !== 'string')) {
+		throw new Error("Invalid parameters: 'startingClassName' and 'hierarchy' must be single values.");
+	}
+	const order = query.hierarchy ? query.hierarchy.split(',').map((level) => level.trim()) : [startingClassName];
+	const hierarchy = resolveHierarchy(compiled, order);
+	return {
+		hierarchy: hierarchy,
+		filters: parseTreeFilters(compiled, query),
+		by: query.hierarchy ? hierarchy.join('-') : startingClassName,
+	};
+}
+
+/**
+ * Tells whether a record passes the filters that need no file access.
+ *
+ * @param {Object} record - A record as returned by `collectRecords()`.
+ * @param {Object} filters - Filters as returned by `parseTreeFilters()`.
+ * @returns {boolean} - `false` if the record is excluded by its identifiers.
+ */
+function matchesIdentifiers(record, filters) {
+	const { values } = record;
+	if (filters.users && !filters.users.some((user) => Number(user) === Number(values.user_id))) return false;
+	if (filters.activities && !filters.activities.includes(values.activity)) return false;
+	if (filters.dataTypes && record.kind !== 'annotations' && !filters.dataTypes.includes(values.data_type)) return false;
+	if (filters.trialFrom !== undefined && Number(values.trial) < filters.trialFrom) return false;
+	if (filters.trialTo !== undefined && Number(values.trial) > filters.trialTo) return false;
+	return true;
+}
+
+/**
+ * Tells whether file statistics pass the size and modification date filters.
+ *
+ * @param {fs.Stats} stats - The file statistics.
+ * @param {Object} filters - Filters as returned by `parseTreeFilters()`.
+ * @returns {boolean} - `false` if the file is too small or outside the date window.
+ */
+function matchesStats(stats, filters) {
+	if (filters.minSize !== undefined && stats.size < filters.minSize) return false;
+	if (filters.modifiedFrom !== undefined && stats.mtimeMs < filters.modifiedFrom) return false;
+	if (filters.modifiedTo !== undefined && stats.mtimeMs > filters.modifiedTo) return false;
+	return true;
+}
+
+/**
+ * Tells whether the filters need the file statistics.
+ *
+ * @param {Object} filters - Filters as returned by `parseTreeFilters()`.
+ * @returns {boolean} - `true` for size or date filters.
+ */
+function needsStats(filters) {
+	return filters.minSize !== undefined || filters.modifiedFrom !== undefined || filters.modifiedTo !== undefined;
+}
+
+/**
+ * Keeps the records that pass every given filter. Files are only stat'ed or parsed when a size, row count
+ * or date filter needs it; parsed metadata is kept on the record for the tree leaves. Annotation records are
+ * kept with the trials that keep a data file (see `withTrialAnnotations()`).
+ *
+ * @param {Array<Object>} records - Records as returned by `collectRecords()`.
+ * @param {Object} [filters={}] - Filters as returned by `parseTreeFilters()`.
+ * @returns {Array<Object>} - The matching records.
+ */
+function filterRecords(records, filters = {}) {
+	const candidates = records.filter((record) => matchesIdentifiers(record, filters));
+	const dataRecords = candidates.filter((record) => {
+		if (record.kind === 'annotations') return false;
+		if (needsStats(filters) && !matchesStats(fs.statSync(record.filePath), filters)) return false;
+		if (filters.minRows !== undefined) {
+			record.metadata = getCsvMetadata(record.filePath);
+			if (record.metadata.rows < filters.minRows) return false;
+		}
+		return true;
+	});
+	return withTrialAnnotations(candidates.filter((record) => record.kind === 'annotations'), dataRecords);
+}
+
+/**
+ * Reads the metadata of a record's file: the CSV metadata of a data file (see `getCsvMetadataAsync()` in
+ * `lib/csv.js`), or the summary of an annotations file (see `summarizeAnnotations()` in `lib/annotations.js`).
+ *
+ * @param {Object} record - A record as returned by `collectRecords()`.
+ * @returns {Promise<Object>} - The file metadata.
+ */
+function readRecordMetadata(record) {
+	return record.kind === 'annotations' ? readAnnotationSummary(record.filePath) : getCsvMetadataAsync(record.filePath);
+}
+
+/**
+ * Asynchronous `filterRecords()`: files are stat'ed and parsed without blocking the event loop.
+ * Records that already carry `stats` (e.g. from a dataset index) are not stat'ed again.
+ *
+ * @async
+ * @param {Array<Object>} records - Records as returned by `collectRecords()`.
+ * @param {Object} [filters={}] - Filters as returned by `parseTreeFilters()`.
+ * @param {Function} [readMetadata=readRecordMetadata] - Reads the metadata of a record for the `minRows` filter,
+ *                                                        e.g. from a cache.
+ * @returns {Promise<Array<Object>>} - The matching records.
+ */
+async function filterRecordsAsync(records, filters = {}, readMetadata = readRecordMetadata) {
+	const candidates = records.filter((record) => matchesIdentifiers(record, filters));
+	const dataCandidates = candidates.filter((record) => record.kind !== 'annotations');
+	const passes = await mapConcurrently(dataCandidates, async (record) => {
+		if (needsStats(filters) && !matchesStats(record.stats || await fs.promises.stat(record.filePath), filters)) return false;
+		if (filters.minRows !== undefined) {
+			record.metadata = await readMetadata(record);
+			if (record.metadata.rows < filters.minRows) return false;
+		}
+		return true;
+	});
+	return withTrialAnnotations(candidates.filter((record) => record.kind === 'annotations'),
+		dataCandidates.filter((_, index) => passes[index]));
+}
+
+/**
+ * Lists the distinct users, activities, trials and data types present in a set of records, e.g. to offer
+ * them as filter choices.
+ *
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {Array<Object>} records - Records as returned by `collectRecords()`; annotation records are ignored.
+ * @returns {Object} - `{ users, activities, trials, dataTypes }`, each a sorted array of values.
+ */
+function describeFacets(schema, records) {
+	const compiled = toSchema(schema);
+	const dataRecords = records.filter((record) => record.kind !== 'annotations');
+	const distinct = (placeholder) => [...new Set(dataRecords.map((record) => record.values[placeholder]))].sort(compareValues(compiled, placeholder));
+	return {
+		users: distinct('user_id'),
+		activities: distinct('activity'),
+		trials: distinct('trial'),
+		dataTypes: distinct('data_type'),
+	};
+}
+
+/**
+ * Groups records into tree nodes, one nesting level per placeholder. Leaves use the metadata kept on the
+ * record, and read it from the file otherwise.
+ *
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {Array<Object>} records - Records as returned by `collectRecords()`.
+ * @param {Array<string>} placeholders - The placeholders to group by, outermost first.
+ * @returns {Array<Object>} - The tree nodes (see `buildTree()`).
+ */
+function groupRecords(schema, records, placeholders) {
+	const compiled = toSchema(schema);
+	const [placeholder, ...rest] = placeholders;
+	const groups = new Map();
+	records.forEach((record) => {
+		const value = record.values[placeholder];
+		if (!groups.has(value)) groups.set(value, []);
+		groups.get(value).push(record);
+	});
+	return [...groups.keys()].sort(compareValues(compiled, placeholder)).map((value) => {
+		const node = { name: value };
+		const members = groups.get(value);
+		if (placeholder === 'user_id' && rest.length > 0) node.subject = { user: value };
+		if (rest.length > 0) {
+			node.children = groupRecords(compiled, members, rest);
+		} else {
+			// Every level is in the hierarchy, so a leaf is exactly one file
+			const { kind, values, filePath, relativePath, metadata } = members[0];
+			node.path = relativePath;
+			if (kind === 'annotations') {
+				node.annotations = metadata || summarizeAnnotations(fs.readFileSync(filePath));
+				node.instance = { user: values.user_id, activity: values.activity, trial: values.trial };
+				return node;
+			}
+			node.metadata = metadata || getCsvMetadata(filePath);
+			node.instance = { user: values.user_id, activity: values.activity, trial: values.trial, dataType: values.data_type };
+		}
+		return node;
+	});
+}
+
+/**
+ * Returns the placeholders a tree is grouped by, outermost first.
+ *
+ * @param {Object} schema - The compiled schema.
+ * @param {string|Array<string>} hierarchy - The top-level class name, or the order of the top levels.
+ * @returns {Array<string>} - The placeholders of every level.
+ * @throws {Error} - Throws an error if a class name is invalid or repeated.
+ */
+function hierarchyPlaceholders(schema, hierarchy) {
+	const order = resolveHierarchy(schema, Array.isArray(hierarchy) ? hierarchy : [hierarchy]);
+	return order.flatMap((level) => schema.levels[level]);
+}
+
+/**
+ * Constructs a hierarchical directory tree from a `data_collection` folder.
+ * The data files are first collected as flat records (see `collectRecords()`), then grouped by
+ * the classes of the schema in any order.
+ *
+ * ### Overview
+ * - The classes a tree can be built by, and the folder naming they are parsed from, come from the
+ *   `schema` entry of `instanceNames.json` (see `DEFAULT_SCHEMA` in `lib/schema.js`).
+ * - `hierarchy` gives the top levels, e.g. `['data_type', 'activity', 'user', 'trial']` or
+ *   `['activity', 'trial', 'user']`. Classes not given follow in the schema's default order
+ *   (`user`, `activity`, `trial`, `data_type`), so the leaves are always the data files.
+ * - A single class name is accepted as well: `'user'` and `'activity'` give the trees previously
+ *   built by starting class.
+ * - The `user` class forms two nested nodes: the instance name (`user`) and the user number (`01`).
+ *
+ * ### Tree Structure
+ * - Each node in the tree is an object containing:
+ *   - `name`: Name of the instance or file or the number of the instance.
+ *   - `children`: Array of child nodes (if applicable).
+ *   - `metadata`: Only on file leaves. Parsed CSV metadata (size, rows, columns, sampling rate,
+ *     start/end timestamps and duration) as returned by `getCsvMetadata()` in `lib/csv.js`.
+ *   - `instance`: Only on file leaves. The `{ user, activity, trial, dataType }` identifiers of the
+ *     file, as accepted by the trial endpoints (e.g. `/data`).
+ *   - `subject`: Only on user number nodes. The `{ user }` identifier accepted by `/profile`.
+ *   - `annotations`: Only on the annotation leaves of labeled trials (named `annotations`, next to the data
+ *     files). The `{ count, types }` summary of the trial's `annotations.json` (see `summarizeAnnotations()`
+ *     in `lib/annotations.js`); such leaves carry `instance` and `path` but no `metadata`.
+ *   - `path`: Only on file leaves. The path of the file inside the data collection (e.g.
+ *     `user_01/max_endurance_elbow_flexion_standing_01/emg.csv`).
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {string|Array<string>} hierarchy - The top-level class name, or the order of the top levels.
+ * @param {Object} [filters={}] - Only files passing these filters are included (see `parseTreeFilters()`).
+ *                                Branches left without files are omitted.
+ * @returns {Array<Object>} - A hierarchical tree structure representing the directory organization.
+ * @throws {Error} - Throws an error if a class name is invalid or repeated.
+ *
+ * ### Examples
+ * #### Input Directory Structure:
+ * ```
+ * data_collection/
+ * ├── user_01/
+ * │   └── walk_01/
+ * │   │   ├── acceleration.csv
+ * │   │   └── gyroscope.csv
+ * │   └── run_01/
+ * │       └── acceleration.csv
+ * └── user_02/
+ * ```
+ *
+ * #### Usage:
+ * ```javascript
+ * const tree = buildTree('/path/to/data_collection', schema, 'user');
+ * console.log(tree);
+ * ```
+ * #### Output:
+ * ```javascript
+ * [
+ *   {
+ *     name: "user",
+ *     children: [
+ *       {
+ *         name: "01",
+ *         children: [
+ *           {
+ *             name: "walk",
+ *             children: [
+ *               {
+ *                 name: "01",
+ *                 children: [
+ *                   { name: "acceleration", metadata: { size: 24576, rows: 1200, ... }, instance: { ... } },
+ *                   { name: "gyroscope", metadata: { size: 0, rows: 0, ... }, instance: { ... } }
+ *                 ]
+ *              }
+ *             ]
+ *           },
+ *           {
+ *             name: "run",
+ *             children: [
+ *               {
+ *                 name: "01",
+ *                 children: [
+ *                   { name: "acceleration", metadata: { ... }, instance: { ... } }
+ *                 ]
+ *               }
+ *             ]
+ *           },
+ *         ]
+ *       }
+ *     ]
+ *   },
+ * ]
+ * ```
+ *
+ * #### Usage by data type:
+ * ```javascript
+ * const tree = buildTree('/path/to/data_collection', schema, ['data_type', 'activity']);
+ * // [ { name: "acceleration", children: [ { name: "walk", children: [ { name: "user", children: [ ... ] } ] }, ... ] }, ... ]
+ * ```
+ */
+function buildTree(rootFolder, schema, hierarchy, filters = {}) {
+	const compiled = toSchema(schema);
+	const placeholders = hierarchyPlaceholders(compiled, hierarchy);
+	return groupRecords(compiled, filterRecords(collectRecords(rootFolder, compiled), filters), placeholders);
+}
+
+/**
+ * Asynchronous `buildTree()`: the folders are traversed and the file metadata is read without blocking
+ * the event loop, with at most `MAX_CONCURRENT_READS` files open at once.
+ *
+ * @async
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema or `instanceNames.json` content.
+ * @param {string|Array<string>} hierarchy - The top-level class name, or the order of the top levels.
+ * @param {Object} [filters={}] - Only files passing these filters are included (see `parseTreeFilters()`).
+ * @param {Object} [source={}] - Where the files and their metadata come from, instead of the folder itself:
+ *                               - `records`: The records of the data collection, e.g. from `createDatasetIndex()` in `lib/dataset-index.js`.
+ *                               - `readMetadata`: Reads the metadata of a record, e.g. from a cache.
+ * @returns {Promise<Array<Object>>} - The same tree as `buildTree()`.
+ * @throws {Error} - Rejects if a class name is invalid or repeated, or the folder cannot be read.
+ */
+async function buildTreeAsync(rootFolder, schema, hierarchy, filters = {}, source = {}) {
+	const compiled = toSchema(schema);
+	const placeholders = hierarchyPlaceholders(compiled, hierarchy);
+	const readMetadata = source.readMetadata || readRecordMetadata;
+	const records = await filterRecordsAsync(source.records || await collectRecordsAsync(rootFolder, compiled), filters, readMetadata);
+	await mapConcurrently(records, async (record) => {
+		if (!record.metadata) record.metadata = await readMetadata(record);
+	});
+	return groupRecords(compiled, records, placeholders);
+}
+
+module.exports = {
+	loadSchema,
+	isValidInstance,
+	resolveTrialFile,
+	getGroupedFolders,
+	collectRecords,
+	collectRecordsAsync,
+	annotationRecord,
+	parseTreeFilters,
+	parseTreeRequest,
+	filterRecords,
+	filterRecordsAsync,
+	readRecordMetadata,
+	describeFacets,
+	groupRecords,
+	mapConcurrently,
+	buildTree,
+	buildTreeAsync,
+};
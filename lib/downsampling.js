@@ -0,0 +1,154 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: downsampling.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Downsampling methods accepted by `downsampleIndices()`
+const DOWNSAMPLING_METHODS = ["none", "minmax", "lttb"];
+
+/**
+ * Finds the index range of the samples that fall within a time window.
+ *
+ * @param {ArrayLike<number>} time - Sorted sample times in seconds.
+ * @param {number} [start] - Window start in seconds (inclusive). Defaults to the first sample.
+ * @param {number} [end] - Window end in seconds (inclusive). Defaults to the last sample.
+ * @returns {Object} - `{ from, to }` where `from` is inclusive and `to` exclusive.
+ */
+function timeRangeIndices(time, start, end) {
+	// Binary search of the first index whose time is >= target (or > target when `after` is set)
+	const search = (target, after) => {
+		let low = 0;
+		let high = time.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (after ? time[middle] <= target : time[middle] < target) low = middle + 1;
+			else high = middle;
+		}
+		return low;
+	};
+	const from = Number.isFinite(start) ? search(start, false) : 0;
+	const to = Number.isFinite(end) ? search(end, true) : time.length;
+	return { from, to: Math.max(from, to) };
+}
+
+/**
+ * Selects, for every bucket of consecutive samples, the samples holding the minimum and the
+ * maximum of the signal. Peaks survive, which matters for EMG bursts.
+ *
+ * @param {ArrayLike<number>} values - The signal.
+ * @param {number} points - Target number of points (two per bucket).
+ * @returns {Array<number>} - Sorted indices of the selected samples.
+ */
+function minMaxIndices(values, points) {
+	const buckets = Math.max(1, Math.floor(points / 2));
+	const size = values.length / buckets;
+	const indices = [];
+	for (let bucket = 0; bucket < buckets; bucket++) {
+		const from = Math.floor(bucket * size);
+		const to = Math.min(values.length, Math.floor((bucket + 1) * size));
+		if (from >= to) continue;
+		let min = from;
+		let max = from;
+		for (let i = from + 1; i < to; i++) {
+			if (values[i] < values[min]) min = i;
+			if (values[i] > values[max]) max = i;
+		}
+		indices.push(Math.min(min, max));
+		if (min !== max) indices.push(Math.max(min, max));
+	}
+	return indices;
+}
+
+/**
+ * Selects samples with the Largest-Triangle-Three-Buckets algorithm (Steinarsson, 2013), which
+ * keeps the visual shape of the signal.
+ *
+ * @param {ArrayLike<number>} time - Sample times.
+ * @param {ArrayLike<number>} values - The signal.
+ * @param {number} points - Target number of points (at least 3: the first, the last and one per bucket).
+ * @returns {Array<number>} - Sorted indices of the selected samples.
+ * @throws {Error} - Throws an error if fewer than 3 points are requested.
+ */
+function lttbIndices(time, values, points) {
+	const length = values.length;
+	if (!(points >= 3)) {
+		throw new Error("LTTB downsampling needs at least 3 points.");
+	}
+	if (points >= length) {
+		return Array.from({ length }, (_, i) => i);
+	}
+	const indices = [0];
+	const size = (length - 2) / (points - 2);
+	let previous = 0;
+	for (let bucket = 0; bucket < points - 2; bucket++) {
+		// Average point of the next bucket
+		const nextFrom = Math.floor((bucket + 1) * size) + 1;
+		const nextTo = Math.min(length, Math.floor((bucket + 2) * size) + 1);
+		let averageTime = 0;
+		let averageValue = 0;
+		for (let i = nextFrom; i < nextTo; i++) {
+			averageTime += time[i];
+			averageValue += values[i];
+		}
+		const count = Math.max(1, nextTo - nextFrom);
+		averageTime /= count;
+		averageValue /= count;
+
+		// Point of the current bucket forming the largest triangle with the previous point and the average
+		const from = Math.floor(bucket * size) + 1;
+		const to = Math.floor((bucket + 1) * size) + 1;
+		let best = from;
+		let bestArea = -1;
+		for (let i = from; i < to; i++) {
+			const area = Math.abs(
+				(time[previous] - averageTime) * (values[i] - values[previous]) -
+				(time[previous] - time[i]) * (averageValue - values[previous])
+			);
+			if (area > bestArea) {
+				bestArea = area;
+				best = i;
+			}
+		}
+		indices.push(best);
+		previous = best;
+	}
+	indices.push(length - 1);
+	return indices;
+}
+
+/**
+ * Selects the samples to keep when downsampling several channels that share a time axis. The
+ * selection is done per channel and the union of the selected samples is returned, so every
+ * channel keeps its own peaks.
+ *
+ * @param {ArrayLike<number>} time - Sample times.
+ * @param {Array<ArrayLike<number>>} channels - The signals, all as long as `time`.
+ * @param {number} points - Target number of points per channel.
+ * @param {string} method - One of `DOWNSAMPLING_METHODS`.
+ * @returns {Array<number>} - Sorted, unique indices into `time`.
+ * @throws {Error} - Throws an error if the method is unknown, or fewer than 3 points are requested with `'lttb'`.
+ */
+function downsampleIndices(time, channels, points, method) {
+	if (!DOWNSAMPLING_METHODS.includes(method)) {
+		throw new Error(`Unknown downsampling method: ${method}. Must be one of ${DOWNSAMPLING_METHODS.join(", ")}.`);
+	}
+	if (method === "none" || !(points > 0) || time.length <= points) {
+		return Array.from({ length: time.length }, (_, i) => i);
+	}
+	const selected = new Set();
+	channels.forEach((values) => {
+		const indices = method === "lttb" ? lttbIndices(time, values, points) : minMaxIndices(values, points);
+		indices.forEach((index) => selected.add(index));
+	});
+	return Array.from(selected).sort((a, b) => a - b);
+}
+
+module.exports = {
+	DOWNSAMPLING_METHODS,
+	timeRangeIndices,
+	minMaxIndices,
+	lttbIndices,
+	downsampleIndices,
+};
@@ -0,0 +1,248 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: emg-analysis.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Default sliding-window configuration for the fatigue analysis
+const DEFAULT_ANALYSIS_OPTIONS = {
+	windowSize: 1, // Window length in seconds
+	overlap: 0.5, // Fraction of the window shared with the next one (0 <= overlap < 1)
+	minFrequency: 20, // Lower bound of the band used for MNF/MDF in Hz
+	maxFrequency: 450, // Upper bound of the band used for MNF/MDF in Hz
+};
+
+/**
+ * Computes the in-place radix-2 fast Fourier transform of a complex signal.
+ *
+ * @param {Float64Array} re - Real parts. Its length must be a power of two.
+ * @param {Float64Array} im - Imaginary parts, same length as `re`.
+ */
+function fft(re, im) {
+	const n = re.length;
+	// Bit-reversal permutation
+	for (let i = 1, j = 0; i < n; i++) {
+		let bit = n >> 1;
+		for (; j & bit; bit >>= 1) j ^= bit;
+		j ^= bit;
+		if (i < j) {
+			[re[i], re[j]] = [re[j], re[i]];
+			[im[i], im[j]] = [im[j], im[i]];
+		}
+	}
+	// Butterflies
+	for (let size = 2; size <= n; size <<= 1) {
+		const angle = -2 * Math.PI / size;
+		const wRe = Math.cos(angle);
+		const wIm = Math.sin(angle);
+		for (let start = 0; start < n; start += size) {
+			let curRe = 1;
+			let curIm = 0;
+			for (let k = 0; k < size / 2; k++) {
+				const a = start + k;
+				const b = a + size / 2;
+				const tRe = re[b] * curRe - im[b] * curIm;
+				const tIm = re[b] * curIm + im[b] * curRe;
+				re[b] = re[a] - tRe;
+				im[b] = im[a] - tIm;
+				re[a] += tRe;
+				im[a] += tIm;
+				const nextRe = curRe * wRe - curIm * wIm;
+				curIm = curRe * wIm + curIm * wRe;
+				curRe = nextRe;
+			}
+		}
+	}
+}
+
+/**
+ * Computes the one-sided power spectrum of a real signal segment.
+ *
+ * The segment is de-meaned, tapered with a Hann window and zero-padded to the next power of two.
+ *
+ * @param {ArrayLike<number>} samples - The signal segment.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @returns {Object} - `{ frequencies, power }`, two Float64Arrays of equal length.
+ */
+function powerSpectrum(samples, samplingRate) {
+	const length = samples.length;
+	let size = 1;
+	while (size < length) size <<= 1;
+
+	let mean = 0;
+	for (let i = 0; i < length; i++) mean += samples[i];
+	mean /= length;
+
+	const re = new Float64Array(size);
+	const im = new Float64Array(size);
+	for (let i = 0; i < length; i++) {
+		const hann = length > 1 ? 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1)) : 1;
+		re[i] = (samples[i] - mean) * hann;
+	}
+	fft(re, im);
+
+	const bins = size / 2 + 1;
+	const frequencies = new Float64Array(bins);
+	const power = new Float64Array(bins);
+	for (let k = 0; k < bins; k++) {
+		frequencies[k] = k * samplingRate / size;
+		power[k] = re[k] * re[k] + im[k] * im[k];
+	}
+	return { frequencies, power };
+}
+
+/**
+ * Computes the mean frequency (MNF) and median frequency (MDF) of a power spectrum within a band.
+ *
+ * @param {Object} spectrum - `{ frequencies, power }` as returned by `powerSpectrum()`.
+ * @param {number} minFrequency - Lower bound of the band in Hz.
+ * @param {number} maxFrequency - Upper bound of the band in Hz.
+ * @returns {Object} - `{ mnf, mdf, totalPower }`. Frequencies are `null` if the band holds no power.
+ */
+function spectralFrequencies(spectrum, minFrequency, maxFrequency) {
+	const { frequencies, power } = spectrum;
+	let totalPower = 0;
+	let weighted = 0;
+	for (let k = 0; k < frequencies.length; k++) {
+		if (frequencies[k] < minFrequency || frequencies[k] > maxFrequency) continue;
+		totalPower += power[k];
+		weighted += frequencies[k] * power[k];
+	}
+	if (totalPower === 0) {
+		return { mnf: null, mdf: null, totalPower };
+	}
+
+	// The median frequency splits the in-band power into two equal halves
+	let cumulative = 0;
+	let mdf = null;
+	for (let k = 0; k < frequencies.length; k++) {
+		if (frequencies[k] < minFrequency || frequencies[k] > maxFrequency) continue;
+		cumulative += power[k];
+		if (cumulative >= totalPower / 2) {
+			mdf = frequencies[k];
+			break;
+		}
+	}
+	return { mnf: weighted / totalPower, mdf, totalPower };
+}
+
+/**
+ * Computes the root mean square of a signal segment.
+ *
+ * @param {ArrayLike<number>} samples - The signal segment.
+ * @returns {number} - The RMS value.
+ */
+function rms(samples) {
+	let sum = 0;
+	for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+	return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Fits a least-squares line `y = slope * x + intercept`.
+ *
+ * @param {Array<number>} x - Independent values.
+ * @param {Array<number>} y - Dependent values, same length as `x`.
+ * @returns {Object|null} - `{ slope, intercept, r2 }`, or `null` with fewer than two points.
+ */
+function linearRegression(x, y) {
+	const n = x.length;
+	if (n < 2) return null;
+	const meanX = x.reduce((sum, value) => sum + value, 0) / n;
+	const meanY = y.reduce((sum, value) => sum + value, 0) / n;
+	let sxy = 0;
+	let sxx = 0;
+	let syy = 0;
+	for (let i = 0; i < n; i++) {
+		sxy += (x[i] - meanX) * (y[i] - meanY);
+		sxx += (x[i] - meanX) ** 2;
+		syy += (y[i] - meanY) ** 2;
+	}
+	if (sxx === 0) return null;
+	const slope = sxy / sxx;
+	const intercept = meanY - slope * meanX;
+	const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+	return { slope, intercept, r2 };
+}
+
+/**
+ * Computes the spectral fatigue metrics of one EMG channel over sliding windows.
+ *
+ * For each window the mean frequency (MNF), median frequency (MDF) and RMS amplitude are computed.
+ * A line fitted to MDF over time gives the fatigue index: a negative slope means the spectrum
+ * shifts to lower frequencies as the muscle fatigues.
+ *
+ * @param {ArrayLike<number>} samples - The EMG channel.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @param {Object} [options={}] - Overrides for `DEFAULT_ANALYSIS_OPTIONS`.
+ * @returns {Object} - The analysis:
+ *                     - `windows`: Array of `{ start, end, mnf, mdf, rms }` (times in seconds).
+ *                     - `fatigueIndex`: `{ mdfSlope, mdfSlopePercent, mnfSlope, r2 }` where slopes are in
+ *                       Hz/s and `mdfSlopePercent` is the MDF slope relative to the fitted initial MDF (%/s).
+ *                       Values are `null` when fewer than two windows are available.
+ * @throws {Error} - Throws an error if the window options or the frequency band are invalid.
+ *
+ * @example
+ * const result = analyzeFatigue(signals.channels.biceps, 1000, { windowSize: 0.5, overlap: 0.5 });
+ * console.log(result.fatigueIndex.mdfSlope); // e.g. -0.12 (Hz/s)
+ */
+function analyzeFatigue(samples, samplingRate, options = {}) {
+	const settings = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+	if (!(settings.windowSize > 0)) {
+		throw new Error("Window size must be a positive number of seconds");
+	}
+	if (!(settings.overlap >= 0 && settings.overlap < 1)) {
+		throw new Error("Overlap must be a fraction between 0 (inclusive) and 1 (exclusive)");
+	}
+	if (!(settings.minFrequency >= 0 && settings.minFrequency < settings.maxFrequency)) {
+		throw new Error("Frequency band must have a non-negative lower bound below its upper bound");
+	}
+	const windowLength = Math.round(settings.windowSize * samplingRate);
+	const step = Math.max(1, Math.round(windowLength * (1 - settings.overlap)));
+	if (windowLength < 2 || windowLength > samples.length) {
+		throw new Error(`Window of ${settings.windowSize} s does not fit a signal of ${samples.length} samples`);
+	}
+
+	const windows = [];
+	for (let start = 0; start + windowLength <= samples.length; start += step) {
+		const segment = samples.subarray
+			? samples.subarray(start, start + windowLength)
+			: Array.prototype.slice.call(samples, start, start + windowLength);
+		const spectrum = powerSpectrum(segment, samplingRate);
+		const { mnf, mdf } = spectralFrequencies(spectrum, settings.minFrequency, settings.maxFrequency);
+		windows.push({
+			start: start / samplingRate,
+			end: (start + windowLength) / samplingRate,
+			mnf: mnf,
+			mdf: mdf,
+			rms: rms(segment),
+		});
+	}
+
+	// Fit MDF and MNF against the window centre times
+	const valid = windows.filter((window) => window.mdf !== null);
+	const centres = valid.map((window) => (window.start + window.end) / 2);
+	const mdfFit = linearRegression(centres, valid.map((window) => window.mdf));
+	const mnfFit = linearRegression(centres, valid.map((window) => window.mnf));
+
+	return {
+		windows: windows,
+		fatigueIndex: {
+			mdfSlope: mdfFit ? mdfFit.slope : null,
+			mdfSlopePercent: mdfFit && mdfFit.intercept !== 0 ? 100 * mdfFit.slope / mdfFit.intercept : null,
+			mnfSlope: mnfFit ? mnfFit.slope : null,
+			r2: mdfFit ? mdfFit.r2 : null,
+		},
+	};
+}
+
+module.exports = {
+	DEFAULT_ANALYSIS_OPTIONS,
+	fft,
+	powerSpectrum,
+	spectralFrequencies,
+	rms,
+	linearRegression,
+	analyzeFatigue,
+};
@@ -0,0 +1,317 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: emg-preprocessing.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+/**
+ * Default EMG preprocessing pipeline (SENIAM-style surface EMG conditioning).
+ * Each stage is an object with a `type` and its own options, applied in order.
+ */
+const DEFAULT_PIPELINE = [
+	{ type: "dc_removal" },
+	{ type: "bandpass", low: 20, high: 450, order: 4, zeroPhase: true },
+	{ type: "notch", frequency: 50, harmonics: 3, q: 30 },
+	{ type: "rectify" },
+	{ type: "envelope", method: "rms", window: 0.1 },
+];
+
+// Bounds of the integer stage options, which set how many biquad sections are applied
+const MAX_FILTER_ORDER = 12;
+const MAX_NOTCH_HARMONICS = 20;
+
+/**
+ * Designs a second-order (biquad) filter section using the RBJ audio-EQ cookbook formulas.
+ *
+ * @param {string} kind - One of `'lowpass'`, `'highpass'` or `'notch'`.
+ * @param {number} frequency - Cut-off or centre frequency in Hz.
+ * @param {number} q - Quality factor of the section.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @returns {Object} - Normalised coefficients `{ b0, b1, b2, a1, a2 }`.
+ */
+function designBiquad(kind, frequency, q, samplingRate) {
+	const w0 = 2 * Math.PI * frequency / samplingRate;
+	const cos = Math.cos(w0);
+	const alpha = Math.sin(w0) / (2 * q);
+	let b;
+	if (kind === "lowpass") {
+		b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+	} else if (kind === "highpass") {
+		b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+	} else if (kind === "notch") {
+		b = [1, -2 * cos, 1];
+	} else {
+		throw new Error(`Unknown biquad kind: ${kind}`);
+	}
+	const a0 = 1 + alpha;
+	return {
+		b0: b[0] / a0,
+		b1: b[1] / a0,
+		b2: b[2] / a0,
+		a1: -2 * cos / a0,
+		a2: (1 - alpha) / a0,
+	};
+}
+
+/**
+ * Designs a Butterworth filter as a cascade of biquad sections.
+ *
+ * @param {string} kind - `'lowpass'` or `'highpass'`.
+ * @param {number} frequency - Cut-off frequency in Hz.
+ * @param {number} order - Filter order. Odd orders are rounded up to the next even order.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @returns {Array<Object>} - The biquad sections.
+ */
+function designButterworth(kind, frequency, order, samplingRate) {
+	const sections = Math.max(1, Math.ceil(order / 2));
+	const n = sections * 2;
+	const biquads = [];
+	for (let k = 1; k <= sections; k++) {
+		// Quality factor of the k-th conjugate pole pair of an order-n Butterworth filter
+		const q = 1 / (2 * Math.sin((2 * k - 1) * Math.PI / (2 * n)));
+		biquads.push(designBiquad(kind, frequency, q, samplingRate));
+	}
+	return biquads;
+}
+
+/**
+ * Applies a cascade of biquad sections to a signal (direct form II transposed).
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {Array<Object>} biquads - The sections to apply in order.
+ * @returns {Float64Array} - The filtered signal.
+ */
+function applyBiquads(samples, biquads) {
+	let output = Float64Array.from(samples);
+	biquads.forEach(({ b0, b1, b2, a1, a2 }) => {
+		// Start from the steady state of the first sample to avoid a start-up transient
+		const first = output[0] || 0;
+		const gain = (b0 + b1 + b2) / (1 + a1 + a2);
+		let z1 = Number.isFinite(gain) ? first * gain - b0 * first : 0;
+		let z2 = Number.isFinite(gain) ? first * (b2 - a2 * gain) : 0;
+		for (let i = 0; i < output.length; i++) {
+			const x = output[i];
+			const y = b0 * x + z1;
+			z1 = b1 * x - a1 * y + z2;
+			z2 = b2 * x - a2 * y;
+			output[i] = y;
+		}
+	});
+	return output;
+}
+
+/**
+ * Applies a filter forward, and optionally backward again for zero phase distortion.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {Array<Object>} biquads - The sections to apply.
+ * @param {boolean} zeroPhase - Whether to filter forward and backward (doubling the effective order).
+ * @returns {Float64Array} - The filtered signal.
+ */
+function filterSignal(samples, biquads, zeroPhase) {
+	const forward = applyBiquads(samples, biquads);
+	if (!zeroPhase) return forward;
+	return applyBiquads(forward.reverse(), biquads).reverse();
+}
+
+/**
+ * Removes the mean (DC offset) of a signal.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @returns {Float64Array} - The zero-mean signal.
+ */
+function removeDc(samples) {
+	let mean = 0;
+	samples.forEach((value) => { mean += value; });
+	mean /= samples.length || 1;
+	return samples.map((value) => value - mean);
+}
+
+/**
+ * Computes a centred moving-RMS envelope.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {number} windowLength - Window length in samples.
+ * @returns {Float64Array} - The RMS envelope, same length as the input.
+ */
+function movingRms(samples, windowLength) {
+	const half = Math.floor(windowLength / 2);
+	const output = new Float64Array(samples.length);
+	// Prefix sums of squares make each window O(1)
+	const squares = new Float64Array(samples.length + 1);
+	for (let i = 0; i < samples.length; i++) squares[i + 1] = squares[i] + samples[i] * samples[i];
+	for (let i = 0; i < samples.length; i++) {
+		const from = Math.max(0, i - half);
+		const to = Math.min(samples.length, i + half + 1);
+		output[i] = Math.sqrt(Math.max(0, squares[to] - squares[from]) / (to - from));
+	}
+	return output;
+}
+
+/**
+ * Checks that a pipeline definition is well formed before it is applied.
+ *
+ * @param {Array<Object>} pipeline - The pipeline stages.
+ * @param {number} samplingRate - Sampling rate in Hz, used to check frequencies against Nyquist.
+ * @throws {Error} - Throws an error describing the first invalid stage.
+ */
+function validatePipeline(pipeline, samplingRate) {
+	if (!Array.isArray(pipeline)) {
+		throw new Error("Pipeline must be an array of stages.");
+	}
+	const nyquist = samplingRate / 2;
+	pipeline.forEach((stage, index) => {
+		const where = `Stage ${index} (${stage && stage.type})`;
+		if (!stage || typeof stage.type !== "string") {
+			throw new Error(`Stage ${index} must be an object with a 'type'.`);
+		}
+		// Optional options of the stage; given ones must be numbers (or integers) within bounds, or booleans
+		const checkNumber = (key, description) => {
+			if (stage[key] !== undefined && (typeof stage[key] !== "number" || !Number.isFinite(stage[key]))) {
+				throw new Error(`${where}: '${key}' must be ${description}.`);
+			}
+		};
+		const checkInteger = (key, max) => {
+			if (stage[key] !== undefined && !(Number.isInteger(stage[key]) && stage[key] >= 1 && stage[key] <= max)) {
+				throw new Error(`${where}: '${key}' must be an integer between 1 and ${max}.`);
+			}
+		};
+		if (stage.zeroPhase !== undefined && typeof stage.zeroPhase !== "boolean") {
+			throw new Error(`${where}: 'zeroPhase' must be true or false.`);
+		}
+		switch (stage.type) {
+			case "dc_removal":
+			case "rectify":
+				break;
+			case "bandpass":
+				checkNumber("low", "a number of Hz");
+				checkNumber("high", "a number of Hz");
+				checkInteger("order", MAX_FILTER_ORDER);
+				if (!(stage.low > 0) || !(stage.high > stage.low)) {
+					throw new Error(`${where}: 'low' and 'high' must satisfy 0 < low < high.`);
+				}
+				if (stage.low >= nyquist) {
+					throw new Error(`${where}: 'low' must be below the Nyquist frequency (${nyquist} Hz).`);
+				}
+				break;
+			case "notch":
+				checkNumber("frequency", "a number of Hz");
+				checkNumber("q", "a positive number");
+				checkInteger("harmonics", MAX_NOTCH_HARMONICS);
+				if (!(stage.frequency > 0) || stage.frequency >= nyquist) {
+					throw new Error(`${where}: 'frequency' must be between 0 and the Nyquist frequency (${nyquist} Hz).`);
+				}
+				if (stage.q !== undefined && !(stage.q > 0)) {
+					throw new Error(`${where}: 'q' must be a positive number.`);
+				}
+				break;
+			case "envelope":
+				if (!["rms", "lowpass"].includes(stage.method || "rms")) {
+					throw new Error(`${where}: 'method' must be 'rms' or 'lowpass'.`);
+				}
+				checkNumber("window", "a positive number of seconds");
+				checkNumber("cutoff", "a number of Hz");
+				checkInteger("order", MAX_FILTER_ORDER);
+				if (stage.window !== undefined && !(stage.window > 0)) {
+					throw new Error(`${where}: 'window' must be a positive number of seconds.`);
+				}
+				if (stage.cutoff !== undefined && !(stage.cutoff > 0 && stage.cutoff < nyquist)) {
+					throw new Error(`${where}: 'cutoff' must be between 0 and the Nyquist frequency (${nyquist} Hz).`);
+				}
+				break;
+			default:
+				throw new Error(`${where}: unknown stage type.`);
+		}
+	});
+}
+
+/**
+ * Applies a single pipeline stage to a signal.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {Object} stage - The stage definition (see `preprocessSignal()`).
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @returns {Float64Array} - The processed signal.
+ */
+function applyStage(samples, stage, samplingRate) {
+	const nyquist = samplingRate / 2;
+	const zeroPhase = stage.zeroPhase !== false;
+	switch (stage.type) {
+		case "dc_removal":
+			return removeDc(samples);
+		case "bandpass": {
+			const order = stage.order || 4;
+			let biquads = designButterworth("highpass", stage.low, order, samplingRate);
+			// A high cut-off at or above Nyquist leaves the band open at the top
+			if (stage.high < nyquist) {
+				biquads = biquads.concat(designButterworth("lowpass", stage.high, order, samplingRate));
+			}
+			return filterSignal(samples, biquads, zeroPhase);
+		}
+		case "notch": {
+			const harmonics = stage.harmonics || 1;
+			const biquads = [];
+			for (let k = 1; k <= harmonics && stage.frequency * k < nyquist; k++) {
+				biquads.push(designBiquad("notch", stage.frequency * k, stage.q || 30, samplingRate));
+			}
+			return filterSignal(samples, biquads, zeroPhase);
+		}
+		case "rectify":
+			return samples.map(Math.abs);
+		case "envelope": {
+			if ((stage.method || "rms") === "rms") {
+				const windowLength = Math.max(1, Math.round((stage.window || 0.1) * samplingRate));
+				return movingRms(samples, windowLength);
+			}
+			const biquads = designButterworth("lowpass", stage.cutoff || 6, stage.order || 2, samplingRate);
+			return filterSignal(samples, biquads, zeroPhase);
+		}
+		default:
+			throw new Error(`Unknown stage type: ${stage.type}`);
+	}
+}
+
+/**
+ * Runs an EMG signal through a configurable preprocessing pipeline.
+ *
+ * ### Stages
+ * - `{ type: "dc_removal" }`: Subtracts the signal mean.
+ * - `{ type: "bandpass", low, high, order = 4, zeroPhase = true }`: Butterworth band-pass in Hz.
+ *   A `high` at or above Nyquist applies only the high-pass part.
+ * - `{ type: "notch", frequency, harmonics = 1, q = 30, zeroPhase = true }`: Notch at `frequency`
+ *   (e.g. 50 or 60 Hz) and its first `harmonics` multiples below Nyquist.
+ * - `{ type: "rectify" }`: Full-wave rectification.
+ * - `{ type: "envelope", method = "rms", window = 0.1 }`: Centred moving RMS over `window` seconds.
+ * - `{ type: "envelope", method: "lowpass", cutoff = 6, order = 2, zeroPhase = true }`: Linear envelope.
+ *
+ * Filter orders are integers up to `MAX_FILTER_ORDER` and `harmonics` up to `MAX_NOTCH_HARMONICS`.
+ *
+ * @param {ArrayLike<number>} samples - The raw EMG channel.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @param {Array<Object>} [pipeline=DEFAULT_PIPELINE] - The stages to apply in order.
+ * @returns {Float64Array} - The processed signal, same length as the input.
+ * @throws {Error} - Throws an error if the pipeline definition is invalid.
+ *
+ * @example
+ * const envelope = preprocessSignal(signals.channels.biceps, 1000, [
+ *   { type: "bandpass", low: 20, high: 450 },
+ *   { type: "notch", frequency: 60, harmonics: 2 },
+ *   { type: "rectify" },
+ *   { type: "envelope", method: "lowpass", cutoff: 6 },
+ * ]);
+ */
+function preprocessSignal(samples, samplingRate, pipeline = DEFAULT_PIPELINE) {
+	validatePipeline(pipeline, samplingRate);
+	return pipeline.reduce((signal, stage) => applyStage(signal, stage, samplingRate), Float64Array.from(samples));
+}
+
+module.exports = {
+	DEFAULT_PIPELINE,
+	designBiquad,
+	designButterworth,
+	filterSignal,
+	movingRms,
+	validatePipeline,
+	preprocessSignal,
+};
@@ -0,0 +1,228 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: emg-stream.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const { powerSpectrum, spectralFrequencies, rms } = require("./emg-analysis");
+const { findTimeColumn } = require("./csv");
+
+// Default configuration of the rolling analysis of a live EMG stream
+const DEFAULT_STREAM_OPTIONS = {
+	windowSize: 0.5, // Rolling window of the RMS and MDF in seconds
+	updateInterval: 0.25, // Seconds of new samples between two updates
+	baseline: 5, // Seconds at the start of the stream the fatigue index is relative to
+	minFrequency: 20, // Lower bound of the band used for the MDF in Hz
+	maxFrequency: 450, // Upper bound of the band used for the MDF in Hz
+};
+
+// Shortest update interval in seconds: every update runs one FFT per channel and is broadcast to every viewer
+const MIN_UPDATE_INTERVAL = 0.05;
+
+// Channel names are written unquoted into the `emg.csv` header, so they cannot hold a CSV delimiter, a quote,
+// a line break or surrounding spaces (see `detectDelimiter()` and `parseCsvLine()` in `lib/csv.js`)
+const CHANNEL_NAME_PATTERN = /^[^\s,;"](?:[^,;\t"\r\n]*[^\s,;"])?$/;
+
+/**
+ * Checks the `start` message of a live EMG stream, which describes the samples that follow.
+ *
+ * @param {Object} message - The message: `{ samplingRate, channels }`, optionally with overrides of
+ *                           `DEFAULT_STREAM_OPTIONS` (e.g. `windowSize`).
+ * @returns {Object} - `{ samplingRate, channels, options }`.
+ * @throws {Error} - Throws an error if the sampling rate is not positive, the channel names are missing,
+ *                   empty, duplicated, not valid CSV column names or named like a time column (e.g. 'timestamp'),
+ *                   an option is not a non-negative number, the update interval is shorter than
+ *                   `MIN_UPDATE_INTERVAL`, or the baseline is shorter than the window.
+ */
+function validateStreamStart(message) {
+	const samplingRate = Number(message.samplingRate);
+	if (!(Number.isFinite(samplingRate) && samplingRate > 0)) {
+		throw new Error("Invalid stream: 'samplingRate' must be a positive number of Hz.");
+	}
+	const channels = message.channels;
+	if (!Array.isArray(channels) || channels.length === 0 || !channels.every((channel) => typeof channel === "string" && channel.trim() !== "")) {
+		throw new Error("Invalid stream: 'channels' must be a non-empty array of channel names.");
+	}
+	if (!channels.every((channel) => CHANNEL_NAME_PATTERN.test(channel))) {
+		throw new Error("Invalid stream: channel names cannot hold commas, semicolons, quotes, tabs or line breaks, nor start or end with a space.");
+	}
+	if (new Set(channels).size !== channels.length || findTimeColumn(channels) >= 0) {
+		throw new Error("Invalid stream: channel names must be unique and not name a time column (e.g. 'time' or 'timestamp').");
+	}
+	const options = {};
+	Object.keys(DEFAULT_STREAM_OPTIONS).forEach((name) => {
+		if (message[name] === undefined) return;
+		options[name] = Number(message[name]);
+		if (!(Number.isFinite(options[name]) && options[name] >= 0)) {
+			throw new Error(`Invalid stream: '${name}' must be a non-negative number.`);
+		}
+	});
+	const settings = { ...DEFAULT_STREAM_OPTIONS, ...options };
+	if (settings.updateInterval < MIN_UPDATE_INTERVAL) {
+		throw new Error(`Invalid stream: 'updateInterval' must be at least ${MIN_UPDATE_INTERVAL} s.`);
+	}
+	if (settings.baseline < settings.windowSize) {
+		throw new Error(`Invalid stream: 'baseline' (${settings.baseline} s) must be at least 'windowSize' (${settings.windowSize} s), or the fatigue index never starts.`);
+	}
+	return { samplingRate: samplingRate, channels: channels, options: options };
+}
+
+/**
+ * Checks a `samples` message of a live EMG stream.
+ *
+ * @param {Object} message - The message: `{ samples: { [channel]: Array<number> }, time? }` where `time` holds the
+ *                           sample times in seconds from the start of the stream. Without it, the samples are
+ *                           assumed to follow the previous ones at the sampling rate.
+ * @param {Array<string>} channels - The channels of the stream.
+ * @param {number} [previousTime=-Infinity] - The time of the last sample received, which the frame's times must follow.
+ * @returns {Object} - `{ length, time, samples }` with `time` null if not given.
+ * @throws {Error} - Throws an error if a channel is missing, the arrays differ in length, a value is not a number
+ *                   or the times do not increase.
+ */
+function validateStreamFrame(message, channels, previousTime = -Infinity) {
+	const samples = message.samples || {};
+	const length = Array.isArray(samples[channels[0]]) ? samples[channels[0]].length : -1;
+	channels.forEach((channel) => {
+		const values = samples[channel];
+		if (!Array.isArray(values) || values.length !== length) {
+			throw new Error(`Invalid frame: channel '${channel}' must be an array of ${length < 0 ? "samples" : `${length} sample(s)`}.`);
+		}
+		if (!values.every(Number.isFinite)) {
+			throw new Error(`Invalid frame: channel '${channel}' holds a value that is not a number.`);
+		}
+	});
+	const time = message.time === undefined ? null : message.time;
+	if (time !== null && (!Array.isArray(time) || time.length !== length || !time.every(Number.isFinite))) {
+		throw new Error(`Invalid frame: 'time' must be an array of ${length} time(s) in seconds.`);
+	}
+	if (time !== null && !time.every((value, index) => value > (index === 0 ? previousTime : time[index - 1]))) {
+		throw new Error("Invalid frame: 'time' must increase from sample to sample and follow the previous frame.");
+	}
+	return { length: length, time: time, samples: samples };
+}
+
+/**
+ * Creates the rolling analysis of a live EMG stream. Samples are kept in a ring buffer of one window per channel;
+ * every `updateInterval` seconds of new samples, the RMS and median frequency (MDF) of the last window are computed.
+ *
+ * The fatigue index is the decline of the MDF from its mean over the first `baseline` seconds of the stream, in %,
+ * averaged over the channels: 0 while fresh, rising as the muscle fatigues. It is `null` until the baseline is complete.
+ *
+ * @param {Object} stream - `{ samplingRate, channels }` as returned by `validateStreamStart()`.
+ * @param {Object} [options={}] - Overrides of `DEFAULT_STREAM_OPTIONS`.
+ * @returns {Object} - The analysis:
+ *                     - `push(frame)`: Adds the samples of a frame (see `validateStreamFrame()`) and returns the updates
+ *                       they complete, each `{ time, channels: { [channel]: { rms, mdf, mdfDecline, rmsChange } }, fatigueIndex }`
+ *                       where `mdfDecline` and `rmsChange` are in % of the baseline (null before it is complete).
+ *                     - `samples()`: The number of samples received.
+ *                     - `time()`: The time of the last sample in seconds.
+ * @throws {Error} - Throws an error if the window does not hold at least two samples.
+ *
+ * @example
+ * const analysis = createStreamAnalysis({ samplingRate: 1000, channels: ["biceps"] });
+ * analysis.push({ length: 50, time: null, samples: { biceps: [...] } }); // [] until a window is full
+ */
+function createStreamAnalysis(stream, options = {}) {
+	const settings = { ...DEFAULT_STREAM_OPTIONS, ...options };
+	const { samplingRate, channels } = stream;
+	const windowLength = Math.round(settings.windowSize * samplingRate);
+	const step = Math.max(1, Math.round(settings.updateInterval * samplingRate));
+	if (windowLength < 2) {
+		throw new Error(`Window of ${settings.windowSize} s holds fewer than two samples at ${samplingRate} Hz`);
+	}
+
+	const buffers = Object.fromEntries(channels.map((channel) => [channel, new Float64Array(windowLength)]));
+	const sums = Object.fromEntries(channels.map((channel) => [channel, { mdf: 0, rms: 0, count: 0 }]));
+	let baseline = null;
+	let received = 0;
+	let sinceUpdate = 0;
+	let lastTime = 0;
+
+	const analyze = (time) => {
+		const position = received % windowLength; // Oldest sample of the ring buffer
+		const update = { time: time, channels: {}, fatigueIndex: null };
+		channels.forEach((channel) => {
+			const buffer = buffers[channel];
+			const segment = new Float64Array(windowLength);
+			segment.set(buffer.subarray(position));
+			segment.set(buffer.subarray(0, position), windowLength - position);
+			const { mdf } = spectralFrequencies(powerSpectrum(segment, samplingRate), settings.minFrequency, settings.maxFrequency);
+			update.channels[channel] = { rms: rms(segment), mdf: mdf, mdfDecline: null, rmsChange: null };
+		});
+
+		if (!baseline && time <= settings.baseline) {
+			channels.forEach((channel) => {
+				const { rms: value, mdf } = update.channels[channel];
+				if (mdf === null) return;
+				sums[channel].mdf += mdf;
+				sums[channel].rms += value;
+				sums[channel].count += 1;
+			});
+		} else if (!baseline) {
+			baseline = Object.fromEntries(channels.map((channel) => {
+				const sum = sums[channel];
+				return [channel, sum.count > 0 ? { mdf: sum.mdf / sum.count, rms: sum.rms / sum.count } : null];
+			}));
+		}
+		if (baseline) {
+			const declines = [];
+			channels.forEach((channel) => {
+				const reference = baseline[channel];
+				const values = update.channels[channel];
+				if (!reference) return;
+				if (values.mdf !== null && reference.mdf > 0) {
+					values.mdfDecline = 100 * (reference.mdf - values.mdf) / reference.mdf;
+					declines.push(values.mdfDecline);
+				}
+				if (reference.rms > 0) values.rmsChange = 100 * (values.rms - reference.rms) / reference.rms;
+			});
+			if (declines.length > 0) update.fatigueIndex = declines.reduce((sum, value) => sum + value, 0) / declines.length;
+		}
+		return update;
+	};
+
+	const push = (frame) => {
+		const updates = [];
+		for (let i = 0; i < frame.length; i++) {
+			lastTime = frame.time ? frame.time[i] : received / samplingRate;
+			channels.forEach((channel) => { buffers[channel][received % windowLength] = frame.samples[channel][i]; });
+			received += 1;
+			sinceUpdate += 1;
+			if (received >= windowLength && sinceUpdate >= step) {
+				sinceUpdate = 0;
+				updates.push(analyze(lastTime));
+			}
+		}
+		return updates;
+	};
+
+	return { push, samples: () => received, time: () => lastTime };
+}
+
+/**
+ * Formats the samples of a frame as `emg.csv` data rows (`time,<channels>`), the time in seconds.
+ *
+ * @param {Object} frame - The frame (see `validateStreamFrame()`).
+ * @param {Array<string>} channels - The channels of the stream, in column order.
+ * @param {number} firstSample - The number of samples received before the frame, for frames without times.
+ * @param {number} samplingRate - The sampling rate in Hz, for frames without times.
+ * @returns {string} - The rows, each ending with a newline.
+ */
+function frameToCsvRows(frame, channels, firstSample, samplingRate) {
+	let rows = "";
+	for (let i = 0; i < frame.length; i++) {
+		const time = frame.time ? frame.time[i] : (firstSample + i) / samplingRate;
+		rows += `${Number(time.toFixed(6))},${channels.map((channel) => frame.samples[channel][i]).join(",")}\n`;
+	}
+	return rows;
+}
+
+module.exports = {
+	DEFAULT_STREAM_OPTIONS,
+	MIN_UPDATE_INTERVAL,
+	validateStreamStart,
+	validateStreamFrame,
+	createStreamAnalysis,
+	frameToCsvRows,
+};
@@ -0,0 +1,19 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: endurance-worker.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Worker thread of `detectActivityExhaustionInWorker()` in `lib/endurance.js`: estimates the times to exhaustion off
+// the server's event loop and posts `{ batch }`, or `{ error_msg }` if they cannot be estimated
+const { parentPort, workerData } = require("worker_threads");
+const { compileSchema } = require("./schema");
+const { detectActivityExhaustion } = require("./endurance");
+
+try {
+	const batch = detectActivityExhaustion(workerData.rootFolder, compileSchema(workerData.instanceNames), workerData.activity, workerData.options);
+	parentPort.postMessage({ batch: batch });
+} catch (error) {
+	parentPort.postMessage({ error_msg: error.message });
+}
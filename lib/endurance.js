@@ -0,0 +1,397 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: endurance.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { Worker } = require("worker_threads");
+const { readSignals } = require("./csv");
+const { computeElbowAngle, movingAverage } = require("./kinematics");
+const { movingRms } = require("./emg-preprocessing");
+const { readSyncSettings } = require("./synchronization");
+const { listActivityTrials, csvField } = require("./cohort");
+const { formatSegment } = require("./schema");
+
+// Default options of the time-to-exhaustion detector
+const DEFAULT_EXHAUSTION_OPTIONS = {
+	side: "right", // Arm whose elbow angle is followed
+	targetAngle: null, // Elbow angle held, in degrees; by default the median angle of the reference window
+	tolerance: 10, // Half-width of the band around the target angle, in degrees
+	referenceStart: 1, // Start of the reference window, in seconds, once the position is reached
+	referenceDuration: 5, // Length of the reference window, in seconds
+	minExit: 1, // Time the angle (or the EMG amplitude) must stay out of its band to count as failure, in seconds
+	smoothing: 0.2, // Moving-average window applied to the angle, in seconds
+	emgWindow: 0.5, // Moving-RMS window of the EMG amplitude envelope, in seconds
+	collapseRatio: 0.5, // The EMG amplitude collapses when it falls below this share of its reference level
+	agreement: 2, // Largest gap in seconds between the angle and the EMG estimates for them to agree
+};
+
+/**
+ * Computes the median of the non-`NaN` values of a signal segment.
+ *
+ * @param {ArrayLike<number>} values - The signal.
+ * @param {number} from - First index (inclusive).
+ * @param {number} to - Last index (exclusive).
+ * @returns {number|null} - The median, or `null` if the segment has no value.
+ */
+function segmentMedian(values, from, to) {
+	const sorted = Array.prototype.slice.call(values, from, to).filter((value) => !Number.isNaN(value)).sort((a, b) => a - b);
+	if (sorted.length === 0) return null;
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Finds the indices of a time range in sorted sample times.
+ *
+ * @param {ArrayLike<number>} time - Sorted sample times in seconds.
+ * @param {number} start - Start of the range in seconds.
+ * @param {number} end - End of the range in seconds.
+ * @returns {Object} - `{ from, to }` where `to` is exclusive.
+ */
+function rangeIndices(time, start, end) {
+	let from = 0;
+	while (from < time.length && time[from] < start) from++;
+	let to = from;
+	while (to < time.length && time[to] <= end) to++;
+	return { from, to };
+}
+
+/**
+ * Finds the first time after `from` at which a condition holds for at least `minDuration` seconds without
+ * interruption. `NaN` samples (e.g. joints lost by the tracker) neither start, extend nor break a run.
+ *
+ * @param {ArrayLike<number>} time - Sorted sample times in seconds.
+ * @param {ArrayLike<number>} values - The signal.
+ * @param {Function} condition - Called with a (non-`NaN`) value; whether the sample is out of its band.
+ * @param {number} from - First index searched.
+ * @param {number} minDuration - Minimum duration of the run in seconds.
+ * @returns {number} - The index where the run starts, or `-1` if none lasts long enough.
+ */
+function findSustainedRun(time, values, condition, from, minDuration) {
+	let runStart = -1;
+	for (let i = from; i < values.length; i++) {
+		if (Number.isNaN(values[i])) continue;
+		if (!condition(values[i])) {
+			runStart = -1;
+			continue;
+		}
+		if (runStart < 0) runStart = i;
+		if (time[i] - time[runStart] >= minDuration) return runStart;
+	}
+	return -1;
+}
+
+/**
+ * Estimates task failure from the elbow angle: the first time the angle leaves the tolerance band around the
+ * target angle for at least `minExit` seconds, after the reference window.
+ *
+ * @param {Object} skeleton - The skeleton recording as returned by `readSignals()` in `lib/csv.js`.
+ * @param {Object} settings - The detector options (see `DEFAULT_EXHAUSTION_OPTIONS`).
+ * @returns {Object} - `{ time, targetAngle, tolerance, exitAngle }` on the skeleton time axis; `time` and
+ *                     `exitAngle` are `null` if the position was held until the end of the recording.
+ * @throws {Error} - Throws an error if the joints are missing or the recording ends before the reference window.
+ */
+function detectAngleExit(skeleton, settings) {
+	const { time } = skeleton;
+	let angle = computeElbowAngle(skeleton.channels, settings.side);
+	if (settings.smoothing > 0 && skeleton.samplingRate > 0) {
+		angle = movingAverage(angle, Math.max(1, Math.round(settings.smoothing * skeleton.samplingRate)));
+	}
+	const reference = rangeIndices(time, settings.referenceStart, settings.referenceStart + settings.referenceDuration);
+	const targetAngle = settings.targetAngle !== null ? settings.targetAngle : segmentMedian(angle, reference.from, reference.to);
+	if (targetAngle === null) {
+		throw new Error(`No elbow angle in the reference window (${settings.referenceStart}–${settings.referenceStart + settings.referenceDuration} s).`);
+	}
+	const exit = findSustainedRun(time, angle, (value) => Math.abs(value - targetAngle) > settings.tolerance,
+		reference.to, settings.minExit);
+	return {
+		time: exit >= 0 ? time[exit] : null,
+		targetAngle: targetAngle,
+		tolerance: settings.tolerance,
+		exitAngle: exit >= 0 ? angle[exit] : null,
+	};
+}
+
+/**
+ * Estimates task failure from the EMG amplitude: the first time the RMS envelope of a channel stays below
+ * `collapseRatio` of its reference level for at least `minExit` seconds, after the reference window.
+ *
+ * @param {Object} emg - The EMG recording as returned by `readSignals()` in `lib/csv.js`.
+ * @param {string} channel - The EMG channel.
+ * @param {Object} settings - The detector options (see `DEFAULT_EXHAUSTION_OPTIONS`).
+ * @returns {Object} - `{ channel, time, referenceLevel, threshold }` on the EMG time axis; `time` is `null` if
+ *                     the amplitude never collapsed.
+ * @throws {Error} - Throws an error if the channel is missing or the recording ends before the reference window.
+ */
+function detectAmplitudeCollapse(emg, channel, settings) {
+	const samples = emg.channels[channel];
+	if (!samples) {
+		throw new Error(`No '${channel}' EMG channel.`);
+	}
+	const mean = samples.reduce((sum, value) => sum + value, 0) / (samples.length || 1);
+	const envelope = movingRms(samples.map((value) => value - mean), Math.max(1, Math.round(settings.emgWindow * emg.samplingRate)));
+	const reference = rangeIndices(emg.time, settings.referenceStart, settings.referenceStart + settings.referenceDuration);
+	const referenceLevel = segmentMedian(envelope, reference.from, reference.to);
+	if (referenceLevel === null) {
+		throw new Error(`The EMG recording ends before the reference window (${settings.referenceStart} s).`);
+	}
+	const threshold = settings.collapseRatio * referenceLevel;
+	const collapse = findSustainedRun(emg.time, envelope, (value) => value < threshold, reference.to, settings.minExit);
+	return {
+		channel: channel,
+		time: collapse >= 0 ? emg.time[collapse] : null,
+		referenceLevel: referenceLevel,
+		threshold: threshold,
+	};
+}
+
+/**
+ * Merges detector options with `DEFAULT_EXHAUSTION_OPTIONS` and checks them.
+ *
+ * @param {Object} [options={}] - Overrides for `DEFAULT_EXHAUSTION_OPTIONS`.
+ * @returns {Object} - The detector settings.
+ * @throws {Error} - Throws an error describing the first invalid option.
+ */
+function resolveExhaustionOptions(options = {}) {
+	const settings = { ...DEFAULT_EXHAUSTION_OPTIONS, ...options };
+	["tolerance", "referenceDuration", "minExit", "emgWindow", "agreement"].forEach((name) => {
+		if (!(settings[name] > 0)) throw new Error(`Invalid option: '${name}' must be a positive number.`);
+	});
+	if (!(settings.referenceStart >= 0)) {
+		throw new Error("Invalid option: 'referenceStart' must be a non-negative number of seconds.");
+	}
+	if (!(settings.smoothing >= 0)) {
+		throw new Error("Invalid option: 'smoothing' must be a non-negative number of seconds.");
+	}
+	if (!(settings.collapseRatio > 0 && settings.collapseRatio < 1)) {
+		throw new Error("Invalid option: 'collapseRatio' must be between 0 and 1 (exclusive).");
+	}
+	if (settings.targetAngle !== null && !(settings.targetAngle > 0 && settings.targetAngle <= 180)) {
+		throw new Error("Invalid option: 'targetAngle' must be an angle in degrees between 0 and 180.");
+	}
+	if (settings.side !== "right" && settings.side !== "left") {
+		throw new Error("Invalid option: 'side' must be 'right' or 'left'.");
+	}
+	return settings;
+}
+
+/**
+ * Estimates the time to exhaustion of an isometric endurance trial, i.e. how long the subject held the elbow
+ * position, and explains the decision.
+ *
+ * The primary estimate is the elbow angle leaving its tolerance band (see `detectAngleExit()`); it is
+ * cross-checked against the collapse of the EMG amplitude (see `detectAmplitudeCollapse()`):
+ * - Both found within `agreement` seconds: the angle time, with `high` confidence.
+ * - Both found further apart: the angle time, with `low` confidence.
+ * - Only the angle exit: the angle time, with `medium` confidence.
+ * - Only the EMG collapse (no skeleton, or the angle stayed in its band): the collapse time, with `low` confidence.
+ * - Neither: the end of the recording, with `low` confidence, as the subject may have held past its end.
+ *
+ * Times are on the EMG time axis (0 s at the first EMG sample), like the annotations. Skeleton times are moved
+ * onto it with the manual offset of the trial's `sync.json` if one is stored, otherwise with the first timestamps
+ * of both files.
+ *
+ * @param {Object|null} emg - The EMG recording as returned by `readSignals()`, or `null` if the trial has none.
+ * @param {Object|null} skeleton - The skeleton recording as returned by `readSignals()`, or `null` if the trial has none.
+ * @param {Object} [options={}] - Overrides for `DEFAULT_EXHAUSTION_OPTIONS`, and:
+ *                                - `channel`: The EMG channel. Defaults to the first channel.
+ *                                - `syncSettings`: The trial's stored synchronization settings (see `readSyncSettings()`).
+ * @returns {Object} - The detection:
+ *                     - `time`: The estimated time to exhaustion in seconds, or `null` if nothing can be estimated.
+ *                     - `confidence`: `'high'`, `'medium'` or `'low'`.
+ *                     - `reason`: A sentence explaining the decision.
+ *                     - `source`: What `time` comes from: `'angle'`, `'emg'` or `'recording_end'`.
+ *                     - `angle`: The result of `detectAngleExit()` on the EMG time axis, or `null`.
+ *                     - `emg`: The result of `detectAmplitudeCollapse()`, or `null`.
+ *                     - `offset`: Seconds added to skeleton times to put them on the EMG time axis.
+ *                     - `errors`: `{ angle, emg }` messages of the parts that could not be analysed.
+ * @throws {Error} - Throws an error if an option is invalid or neither recording is given.
+ *
+ * @example
+ * const result = detectExhaustion(readSignals(emgPath), readSignals(skeletonPath), { channel: 'biceps' });
+ * console.log(result.time, result.confidence); // e.g. 184.2 'high'
+ */
+function detectExhaustion(emg, skeleton, options = {}) {
+	const settings = resolveExhaustionOptions(options);
+	if (!emg && !skeleton) {
+		throw new Error("The trial has neither an EMG nor a skeleton recording.");
+	}
+
+	const syncSettings = settings.syncSettings || {};
+	const offset = typeof syncSettings.offset === "number" ? syncSettings.offset
+		: emg && skeleton ? skeleton.startTime - emg.startTime : 0;
+	const errors = { angle: null, emg: null };
+	let angle = null;
+	let amplitude = null;
+	if (skeleton) {
+		try {
+			angle = detectAngleExit(skeleton, settings);
+			if (angle.time !== null) angle.time += offset;
+		} catch (error) {
+			errors.angle = error.message;
+		}
+	} else {
+		errors.angle = "No skeleton recording.";
+	}
+	if (emg) {
+		try {
+			amplitude = detectAmplitudeCollapse(emg, settings.channel || Object.keys(emg.channels)[0], settings);
+		} catch (error) {
+			errors.emg = error.message;
+		}
+	} else {
+		errors.emg = "No EMG recording.";
+	}
+
+	const format = (value) => `${Number(value.toFixed(2))} s`;
+	const angleText = angle && angle.time !== null
+		? `The elbow angle left the ±${angle.tolerance}° band around ${Number(angle.targetAngle.toFixed(1))}° at ${format(angle.time)}`
+		: null;
+	const emgText = amplitude && amplitude.time !== null
+		? `the ${amplitude.channel} EMG amplitude fell below ${Math.round(settings.collapseRatio * 100)}% of its reference level at ${format(amplitude.time)}`
+		: null;
+	const result = { time: null, confidence: "low", reason: null, source: null, angle, emg: amplitude, offset, errors };
+
+	if (angleText && emgText) {
+		const gap = Math.abs(angle.time - amplitude.time);
+		result.time = angle.time;
+		result.source = "angle";
+		result.confidence = gap <= settings.agreement ? "high" : "low";
+		result.reason = gap <= settings.agreement
+			? `${angleText}, and ${emgText}, ${format(gap)} apart.`
+			: `${angleText}, but ${emgText}, ${format(gap)} apart; check the trial.`;
+	} else if (angleText) {
+		result.time = angle.time;
+		result.source = "angle";
+		result.confidence = "medium";
+		result.reason = `${angleText}; no EMG amplitude collapse confirms it${errors.emg ? ` (${errors.emg})` : ""}.`;
+	} else if (emgText) {
+		result.time = amplitude.time;
+		result.source = "emg";
+		result.reason = `${emgText.charAt(0).toUpperCase()}${emgText.slice(1)}, ` +
+			(angle ? "while the elbow angle stayed in its band." : `without elbow angle to confirm it (${errors.angle}).`);
+	} else {
+		const ends = [emg && !errors.emg ? emg.time[emg.time.length - 1] : null,
+			angle ? skeleton.time[skeleton.time.length - 1] + offset : null].filter((value) => value !== null);
+		if (ends.length > 0) {
+			result.time = Math.min(...ends);
+			result.source = "recording_end";
+			result.reason = `No failure detected; the position was held until the end of the recording at ${format(result.time)}.`;
+		} else {
+			result.reason = `Neither recording could be analysed (${[errors.angle, errors.emg].filter(Boolean).join(" ")}).`;
+		}
+	}
+	return result;
+}
+
+/**
+ * Reads a data file of a trial, or returns `null` if the trial has no such file.
+ *
+ * @param {string} filePath - The absolute path of the file.
+ * @param {Object} [options={}] - Options of `readSignals()`.
+ * @returns {Object|null} - The recording, or `null` if the file does not exist.
+ */
+function readOptionalSignals(filePath, options = {}) {
+	return fs.existsSync(filePath) ? readSignals(filePath, options) : null;
+}
+
+/**
+ * Estimates the time to exhaustion of a trial from the files of its folder (see `detectExhaustion()`).
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} [options={}] - Options of `detectExhaustion()`, and:
+ *                                - `samplingRate`: Sampling rate in Hz of files without a time column.
+ *                                - `emg`: The trial's EMG recording, if the caller has already read it.
+ * @returns {Object} - The detection.
+ * @throws {Error} - Throws an error if a file cannot be read or the trial has neither file.
+ */
+function detectTrialExhaustion(trialFolder, schema, options = {}) {
+	const { samplingRate, emg: emgSignals, ...detectorOptions } = options;
+	const fileName = (dataType) => formatSegment(schema, schema.segments.length - 1, { data_type: dataType });
+	const emg = emgSignals || readOptionalSignals(path.join(trialFolder, fileName("emg")), { samplingRate });
+	const skeleton = readOptionalSignals(path.join(trialFolder, fileName("skeleton")), { samplingRate });
+	return detectExhaustion(emg, skeleton, { ...detectorOptions, syncSettings: readSyncSettings(trialFolder) });
+}
+
+/**
+ * Estimates the time to exhaustion of every trial of an activity across users (see `listActivityTrials()` in
+ * `lib/cohort.js`). Trials that cannot be analysed are listed with their error.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string} [activity] - A registered activity name. Defaults to the first endurance activity of the schema.
+ * @param {Object} [options={}] - Options of `detectTrialExhaustion()`.
+ * @returns {Object} - `{ activity, trials }` where `trials` holds one `{ user, trial, path, time, confidence, reason,
+ *                     source, angle, emg, offset, errors, error }` per trial folder, `path` being the folder
+ *                     relative to the data collection.
+ * @throws {Error} - Throws an error if the activity is not registered or an option is invalid.
+ */
+function detectActivityExhaustion(rootFolder, schema, activity = schema.enduranceActivities[0], options = {}) {
+	resolveExhaustionOptions(options); // Invalid options fail the batch rather than every trial
+	const trials = listActivityTrials(rootFolder, schema, activity).map((trial) => {
+		const entry = { user: trial.user, trial: trial.trial, path: path.posix.dirname(trial.path) };
+		try {
+			Object.assign(entry, detectTrialExhaustion(path.dirname(trial.filePath), schema, options), { error: null });
+		} catch (error) {
+			Object.assign(entry, { time: null, confidence: null, reason: null, source: null, angle: null, emg: null,
+				offset: null, errors: null, error: error.message });
+		}
+		return entry;
+	});
+	return { activity, trials };
+}
+
+/**
+ * Estimates the times to exhaustion of an activity like `detectActivityExhaustion()`, but in a worker thread, so
+ * that a server keeps answering requests while the EMG and skeleton files of every trial are read.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} instanceNames - The `instanceNames.json` content of the dataset; the worker compiles its schema.
+ * @param {string} activity - A registered activity name.
+ * @param {Object} [options={}] - The options of `detectActivityExhaustion()`.
+ * @returns {Promise<Object>} - Resolves to the estimates.
+ * @throws {Error} - Rejects with the error of `detectActivityExhaustion()`, or if the worker fails.
+ */
+function detectActivityExhaustionInWorker(rootFolder, instanceNames, activity, options = {}) {
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(path.join(__dirname, "endurance-worker.js"), {
+			workerData: { rootFolder: rootFolder, instanceNames: instanceNames, activity: activity, options: options },
+		});
+		worker.once("message", (message) => (message.error_msg ? reject(new Error(message.error_msg)) : resolve(message.batch)));
+		worker.once("error", reject);
+		worker.once("exit", (code) => {
+			if (code !== 0) reject(new Error(`The exhaustion detection worker stopped with exit code ${code}.`));
+		});
+	});
+}
+
+/**
+ * Converts the time-to-exhaustion estimates of an activity into a CSV table with one row per trial.
+ *
+ * @param {Object} batch - The estimates returned by `detectActivityExhaustion()`.
+ * @returns {string} - The CSV text.
+ */
+function exhaustionToCsv(batch) {
+	const header = ["activity", "user", "trial", "path", "time_to_exhaustion", "confidence", "source", "target_angle",
+		"angle_exit", "emg_channel", "emg_collapse", "offset", "reason", "error"];
+	const rows = batch.trials.map((trial) => [batch.activity, trial.user, trial.trial, trial.path, trial.time,
+		trial.confidence, trial.source, trial.angle ? trial.angle.targetAngle : null, trial.angle ? trial.angle.time : null,
+		trial.emg ? trial.emg.channel : null, trial.emg ? trial.emg.time : null, trial.offset, trial.reason, trial.error]);
+	return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+	DEFAULT_EXHAUSTION_OPTIONS,
+	detectAngleExit,
+	detectAmplitudeCollapse,
+	detectExhaustion,
+	detectTrialExhaustion,
+	detectActivityExhaustion,
+	detectActivityExhaustionInWorker,
+	exhaustionToCsv,
+};
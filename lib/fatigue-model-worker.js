@@ -0,0 +1,19 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: fatigue-model-worker.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Worker thread of `trainFatigueModelInWorker()` in `lib/fatigue-model.js`: trains a model off the server's event loop
+// and posts `{ model }`, or `{ error_msg }` if the training fails
+const { parentPort, workerData } = require("worker_threads");
+const { compileSchema } = require("./schema");
+const { trainFatigueModel } = require("./fatigue-model");
+
+try {
+	const model = trainFatigueModel(workerData.rootFolder, compileSchema(workerData.instanceNames), workerData.options);
+	parentPort.postMessage({ model: model });
+} catch (error) {
+	parentPort.postMessage({ error_msg: error.message });
+}
@@ -0,0 +1,509 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: fatigue-model.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { buildFeatureDataset, extractTrialFeatures, FEATURES } = require("./features");
+
+// Format version of the saved model files
+const MODEL_VERSION = 1;
+
+// Model types: a logistic regression scores the probability of fatigue, a ridge regression fits the 0/1 label
+const MODEL_TYPES = ["logistic", "ridge"];
+
+// Window labels of `windowLabels()` in `lib/features.js` taken as fatigued (1); `fresh` windows are 0
+const FATIGUED_LABELS = ["fatigued", "exhausted"];
+
+// Default options of the model training
+const DEFAULT_MODEL_OPTIONS = {
+	type: "logistic",
+	lambda: 1, // L2 penalty of the weights (not of the bias)
+	features: ["mav", "rms", "wl", "zc", "ssc", "mnf", "mdf"], // Feature keys of `FEATURES` used for every channel
+	channels: null, // EMG channels used; by default the channels present in every labeled trial
+	baseline: 5, // Features are taken relative to their mean over the first seconds of each trial (0 disables it)
+	iterations: 500, // Gradient descent iterations of the logistic regression
+	learningRate: 0.5, // Gradient descent step of the logistic regression
+	windowSize: 0.5, // Window length in seconds of the feature extraction
+	overlap: 0.5, // Window overlap of the feature extraction
+	minFrequency: 20, // Band of the spectral features in Hz
+	maxFrequency: 450,
+};
+
+/**
+ * Merges training options with `DEFAULT_MODEL_OPTIONS` and checks them.
+ *
+ * @param {Object} [options={}] - Overrides for `DEFAULT_MODEL_OPTIONS`.
+ * @returns {Object} - The training settings.
+ * @throws {Error} - Throws an error describing the first invalid option.
+ */
+function resolveModelOptions(options = {}) {
+	const settings = { ...DEFAULT_MODEL_OPTIONS, ...options };
+	if (!MODEL_TYPES.includes(settings.type)) {
+		throw new Error(`Invalid option: 'type' must be one of ${MODEL_TYPES.join(", ")}.`);
+	}
+	const keys = FEATURES.map((feature) => feature.key);
+	if (!Array.isArray(settings.features) || settings.features.length === 0 || settings.features.some((key) => !keys.includes(key))) {
+		throw new Error(`Invalid option: 'features' must be some of ${keys.join(", ")}.`);
+	}
+	if (settings.channels !== null && (!Array.isArray(settings.channels) || settings.channels.length === 0)) {
+		throw new Error("Invalid option: 'channels' must be a list of EMG channels.");
+	}
+	if (!(settings.lambda >= 0)) {
+		throw new Error("Invalid option: 'lambda' must be a non-negative number.");
+	}
+	if (!(settings.baseline >= 0)) {
+		throw new Error("Invalid option: 'baseline' must be a non-negative number of seconds.");
+	}
+	if (!(Number.isInteger(settings.iterations) && settings.iterations > 0) || !(settings.learningRate > 0)) {
+		throw new Error("Invalid options: 'iterations' must be a positive integer and 'learningRate' a positive number.");
+	}
+	return settings;
+}
+
+/**
+ * Expresses the features of each trial relative to its baseline: the mean of each column over the windows ending
+ * within the first `baseline` seconds (at least the first window). Fatigue shows as a change from the start of the
+ * trial, while absolute amplitudes differ between subjects and electrode placements.
+ *
+ * @param {Array<Object>} windows - The windows of one trial, in time order, each `{ window_end, values }` where
+ *                                  `values` is an array of feature values.
+ * @param {number} baseline - The baseline duration in seconds; 0 returns the values unchanged.
+ * @returns {Array<Array<number>>} - The values of each window, as `value / baseline mean - 1` (or the difference when
+ *                                   the baseline mean is 0).
+ */
+function relativeToBaseline(windows, baseline) {
+	if (!(baseline > 0) || windows.length === 0) return windows.map((window) => window.values);
+	const reference = windows.filter((window, index) => index === 0 || window.window_end <= baseline);
+	const means = windows[0].values.map((_, column) => reference.reduce((sum, window) => sum + (window.values[column] || 0), 0) / reference.length);
+	return windows.map((window) => window.values.map((value, column) => (means[column] !== 0 ? value / means[column] - 1 : value - means[column])));
+}
+
+/**
+ * Computes the mean and standard deviation of each column of a matrix.
+ *
+ * @param {Array<Array<number>>} matrix - The rows.
+ * @returns {Object} - `{ mean, sd }`, arrays with one entry per column; a constant column gets an `sd` of 1.
+ */
+function columnStatistics(matrix) {
+	const columns = matrix[0].length;
+	const mean = new Array(columns).fill(0);
+	const sd = new Array(columns).fill(0);
+	matrix.forEach((row) => row.forEach((value, column) => { mean[column] += value / matrix.length; }));
+	matrix.forEach((row) => row.forEach((value, column) => { sd[column] += (value - mean[column]) ** 2 / matrix.length; }));
+	return { mean, sd: sd.map((variance) => (variance > 0 ? Math.sqrt(variance) : 1)) };
+}
+
+/**
+ * Solves the linear system `A x = b` by Gaussian elimination with partial pivoting.
+ *
+ * @param {Array<Array<number>>} matrix - The square matrix `A` (not modified).
+ * @param {Array<number>} vector - The right-hand side `b` (not modified).
+ * @returns {Array<number>} - The solution `x`.
+ * @throws {Error} - Throws an error if the matrix is singular.
+ */
+function solveLinearSystem(matrix, vector) {
+	const size = vector.length;
+	const a = matrix.map((row, i) => [...row, vector[i]]);
+	for (let column = 0; column < size; column++) {
+		let pivot = column;
+		for (let row = column + 1; row < size; row++) {
+			if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+		}
+		if (Math.abs(a[pivot][column]) < 1e-12) {
+			throw new Error("The features are collinear; increase 'lambda'.");
+		}
+		[a[column], a[pivot]] = [a[pivot], a[column]];
+		for (let row = column + 1; row < size; row++) {
+			const factor = a[row][column] / a[column][column];
+			for (let k = column; k <= size; k++) a[row][k] -= factor * a[column][k];
+		}
+	}
+	const solution = new Array(size).fill(0);
+	for (let row = size - 1; row >= 0; row--) {
+		let sum = a[row][size];
+		for (let k = row + 1; k < size; k++) sum -= a[row][k] * solution[k];
+		solution[row] = sum / a[row][row];
+	}
+	return solution;
+}
+
+/**
+ * Fits a ridge regression `y ≈ w·x + b` in closed form. The bias is not penalised.
+ *
+ * @param {Array<Array<number>>} x - The standardised inputs.
+ * @param {Array<number>} y - The targets.
+ * @param {number} lambda - The L2 penalty.
+ * @returns {Object} - `{ weights, bias }`.
+ */
+function fitRidge(x, y, lambda) {
+	const size = x[0].length + 1; // Last coefficient is the bias
+	const gram = Array.from({ length: size }, () => new Array(size).fill(0));
+	const moment = new Array(size).fill(0);
+	x.forEach((row, i) => {
+		const extended = [...row, 1];
+		for (let p = 0; p < size; p++) {
+			moment[p] += extended[p] * y[i];
+			for (let q = 0; q < size; q++) gram[p][q] += extended[p] * extended[q];
+		}
+	});
+	for (let p = 0; p < size - 1; p++) gram[p][p] += lambda;
+	const coefficients = solveLinearSystem(gram, moment);
+	return { weights: coefficients.slice(0, -1), bias: coefficients[size - 1] };
+}
+
+/**
+ * Fits a logistic regression `P(y = 1) = σ(w·x + b)` by full-batch gradient descent on the mean log loss with an L2
+ * penalty of the weights.
+ *
+ * @param {Array<Array<number>>} x - The standardised inputs.
+ * @param {Array<number>} y - The 0/1 targets.
+ * @param {Object} settings - `{ lambda, iterations, learningRate }`.
+ * @returns {Object} - `{ weights, bias }`.
+ */
+function fitLogistic(x, y, settings) {
+	const weights = new Array(x[0].length).fill(0);
+	let bias = 0;
+	for (let iteration = 0; iteration < settings.iterations; iteration++) {
+		const gradient = new Array(weights.length).fill(0);
+		let biasGradient = 0;
+		x.forEach((row, i) => {
+			const error = sigmoid(dot(weights, row) + bias) - y[i];
+			row.forEach((value, column) => { gradient[column] += error * value / x.length; });
+			biasGradient += error / x.length;
+		});
+		weights.forEach((weight, column) => {
+			weights[column] -= settings.learningRate * (gradient[column] + settings.lambda * weight / x.length);
+		});
+		bias -= settings.learningRate * biasGradient;
+	}
+	return { weights, bias };
+}
+
+/**
+ * Computes the dot product of two vectors.
+ *
+ * @param {Array<number>} a - The first vector.
+ * @param {Array<number>} b - The second vector, as long as `a`.
+ * @returns {number} - The dot product.
+ */
+function dot(a, b) {
+	let sum = 0;
+	for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+	return sum;
+}
+
+/**
+ * Computes the logistic function.
+ *
+ * @param {number} value - The input.
+ * @returns {number} - `1 / (1 + e^-value)`.
+ */
+function sigmoid(value) {
+	return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Fits a model on prepared samples: standardises the inputs, then fits the weights.
+ *
+ * @param {Array<Array<number>>} x - The inputs (relative to baseline).
+ * @param {Array<number>} y - The 0/1 targets.
+ * @param {Object} settings - The training settings (see `resolveModelOptions()`).
+ * @returns {Object} - `{ standardization: { mean, sd }, weights, bias }`.
+ */
+function fitModel(x, y, settings) {
+	const standardization = columnStatistics(x);
+	const standardised = x.map((row) => standardize(row, standardization));
+	const fitted = settings.type === "ridge" ? fitRidge(standardised, y, settings.lambda) : fitLogistic(standardised, y, settings);
+	return { standardization, ...fitted };
+}
+
+/**
+ * Standardises a row with the statistics of the training rows.
+ *
+ * @param {Array<number>} row - The inputs.
+ * @param {Object} standardization - `{ mean, sd }` (see `columnStatistics()`).
+ * @returns {Array<number>} - The standardised inputs.
+ */
+function standardize(row, standardization) {
+	return row.map((value, column) => (value - standardization.mean[column]) / standardization.sd[column]);
+}
+
+/**
+ * Scores inputs with a fitted model: the probability of fatigue for a logistic model, the fitted label clamped to
+ * 0–1 for a ridge model.
+ *
+ * @param {Object} model - The fitted model (see `fitModel()`), or a saved model.
+ * @param {Array<number>} row - The inputs (relative to baseline).
+ * @returns {number} - The fatigue score between 0 and 1.
+ */
+function scoreRow(model, row) {
+	const value = dot(model.weights, standardize(row, model.standardization)) + model.bias;
+	return model.type === "ridge" ? Math.min(1, Math.max(0, value)) : sigmoid(value);
+}
+
+/**
+ * Computes the accuracy (score threshold 0.5) and mean absolute error of scores against 0/1 targets.
+ *
+ * @param {Array<number>} scores - The fatigue scores.
+ * @param {Array<number>} targets - The 0/1 targets.
+ * @returns {Object} - `{ n, accuracy, mae }`.
+ */
+function scoreMetrics(scores, targets) {
+	let correct = 0;
+	let error = 0;
+	scores.forEach((score, i) => {
+		if ((score >= 0.5 ? 1 : 0) === targets[i]) correct++;
+		error += Math.abs(score - targets[i]);
+	});
+	return { n: scores.length, accuracy: correct / scores.length, mae: error / scores.length };
+}
+
+/**
+ * Prepares the labeled windows of a feature table for training: windows without a label or overlapping a bad
+ * segment are dropped, and the features of each trial are taken relative to its baseline.
+ *
+ * @param {Object} table - The table returned by `buildFeatureDataset()` in `lib/features.js`.
+ * @param {Array<string>} columns - The feature columns used, e.g. `["biceps_mav", "biceps_rms", ...]`.
+ * @param {number} baseline - The baseline duration in seconds (see `relativeToBaseline()`).
+ * @returns {Array<Object>} - One `{ user, trial, x, y }` per labeled window, where `trial` is `<activity>/<trial>`.
+ */
+function prepareSamples(table, columns, baseline) {
+	const trials = new Map();
+	table.rows.forEach((row) => {
+		const key = `${row.user}/${row.activity}/${row.trial}`;
+		if (!trials.has(key)) trials.set(key, []);
+		trials.get(key).push(row);
+	});
+	const samples = [];
+	trials.forEach((rows) => {
+		// The baseline is taken over every window of the trial, labeled or not
+		const complete = rows.filter((row) => columns.every((column) => row[column] !== null));
+		const values = relativeToBaseline(complete.map((row) => ({ window_end: row.window_end, values: columns.map((column) => row[column]) })), baseline);
+		complete.forEach((row, index) => {
+			if (row.label === null || row.bad_segment) return;
+			samples.push({
+				user: row.user,
+				trial: `${row.activity}/${row.trial}`,
+				x: values[index],
+				y: FATIGUED_LABELS.includes(row.label) ? 1 : 0,
+			});
+		});
+	});
+	return samples;
+}
+
+/**
+ * Trains a fatigue model on the labeled trials of a data collection and evaluates it with leave-one-subject-out
+ * cross-validation.
+ *
+ * Windows are labeled from the trial annotations (see `windowLabels()` in `lib/features.js`): `fresh` windows are
+ * 0, `fatigued` and `exhausted` windows 1, and windows without a label or overlapping a bad segment are left out.
+ * For each subject, a model trained on the other subjects scores that subject's windows; the final model is then
+ * trained on every subject.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} [options={}] - Overrides for `DEFAULT_MODEL_OPTIONS`, and `activities` and `samplingRate` as for
+ *                                `buildFeatureDataset()`.
+ * @returns {Object} - The model, ready to be saved as JSON:
+ *                     - `version`, `type`, `trained`: The file version, model type and training date.
+ *                     - `root`: The `data_collection` folder it was trained on (see `readModel()`).
+ *                     - `channels`, `features`, `columns`: The inputs, one column per channel and feature.
+ *                     - `options`: The window, band, baseline and fitting settings used.
+ *                     - `standardization`, `weights`, `bias`: The fitted model.
+ *                     - `training`: `{ windows, fatigued, subjects, trials }` counts.
+ *                     - `evaluation`: `{ subjects: { [user]: { n, accuracy, mae } }, mean: { accuracy, mae } }` of the
+ *                       leave-one-subject-out cross-validation; `null` with fewer than two subjects.
+ * @throws {Error} - Throws an error if an option is invalid, or the data holds no labeled windows of both classes.
+ *
+ * @example
+ * const model = trainFatigueModel(rootFolder, schema, { type: 'logistic', channels: ['biceps'] });
+ * console.log(model.evaluation.mean); // { accuracy: 0.84, mae: 0.21 }
+ * saveModel(model, '/path/to/models/default.json');
+ */
+function trainFatigueModel(rootFolder, schema, options = {}) {
+	const { activities, samplingRate, ...modelOptions } = options;
+	const settings = resolveModelOptions(modelOptions);
+	const extraction = { windowSize: settings.windowSize, overlap: settings.overlap, minFrequency: settings.minFrequency, maxFrequency: settings.maxFrequency };
+	const table = buildFeatureDataset(rootFolder, schema, { ...extraction, activities, samplingRate, channels: settings.channels || undefined });
+
+	// Channels present in every labeled trial, unless chosen
+	const labeledTrials = new Map();
+	table.rows.filter((row) => row.label !== null).forEach((row) => {
+		labeledTrials.set(`${row.user}/${row.activity}/${row.trial}`, row);
+	});
+	if (labeledTrials.size === 0) {
+		throw new Error("No labeled windows: annotate the fatigue onset (and task failure) of some trials first.");
+	}
+	const channelsOf = (row) => table.columns.filter((column) => column.endsWith("_mav") && row[column] !== null).map((column) => column.slice(0, -4));
+	const channels = settings.channels || [...labeledTrials.values()].map(channelsOf).reduce((common, list) => common.filter((channel) => list.includes(channel)));
+	if (channels.length === 0) {
+		throw new Error("The labeled trials share no EMG channel; choose the channels.");
+	}
+	const columns = channels.flatMap((channel) => settings.features.map((key) => `${channel}_${key}`));
+
+	const samples = prepareSamples(table, columns, settings.baseline);
+	const fatigued = samples.filter((sample) => sample.y === 1).length;
+	if (fatigued === 0 || fatigued === samples.length) {
+		throw new Error("The labeled windows must include both fresh and fatigued windows.");
+	}
+	const subjects = [...new Set(samples.map((sample) => sample.user))].sort();
+
+	// Leave-one-subject-out cross-validation
+	let evaluation = null;
+	if (subjects.length >= 2) {
+		evaluation = { subjects: {}, mean: null };
+		subjects.forEach((user) => {
+			const training = samples.filter((sample) => sample.user !== user);
+			const testing = samples.filter((sample) => sample.user === user);
+			const classes = new Set(training.map((sample) => sample.y));
+			if (classes.size < 2) {
+				evaluation.subjects[user] = { n: testing.length, accuracy: null, mae: null, error: "The other subjects hold a single class." };
+				return;
+			}
+			const fold = { type: settings.type, ...fitModel(training.map((sample) => sample.x), training.map((sample) => sample.y), settings) };
+			evaluation.subjects[user] = scoreMetrics(testing.map((sample) => scoreRow(fold, sample.x)), testing.map((sample) => sample.y));
+		});
+		const evaluated = Object.values(evaluation.subjects).filter((metrics) => metrics.accuracy !== null);
+		evaluation.mean = evaluated.length > 0 ? {
+			accuracy: evaluated.reduce((sum, metrics) => sum + metrics.accuracy, 0) / evaluated.length,
+			mae: evaluated.reduce((sum, metrics) => sum + metrics.mae, 0) / evaluated.length,
+		} : null;
+	}
+
+	const fitted = fitModel(samples.map((sample) => sample.x), samples.map((sample) => sample.y), settings);
+	const { type, features, lambda, baseline, iterations, learningRate } = settings;
+	return {
+		version: MODEL_VERSION,
+		type: type,
+		trained: new Date().toISOString(),
+		root: rootFolder,
+		channels: channels,
+		features: features,
+		columns: columns,
+		options: { ...extraction, baseline, lambda, ...(type === "logistic" ? { iterations, learningRate } : {}) },
+		...fitted,
+		training: {
+			windows: samples.length,
+			fatigued: fatigued,
+			subjects: subjects,
+			trials: new Set(samples.map((sample) => `${sample.user}/${sample.trial}`)).size,
+		},
+		evaluation: evaluation,
+	};
+}
+
+/**
+ * Trains a fatigue model like `trainFatigueModel()`, but in a worker thread, so that a server keeps answering
+ * requests while the features of every trial are extracted and the model is cross-validated.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} instanceNames - The `instanceNames.json` content of the dataset; the worker compiles its schema.
+ * @param {Object} [options={}] - The options of `trainFatigueModel()`.
+ * @returns {Promise<Object>} - Resolves to the model.
+ * @throws {Error} - Rejects with the error of `trainFatigueModel()`, or if the worker fails.
+ */
+function trainFatigueModelInWorker(rootFolder, instanceNames, options = {}) {
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(path.join(__dirname, "fatigue-model-worker.js"), {
+			workerData: { rootFolder: rootFolder, instanceNames: instanceNames, options: options },
+		});
+		worker.once("message", (message) => (message.error_msg ? reject(new Error(message.error_msg)) : resolve(message.model)));
+		worker.once("error", reject);
+		worker.once("exit", (code) => {
+			if (code !== 0) reject(new Error(`The training worker stopped with exit code ${code}.`));
+		});
+	});
+}
+
+/**
+ * Scores every window of a trial's EMG recording with a model, giving the fatigue score over time.
+ *
+ * Windows lacking a feature (e.g. no MDF in a silent window) are not scored, as they are left out of training;
+ * the baseline is taken over the complete windows.
+ *
+ * @param {Object} model - A model returned by `trainFatigueModel()` or `readModel()`.
+ * @param {Object} signals - The EMG recording as returned by `readSignals()` in `lib/csv.js`.
+ * @returns {Object} - `{ type, channels, windowSize, time, score }` where `time` holds the window centres in seconds
+ *                     from the first sample and `score` the fatigue score (0–1) of each window, or null for windows
+ *                     lacking a feature.
+ * @throws {Error} - Throws an error if the recording lacks a model channel or is shorter than a window.
+ */
+function predictFatigue(model, signals) {
+	const { windowSize, overlap, minFrequency, maxFrequency, baseline } = model.options;
+	const extracted = extractTrialFeatures(signals, { windowSize, overlap, minFrequency, maxFrequency, channels: model.channels });
+	const rows = extracted.windows.map((window) => model.columns.map((column) => {
+		const separator = column.lastIndexOf("_");
+		const value = window.features[column.slice(0, separator)][column.slice(separator + 1)];
+		return value === undefined ? null : value;
+	}));
+	const complete = [];
+	rows.forEach((row, index) => {
+		if (row.every((value) => value !== null)) complete.push(index);
+	});
+	const values = relativeToBaseline(complete.map((index) => ({ window_end: extracted.windows[index].end, values: rows[index] })), baseline);
+	const score = rows.map(() => null);
+	complete.forEach((rowIndex, index) => {
+		score[rowIndex] = scoreRow(model, values[index]);
+	});
+	return {
+		type: model.type,
+		channels: model.channels,
+		windowSize: windowSize,
+		time: extracted.windows.map((window) => (window.start + window.end) / 2),
+		score: score,
+	};
+}
+
+/**
+ * Saves a model as JSON, writing a temporary file renamed into place.
+ *
+ * @param {Object} model - The model returned by `trainFatigueModel()`.
+ * @param {string} modelFile - The absolute path of the model file; its folder is created if needed.
+ */
+function saveModel(model, modelFile) {
+	fs.mkdirSync(path.dirname(modelFile), { recursive: true });
+	const temporaryFile = `${modelFile}.${process.pid}.tmp`;
+	fs.writeFileSync(temporaryFile, JSON.stringify(model, null, 2), "utf8");
+	fs.renameSync(temporaryFile, modelFile);
+}
+
+/**
+ * Reads a saved model. Model files are named after their dataset, so a file may have been trained on another
+ * data collection served under the same name; such a model is ignored.
+ *
+ * @param {string} modelFile - The absolute path of the model file.
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder the model must be trained on.
+ * @returns {Object|null} - The model, or `null` if no model of that data collection is saved there.
+ * @throws {Error} - Throws an error if the file is not a model of this version.
+ */
+function readModel(modelFile, rootFolder) {
+	if (!fs.existsSync(modelFile)) return null;
+	const model = JSON.parse(fs.readFileSync(modelFile, "utf8"));
+	if (model.version !== MODEL_VERSION || !MODEL_TYPES.includes(model.type)) {
+		throw new Error(`${path.basename(modelFile)} is not a version ${MODEL_VERSION} fatigue model; train the model again.`);
+	}
+	return model.root === rootFolder ? model : null;
+}
+
+module.exports = {
+	MODEL_TYPES,
+	DEFAULT_MODEL_OPTIONS,
+	FATIGUED_LABELS,
+	resolveModelOptions,
+	relativeToBaseline,
+	solveLinearSystem,
+	fitRidge,
+	fitLogistic,
+	scoreMetrics,
+	trainFatigueModel,
+	trainFatigueModelInWorker,
+	predictFatigue,
+	saveModel,
+	readModel,
+};
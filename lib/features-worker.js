@@ -0,0 +1,19 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: features-worker.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Worker thread of `buildFeatureDatasetInWorker()` in `lib/features.js`: extracts the feature table off the server's
+// event loop and posts `{ table }`, or `{ error_msg }` if the extraction fails
+const { parentPort, workerData } = require("worker_threads");
+const { compileSchema } = require("./schema");
+const { buildFeatureDataset } = require("./features");
+
+try {
+	const table = buildFeatureDataset(workerData.rootFolder, compileSchema(workerData.instanceNames), workerData.options);
+	parentPort.postMessage({ table: table });
+} catch (error) {
+	parentPort.postMessage({ error_msg: error.message });
+}
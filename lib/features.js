@@ -0,0 +1,417 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: features.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { readSignals } = require("./csv");
+const { powerSpectrum, spectralFrequencies } = require("./emg-analysis");
+const { readAnnotations } = require("./annotations");
+const { listActivityTrials, csvField } = require("./cohort");
+
+// Default options of the windowed feature extraction
+const DEFAULT_FEATURE_OPTIONS = {
+	windowSize: 0.25, // Window length in seconds
+	overlap: 0.5, // Fraction of the window shared with the next one (0 <= overlap < 1)
+	minFrequency: 20, // Lower bound of the band used for the spectral features in Hz
+	maxFrequency: 450, // Upper bound of the band used for the spectral features in Hz
+	threshold: 0, // Amplitude a zero crossing or slope sign change must exceed, in signal units (rejects noise)
+	splits: { train: 0.7, validation: 0.15, test: 0.15 }, // Share of the users in each split
+	seed: 1, // Seed of the user shuffle, so that the split assignment is reproducible
+};
+
+// Features computed for each channel and window, in column order
+const FEATURES = [
+	{ key: "mav", label: "Mean absolute value" },
+	{ key: "rms", label: "Root mean square" },
+	{ key: "wl", label: "Waveform length" },
+	{ key: "zc", label: "Zero crossings" },
+	{ key: "ssc", label: "Slope sign changes" },
+	{ key: "mnf", label: "Mean frequency (Hz)" },
+	{ key: "mdf", label: "Median frequency (Hz)" },
+	{ key: "sm0", label: "Spectral moment 0 (total power)" },
+	{ key: "sm1", label: "Spectral moment 1" },
+	{ key: "sm2", label: "Spectral moment 2" },
+	{ key: "sm3", label: "Spectral moment 3" },
+];
+
+// Columns describing each window, before the feature columns
+const WINDOW_COLUMNS = ["user", "activity", "trial", "split", "window_start", "window_end", "label", "bad_segment", "repetition"];
+
+// Splits a user can be assigned to
+const SPLIT_NAMES = ["train", "validation", "test"];
+
+/**
+ * Computes the features of one window of an EMG channel.
+ *
+ * - Time domain: `mav`, `rms`, `wl` (sum of absolute differences), `zc` and `ssc` (counts, ignoring changes
+ *   smaller than `threshold`).
+ * - Frequency domain, within `minFrequency`–`maxFrequency`: `mnf` and `mdf` as computed by `spectralFrequencies()`
+ *   in `lib/emg-analysis.js`, and the spectral moments `smK = Σ f^K · P(f)` of the power spectrum of `powerSpectrum()`.
+ *
+ * @param {ArrayLike<number>} segment - The window samples.
+ * @param {number} samplingRate - Sampling rate in Hz.
+ * @param {Object} settings - The extraction options (see `DEFAULT_FEATURE_OPTIONS`).
+ * @returns {Object} - `{ [feature]: value }` for every key of `FEATURES`; spectral features are `null` when the
+ *                     band holds no power.
+ */
+function windowFeatures(segment, samplingRate, settings) {
+	const length = segment.length;
+	let absolute = 0;
+	let squares = 0;
+	let waveformLength = 0;
+	let zeroCrossings = 0;
+	let slopeSignChanges = 0;
+	for (let i = 0; i < length; i++) {
+		const value = segment[i];
+		absolute += Math.abs(value);
+		squares += value * value;
+		if (i === 0) continue;
+		const previous = segment[i - 1];
+		waveformLength += Math.abs(value - previous);
+		if (previous * value < 0 && Math.abs(value - previous) >= settings.threshold) zeroCrossings++;
+		if (i + 1 < length) {
+			const next = segment[i + 1];
+			if ((value - previous) * (value - next) > 0 &&
+				(Math.abs(value - previous) >= settings.threshold || Math.abs(value - next) >= settings.threshold)) {
+				slopeSignChanges++;
+			}
+		}
+	}
+
+	const spectrum = powerSpectrum(segment, samplingRate);
+	const { frequencies, power } = spectrum;
+	const { mnf, mdf } = spectralFrequencies(spectrum, settings.minFrequency, settings.maxFrequency);
+	const moments = [0, 0, 0, 0];
+	for (let k = 0; k < frequencies.length; k++) {
+		if (frequencies[k] < settings.minFrequency || frequencies[k] > settings.maxFrequency) continue;
+		moments.forEach((_, order) => { moments[order] += frequencies[k] ** order * power[k]; });
+	}
+	return {
+		mav: absolute / length,
+		rms: Math.sqrt(squares / length),
+		wl: waveformLength,
+		zc: zeroCrossings,
+		ssc: slopeSignChanges,
+		mnf: mnf,
+		mdf: mdf,
+		sm0: moments[0],
+		sm1: moments[1],
+		sm2: moments[2],
+		sm3: moments[3],
+	};
+}
+
+/**
+ * Merges feature extraction options with `DEFAULT_FEATURE_OPTIONS` and checks them.
+ *
+ * @param {Object} [options={}] - Overrides for `DEFAULT_FEATURE_OPTIONS`.
+ * @returns {Object} - The extraction settings.
+ * @throws {Error} - Throws an error describing the first invalid option.
+ */
+function resolveFeatureOptions(options = {}) {
+	const settings = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+	if (!(settings.windowSize > 0)) {
+		throw new Error("Invalid option: 'windowSize' must be a positive number of seconds.");
+	}
+	if (!(settings.overlap >= 0 && settings.overlap < 1)) {
+		throw new Error("Invalid option: 'overlap' must be a fraction between 0 (inclusive) and 1 (exclusive).");
+	}
+	if (!(settings.minFrequency >= 0 && settings.maxFrequency > settings.minFrequency)) {
+		throw new Error("Invalid options: 'minFrequency' and 'maxFrequency' must give a frequency band.");
+	}
+	if (!(settings.threshold >= 0)) {
+		throw new Error("Invalid option: 'threshold' must be a non-negative amplitude.");
+	}
+	const shares = SPLIT_NAMES.map((name) => settings.splits[name] || 0);
+	if (shares.some((share) => !(share >= 0)) || Math.abs(shares.reduce((sum, share) => sum + share, 0) - 1) > 1e-6 || !(shares[0] > 0)) {
+		throw new Error("Invalid option: 'splits' must give the train, validation and test shares, adding up to 1, with some training users.");
+	}
+	if (!Number.isInteger(settings.seed)) {
+		throw new Error("Invalid option: 'seed' must be an integer.");
+	}
+	return settings;
+}
+
+/**
+ * Cuts an EMG recording into overlapping windows and computes the features of every channel in each window.
+ * Windows follow the convention of `analyzeFatigue()` in `lib/emg-analysis.js`; samples left over after the last
+ * full window are dropped.
+ *
+ * @param {Object} signals - The recording as returned by `readSignals()` in `lib/csv.js`.
+ * @param {Object} [options={}] - Overrides for `DEFAULT_FEATURE_OPTIONS`, and `channels` to restrict the channels.
+ * @returns {Object} - `{ channels, windows }` where `windows` holds `{ start, end, features: { [channel]: windowFeatures() } }`
+ *                     with times in seconds from the first sample.
+ * @throws {Error} - Throws an error if an option is invalid, a channel is missing or the recording is shorter than a window.
+ */
+function extractTrialFeatures(signals, options = {}) {
+	const settings = resolveFeatureOptions(options);
+	const channels = settings.channels || Object.keys(signals.channels);
+	const missing = channels.filter((channel) => !signals.channels[channel]);
+	if (missing.length > 0) {
+		throw new Error(`No ${missing.map((channel) => `'${channel}'`).join(", ")} channel`);
+	}
+	const windowLength = Math.round(settings.windowSize * signals.samplingRate);
+	const step = Math.max(1, Math.round(windowLength * (1 - settings.overlap)));
+	if (windowLength < 2 || windowLength > signals.time.length) {
+		throw new Error(`Window of ${settings.windowSize} s does not fit a recording of ${signals.time.length} samples`);
+	}
+
+	const windows = [];
+	for (let start = 0; start + windowLength <= signals.time.length; start += step) {
+		const features = {};
+		channels.forEach((channel) => {
+			features[channel] = windowFeatures(signals.channels[channel].subarray(start, start + windowLength), signals.samplingRate, settings);
+		});
+		// Rounded to the microsecond, as the sampling rate estimated from the time column is rarely exact
+		windows.push({
+			start: Number((start / signals.samplingRate).toFixed(6)),
+			end: Number(((start + windowLength) / signals.samplingRate).toFixed(6)),
+			features: features,
+		});
+	}
+	return { channels, windows };
+}
+
+/**
+ * Labels a window from the annotations of its trial (see `lib/annotations.js`). Annotation channels are ignored:
+ * a label applies to every channel of the window.
+ *
+ * @param {number} start - Start of the window in seconds.
+ * @param {number} end - End of the window in seconds.
+ * @param {Array<Object>} annotations - The annotations of the trial.
+ * @returns {Object} - The labels:
+ *                     - `label`: From the window centre: `'exhausted'` after the first `task_failure`, otherwise
+ *                       `'fatigued'` after the first `fatigue_onset` and `'fresh'` before it; `null` if the trial has
+ *                       no `fatigue_onset` (nor a `task_failure` before the window).
+ *                     - `bad_segment`: `1` if the window overlaps a `bad_segment` span, otherwise `0`.
+ *                     - `repetition`: The number of `rep_boundary` marks up to the window centre (0 before the first),
+ *                       or `null` if the trial has none.
+ */
+function windowLabels(start, end, annotations) {
+	const centre = (start + end) / 2;
+	const first = (type) => {
+		const times = annotations.filter((annotation) => annotation.type === type).map((annotation) => annotation.time);
+		return times.length > 0 ? Math.min(...times) : null;
+	};
+	const onset = first("fatigue_onset");
+	const failure = first("task_failure");
+	let label = null;
+	if (failure !== null && centre >= failure) label = "exhausted";
+	else if (onset !== null) label = centre >= onset ? "fatigued" : "fresh";
+
+	const boundaries = annotations.filter((annotation) => annotation.type === "rep_boundary");
+	return {
+		label: label,
+		bad_segment: annotations.some((annotation) => annotation.type === "bad_segment" && annotation.time < end && annotation.end > start) ? 1 : 0,
+		repetition: boundaries.length > 0 ? boundaries.filter((annotation) => annotation.time <= centre).length : null,
+	};
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so that shuffles are reproducible.
+ *
+ * @param {number} seed - The seed.
+ * @returns {Function} - A function returning numbers in [0, 1).
+ */
+function seededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Assigns every user to the train, validation or test split, so that no user's windows appear in two splits.
+ * The users are shuffled with the seed and cut by the split shares; with few users the test and validation splits
+ * get at least one user each when their share is positive, as long as a training user is left.
+ *
+ * @param {Array<string>} users - The user numbers.
+ * @param {Object} [splits=DEFAULT_FEATURE_OPTIONS.splits] - `{ train, validation, test }` shares adding up to 1.
+ * @param {number} [seed=DEFAULT_FEATURE_OPTIONS.seed] - The seed of the shuffle.
+ * @returns {Object} - `{ [user]: 'train' | 'validation' | 'test' }`.
+ *
+ * @example
+ * assignSubjectSplits(['01', '02', '03', '04', '05', '06', '07', '08', '09', '10']);
+ * // 6 train, 2 validation and 2 test users, e.g. { '01': 'train', '02': 'test', '03': 'train', ... }
+ */
+function assignSubjectSplits(users, splits = DEFAULT_FEATURE_OPTIONS.splits, seed = DEFAULT_FEATURE_OPTIONS.seed) {
+	const shuffled = [...new Set(users)].sort((a, b) => Number(a) - Number(b) || a.localeCompare(b));
+	const random = seededRandom(seed);
+	for (let i = shuffled.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	}
+	const count = (share) => (share > 0 ? Math.max(1, Math.round(share * shuffled.length)) : 0);
+	const test = Math.min(count(splits.test || 0), Math.max(0, shuffled.length - 1));
+	const validation = Math.min(count(splits.validation || 0), Math.max(0, shuffled.length - 1 - test));
+	const assignment = {};
+	shuffled.forEach((user, index) => {
+		assignment[user] = index < test ? "test" : index < test + validation ? "validation" : "train";
+	});
+	return assignment;
+}
+
+/**
+ * Builds an ML-ready feature table of the data collection: every trial's `emg.csv` is cut into windows (see
+ * `extractTrialFeatures()`), each window becomes a row with its trial identifiers, the user's split, the labels
+ * from the trial's annotations (see `windowLabels()`) and one `<channel>_<feature>` column per channel and feature.
+ *
+ * Trials are found with the user and activity folder grouping (see `listActivityTrials()` in `lib/cohort.js`).
+ * Trials that cannot be read are listed with their error and contribute no rows.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} [options={}] - Overrides for `DEFAULT_FEATURE_OPTIONS`, and:
+ *                                - `activities`, `users`: Restrict the trials (default: all).
+ *                                - `channels`: Restrict the channels (default: every channel of each file).
+ *                                - `samplingRate`: Sampling rate in Hz of files without a time column.
+ * @returns {Object} - The table:
+ *                     - `columns`: The column names, window columns first (see `WINDOW_COLUMNS`).
+ *                     - `rows`: One object per window, keyed by column; channels missing from a trial are `null`.
+ *                     - `features`: `FEATURES`.
+ *                     - `splits`: `{ [user]: split }` over every user of the data collection (see `assignSubjectSplits()`).
+ *                     - `trials`: One `{ user, activity, trial, path, windows, error }` per trial.
+ *                     - `options`: The window, band and split settings used.
+ * @throws {Error} - Throws an error if an option is invalid or an activity is not registered.
+ *
+ * @example
+ * const table = buildFeatureDataset(rootFolder, schema, { windowSize: 0.5, activities: ['max_endurance_elbow_flexion_standing'] });
+ * fs.writeFileSync('features.csv', featuresToCsv(table));
+ */
+function buildFeatureDataset(rootFolder, schema, options = {}) {
+	const { activities, users, samplingRate, ...extraction } = options;
+	const settings = resolveFeatureOptions(extraction);
+	(activities || []).forEach((activity) => listActivityTrials(rootFolder, schema, activity)); // Rejects unknown activities
+	const allTrials = schema.instanceNames.activity
+		.flatMap((activity) => listActivityTrials(rootFolder, schema, activity).map((trial) => ({ ...trial, activity })));
+	// Splits are assigned over every user, so that a user keeps its split whatever the filters
+	const splits = assignSubjectSplits(allTrials.map((trial) => trial.user), settings.splits, settings.seed);
+	const trials = allTrials.filter((trial) => (!activities || activities.includes(trial.activity)) && (!users || users.includes(trial.user)));
+
+	const channels = [];
+	const rows = [];
+	const summaries = trials.map((trial) => {
+		const summary = { user: trial.user, activity: trial.activity, trial: trial.trial, path: trial.path, windows: 0, error: null };
+		try {
+			const signals = readSignals(trial.filePath, { samplingRate });
+			const extracted = extractTrialFeatures(signals, settings);
+			const annotations = readAnnotations(path.dirname(trial.filePath));
+			extracted.channels.forEach((channel) => { if (!channels.includes(channel)) channels.push(channel); });
+			extracted.windows.forEach((window) => {
+				const row = {
+					user: trial.user,
+					activity: trial.activity,
+					trial: trial.trial,
+					split: splits[trial.user],
+					window_start: window.start,
+					window_end: window.end,
+					...windowLabels(window.start, window.end, annotations),
+				};
+				Object.entries(window.features).forEach(([channel, values]) => {
+					FEATURES.forEach(({ key }) => { row[`${channel}_${key}`] = values[key]; });
+				});
+				rows.push(row);
+			});
+			summary.windows = extracted.windows.length;
+		} catch (error) {
+			summary.error = error.code === "ENOENT" ? "No EMG file" : error.message;
+		}
+		return summary;
+	});
+
+	const columns = [...WINDOW_COLUMNS, ...channels.flatMap((channel) => FEATURES.map(({ key }) => `${channel}_${key}`))];
+	rows.forEach((row) => columns.forEach((column) => { if (row[column] === undefined) row[column] = null; }));
+	const { windowSize, overlap, minFrequency, maxFrequency, threshold, seed } = settings;
+	return {
+		columns: columns,
+		rows: rows,
+		features: FEATURES,
+		splits: splits,
+		trials: summaries,
+		options: { windowSize, overlap, minFrequency, maxFrequency, threshold, splits: settings.splits, seed },
+	};
+}
+
+/**
+ * Builds the feature table like `buildFeatureDataset()`, but in a worker thread, so that a server keeps answering
+ * requests while every trial's `emg.csv` is read and cut into windows.
+ *
+ * @param {string} rootFolder - The absolute path of the `data_collection` folder.
+ * @param {Object} instanceNames - The `instanceNames.json` content of the dataset; the worker compiles its schema.
+ * @param {Object} [options={}] - The options of `buildFeatureDataset()`.
+ * @returns {Promise<Object>} - Resolves to the table.
+ * @throws {Error} - Rejects with the error of `buildFeatureDataset()`, or if the worker fails.
+ */
+function buildFeatureDatasetInWorker(rootFolder, instanceNames, options = {}) {
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(path.join(__dirname, "features-worker.js"), {
+			workerData: { rootFolder: rootFolder, instanceNames: instanceNames, options: options },
+		});
+		worker.once("message", (message) => (message.error_msg ? reject(new Error(message.error_msg)) : resolve(message.table)));
+		worker.once("error", reject);
+		worker.once("exit", (code) => {
+			if (code !== 0) reject(new Error(`The feature extraction worker stopped with exit code ${code}.`));
+		});
+	});
+}
+
+/**
+ * Converts a feature table into CSV, one row per window.
+ *
+ * @param {Object} table - The table returned by `buildFeatureDataset()`.
+ * @returns {string} - The CSV text.
+ */
+function featuresToCsv(table) {
+	const lines = [table.columns.map(csvField).join(",")];
+	table.rows.forEach((row) => lines.push(table.columns.map((column) => csvField(row[column])).join(",")));
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Converts a feature table into a columnar JSON document, like a Parquet file: one array of values per column,
+ * with the column types, so that data frame libraries can load it without parsing rows
+ * (e.g. `pandas.DataFrame(doc["data"])`).
+ *
+ * @param {Object} table - The table returned by `buildFeatureDataset()`.
+ * @returns {Object} - `{ schema: [{ name, type }], rows, data: { [column]: Array }, metadata: { features, splits, trials, options } }`
+ *                     where `type` is `'string'`, `'number'` or `'integer'`.
+ */
+function featuresToColumns(table) {
+	const strings = ["user", "activity", "trial", "split", "label"];
+	const integers = ["bad_segment", "repetition", ...table.columns.filter((column) => /_(zc|ssc)$/.test(column))];
+	const data = {};
+	table.columns.forEach((column) => { data[column] = table.rows.map((row) => row[column]); });
+	return {
+		schema: table.columns.map((name) => ({
+			name: name,
+			type: strings.includes(name) ? "string" : integers.includes(name) ? "integer" : "number",
+		})),
+		rows: table.rows.length,
+		data: data,
+		metadata: { features: table.features, splits: table.splits, trials: table.trials, options: table.options },
+	};
+}
+
+module.exports = {
+	DEFAULT_FEATURE_OPTIONS,
+	FEATURES,
+	WINDOW_COLUMNS,
+	SPLIT_NAMES,
+	windowFeatures,
+	resolveFeatureOptions,
+	extractTrialFeatures,
+	windowLabels,
+	assignSubjectSplits,
+	buildFeatureDataset,
+	buildFeatureDatasetInWorker,
+	featuresToCsv,
+	featuresToColumns,
+};
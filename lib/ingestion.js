@@ -0,0 +1,211 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: ingestion.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { detectDelimiter, parseCsvLine, findTimeColumn } = require("./csv");
+const { matchSegment, formatSegment } = require("./schema");
+
+// Data types that are time series and therefore need a time column
+const TIME_SERIES_DATA_TYPES = ["emg", "skeleton"];
+
+// Name of the hidden staging folder of a trial being written, e.g. `.max_endurance_elbow_flexion_standing_03.tmp-Ab12Cd`
+const STAGING_FOLDER_PATTERN = /^\.(.+)\.tmp-[^.]*$/;
+
+/**
+ * Finds the next free trial number of an activity in a user folder. Trials still being written into a staging
+ * folder (see `writeTrialAtomically()` and `startTrialRecording()`) count as taken, so that their number is
+ * not handed out twice.
+ *
+ * @param {string} userFolder - The absolute path of the `user_XX` folder (may not exist yet).
+ * @param {string} activity - The activity name.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @returns {string} - The next trial number, zero-padded like the existing trials (at least two digits).
+ */
+function nextTrialNumber(userFolder, activity, schema) {
+	if (!fs.existsSync(userFolder)) return "01";
+	let highest = 0;
+	let width = 2;
+	fs.readdirSync(userFolder).forEach((entry) => {
+		const staging = STAGING_FOLDER_PATTERN.exec(entry);
+		const match = matchSegment(schema, 1, staging ? staging[1] : entry);
+		if (!match || match.activity !== activity) return;
+		highest = Math.max(highest, Number(match.trial));
+		width = Math.max(width, match.trial.length);
+	});
+	return String(highest + 1).padStart(width, "0");
+}
+
+/**
+ * Checks the content of an uploaded data file before it is ingested. The file is read line by line, so that
+ * large recordings are never held in memory.
+ *
+ * The file must be UTF-8 CSV text with a header of unique, non-empty column names and at least one
+ * data row whose field count matches the header. Time-series data types must have a time column.
+ *
+ * @async
+ * @param {string} dataType - The data type of the file (e.g., "emg").
+ * @param {string} filePath - The absolute path of the uploaded file.
+ * @returns {Promise<Array<string>>} - Resolves to the column names of the file.
+ * @throws {Error} - Rejects with an error describing why the file is rejected.
+ */
+async function validateTrialFile(dataType, filePath) {
+	const input = fs.createReadStream(filePath, { encoding: "utf8" });
+	const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+	let columns = null;
+	let delimiter = ",";
+	let rowCount = 0;
+	try {
+		for await (const line of lines) {
+			if (line.trim() === "") continue;
+			if (!columns) {
+				delimiter = detectDelimiter(line);
+				columns = parseCsvLine(line, delimiter);
+				if (columns.some((column) => column === "")) {
+					throw new Error(`${dataType}.csv: the header has empty column names.`);
+				}
+				if (new Set(columns).size !== columns.length) {
+					throw new Error(`${dataType}.csv: the header has duplicate column names.`);
+				}
+				if (TIME_SERIES_DATA_TYPES.includes(dataType) && findTimeColumn(columns) < 0) {
+					throw new Error(`${dataType}.csv: no time column (e.g. 'time' or 'timestamp') found in the header.`);
+				}
+				continue;
+			}
+			rowCount += 1;
+			const fieldCount = parseCsvLine(line, delimiter).length;
+			if (fieldCount !== columns.length) {
+				throw new Error(`${dataType}.csv: data row ${rowCount} has ${fieldCount} fields, the header has ${columns.length}.`);
+			}
+		}
+	} finally {
+		lines.close();
+		input.destroy();
+	}
+	if (!columns) {
+		throw new Error(`${dataType}.csv: CSV file has no header line.`);
+	}
+	if (rowCount === 0) {
+		throw new Error(`${dataType}.csv: the file has no data rows.`);
+	}
+	return columns;
+}
+
+/**
+ * Moves a file, copying it when the destination is on another file system.
+ *
+ * @param {string} source - The absolute path of the file.
+ * @param {string} destination - The absolute path it is moved to.
+ */
+function moveFile(source, destination) {
+	try {
+		fs.renameSync(source, destination);
+	} catch (error) {
+		if (error.code !== "EXDEV") throw error;
+		fs.copyFileSync(source, destination);
+		fs.unlinkSync(source);
+	}
+}
+
+/**
+ * Writes the files of a new trial atomically: they are first moved into a hidden staging folder
+ * next to the destination, which is then renamed into place. A reader never sees a half-written trial.
+ *
+ * @param {string} userFolder - The absolute path of the `user_XX` folder (created if needed).
+ * @param {string} trialFolderName - The name of the new `<activity>_NN` folder.
+ * @param {Object} files - Object mapping file names (e.g. "emg.csv") to the absolute paths of the uploaded
+ *                         files, which are moved into the trial.
+ * @returns {string} - The absolute path of the new trial folder.
+ * @throws {Error} - Throws an error with `code` `'EEXIST'` if the trial folder already exists.
+ */
+function writeTrialAtomically(userFolder, trialFolderName, files) {
+	const trialFolder = path.join(userFolder, trialFolderName);
+	fs.mkdirSync(userFolder, { recursive: true });
+	const stagingFolder = fs.mkdtempSync(path.join(userFolder, `.${trialFolderName}.tmp-`));
+	try {
+		Object.entries(files).forEach(([fileName, filePath]) => {
+			moveFile(filePath, path.join(stagingFolder, fileName));
+		});
+		// Checked just before the rename: renaming onto an empty folder would otherwise succeed
+		if (fs.existsSync(trialFolder)) {
+			const error = new Error(`Trial folder ${trialFolderName} already exists.`);
+			error.code = "EEXIST";
+			throw error;
+		}
+		fs.renameSync(stagingFolder, trialFolder);
+	} catch (error) {
+		fs.rmSync(stagingFolder, { recursive: true, force: true });
+		throw error;
+	}
+	return trialFolder;
+}
+
+/**
+ * Starts recording a new trial whose data file grows while it is written, e.g. from a live stream. Like
+ * `writeTrialAtomically()`, the file is written into a hidden staging folder that is only renamed into place
+ * by `finish()`, so the trial appears complete. The staging folder reserves the next free trial number of the
+ * activity from the start (see `nextTrialNumber()`).
+ *
+ * @param {string} userFolder - The absolute path of the `user_XX` folder (created if needed).
+ * @param {string} activity - The activity name.
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {string} fileName - The name of the data file (e.g. "emg.csv").
+ * @param {Array<string>} columns - The column names of the header.
+ * @returns {Object} - The recording:
+ *                     - `trial`: The reserved trial number.
+ *                     - `append(text)`: Appends data rows (CSV text ending with a newline).
+ *                     - `finish()`: Closes the file and renames the staging folder into place, under the next free
+ *                       number if the reserved one was taken meanwhile (e.g. by an upload with an explicit number).
+ *                       Returns `{ trial, trialFolder }`. If the rename fails, the staging folder is kept and the
+ *                       error names it, so that no recorded sample is lost.
+ *                     - `abort()`: Closes the file and removes the staging folder.
+ */
+function startTrialRecording(userFolder, activity, schema, fileName, columns) {
+	fs.mkdirSync(userFolder, { recursive: true });
+	const trial = nextTrialNumber(userFolder, activity, schema);
+	const stagingFolder = fs.mkdtempSync(path.join(userFolder, `.${formatSegment(schema, 1, { activity: activity, trial: trial })}.tmp-`));
+	let descriptor = fs.openSync(path.join(stagingFolder, fileName), "w");
+	fs.writeSync(descriptor, `${columns.join(",")}\n`);
+
+	const close = () => {
+		if (descriptor === null) return;
+		fs.closeSync(descriptor);
+		descriptor = null;
+	};
+	const abort = () => {
+		close();
+		fs.rmSync(stagingFolder, { recursive: true, force: true });
+	};
+	const finish = () => {
+		close();
+		let number = trial;
+		try {
+			// Only an upload can take the reserved number; the next free one is then used
+			for (let attempt = 0; ; attempt++) {
+				const trialFolder = path.join(userFolder, formatSegment(schema, 1, { activity: activity, trial: number }));
+				if (!fs.existsSync(trialFolder)) {
+					fs.renameSync(stagingFolder, trialFolder);
+					return { trial: number, trialFolder: trialFolder };
+				}
+				if (attempt >= 10) throw new Error(`no free trial number after ${number}`);
+				number = nextTrialNumber(userFolder, activity, schema);
+			}
+		} catch (error) {
+			throw new Error(`The recording could not be moved into place (${error.message}); it is kept in ${stagingFolder}`);
+		}
+	};
+	return { trial, append: (text) => fs.writeSync(descriptor, text), finish, abort };
+}
+
+module.exports = {
+	TIME_SERIES_DATA_TYPES,
+	nextTrialNumber,
+	validateTrialFile,
+	writeTrialAtomically,
+	startTrialRecording,
+};
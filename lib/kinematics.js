@@ -0,0 +1,275 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: kinematics.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+// Default options for the repetition segmentation
+const DEFAULT_REPETITION_OPTIONS = {
+	smoothing: 0.1, // Moving-average window applied to the angle, in seconds (0 disables it)
+	minRange: 30, // Minimum angle excursion (degrees) between a turning point and the next one
+	minDuration: 0.5, // Minimum duration of a repetition in seconds
+};
+
+/**
+ * Normalises a column name for joint matching: lower case, words separated by single underscores.
+ *
+ * @param {string} column - The raw column name (e.g., "RightElbow.X" or "right elbow x").
+ * @returns {string} - The normalised name (e.g., "right_elbow_x").
+ */
+function normaliseColumn(column) {
+	return column
+		.replace(/([a-z])([A-Z])/g, "$1_$2")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_|_$/g, "");
+}
+
+/**
+ * Finds the coordinate columns of a joint in a skeleton recording.
+ *
+ * Accepted naming schemes (case and separators are ignored): `right_elbow_x`, `elbow_right_x`,
+ * `r_elbow_x`, `elbow_r_x` and, when no side is requested, `elbow_x`.
+ *
+ * @param {Array<string>} columns - The available column names.
+ * @param {string} joint - The joint name (e.g., "elbow").
+ * @param {string} [side] - `'right'`, `'left'` or omitted.
+ * @returns {Array<string>|null} - The `[x, y]` or `[x, y, z]` column names, or `null` if not found.
+ */
+function findJointColumns(columns, joint, side) {
+	const normalised = new Map(columns.map((column) => [normaliseColumn(column), column]));
+	const prefixes = side
+		? [`${side}_${joint}`, `${joint}_${side}`, `${side[0]}_${joint}`, `${joint}_${side[0]}`]
+		: [joint];
+	for (const prefix of prefixes) {
+		const axes = ["x", "y", "z"].map((axis) => normalised.get(`${prefix}_${axis}`));
+		if (axes[0] && axes[1]) {
+			return axes[2] ? axes : axes.slice(0, 2);
+		}
+	}
+	return null;
+}
+
+/**
+ * Computes the elbow angle (shoulder–elbow–wrist) for every sample of a skeleton recording.
+ *
+ * The angle is the included angle at the elbow between the upper arm and the forearm:
+ * about 180° with the arm fully extended and decreasing as the elbow flexes.
+ *
+ * @param {Object} channels - Object mapping column names to Float64Arrays (see `readSignals()`).
+ * @param {string} [side='right'] - The arm to use: `'right'` or `'left'`.
+ * @returns {Float64Array} - The elbow angle in degrees (`NaN` where a joint is missing).
+ * @throws {Error} - Throws an error if the shoulder, elbow or wrist columns are not found.
+ */
+function computeElbowAngle(channels, side = "right") {
+	const columns = Object.keys(channels);
+	const joints = ["shoulder", "elbow", "wrist"].map((joint) => {
+		const jointColumns = findJointColumns(columns, joint, side) || findJointColumns(columns, joint);
+		if (!jointColumns) {
+			throw new Error(`No ${side} ${joint} coordinates found in skeleton columns.`);
+		}
+		return jointColumns.map((column) => channels[column]);
+	});
+	const dimensions = Math.min(...joints.map((joint) => joint.length));
+	const [shoulder, elbow, wrist] = joints;
+	const length = elbow[0].length;
+	const angle = new Float64Array(length);
+
+	for (let i = 0; i < length; i++) {
+		let dot = 0;
+		let upperNorm = 0;
+		let foreNorm = 0;
+		for (let d = 0; d < dimensions; d++) {
+			const upper = shoulder[d][i] - elbow[d][i];
+			const fore = wrist[d][i] - elbow[d][i];
+			dot += upper * fore;
+			upperNorm += upper * upper;
+			foreNorm += fore * fore;
+		}
+		const norm = Math.sqrt(upperNorm * foreNorm);
+		angle[i] = norm > 0 ? Math.acos(Math.max(-1, Math.min(1, dot / norm))) * 180 / Math.PI : NaN;
+	}
+	return angle;
+}
+
+/**
+ * Smooths a signal with a centred moving average, ignoring `NaN` samples. A running sum is kept, so the cost does
+ * not depend on the window length.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {number} windowLength - Window length in samples.
+ * @returns {Float64Array} - The smoothed signal.
+ */
+function movingAverage(samples, windowLength) {
+	const half = Math.floor(windowLength / 2);
+	const output = new Float64Array(samples.length);
+	let sum = 0;
+	let count = 0;
+	const add = (j, sign) => {
+		if (j < 0 || j >= samples.length || Number.isNaN(samples[j])) return;
+		sum += sign * samples[j];
+		count += sign;
+	};
+	for (let j = 0; j < half; j++) add(j, 1);
+	for (let i = 0; i < samples.length; i++) {
+		// The window of sample i spans i - half to i + half
+		add(i + half, 1);
+		add(i - half - 1, -1);
+		output[i] = count > 0 ? sum / count : NaN;
+	}
+	return output;
+}
+
+/**
+ * Finds the alternating turning points (maxima and minima) of a signal with hysteresis: a turning
+ * point is only confirmed once the signal has moved `minRange` away from it.
+ *
+ * @param {Float64Array} samples - The input signal.
+ * @param {number} minRange - The hysteresis threshold in signal units.
+ * @returns {Array<Object>} - Array of `{ index, type }` with `type` `'max'` or `'min'`, in time order.
+ */
+function findTurningPoints(samples, minRange) {
+	const points = [];
+	let direction = 0; // 1 while searching a maximum, -1 while searching a minimum
+	let candidate = -1;
+	let lowest = -1;
+	let highest = -1;
+
+	for (let i = 0; i < samples.length; i++) {
+		const value = samples[i];
+		if (Number.isNaN(value)) continue;
+		if (direction === 0) {
+			// Wait for the first excursion to know whether we start from a maximum or a minimum
+			if (lowest < 0 || value < samples[lowest]) lowest = i;
+			if (highest < 0 || value > samples[highest]) highest = i;
+			if (value - samples[lowest] >= minRange) {
+				points.push({ index: lowest, type: "min" });
+				direction = 1;
+				candidate = i;
+			} else if (samples[highest] - value >= minRange) {
+				points.push({ index: highest, type: "max" });
+				direction = -1;
+				candidate = i;
+			}
+		} else if (direction === 1) {
+			if (value > samples[candidate]) {
+				candidate = i;
+			} else if (samples[candidate] - value >= minRange) {
+				points.push({ index: candidate, type: "max" });
+				direction = -1;
+				candidate = i;
+			}
+		} else {
+			if (value < samples[candidate]) {
+				candidate = i;
+			} else if (value - samples[candidate] >= minRange) {
+				points.push({ index: candidate, type: "min" });
+				direction = 1;
+				candidate = i;
+			}
+		}
+	}
+	// The last extremum is confirmed by the end of the recording
+	if (direction !== 0) {
+		points.push({ index: candidate, type: direction === 1 ? "max" : "min" });
+	}
+	return points;
+}
+
+/**
+ * Segments elbow curl repetitions from an elbow angle time series.
+ *
+ * A repetition goes from an extended position (angle maximum) through peak flexion (angle minimum)
+ * back to extension (next maximum).
+ *
+ * @param {ArrayLike<number>} time - Sample times in seconds.
+ * @param {Float64Array} angle - Elbow angle in degrees (see `computeElbowAngle()`).
+ * @param {Object} [options={}] - Overrides for `DEFAULT_REPETITION_OPTIONS`.
+ * @returns {Array<Object>} - One entry per repetition:
+ *                            - `number`: Repetition number starting at 1.
+ *                            - `start`, `peak`, `end`: Times in seconds of extension, peak flexion and return.
+ *                            - `startAngle`, `peakAngle`, `endAngle`: Elbow angles at those times (degrees).
+ *                            - `rangeOfMotion`: Largest extension angle minus peak flexion angle (degrees).
+ *                            - `duration`: `end - start` in seconds.
+ *                            - `concentric`, `eccentric`: Flexion and extension phase durations in seconds.
+ * @throws {Error} - Throws an error if an option is not a non-negative number.
+ */
+function detectRepetitions(time, angle, options = {}) {
+	const settings = { ...DEFAULT_REPETITION_OPTIONS, ...options };
+	Object.keys(DEFAULT_REPETITION_OPTIONS).forEach((name) => {
+		if (!(Number.isFinite(settings[name]) && settings[name] >= 0)) {
+			throw new Error(`Invalid option: '${name}' must be a non-negative number.`);
+		}
+	});
+	let smoothed = angle;
+	if (settings.smoothing > 0 && time.length > 1) {
+		const samplingRate = (time.length - 1) / (time[time.length - 1] - time[0]);
+		smoothed = movingAverage(angle, Math.max(1, Math.round(settings.smoothing * samplingRate)));
+	}
+
+	const points = findTurningPoints(smoothed, settings.minRange);
+	const repetitions = [];
+	for (let i = 0; i + 2 < points.length; i++) {
+		const [start, peak, end] = points.slice(i, i + 3);
+		if (start.type !== "max" || peak.type !== "min" || end.type !== "max") continue;
+		const duration = time[end.index] - time[start.index];
+		if (duration < settings.minDuration) continue;
+		repetitions.push({
+			number: repetitions.length + 1,
+			start: time[start.index],
+			peak: time[peak.index],
+			end: time[end.index],
+			startAngle: smoothed[start.index],
+			peakAngle: smoothed[peak.index],
+			endAngle: smoothed[end.index],
+			rangeOfMotion: Math.max(smoothed[start.index], smoothed[end.index]) - smoothed[peak.index],
+			duration: duration,
+			concentric: time[peak.index] - time[start.index],
+			eccentric: time[end.index] - time[peak.index],
+		});
+		i++; // The end of this repetition is the start of the next one
+	}
+	return repetitions;
+}
+
+/**
+ * Computes the elbow kinematics of a skeleton recording: the angle over time and its repetitions.
+ *
+ * @param {Object} signals - The recording as returned by `readSignals()` in `lib/csv.js`.
+ * @param {Object} [options={}] - Options:
+ *                                - `side`: `'right'` (default) or `'left'`.
+ *                                - Any of `DEFAULT_REPETITION_OPTIONS`.
+ * @returns {Object} - `{ side, samplingRate, time, angle, repetitions, summary }` where `summary` holds
+ *                     `count`, `meanRangeOfMotion`, `meanDuration` and `repetitionRate` (reps/min).
+ */
+function analyzeElbowKinematics(signals, options = {}) {
+	const side = options.side || "right";
+	const angle = computeElbowAngle(signals.channels, side);
+	const repetitions = detectRepetitions(signals.time, angle, options);
+	const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+	const totalTime = repetitions.length > 0 ? repetitions[repetitions.length - 1].end - repetitions[0].start : 0;
+	return {
+		side: side,
+		samplingRate: signals.samplingRate,
+		time: signals.time,
+		angle: angle,
+		repetitions: repetitions,
+		summary: {
+			count: repetitions.length,
+			meanRangeOfMotion: mean(repetitions.map((rep) => rep.rangeOfMotion)),
+			meanDuration: mean(repetitions.map((rep) => rep.duration)),
+			repetitionRate: totalTime > 0 ? 60 * repetitions.length / totalTime : null,
+		},
+	};
+}
+
+module.exports = {
+	DEFAULT_REPETITION_OPTIONS,
+	findJointColumns,
+	computeElbowAngle,
+	movingAverage,
+	findTurningPoints,
+	detectRepetitions,
+	analyzeElbowKinematics,
+};
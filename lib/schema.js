@@ -0,0 +1,185 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: schema.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+/**
+ * Schema of the data collection used when `instanceNames.json` has no `schema` entry.
+ *
+ * - `path`: Name template of each folder level, the last one being the data file. Placeholders in
+ *   braces match a registered instance name when `instanceNames.json` has a list with that name
+ *   (`{user}`, `{activity}`, `{data_type}`), otherwise the regular expression in `patterns`.
+ * - `patterns`: Regular expressions of the free placeholders.
+ * - `levels`: The classes a tree can be built by, each with the placeholders that form its nodes
+ *   (one nested node per placeholder, e.g. `user` → `01`).
+ * - `default_order`: The level order used for levels not given explicitly.
+ * - `endurance_activities`: The activities whose trials are held isometrically until exhaustion, where the time
+ *   to exhaustion is estimated (see `lib/endurance.js`). Unregistered ones are ignored unless set explicitly.
+ */
+const DEFAULT_SCHEMA = {
+	path: ["{user}_{user_id}", "{activity}_{trial}", "{data_type}.csv"],
+	patterns: {
+		user_id: "\\d+",
+		trial: "\\d+",
+	},
+	levels: {
+		user: ["user", "user_id"],
+		activity: ["activity"],
+		trial: ["trial"],
+		data_type: ["data_type"],
+	},
+	default_order: ["user", "activity", "trial", "data_type"],
+	endurance_activities: ["max_endurance_elbow_flexion_standing"],
+};
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles the data collection schema of an `instanceNames.json` object into matchers.
+ *
+ * @param {Object} instanceNames - The allowed instance names of each class, optionally with a `schema` entry
+ *                                 overriding parts of `DEFAULT_SCHEMA`.
+ * @returns {Object} - The compiled schema:
+ *                     - `segments`: One `{ template, regex, placeholders }` per path level.
+ *                     - `levels`, `defaultOrder`: As in the schema.
+ *                     - `enduranceActivities`: The registered activities of `endurance_activities`.
+ *                     - `instanceNames`: The instance names the schema was compiled with.
+ * @throws {Error} - Throws an error if a placeholder has neither instance names nor a pattern, a level
+ *                   refers to a placeholder that is not in the path, or an endurance activity set explicitly
+ *                   is not registered.
+ */
+function compileSchema(instanceNames) {
+	const schema = { ...DEFAULT_SCHEMA, ...(instanceNames.schema || {}) };
+	const patterns = { ...DEFAULT_SCHEMA.patterns, ...(schema.patterns || {}) };
+	const allPlaceholders = [];
+
+	const segments = schema.path.map((template) => {
+		const placeholders = [];
+		const source = template.split(/(\{\w+\})/).map((part) => {
+			const placeholder = part.match(/^\{(\w+)\}$/);
+			if (!placeholder) return escapeRegExp(part);
+			const name = placeholder[1];
+			placeholders.push(name);
+			if (Array.isArray(instanceNames[name])) {
+				return `(?<${name}>${instanceNames[name].map(escapeRegExp).join("|")})`;
+			}
+			if (!patterns[name]) {
+				throw new Error(`Schema placeholder {${name}} has no instance names and no pattern.`);
+			}
+			return `(?<${name}>${patterns[name]})`;
+		}).join("");
+		allPlaceholders.push(...placeholders);
+		return { template, regex: new RegExp(`^${source}$`), placeholders };
+	});
+
+	Object.entries(schema.levels).forEach(([level, placeholders]) => {
+		const unknown = placeholders.filter((name) => !allPlaceholders.includes(name));
+		if (unknown.length > 0) {
+			throw new Error(`Schema level '${level}' uses placeholders missing from the path: ${unknown.join(", ")}.`);
+		}
+	});
+
+	const activities = instanceNames.activity || [];
+	const unregistered = schema.endurance_activities.filter((name) => !activities.includes(name));
+	if (instanceNames.schema && instanceNames.schema.endurance_activities && unregistered.length > 0) {
+		throw new Error(`Schema endurance activities are not registered activities: ${unregistered.join(", ")}.`);
+	}
+	const enduranceActivities = schema.endurance_activities.filter((name) => activities.includes(name));
+	return { segments, levels: schema.levels, defaultOrder: schema.default_order, enduranceActivities, instanceNames };
+}
+
+/**
+ * Matches a folder or file name against the template of a path level.
+ *
+ * @param {Object} schema - The compiled schema.
+ * @param {number} depth - The path level (0 for the top-level folders).
+ * @param {string} name - The folder or file name.
+ * @returns {Object|null} - The placeholder values (e.g. `{ user: "user", user_id: "01" }`), or `null` if
+ *                          the name does not follow the template.
+ */
+function matchSegment(schema, depth, name) {
+	const match = schema.segments[depth].regex.exec(name);
+	return match ? { ...match.groups } : null;
+}
+
+/**
+ * Builds the folder or file name of a path level from placeholder values.
+ *
+ * @param {Object} schema - The compiled schema.
+ * @param {number} depth - The path level (0 for the top-level folders).
+ * @param {Object} values - The placeholder values.
+ * @returns {string} - The name (e.g. `"user_01"`).
+ * @throws {Error} - Throws an error if a value is missing or the name does not follow the template.
+ */
+function formatSegment(schema, depth, values) {
+	const segment = schema.segments[depth];
+	const name = segment.template.replace(/\{(\w+)\}/g, (_, placeholder) => {
+		if (values[placeholder] === undefined || values[placeholder] === null) {
+			throw new Error(`Missing value for {${placeholder}}.`);
+		}
+		return String(values[placeholder]);
+	});
+	if (!segment.regex.test(name)) {
+		throw new Error(`'${name}' does not follow the naming '${segment.template}'.`);
+	}
+	return name;
+}
+
+/**
+ * Completes a partial level order into the full tree hierarchy: the given levels first, then the
+ * remaining levels in the schema's default order.
+ *
+ * @param {Object} schema - The compiled schema.
+ * @param {Array<string>} order - The requested top levels (e.g. `["data_type", "activity"]`).
+ * @returns {Array<string>} - Every level of the schema, e.g. `["data_type", "activity", "user", "trial"]`.
+ * @throws {Error} - Throws an error if a level is unknown or repeated.
+ */
+function resolveHierarchy(schema, order) {
+	const levels = Object.keys(schema.levels);
+	const unknown = order.filter((level) => !levels.includes(level));
+	if (unknown.length > 0) {
+		throw new Error(`Invalid class name: ${unknown.join(", ")}. Must be one of ${levels.join(", ")}.`);
+	}
+	if (new Set(order).size !== order.length) {
+		throw new Error(`Repeated class name in hierarchy: ${order.join(", ")}.`);
+	}
+	const rest = schema.defaultOrder.filter((level) => !order.includes(level));
+	return order.concat(rest, levels.filter((level) => !order.includes(level) && !rest.includes(level)));
+}
+
+/**
+ * Compares two placeholder values for display: registered instance names in their registration order,
+ * followed by unregistered ones (e.g. the `annotations` leaves), other values in natural order (so that
+ * "2" comes before "10").
+ *
+ * @param {Object} schema - The compiled schema.
+ * @param {string} placeholder - The placeholder both values belong to.
+ * @returns {Function} - A comparator for `Array.prototype.sort()`.
+ */
+function compareValues(schema, placeholder) {
+	const registered = schema.instanceNames[placeholder];
+	if (Array.isArray(registered)) {
+		const rank = (value) => (registered.includes(value) ? registered.indexOf(value) : registered.length);
+		return (a, b) => rank(a) - rank(b);
+	}
+	return (a, b) => a.localeCompare(b, undefined, { numeric: true });
+}
+
+module.exports = {
+	DEFAULT_SCHEMA,
+	compileSchema,
+	matchSegment,
+	formatSegment,
+	resolveHierarchy,
+	compareValues,
+};
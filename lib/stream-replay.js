@@ -0,0 +1,111 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: stream-replay.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const WebSocket = require("ws");
+const { readSignals } = require("./csv");
+
+// Default configuration of a replay
+const DEFAULT_REPLAY_OPTIONS = {
+	speed: 1, // Playback speed (1 = the real sampling rate)
+	frameSize: 0.05, // Seconds of samples per frame
+	record: true, // Whether the server records the stream into a new trial
+};
+
+/**
+ * Replays an `emg.csv` file to the live EMG stream endpoint (`/stream` of the web server) as an acquisition
+ * client would: every frame is sent once its last sample is due at the file's sampling rate, to test live
+ * feedback without the hardware.
+ *
+ * @param {string} filePath - The absolute path of the EMG CSV file.
+ * @param {string} url - The WebSocket URL of the stream endpoint, with `role=source`
+ *                       (e.g. "ws://localhost:3000/stream?role=source").
+ * @param {Object} options - The replay options:
+ *                           - `user`, `activity`: The identifiers the stream is recorded under.
+ *                           - `speed`, `frameSize`, `record`: Overrides of `DEFAULT_REPLAY_OPTIONS`.
+ *                           - `samplingRate`: Sampling rate in Hz, for files without a time column.
+ *                           - `onStarted(session)`: Called with the session once the server accepted the stream.
+ * @returns {Promise<Object>} - Resolves to the session of the `stopped` message (with the recorded trial, if any).
+ * @throws {Error} - Rejects if the file cannot be read, the connection fails, or the server rejects the stream.
+ *
+ * @example
+ * const session = await replayEmgFile('/data/user_01/max_endurance_elbow_flexion_standing_01/emg.csv',
+ * 	'ws://localhost:3000/stream?role=source', { user: '01', activity: 'max_endurance_elbow_flexion_standing' });
+ * console.log(session.folder); // e.g. "user_01/max_endurance_elbow_flexion_standing_03"
+ */
+function replayEmgFile(filePath, url, options = {}) {
+	const settings = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+	if (!(settings.speed > 0)) throw new Error("Invalid replay: the speed must be a positive number.");
+	if (!(settings.frameSize > 0)) throw new Error("Invalid replay: the frame size must be a positive number of seconds.");
+	const signals = readSignals(filePath, { samplingRate: settings.samplingRate });
+	const channels = Object.keys(signals.channels);
+	if (channels.length === 0) throw new Error("The file has no numeric channel to replay.");
+	const sampleCount = signals.time.length;
+	const frameLength = Math.max(1, Math.round(settings.frameSize * signals.samplingRate));
+
+	return new Promise((resolve, reject) => {
+		const socket = new WebSocket(url);
+		let timer = null;
+		let sent = 0;
+		let startedAt = null;
+
+		const fail = (error) => {
+			clearTimeout(timer);
+			socket.terminate();
+			reject(error);
+		};
+		const sendFrames = () => {
+			const elapsed = (Date.now() - startedAt) / 1000 * settings.speed;
+			while (sent < sampleCount) {
+				const end = Math.min(sent + frameLength, sampleCount);
+				if (signals.time[end - 1] > elapsed) break;
+				const samples = Object.fromEntries(channels.map((channel) => [channel, Array.from(signals.channels[channel].subarray(sent, end))]));
+				const time = Array.from(signals.time.subarray(sent, end), (value) => Number(value.toFixed(6)));
+				socket.send(JSON.stringify({ type: "samples", time: time, samples: samples }));
+				sent = end;
+			}
+			if (sent < sampleCount) {
+				timer = setTimeout(sendFrames, Math.max(1, settings.frameSize * 1000 / settings.speed));
+			} else {
+				socket.send(JSON.stringify({ type: "stop" }));
+			}
+		};
+
+		socket.on("open", () => {
+			socket.send(JSON.stringify({
+				type: "start",
+				user: settings.user,
+				activity: settings.activity,
+				samplingRate: signals.samplingRate,
+				channels: channels,
+				record: settings.record,
+			}));
+		});
+		socket.on("message", (data) => {
+			const message = JSON.parse(data.toString());
+			if (message.type === "error") {
+				fail(new Error(message.error_msg));
+			} else if (message.type === "started") {
+				if (settings.onStarted) settings.onStarted(message.session);
+				startedAt = Date.now();
+				sendFrames();
+			} else if (message.type === "stopped") {
+				socket.close();
+				resolve(message.session);
+			}
+		});
+		socket.on("error", fail);
+		socket.on("close", () => {
+			clearTimeout(timer);
+			reject(new Error("The connection closed before the stream was stopped."));
+		});
+	});
+}
+
+module.exports = {
+	DEFAULT_REPLAY_OPTIONS,
+	replayEmgFile,
+};
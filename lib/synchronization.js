@@ -0,0 +1,261 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: synchronization.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { movingRms } = require("./emg-preprocessing");
+
+// Name of the per-trial sidecar file holding the manual synchronization settings
+const SYNC_FILE_NAME = "sync.json";
+
+// Alignment methods accepted by `synchronizeStreams()`
+const SYNC_METHODS = ["timestamp", "offset", "xcorr"];
+
+// Default options for the cross-correlation alignment
+const DEFAULT_XCORR_OPTIONS = {
+	rate: 100, // Rate in Hz at which both activity signals are compared
+	maxLag: 2, // Largest offset searched in either direction, in seconds
+	eventStart: 0, // Start of the EMG segment holding the sync event, in seconds
+	eventEnd: 10, // End of the EMG segment holding the sync event, in seconds
+};
+
+// Highest output rate in Hz: the joined streams hold one array per channel at this rate
+const MAX_SYNC_RATE = 2000;
+
+// Largest offset the cross-correlation searches in either direction, in seconds (one comparison per lag step)
+const MAX_XCORR_LAG = 10;
+
+/**
+ * Reads the synchronization settings stored next to a trial's CSV files.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @returns {Object} - The settings (e.g. `{ offset: 0.25 }`), or an empty object if none are stored.
+ * @throws {Error} - Throws an error if the sidecar file exists but is not valid JSON.
+ */
+function readSyncSettings(trialFolder) {
+	const filePath = path.join(trialFolder, SYNC_FILE_NAME);
+	if (!fs.existsSync(filePath)) return {};
+	return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Stores the synchronization settings of a trial in its sidecar file, merging with existing ones.
+ *
+ * @param {string} trialFolder - The absolute path of the `<activity>_NN` folder.
+ * @param {Object} settings - The settings to store (e.g. `{ offset: 0.25 }`).
+ * @returns {Object} - The merged settings that were written.
+ */
+function writeSyncSettings(trialFolder, settings) {
+	const merged = { ...readSyncSettings(trialFolder), ...settings, updated: new Date().toISOString() };
+	fs.writeFileSync(path.join(trialFolder, SYNC_FILE_NAME), JSON.stringify(merged, null, 2), "utf8");
+	return merged;
+}
+
+/**
+ * Linearly interpolates a signal at new sample times. Times outside the signal yield `NaN`.
+ *
+ * @param {ArrayLike<number>} time - Sorted sample times of the signal.
+ * @param {ArrayLike<number>} values - The signal.
+ * @param {ArrayLike<number>} targetTime - Sorted times at which to interpolate.
+ * @returns {Float64Array} - The interpolated signal, as long as `targetTime`.
+ */
+function resampleLinear(time, values, targetTime) {
+	const output = new Float64Array(targetTime.length);
+	let j = 0;
+	for (let i = 0; i < targetTime.length; i++) {
+		const t = targetTime[i];
+		if (t < time[0] || t > time[time.length - 1]) {
+			output[i] = NaN;
+			continue;
+		}
+		while (j < time.length - 2 && time[j + 1] < t) j++;
+		const span = time[j + 1] - time[j];
+		const weight = span > 0 ? (t - time[j]) / span : 0;
+		output[i] = values[j] + weight * ((values[j + 1] ?? values[j]) - values[j]);
+	}
+	return output;
+}
+
+/**
+ * Builds a uniform time grid.
+ *
+ * @param {number} start - First time in seconds.
+ * @param {number} end - Last time in seconds (included if it falls on the grid).
+ * @param {number} rate - Grid rate in Hz.
+ * @returns {Float64Array} - The grid times.
+ */
+function uniformTime(start, end, rate) {
+	const count = Math.max(0, Math.floor((end - start) * rate + 1e-9) + 1);
+	return Float64Array.from({ length: count }, (_, i) => start + i / rate);
+}
+
+/**
+ * Normalises a signal to zero mean and unit variance, ignoring `NaN` samples (set to 0).
+ *
+ * @param {Float64Array} values - The signal.
+ * @returns {Float64Array} - The standardised signal.
+ */
+function standardise(values) {
+	const valid = values.filter((value) => !Number.isNaN(value));
+	const mean = valid.reduce((sum, value) => sum + value, 0) / (valid.length || 1);
+	const sd = Math.sqrt(valid.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (valid.length || 1)) || 1;
+	return values.map((value) => (Number.isNaN(value) ? 0 : (value - mean) / sd));
+}
+
+/**
+ * Summarises the EMG activity over time: the mean RMS envelope of all channels.
+ *
+ * @param {Object} emg - The EMG recording as returned by `readSignals()`.
+ * @returns {Float64Array} - The activity signal on the EMG time axis.
+ */
+function emgActivity(emg) {
+	const windowLength = Math.max(1, Math.round(0.05 * emg.samplingRate));
+	const activity = new Float64Array(emg.time.length);
+	const channels = Object.values(emg.channels);
+	channels.forEach((values) => {
+		const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+		const envelope = movingRms(values.map((value) => value - mean), windowLength);
+		envelope.forEach((value, i) => { activity[i] += value / channels.length; });
+	});
+	return activity;
+}
+
+/**
+ * Summarises the skeleton movement over time: the summed absolute speed of every coordinate.
+ *
+ * @param {Object} skeleton - The skeleton recording as returned by `readSignals()`.
+ * @returns {Float64Array} - The movement signal on the skeleton time axis.
+ */
+function skeletonActivity(skeleton) {
+	const movement = new Float64Array(skeleton.time.length);
+	Object.values(skeleton.channels).forEach((values) => {
+		for (let i = 1; i < values.length; i++) {
+			const dt = skeleton.time[i] - skeleton.time[i - 1] || 1;
+			movement[i] += Math.abs(values[i] - values[i - 1]) / dt;
+		}
+	});
+	movement[0] = movement[1] || 0;
+	return movement;
+}
+
+/**
+ * Estimates the skeleton-to-EMG offset by cross-correlating EMG activity with skeleton movement
+ * around a sync event (e.g. a sharp arm movement at the start of the trial).
+ *
+ * @param {Object} emg - The EMG recording as returned by `readSignals()`.
+ * @param {Object} skeleton - The skeleton recording as returned by `readSignals()`.
+ * @param {Object} [options={}] - Overrides for `DEFAULT_XCORR_OPTIONS`.
+ * @returns {Object} - `{ offset, correlation }` where `offset` is added to skeleton times to express them
+ *                     on the EMG time axis, and `correlation` is the normalised peak correlation (-1 to 1).
+ */
+function estimateOffsetByCrossCorrelation(emg, skeleton, options = {}) {
+	const settings = { ...DEFAULT_XCORR_OPTIONS, ...options };
+	const grid = uniformTime(settings.eventStart, Math.min(settings.eventEnd, emg.time[emg.time.length - 1]), settings.rate);
+	const reference = standardise(resampleLinear(emg.time, emgActivity(emg), grid));
+	const movement = skeletonActivity(skeleton);
+	const maxLag = Math.round(settings.maxLag * settings.rate);
+
+	let best = { offset: 0, correlation: -Infinity };
+	for (let lag = -maxLag; lag <= maxLag; lag++) {
+		const offset = lag / settings.rate;
+		// Skeleton movement at the grid times, assuming skeleton time + offset = EMG time
+		const shifted = standardise(resampleLinear(skeleton.time, movement, grid.map((t) => t - offset)));
+		let sum = 0;
+		for (let i = 0; i < grid.length; i++) sum += reference[i] * shifted[i];
+		const correlation = sum / (grid.length || 1);
+		if (correlation > best.correlation) best = { offset, correlation };
+	}
+	return best;
+}
+
+/**
+ * Aligns an EMG and a skeleton recording of the same trial on a common time base and resamples
+ * both to a chosen rate, returning them joined column by column.
+ *
+ * The common time base is the EMG time axis (0 s at the first EMG sample). The skeleton is shifted
+ * by an offset obtained with one of the methods:
+ * - `'timestamp'`: From the first timestamps of both files, assuming both devices share a clock
+ *   (e.g. both write epoch timestamps).
+ * - `'offset'`: From the manual offset in `settings.offset` (see `readSyncSettings()`).
+ * - `'xcorr'`: From `estimateOffsetByCrossCorrelation()`.
+ *
+ * Only the time span covered by both recordings (after the shift) is returned.
+ *
+ * @param {Object} emg - The EMG recording as returned by `readSignals()`.
+ * @param {Object} skeleton - The skeleton recording as returned by `readSignals()`.
+ * @param {Object} [options={}] - Options:
+ *                                - `method`: One of `SYNC_METHODS` (default `'timestamp'`).
+ *                                - `rate`: Output rate in Hz (default 100, at most `MAX_SYNC_RATE`).
+ *                                - `settings`: Stored trial settings, used by the `'offset'` method.
+ *                                - `maxLag`, `eventStart`, `eventEnd` for the `'xcorr'` method (see `DEFAULT_XCORR_OPTIONS`).
+ * @returns {Object} - `{ method, offset, correlation, rate, time, channels }` where `channels` holds the
+ *                     EMG channels as `emg.<name>` and the skeleton channels as `skeleton.<name>`.
+ * @throws {Error} - Throws an error if the method is unknown, the rate or largest lag is out of range, the
+ *                   manual offset is missing or the recordings do not overlap.
+ */
+function synchronizeStreams(emg, skeleton, options = {}) {
+	const method = options.method || "timestamp";
+	const rate = options.rate === undefined ? 100 : options.rate;
+	if (!SYNC_METHODS.includes(method)) {
+		throw new Error(`Unknown synchronization method: ${method}. Must be one of ${SYNC_METHODS.join(", ")}.`);
+	}
+	if (!(rate > 0 && rate <= MAX_SYNC_RATE)) {
+		throw new Error(`Resampling rate must be a positive number of Hz, at most ${MAX_SYNC_RATE}.`);
+	}
+	if (options.maxLag !== undefined && !(options.maxLag > 0 && options.maxLag <= MAX_XCORR_LAG)) {
+		throw new Error(`Largest lag must be a positive number of seconds, at most ${MAX_XCORR_LAG}.`);
+	}
+
+	let offset = 0;
+	let correlation = null;
+	if (method === "timestamp") {
+		offset = skeleton.startTime - emg.startTime;
+	} else if (method === "offset") {
+		const settings = options.settings || {};
+		if (typeof settings.offset !== "number") {
+			throw new Error("No manual offset is stored for this trial.");
+		}
+		offset = settings.offset;
+	} else {
+		// The comparison rate of the cross-correlation is independent of the output rate
+		const { maxLag, eventStart, eventEnd } = options;
+		const xcorrOptions = Object.fromEntries(Object.entries({ maxLag, eventStart, eventEnd }).filter(([, value]) => value !== undefined));
+		({ offset, correlation } = estimateOffsetByCrossCorrelation(emg, skeleton, xcorrOptions));
+	}
+
+	// Overlap of both recordings on the EMG time axis
+	const start = Math.max(emg.time[0], skeleton.time[0] + offset);
+	const end = Math.min(emg.time[emg.time.length - 1], skeleton.time[skeleton.time.length - 1] + offset);
+	if (!(end > start)) {
+		throw new Error("The EMG and skeleton recordings do not overlap after alignment.");
+	}
+	const time = uniformTime(start, end, rate);
+	const skeletonTime = time.map((t) => t - offset);
+
+	const channels = {};
+	Object.entries(emg.channels).forEach(([name, values]) => {
+		channels[`emg.${name}`] = resampleLinear(emg.time, values, time);
+	});
+	Object.entries(skeleton.channels).forEach(([name, values]) => {
+		channels[`skeleton.${name}`] = resampleLinear(skeleton.time, values, skeletonTime);
+	});
+	return { method, offset, correlation, rate, time, channels };
+}
+
+module.exports = {
+	SYNC_FILE_NAME,
+	SYNC_METHODS,
+	DEFAULT_XCORR_OPTIONS,
+	MAX_SYNC_RATE,
+	MAX_XCORR_LAG,
+	readSyncSettings,
+	writeSyncSettings,
+	resampleLinear,
+	uniformTime,
+	estimateOffsetByCrossCorrelation,
+	synchronizeStreams,
+};
@@ -0,0 +1,243 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: tree-history.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatSegment, resolveHierarchy } = require("./schema");
+
+// Default retention of the tree snapshot history
+const DEFAULT_RETENTION = {
+	maxCount: 200, // Snapshots kept at most; the oldest are deleted first
+	maxAge: 90, // Days after which snapshots are deleted (0 keeps them forever)
+	skipDuplicates: true, // Do not save a snapshot identical to the latest one of the same hierarchy
+};
+
+// Snapshot file names: `YYYYMMDDhhmmss_<base name>_by_<hierarchy>.md`, with an optional `.json` sidecar
+const SNAPSHOT_PATTERN = /^(\d{14})_(.+)_by_([\w-]+)$/;
+
+/**
+ * Parses the local timestamp at the start of a snapshot name.
+ *
+ * @param {string} timestamp - The `YYYYMMDDhhmmss` timestamp.
+ * @returns {Date} - The date.
+ */
+function parseTimestamp(timestamp) {
+	const [year, month, day, hours, minutes, seconds] = timestamp.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/).slice(1).map(Number);
+	return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Lists the snapshots of a history folder, newest first.
+ *
+ * @param {string} historyFolder - The absolute path of the `tree_history` folder (may not exist yet).
+ * @returns {Array<Object>} - One `{ id, created, baseName, by, size, hasTree }` per snapshot, where `id` is the
+ *                            file name without extension, `by` the hierarchy the tree was built by (e.g. "user"
+ *                            or "data_type-activity") and `hasTree` whether a JSON sidecar with the tree exists.
+ */
+function listSnapshots(historyFolder) {
+	if (!fs.existsSync(historyFolder)) return [];
+	const names = fs.readdirSync(historyFolder);
+	return names
+		.filter((name) => name.endsWith(".md") && SNAPSHOT_PATTERN.test(name.slice(0, -3)))
+		.map((name) => {
+			const id = name.slice(0, -3);
+			const [, timestamp, baseName, by] = id.match(SNAPSHOT_PATTERN);
+			return {
+				id: id,
+				created: parseTimestamp(timestamp).toISOString(),
+				baseName: baseName,
+				by: by,
+				size: fs.statSync(path.join(historyFolder, name)).size,
+				hasTree: names.includes(`${id}.json`),
+			};
+		})
+		.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Rebuilds a tree from the Markdown of a snapshot, for snapshots saved without a JSON sidecar.
+ * Level-0 headings are decapitalised (`treeToMarkdown` capitalises them) and metadata summaries after
+ * ` — ` are dropped.
+ *
+ * @param {string} markdown - The snapshot Markdown.
+ * @returns {Array<Object>} - The tree, as `{ name, children }` nodes (file leaves without `children`).
+ */
+function markdownToTree(markdown) {
+	const tree = [];
+	const stack = []; // Open nodes by depth
+	markdown.split(/\r?\n/).forEach((line) => {
+		const heading = line.match(/^## (.+)$/);
+		const item = line.match(/^((?: {2})*)- (.+)$/);
+		if (!heading && !item) return;
+		if (heading) {
+			const node = { name: heading[1].charAt(0).toLowerCase() + heading[1].slice(1), children: [] };
+			tree.push(node);
+			stack.length = 0;
+			stack.push(node);
+			return;
+		}
+		const depth = item[1].length / 2; // Items below a heading start at one level of indentation
+		const parent = stack[depth - 1];
+		if (!parent) return; // Malformed indentation
+		const node = { name: item[2].split(" — ")[0], children: [] };
+		parent.children.push(node);
+		stack.length = depth;
+		stack.push(node);
+	});
+	const prune = (nodes) => nodes.forEach((node) => {
+		if (node.children.length === 0) delete node.children;
+		else prune(node.children);
+	});
+	prune(tree);
+	return tree;
+}
+
+/**
+ * Reads a snapshot of a history folder.
+ *
+ * @param {string} historyFolder - The absolute path of the `tree_history` folder.
+ * @param {string} id - The snapshot id as listed by `listSnapshots()`.
+ * @returns {Object|null} - `{ id, created, by, hierarchy, filters, markdown, tree }`, or `null` if there is no such
+ *                          snapshot. `hierarchy` and `filters` are `null` for snapshots without a JSON sidecar,
+ *                          whose `tree` is rebuilt from the Markdown.
+ * @throws {Error} - Throws an error if the id is not a snapshot name.
+ */
+function readSnapshot(historyFolder, id) {
+	if (typeof id !== "string" || !SNAPSHOT_PATTERN.test(id)) {
+		throw new Error("Invalid snapshot id.");
+	}
+	const markdownPath = path.join(historyFolder, `${id}.md`);
+	if (!fs.existsSync(markdownPath)) return null;
+	const [, timestamp, , by] = id.match(SNAPSHOT_PATTERN);
+	const markdown = fs.readFileSync(markdownPath, "utf8");
+	const sidecarPath = path.join(historyFolder, `${id}.json`);
+	const sidecar = fs.existsSync(sidecarPath) ? JSON.parse(fs.readFileSync(sidecarPath, "utf8")) : null;
+	return {
+		id: id,
+		created: parseTimestamp(timestamp).toISOString(),
+		by: by,
+		hierarchy: sidecar ? sidecar.hierarchy : null,
+		filters: sidecar ? sidecar.filters : null,
+		markdown: markdown,
+		tree: sidecar ? sidecar.tree : markdownToTree(markdown),
+	};
+}
+
+/**
+ * Writes the JSON sidecar of a snapshot, holding the tree and how it was built.
+ *
+ * @param {string} markdownPath - The absolute path of the snapshot's `.md` file.
+ * @param {Object} details - `{ hierarchy, filters, tree }`.
+ */
+function writeSnapshotSidecar(markdownPath, details) {
+	const sidecarPath = markdownPath.replace(/\.md$/, ".json");
+	fs.writeFileSync(sidecarPath, JSON.stringify({ hierarchy: details.hierarchy, filters: details.filters || {}, tree: details.tree }), "utf8");
+}
+
+/**
+ * Tells whether Markdown content is identical to the latest snapshot of the same base name and hierarchy.
+ *
+ * @param {string} historyFolder - The absolute path of the `tree_history` folder.
+ * @param {string} baseName - The base name of the snapshot (e.g. "data_collection_tree").
+ * @param {string} by - The hierarchy of the snapshot (e.g. "user").
+ * @param {string} markdown - The new Markdown content.
+ * @returns {string|null} - The id of the identical latest snapshot, or `null`.
+ */
+function findDuplicateSnapshot(historyFolder, baseName, by, markdown) {
+	const latest = listSnapshots(historyFolder).find((snapshot) => snapshot.baseName === baseName && snapshot.by === by);
+	if (!latest) return null;
+	const latestMarkdown = fs.readFileSync(path.join(historyFolder, `${latest.id}.md`), "utf8");
+	return latestMarkdown === markdown ? latest.id : null;
+}
+
+/**
+ * Deletes the snapshots (Markdown and sidecar) beyond the retention limits.
+ *
+ * @param {string} historyFolder - The absolute path of the `tree_history` folder.
+ * @param {Object} [retention={}] - Overrides for `DEFAULT_RETENTION`.
+ * @returns {Array<string>} - The ids of the deleted snapshots.
+ */
+function applyRetention(historyFolder, retention = {}) {
+	const settings = { ...DEFAULT_RETENTION, ...retention };
+	const oldest = settings.maxAge > 0 ? Date.now() - settings.maxAge * 24 * 60 * 60 * 1000 : -Infinity;
+	const expired = listSnapshots(historyFolder).filter((snapshot, index) =>
+		index >= settings.maxCount || Date.parse(snapshot.created) < oldest);
+	expired.forEach((snapshot) => {
+		fs.rmSync(path.join(historyFolder, `${snapshot.id}.md`), { force: true });
+		fs.rmSync(path.join(historyFolder, `${snapshot.id}.json`), { force: true });
+	});
+	return expired.map((snapshot) => snapshot.id);
+}
+
+/**
+ * Lists the files of a snapshot tree as placeholder values, by following the hierarchy the tree was built by.
+ *
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} snapshot - The snapshot as returned by `readSnapshot()`.
+ * @returns {Array<Object>} - One placeholder values object per file leaf (e.g. `{ user: "user", user_id: "01", ... }`).
+ * @throws {Error} - Throws an error if the hierarchy of the snapshot is unknown to the schema.
+ */
+function flattenSnapshot(schema, snapshot) {
+	const hierarchy = snapshot.hierarchy || resolveHierarchy(schema, snapshot.by.split("-"));
+	const placeholders = hierarchy.flatMap((level) => schema.levels[level]);
+	const files = [];
+	const walk = (nodes, depth, values) => nodes.forEach((node) => {
+		const nodeValues = { ...values, [placeholders[depth]]: node.name };
+		if (Array.isArray(node.children) && node.children.length > 0) walk(node.children, depth + 1, nodeValues);
+		else if (depth === placeholders.length - 1) files.push(nodeValues);
+	});
+	walk(snapshot.tree, 0, {});
+	return files;
+}
+
+/**
+ * Compares the data present in two snapshots.
+ *
+ * @param {Object} schema - The compiled schema (see `compileSchema()` in `lib/schema.js`).
+ * @param {Object} before - The older snapshot, as returned by `readSnapshot()`.
+ * @param {Object} after - The newer snapshot, as returned by `readSnapshot()`.
+ * @returns {Object} - `{ users, trials, files }`, each `{ added, removed }` lists of relative paths
+ *                     (e.g. `"user_01/max_endurance_elbow_flexion_standing_03/emg.csv"`).
+ */
+function diffSnapshots(schema, before, after) {
+	const keys = (snapshot) => {
+		const sets = { users: new Set(), trials: new Set(), files: new Set() };
+		flattenSnapshot(schema, snapshot).forEach((values) => {
+			const segments = schema.segments.map((segment, depth) => {
+				try {
+					return formatSegment(schema, depth, values);
+				} catch (error) {
+					// Old snapshots may hold names the schema no longer accepts
+					return segment.placeholders.map((placeholder) => values[placeholder]).join("_");
+				}
+			});
+			sets.users.add(segments[0]);
+			sets.trials.add(segments.slice(0, 2).join("/"));
+			sets.files.add(segments.join("/"));
+		});
+		return sets;
+	};
+	const beforeKeys = keys(before);
+	const afterKeys = keys(after);
+	const compare = (kind) => ({
+		added: [...afterKeys[kind]].filter((key) => !beforeKeys[kind].has(key)).sort(),
+		removed: [...beforeKeys[kind]].filter((key) => !afterKeys[kind].has(key)).sort(),
+	});
+	return { users: compare("users"), trials: compare("trials"), files: compare("files") };
+}
+
+module.exports = {
+	DEFAULT_RETENTION,
+	listSnapshots,
+	readSnapshot,
+	markdownToTree,
+	writeSnapshotSidecar,
+	findDuplicateSnapshot,
+	applyRetention,
+	flattenSnapshot,
+	diffSnapshots,
+};
@@ -5,19 +5,38 @@
  * Copyright (c) 2024, Franz Arthur Chuquirachi Rosales. All rights reserved.
  */
 
+// Dataset shown, chosen in `#datasetSelect` (null for the server's default dataset)
+let currentDataset = null;
+
+/**
+ * Builds the query of a request to the server for the dataset shown.
+ *
+ * @param {Object} [params={}] - The query parameters.
+ * @returns {URLSearchParams} - The query parameters, with `dataset` once a dataset has been chosen.
+ */
+function datasetQuery(params = {}) {
+	return new URLSearchParams(currentDataset ? { ...params, dataset: currentDataset } : params);
+}
+
 /**
  * Fetches the directory tree structure from the server starting from the specified node type.
  *
  * This function sends a GET request to the `/get-tree` endpoint with the `startingClassName` query parameter
- * to retrieve the directory tree structure. It logs the process to the console and returns the tree structure
- * if successful. In case of an error, it logs the error and displays an alert to the user.
+ * (and the level order and filters, if given) to retrieve the directory tree structure. It logs the process to
+ * the console and returns the tree structure if successful. In case of an error, it logs the error and displays
+ * an alert to the user.
  *
  * @param {string} startNodeType - The starting class name for the directory tree (e.g., "user" or "activity").
+ * @param {boolean} [snapshot=true] - Whether the server saves the tree to its history folder.
+ * @param {Object} [treeQuery={}] - Further `/get-tree` parameters: the `hierarchy` level order (e.g.,
+ *                                  "data_type,activity,user,trial"), which takes precedence over `startNodeType`,
+ *                                  and the filters (e.g., `{ users: "01,02" }`).
  * @returns {Promise<Object|null>} - A promise resolving to the directory tree object if successful, or `null` if an error occurs.
  */
-async function fetchDirectoryTree(startNodeType) {
+async function fetchDirectoryTree(startNodeType, snapshot = true, treeQuery = {}) {
 	console.log(`[Frontend] Fetching directory tree for startNodeType: ${startNodeType}`);
-	const response = await fetch(`/get-tree?startingClassName=${startNodeType}`);
+	const query = datasetQuery({ ...treeQuery, startingClassName: startNodeType, snapshot: snapshot });
+	const response = await fetch(`/get-tree?${query}`);
 	const responseData = await response.json();
 		if (!response.ok) {
 			console.error(`[Frontend] Error while fetching directory tree:`, responseData.error_msg);
@@ -30,53 +49,102 @@ async function fetchDirectoryTree(startNodeType) {
 	return tree;
 }
 
+// Tree formatting shared with the server (public/tree-exporters.js)
+const { formatBytes, treeToMarkdown, exportTree, listExporters } = TreeExporters;
+
 /**
- * Converts a hierarchical tree structure into a Markdown-formatted string.
+ * Builds the in-page link that opens a data file in the signal viewer.
  *
- * @param {Array<Object>} tree - An array of tree nodes, each consisting of a `name` (string) and `children` (array) property.
- * @param {number} [level=0] - The current depth level in the tree hierarchy (used for indentation).
- * @returns {string} - A Markdown-formatted string representing the tree structure.
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of a file leaf.
+ * @returns {string} - The hash link, e.g. `"#view?user=01&activity=...&trial=01&dataType=emg"`.
+ */
+function viewerLink(instance) {
+	return `#view?${new URLSearchParams(instance).toString()}`;
+}
+
+/**
+ * Builds the in-page link that opens the body composition profile of a subject.
  *
- * @example
- * const tree = [
- *   { name: "User1", children: [
- *     { name: "Activity1", children: [
- *       { name: "Trial1", children: [
- *         { name: "File1" }
- *       ]}
- *     ]}
- *   ]}
- * ];
- *
- * const markdown = treeToMarkdown(tree);
- * console.log(markdown);
- * // Outputs:
- * // ## User1
- * // - Activity1
- * //   - Trial1
- * //     - File1
- */
-function treeToMarkdown(tree, level = 0) {
-	const indent = '  '.repeat(level); // Indentation for hierarchy
-	let markdown = '';
-	
-	// Iterate over each node in the tree
+ * @param {Object} subject - The `{ user }` identifier of a user node.
+ * @returns {string} - The hash link, e.g. `"#profile?user=01"`.
+ */
+function profileLink(subject) {
+	return `#profile?${new URLSearchParams(subject).toString()}`;
+}
+
+/**
+ * Collects the paths of every node of a tree, e.g. `"/user/01/max_endurance_elbow_flexion_standing/01/emg"`.
+ *
+ * @param {Array<Object>} tree - The tree nodes.
+ * @param {string} [parentPath=''] - The path of the parent node (used while recursing).
+ * @param {Set<string>} [paths=new Set()] - The set to fill (used while recursing).
+ * @returns {Set<string>} - The node paths.
+ */
+function collectNodePaths(tree, parentPath = '', paths = new Set()) {
 	tree.forEach((node) => {
-		if (level === 0) {
-			markdown += `${indent}## ${node.name.charAt(0).toUpperCase() + node.name.slice(1)}\n`;
-		}
-		else {
-			markdown += `${indent}- ${node.name}\n`;
-		}
-		
-		// If the node has children, recursively process them
-		if (Array.isArray(node.children) && node.children.length > 0) {
-			markdown += treeToMarkdown(node.children, level + 1);
-		}
+		const nodePath = `${parentPath}/${node.name}`;
+		paths.add(nodePath);
+		if (Array.isArray(node.children)) collectNodePaths(node.children, nodePath, paths);
 	});
-	
-	//	console.log(`[Frontend] Markdown content for level ${level}:\n`, markdown);
-	return markdown;
+	return paths;
+}
+
+// Tree currently displayed, and the start node type and query it was generated for (null before the first render)
+let currentTree = null;
+let currentStartNodeType = null;
+let currentTreeQuery = {};
+let renderedTree = null; // Tree on screen, including an opened snapshot
+
+/**
+ * Displays a directory tree as Markdown in `#markdownOutput` and as a Markmap in `#markmapCanvas`.
+ *
+ * @param {Array<Object>} tree - The directory tree returned by `/get-tree`.
+ * @param {Set<string>|null} [highlight=null] - Paths of nodes to highlight in the Markmap (e.g. new nodes).
+ *
+ * @steps
+ * 1. Converts the directory tree into Markdown format using `treeToMarkdown()`, with file leaves linking to the viewer
+ *    and user nodes to their profile.
+ * 2. Displays the Markdown content in the `#markdownOutput` DOM element.
+ * 3. Calculates the height of the Markdown output element for Markmap rendering.
+ * 4. Appends Markmap-specific configuration to the Markdown content (with highlighted nodes) and inserts it into the `#markmapCanvas` DOM element.
+ * 5. Renders the Markmap visualization using `markmap.autoLoader.renderAll()`.
+ */
+function renderTree(tree, highlight = null) {
+	renderedTree = tree;
+	console.log(`[Frontend] Converting directory tree to Markdown.`);
+	// Convert the tree to Markdown format
+	const markdownContent = '# Data Collection\n' + treeToMarkdown(tree, 0, { link: viewerLink, subjectLink: profileLink });
+	// Display the Markdown content in the output element
+	document.getElementById("markdownOutput").textContent = markdownContent;
+	console.log(`[Frontend] Markdown content displayed.`);
+	console.log(`${markdownContent}`);
+	// Calculate the height of the rendered Markdown output element
+//	const markdownHeight = document.getElementById('markdownOutput').offsetHeight; // Get the height in pixels
+	const markdownOutput = document.getElementById('markdownOutput'); // Get the element
+	const markdownHeight = window.getComputedStyle(markdownOutput).height;
+	console.log(`[Frontend] Rendered markdownOutput height is ${markdownHeight}.`);
+	// Append Markmap-specific options and prepare for rendering
+	const markmapContent = highlight ? '# Data Collection\n' + treeToMarkdown(tree, 0, { link: viewerLink, subjectLink: profileLink, highlight: highlight }) : markdownContent;
+	const markdownContentwOptions = '---\nmarkmap:\n  colorFreezeLevel: 5\n---\n\n' + markmapContent;
+	console.log(`[Frontend] Markdown content with options loaded to DOM.`);
+	console.log(`${markdownContentwOptions}`);
+	// Inject the Markmap configuration into the canvas element
+	document.getElementById("markmapCanvas").innerHTML = `
+	<style>
+	    .markmap > svg {
+		    height: ${markdownHeight};
+	        width: 100%;
+		}
+	</style>
+    <div class="markmap">
+        <script type="text/template">
+            ${markdownContentwOptions}
+        </script>
+    </div>
+    `;
+	// Inject the Markmap configuration into the canvas element
+	markmap.autoLoader.renderAll();
+	console.log(`[Frontend] Markmap content rendered.`);
 }
 
 /**
@@ -95,6 +163,8 @@ function treeToMarkdown(tree, level = 0) {
  *   <option value="user">User</option>
  *   <option value="activity">Activity</option>
  * </select>
+ * <input id="hierarchyInput" placeholder="data_type,activity,user,trial">
+ * <div id="treeFilters"> ... </div>
  * <button id="generateBtn">Generate</button>
  * <pre id="markdownOutput"></pre>
  * <div id="markmapCanvas"></div>
@@ -104,59 +174,1220 @@ function treeToMarkdown(tree, level = 0) {
  *
  * @steps
  * 1. Logs a message indicating the button was clicked.
- * 2. Retrieves the `startNodeType` selected by the user.
+ * 2. Retrieves the `startNodeType` selected by the user, the optional custom level order and the filters.
  * 3. Calls `fetchDirectoryTree()` with the selected start node type to fetch the directory tree from the server.
- * 4. Converts the fetched directory tree into Markdown format using `treeToMarkdown()`.
- * 5. Displays the Markdown content in the `#markdownOutput` DOM element.
- * 6. Calculates the height of the Markdown output element for Markmap rendering.
- * 7. Appends Markmap-specific configuration to the Markdown content and inserts it into the `#markmapCanvas` DOM element.
- * 8. Renders the Markmap visualization using `markmap.autoLoader.renderAll()`.
+ * 4. Displays the tree as Markdown and Markmap using `renderTree()`.
  *
  * @see fetchDirectoryTree
- * @see treeToMarkdown
+ * @see renderTree
  */
 document.getElementById("generateBtn").addEventListener("click", async () => {
 	console.log(`[Frontend] Generate button clicked.`);
 	// Retrieve the selected start node type
 	const startNodeType = document.getElementById("startNodeType").value;
-	console.log(`[Frontend] Selected startNodeType: ${startNodeType}`);
+	const treeQuery = readTreeQuery();
+	console.log(`[Frontend] Selected startNodeType: ${startNodeType}`, treeQuery);
 	// Fetch the directory tree data
-	const tree = await fetchDirectoryTree(startNodeType);
+	const tree = await fetchDirectoryTree(startNodeType, true, treeQuery);
 	if (tree) {
-		console.log(`[Frontend] Converting directory tree to Markdown.`);
-		// Convert the tree to Markdown format
-		const markdownContent = '# Data Collection\n' + treeToMarkdown(tree);
-		// Display the Markdown content in the output element
-		document.getElementById("markdownOutput").textContent = markdownContent;
-		console.log(`[Frontend] Markdown content displayed.`);
-		console.log(`${markdownContent}`);
-		// Calculate the height of the rendered Markdown output element
-//		const markdownHeight = document.getElementById('markdownOutput').offsetHeight; // Get the height in pixels
-		const markdownOutput = document.getElementById('markdownOutput'); // Get the element
-		const markdownHeight = window.getComputedStyle(markdownOutput).height;
-		console.log(`[Frontend] Rendered markdownOutput height is ${markdownHeight}.`);
-		// Append Markmap-specific options and prepare for rendering
-		const markdownContentwOptions = '---\nmarkmap:\n  colorFreezeLevel: 5\n---\n\n' + markdownContent;
-		console.log(`[Frontend] Markdown content with options loaded to DOM.`);
-		console.log(`${markdownContentwOptions}`);
-		// Inject the Markmap configuration into the canvas element
-		document.getElementById("markmapCanvas").innerHTML = `
-		<style>
-		    .markmap > svg {
-			    height: ${markdownHeight};
-		        width: 100%;
-			}
-		</style>
-        <div class="markmap">
-	        <script type="text/template">
-	            ${markdownContentwOptions}
-	        </script>
-        </div>
-        `;
-		// Inject the Markmap configuration into the canvas element
-		markmap.autoLoader.renderAll();
-		console.log(`[Frontend] Markmap content rendered.`);
+		renderTree(tree);
+		currentTree = tree;
+		currentStartNodeType = startNodeType;
+		currentTreeQuery = treeQuery;
 	} else {
 		console.warn(`[Frontend] Tree data is null. Markdown conversion skipped.`);
 	}
 });
+
+// Colors assigned to the plotted channels, in order
+const CHANNEL_COLORS = ["#007BFF", "#DC3545", "#28A745", "#FD7E14", "#6F42C1", "#20C997", "#E83E8C", "#6C757D"];
+
+// Number of points per channel requested from the server for the visible range
+const VIEWER_POINTS = 2000;
+
+// State of the open signal viewer
+let viewerChart = null; // uPlot instance (null when closed)
+let viewerInstance = null; // Identifiers of the file shown
+let viewerBounds = null; // Full time range of the file: { min, max }
+let viewerRefreshTimer = null;
+
+// Annotations of the trial shown in the viewer, and the annotation types offered by the server
+let viewerAnnotations = [];
+let annotationTypes = {};
+
+// Marker colour of each annotation type
+const ANNOTATION_COLORS = {
+	fatigue_onset: "#FD7E14",
+	task_failure: "#DC3545",
+	bad_segment: "#6C757D",
+	rep_boundary: "#6F42C1",
+};
+
+/**
+ * Fetches the contents of a trial data file as time series from the server, downsampled to
+ * `VIEWER_POINTS` points per channel.
+ *
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of the file.
+ * @param {Object} [range={}] - Optional `{ start, end }` time range in seconds.
+ * @returns {Promise<Object|null>} - A promise resolving to `{ samplingRate, startTime, time, channels, ... }`,
+ *                                   or `null` if an error occurs.
+ */
+async function fetchTrialData(instance, range = {}) {
+	console.log(`[Frontend] Fetching trial data:`, instance, range);
+	const params = datasetQuery({ ...instance, ...range, points: VIEWER_POINTS, method: "minmax" });
+	const response = await fetch(`/data?${params.toString()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching trial data:`, responseData.error_msg);
+		alert(`Error while fetching trial data: ${responseData.error_msg}`);
+	}
+	return responseData.data;
+}
+
+/**
+ * Sets the visible time range of the viewer chart, clamped to the recorded data.
+ *
+ * @param {number} min - Start of the range in seconds.
+ * @param {number} max - End of the range in seconds.
+ */
+function setViewerRange(min, max) {
+	const range = Math.min(max - min, viewerBounds.max - viewerBounds.min);
+	const start = Math.min(Math.max(min, viewerBounds.min), viewerBounds.max - range);
+	viewerChart.setScale("x", { min: start, max: start + range });
+}
+
+/**
+ * Reloads the visible time range of the viewer at full detail once the user stops zooming or panning.
+ * The overview is downsampled, so zooming in would otherwise only stretch the overview samples.
+ *
+ * @param {number} min - Start of the visible range in seconds.
+ * @param {number} max - End of the visible range in seconds.
+ */
+function scheduleViewerRefresh(min, max) {
+	clearTimeout(viewerRefreshTimer);
+	viewerRefreshTimer = setTimeout(async () => {
+		const instance = viewerInstance;
+		const data = await fetchTrialData(instance, { start: min, end: max });
+		// Ignore the answer if the viewer was closed or switched to another file meanwhile
+		if (!data || !viewerChart || instance !== viewerInstance) return;
+		const channelNames = viewerChart.series.slice(1).map((series) => series.label);
+		viewerChart.setData([data.time, ...channelNames.map((name) => data.channels[name])], false);
+	}, 300);
+}
+
+/**
+ * Renders the channels of a data file in the viewer chart, with one toggle per channel.
+ *
+ * Zooming is done by dragging a range, or with the mouse wheel around the cursor; Shift+wheel pans.
+ * The visible range is reloaded at full detail after each zoom or pan. The time under the cursor is
+ * shown in `#viewerCursor`.
+ *
+ * @param {Object} data - The file contents returned by `fetchTrialData()`.
+ */
+function renderViewerChart(data) {
+	const chartElement = document.getElementById("viewerChart");
+	const channelNames = Object.keys(data.channels);
+	if (viewerChart) viewerChart.destroy();
+	chartElement.innerHTML = "";
+	
+	const options = {
+		width: chartElement.clientWidth || 600,
+		height: 320,
+		scales: { x: { time: false } },
+		axes: [{ label: "Time (s)" }, {}],
+		cursor: { drag: { x: true, y: false, setScale: true } },
+		series: [
+			{ label: "Time (s)" },
+			...channelNames.map((name, index) => ({
+				label: name,
+				stroke: CHANNEL_COLORS[index % CHANNEL_COLORS.length],
+				width: 1,
+			})),
+		],
+		hooks: {
+			setScale: [(chart, scaleKey) => {
+				if (scaleKey === "x") scheduleViewerRefresh(chart.scales.x.min, chart.scales.x.max);
+			}],
+			setCursor: [(chart) => {
+				const index = chart.cursor.idx;
+				document.getElementById("viewerCursor").textContent =
+					index === null || index === undefined ? "" : `t = ${chart.data[0][index].toFixed(3)} s`;
+			}],
+			draw: [drawAnnotationMarkers],
+		},
+	};
+	viewerBounds = { min: data.time[0], max: data.time[data.time.length - 1] };
+	viewerChart = new uPlot(options, [data.time, ...channelNames.map((name) => data.channels[name])], chartElement);
+	
+	// Mouse wheel zooms around the cursor, Shift+wheel pans
+	viewerChart.over.addEventListener("wheel", (event) => {
+		event.preventDefault();
+		const { min, max } = viewerChart.scales.x;
+		const range = max - min;
+		if (event.shiftKey) {
+			const shift = range * 0.1 * Math.sign(event.deltaY || event.deltaX);
+			setViewerRange(min + shift, max + shift);
+			return;
+		}
+		const focus = viewerChart.posToVal(event.offsetX, "x");
+		const factor = event.deltaY < 0 ? 0.8 : 1.25;
+		setViewerRange(focus - (focus - min) * factor, focus + (max - focus) * factor);
+	});
+	
+	// Click sets the time of the next annotation, Shift+click its end
+	viewerChart.over.addEventListener("click", (event) => {
+		const time = viewerChart.posToVal(event.offsetX, "x");
+		if (!Number.isFinite(time)) return;
+		document.getElementById(event.shiftKey ? "annotationEnd" : "annotationTime").value = time.toFixed(3);
+	});
+	
+	// One checkbox per channel to show or hide it
+	const toggles = document.getElementById("viewerChannels");
+	toggles.innerHTML = "";
+	channelNames.forEach((name, index) => {
+		const label = document.createElement("label");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.checked = true;
+		checkbox.addEventListener("change", () => viewerChart.setSeries(index + 1, { show: checkbox.checked }));
+		label.appendChild(checkbox);
+		label.append(` ${name}`);
+		label.style.color = CHANNEL_COLORS[index % CHANNEL_COLORS.length];
+		toggles.appendChild(label);
+	});
+	setSelectOptions(document.getElementById("annotationChannel"), ["", ...channelNames], (name) => name || "All channels");
+}
+
+/**
+ * Builds the query identifying the trial of a viewer instance, for the annotation endpoints.
+ *
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of the file shown.
+ * @returns {Object} - The `{ user, activity, trial }` identifiers.
+ */
+function annotationTrial(instance) {
+	return { user: instance.user, activity: instance.activity, trial: instance.trial };
+}
+
+/**
+ * Fetches the annotations of the trial of a viewer instance.
+ *
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of the file shown.
+ * @returns {Promise<Object|null>} - A promise resolving to `{ annotations, types }`, or `null` if an error occurs.
+ */
+async function fetchAnnotations(instance) {
+	const response = await fetch(`/annotations?${datasetQuery(annotationTrial(instance))}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching annotations:`, responseData.error_msg);
+		return null;
+	}
+	return { annotations: responseData.annotations, types: responseData.types };
+}
+
+/**
+ * Draws the annotations of the trial on the viewer chart: a vertical line at each instant, and a shaded
+ * band over each span. Used as the uPlot `draw` hook.
+ *
+ * @param {Object} chart - The uPlot instance.
+ */
+function drawAnnotationMarkers(chart) {
+	const { ctx, bbox } = chart;
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(bbox.left, bbox.top, bbox.width, bbox.height);
+	ctx.clip();
+	viewerAnnotations.forEach((annotation) => {
+		const color = ANNOTATION_COLORS[annotation.type] || "#000000";
+		const start = chart.valToPos(annotation.time, "x", true);
+		if (annotation.end !== null && annotation.end !== undefined) {
+			const end = chart.valToPos(annotation.end, "x", true);
+			ctx.fillStyle = `${color}33`;
+			ctx.fillRect(start, bbox.top, end - start, bbox.height);
+			return;
+		}
+		ctx.strokeStyle = color;
+		ctx.lineWidth = 2;
+		ctx.setLineDash([6, 4]);
+		ctx.beginPath();
+		ctx.moveTo(start, bbox.top);
+		ctx.lineTo(start, bbox.top + bbox.height);
+		ctx.stroke();
+	});
+	ctx.restore();
+}
+
+/**
+ * Lists the annotations of the trial under the viewer chart, each with a button to delete it, and redraws
+ * their markers on the chart.
+ */
+function renderAnnotations() {
+	const list = document.getElementById("annotationList");
+	list.innerHTML = viewerAnnotations.length === 0 ? `<li class="viewer-hint">No annotations for this trial.</li>` :
+		viewerAnnotations.map((annotation) => {
+			const type = annotationTypes[annotation.type];
+			const time = annotation.end !== null && annotation.end !== undefined
+				? `${annotation.time.toFixed(3)}–${annotation.end.toFixed(3)} s` : `${annotation.time.toFixed(3)} s`;
+			return `<li><span class="annotation-swatch" style="background:${ANNOTATION_COLORS[annotation.type] || "#000000"}"></span>` +
+				`<b>${escapeHtml(type ? type.label : annotation.type)}</b> at ${time}` +
+				(annotation.channel ? ` · ${escapeHtml(annotation.channel)}` : "") +
+				(annotation.note ? ` · <i>${escapeHtml(annotation.note)}</i>` : "") +
+				` <button type="button" data-annotation="${escapeHtml(annotation.id)}">Delete</button></li>`;
+		}).join("");
+	if (viewerChart) viewerChart.redraw(false);
+}
+
+/**
+ * Loads the annotations of the trial shown in the viewer and displays them.
+ *
+ * @async
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of the file shown.
+ */
+async function loadViewerAnnotations(instance) {
+	const result = await fetchAnnotations(instance);
+	if (!result || instance !== viewerInstance) return;
+	viewerAnnotations = result.annotations;
+	if (Object.keys(annotationTypes).length === 0) {
+		annotationTypes = result.types;
+		setSelectOptions(document.getElementById("annotationType"), Object.keys(annotationTypes), (type) => annotationTypes[type].label);
+	}
+	renderAnnotations();
+}
+
+/**
+ * Opens the signal viewer next to the mindmap for a data file.
+ *
+ * @async
+ * @param {Object} instance - The `{ user, activity, trial, dataType }` identifiers of the file.
+ */
+async function openViewer(instance) {
+	console.log(`[Frontend] Opening viewer for:`, instance);
+	document.getElementById("viewerPanel").hidden = false;
+	document.getElementById("viewerTitle").textContent =
+		`Signal Viewer: user ${instance.user} / ${instance.activity} / trial ${instance.trial} / ${instance.dataType}`;
+	viewerInstance = instance;
+	viewerAnnotations = [];
+	renderAnnotations();
+	loadViewerAnnotations(instance);
+	const data = await fetchTrialData(instance);
+	if (data && instance === viewerInstance) {
+		renderViewerChart(data);
+		console.log(`[Frontend] Viewer chart rendered.`);
+	}
+}
+
+/**
+ * Closes the signal viewer and releases its chart.
+ */
+function closeViewer() {
+	clearTimeout(viewerRefreshTimer);
+	if (viewerChart) viewerChart.destroy();
+	viewerChart = null;
+	viewerInstance = null;
+	viewerAnnotations = [];
+	document.getElementById("viewerPanel").hidden = true;
+	if (location.hash.startsWith("#view?")) history.pushState(null, "", location.pathname);
+}
+
+/**
+ * Opens the viewer when the location hash points to a data file (`#view?user=...`), which is what the
+ * links on the mindmap leaves do.
+ */
+function handleViewerHash() {
+	if (!location.hash.startsWith("#view?")) return;
+	const params = new URLSearchParams(location.hash.slice("#view?".length));
+	openViewer({
+		user: params.get("user"),
+		activity: params.get("activity"),
+		trial: params.get("trial"),
+		dataType: params.get("dataType"),
+	});
+}
+
+window.addEventListener("hashchange", handleViewerHash);
+document.getElementById("viewerCloseBtn").addEventListener("click", closeViewer);
+document.getElementById("viewerResetBtn").addEventListener("click", () => {
+	if (!viewerChart) return;
+	viewerChart.setScale("x", { min: viewerBounds.min, max: viewerBounds.max });
+});
+
+/**
+ * Event listener for the annotation form: adds an annotation to the trial shown in the viewer.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("annotationForm").addEventListener("submit", async (event) => {
+	event.preventDefault();
+	if (!viewerInstance) return;
+	const instance = viewerInstance;
+	const value = (id) => document.getElementById(id).value.trim();
+	const body = {
+		...annotationTrial(instance),
+		type: value("annotationType"),
+		time: Number(value("annotationTime")),
+		channel: value("annotationChannel") || null,
+		note: value("annotationNote") || null,
+	};
+	if (value("annotationEnd") !== "") body.end = Number(value("annotationEnd"));
+	const response = await fetch(`/annotations?${datasetQuery()}`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(body),
+	});
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while adding annotation:`, responseData.error_msg);
+		alert(`Error while adding annotation: ${responseData.error_msg}`);
+		return;
+	}
+	console.log(`[Frontend] Annotation added:`, responseData.annotation);
+	["annotationTime", "annotationEnd", "annotationNote"].forEach((id) => { document.getElementById(id).value = ""; });
+	loadViewerAnnotations(instance);
+});
+
+/**
+ * Event listener for the delete buttons of the annotation list.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("annotationList").addEventListener("click", async (event) => {
+	const id = event.target.dataset.annotation;
+	if (!id || !viewerInstance) return;
+	const instance = viewerInstance;
+	const response = await fetch(`/annotations/${encodeURIComponent(id)}?${datasetQuery(annotationTrial(instance))}`, { method: "DELETE" });
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while deleting annotation:`, responseData.error_msg);
+		alert(`Error while deleting annotation: ${responseData.error_msg}`);
+		return;
+	}
+	console.log(`[Frontend] Annotation deleted:`, responseData.annotation);
+	loadViewerAnnotations(instance);
+});
+
+/**
+ * Event listener for the "Detect Task Failure" button: estimates the time to exhaustion of the trial shown
+ * (`/exhaustion`) and fills the annotation form with it, to be reviewed before it is added.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("annotationDetectBtn").addEventListener("click", async () => {
+	if (!viewerInstance) return;
+	const response = await fetch(`/exhaustion?${datasetQuery(annotationTrial(viewerInstance))}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while detecting task failure:`, responseData.error_msg);
+		alert(`Error while detecting task failure: ${responseData.error_msg}`);
+		return;
+	}
+	const exhaustion = responseData.exhaustion;
+	console.log(`[Frontend] Time to exhaustion detected:`, exhaustion);
+	if (exhaustion.time === null || exhaustion.source === "recording_end") {
+		alert(exhaustion.reason);
+		return;
+	}
+	document.getElementById("annotationType").value = "task_failure";
+	document.getElementById("annotationTime").value = exhaustion.time.toFixed(3);
+	document.getElementById("annotationEnd").value = "";
+	document.getElementById("annotationNote").value = `Detected (${exhaustion.confidence} confidence): ${exhaustion.reason}`.slice(0, 1000);
+});
+
+// Open the viewer directly if the page is loaded with a viewer link
+handleViewerHash();
+
+/**
+ * Escapes text for safe insertion into HTML.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * Fetches the dataset audit report from the server.
+ *
+ * @returns {Promise<Object|null>} - A promise resolving to the report, or `null` if an error occurs.
+ */
+async function fetchAuditReport() {
+	console.log(`[Frontend] Fetching audit report.`);
+	const response = await fetch(`/audit?${datasetQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching audit report:`, responseData.error_msg);
+		alert(`Error while fetching audit report: ${responseData.error_msg} Please check the server.`);
+	}
+	return responseData.report;
+}
+
+/**
+ * Renders the audit report as HTML: a summary, the user × activity × trial × data_type completeness
+ * matrix and one list per kind of problem.
+ *
+ * @param {Object} report - The report returned by `/audit`.
+ * @returns {string} - The HTML of the report.
+ */
+function auditReportToHtml(report) {
+	const list = (title, items, format) => items.length === 0 ? "" :
+		`<h3>${title} (${items.length})</h3><ul>${items.map((item) => `<li>${format(item)}</li>`).join("")}</ul>`;
+	
+	// Completeness matrix, one row per trial (or per activity without trials)
+	const dataTypes = new Set();
+	const rows = [];
+	Object.entries(report.completeness).forEach(([user, activities]) => {
+		Object.entries(activities).forEach(([activity, trials]) => {
+			const trialEntries = Object.entries(trials);
+			if (trialEntries.length === 0) rows.push({ user, activity, trial: "—", statuses: {} });
+			trialEntries.forEach(([trial, statuses]) => {
+				Object.keys(statuses).forEach((dataType) => dataTypes.add(dataType));
+				rows.push({ user, activity, trial, statuses });
+			});
+		});
+	});
+	const columns = Array.from(dataTypes);
+	const matrix = `<table><tr><th>User</th><th>Activity</th><th>Trial</th>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("")}</tr>` +
+		rows.map((row) => `<tr><td>${escapeHtml(row.user)}</td><td>${escapeHtml(row.activity)}</td><td>${escapeHtml(row.trial)}</td>` +
+			columns.map((c) => {
+				const status = row.statuses[c] || "missing";
+				return `<td class="status-${status}">${status}</td>`;
+			}).join("") + `</tr>`).join("") + `</table>`;
+	
+	const summary = Object.entries(report.summary).map(([key, value]) => `${escapeHtml(key)}: <b>${value}</b>`).join(" · ");
+	return `<p>Generated ${escapeHtml(report.generated)}<br>${summary}</p>` +
+		`<h3>Completeness</h3>${matrix}` +
+		list("Empty files", report.emptyFiles, (file) => escapeHtml(file)) +
+		list("Unparseable files", report.unparseableFiles, (item) => `${escapeHtml(item.path)}: ${escapeHtml(item.error)}`) +
+		list("Gaps in trial numbering", report.trialGaps, (gap) =>
+			`user ${escapeHtml(gap.user)} / ${escapeHtml(gap.activity)}: missing ${gap.missing.map(escapeHtml).join(", ")}`) +
+		list("Unrecognized folders and files", report.unrecognized, (item) =>
+			`${escapeHtml(item.path)} (${item.kind}): ${escapeHtml(item.reason)}`) +
+		list("Inconsistent column headers", report.inconsistentHeaders, (item) =>
+			`${escapeHtml(item.dataType)}: ` + item.variants.map((variant) =>
+				`[${variant.columns.map(escapeHtml).join(", ")}] in ${variant.files.map(escapeHtml).join(", ")}`).join("; "));
+}
+
+/**
+ * Event listener for the "Run Audit" button: fetches the audit report and shows it below the tree.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("auditBtn").addEventListener("click", async () => {
+	console.log(`[Frontend] Audit button clicked.`);
+	const report = await fetchAuditReport();
+	if (report) {
+		document.getElementById("auditReport").innerHTML = auditReportToHtml(report);
+		document.getElementById("auditPanel").hidden = false;
+		console.log(`[Frontend] Audit report displayed.`);
+	}
+});
+
+/**
+ * Fetches the body composition profile of a subject from the server.
+ *
+ * @param {string} user - The user number (e.g., "01").
+ * @returns {Promise<Object|null>} - A promise resolving to the profile, or `null` if an error occurs.
+ */
+async function fetchProfile(user) {
+	console.log(`[Frontend] Fetching profile of user ${user}.`);
+	const response = await fetch(`/profile?${datasetQuery({ user: user })}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching profile:`, responseData.error_msg);
+		alert(`Error while fetching profile: ${responseData.error_msg} Please check the server.`);
+	}
+	return responseData.profile;
+}
+
+/**
+ * Renders a subject profile as HTML: the body measures (derived values in italics), the files they were
+ * read from and the trials available as MVC references.
+ *
+ * @param {Object} profile - The profile returned by `/profile`.
+ * @returns {string} - The HTML of the profile.
+ */
+function profileToHtml(profile) {
+	const format = (value) => Number.isInteger(value) ? String(value) : value.toFixed(2);
+	const rows = Object.entries(profile.measures).map(([key, value]) => ({ key, value, derived: false }))
+		.concat(Object.entries(profile.derived).map(([key, value]) => ({ key, value, derived: true })));
+	const measures = rows.length === 0
+		? `<p>No body composition measures recorded: every body_composition.csv of this user is empty.</p>`
+		: `<table><tr><th>Measure</th><th>Value</th><th>Unit</th></tr>` + rows.map((row) => {
+			const definition = profile.definitions[row.key] || { label: row.key, unit: "" };
+			const cell = (text) => row.derived ? `<td class="profile-derived">${text}</td>` : `<td>${text}</td>`;
+			return `<tr>${cell(escapeHtml(definition.label))}${cell(format(row.value))}${cell(escapeHtml(definition.unit))}</tr>`;
+		}).join("") + `</table>`;
+	const sources = profile.sources.map((source) => {
+		const status = source.error ? `unreadable: ${escapeHtml(source.error)}`
+			: source.empty ? "empty" : `${Object.keys(source.measures).length} measure(s)`;
+		const warnings = source.warnings.length > 0 ? ` (${source.warnings.map(escapeHtml).join(" ")})` : "";
+		return `<li>${escapeHtml(source.path)}: ${status}${warnings}</li>`;
+	}).join("");
+	const trials = profile.trials.map((trial) => `${escapeHtml(trial.activity)} ${escapeHtml(trial.trial)}`).join(", ");
+	return measures +
+		`<h3>Sources (${profile.sources.length})</h3><ul>${sources}</ul>` +
+		`<h3>Trials</h3><p>${trials}</p>` +
+		`<p class="viewer-hint">EMG analyses can be normalized to one of these trials as MVC reference ` +
+		`(<code>/analysis/emg?normalize=mvc&amp;mvcActivity=...</code>) and related to these measures (<code>relativeTo=lean_mass_kg</code>).</p>`;
+}
+
+/**
+ * Shows the profile of a subject below the tree, which is what the links on the user nodes of the mindmap do.
+ *
+ * @async
+ * @param {string} user - The user number (e.g., "01").
+ */
+async function openProfile(user) {
+	const profile = await fetchProfile(user);
+	if (!profile) return;
+	document.getElementById("profileTitle").textContent = `Subject Profile: user ${profile.user}`;
+	document.getElementById("profileCard").innerHTML = profileToHtml(profile);
+	document.getElementById("profilePanel").hidden = false;
+	console.log(`[Frontend] Profile of user ${profile.user} displayed.`);
+}
+
+/**
+ * Opens the profile when the location hash points to a subject (`#profile?user=01`).
+ */
+function handleProfileHash() {
+	if (!location.hash.startsWith("#profile?")) return;
+	const params = new URLSearchParams(location.hash.slice("#profile?".length));
+	openProfile(params.get("user"));
+}
+
+window.addEventListener("hashchange", handleProfileHash);
+document.getElementById("profileCloseBtn").addEventListener("click", () => {
+	document.getElementById("profilePanel").hidden = true;
+	document.getElementById("cohortReport").innerHTML = "";
+	if (location.hash.startsWith("#profile?")) history.pushState(null, "", location.pathname);
+});
+handleProfileHash();
+
+/**
+ * Fetches the list of tree snapshots from the server, newest first.
+ *
+ * @returns {Promise<Array<Object>|null>} - A promise resolving to the snapshots, or `null` if an error occurs.
+ */
+async function fetchSnapshots() {
+	const response = await fetch(`/history?${datasetQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching snapshots:`, responseData.error_msg);
+		alert(`Error while fetching snapshots: ${responseData.error_msg} Please check the server.`);
+	}
+	return responseData.snapshots;
+}
+
+/**
+ * Fetches one tree snapshot from the server.
+ *
+ * @param {string} id - The snapshot id.
+ * @returns {Promise<Object|null>} - A promise resolving to the snapshot (with its `tree`), or `null` if an error occurs.
+ */
+async function fetchSnapshot(id) {
+	const response = await fetch(`/history/${encodeURIComponent(id)}?${datasetQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching snapshot:`, responseData.error_msg);
+		alert(`Error while fetching snapshot: ${responseData.error_msg}`);
+	}
+	return responseData.snapshot;
+}
+
+/**
+ * Fetches the differences between two tree snapshots from the server.
+ *
+ * @param {string} from - The id of the older snapshot.
+ * @param {string} to - The id of the newer snapshot.
+ * @returns {Promise<Object|null>} - A promise resolving to the diff, or `null` if an error occurs.
+ */
+async function fetchSnapshotDiff(from, to) {
+	const response = await fetch(`/history/diff?${datasetQuery({ from: from, to: to })}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while comparing snapshots:`, responseData.error_msg);
+		alert(`Error while comparing snapshots: ${responseData.error_msg}`);
+	}
+	return responseData.diff;
+}
+
+/**
+ * Renders the snapshot list as a table with "from"/"to" choices for comparing and an "Open" button per snapshot.
+ * The two newest snapshots are preselected.
+ *
+ * @param {Array<Object>} snapshots - The snapshots returned by `/history`.
+ * @returns {string} - The HTML of the list.
+ */
+function snapshotListToHtml(snapshots) {
+	if (snapshots.length === 0) return `<p>No snapshots yet. Generating a tree saves one.</p>`;
+	return `<table><tr><th>From</th><th>To</th><th>Created</th><th>By</th><th>Size</th><th></th></tr>` +
+		snapshots.map((snapshot, index) => {
+			const id = escapeHtml(snapshot.id);
+			return `<tr><td><input type="radio" name="historyFrom" value="${id}"${index === 1 ? " checked" : ""}></td>` +
+				`<td><input type="radio" name="historyTo" value="${id}"${index === 0 ? " checked" : ""}></td>` +
+				`<td>${escapeHtml(new Date(snapshot.created).toLocaleString())}</td>` +
+				`<td>${escapeHtml(snapshot.by.replace(/-/g, " > "))}</td>` +
+				`<td>${formatBytes(snapshot.size)}</td>` +
+				`<td><button data-snapshot="${id}">Open</button></td></tr>`;
+		}).join("") + `</table>`;
+}
+
+/**
+ * Renders the differences between two snapshots: added and removed users, trials and files.
+ *
+ * @param {Object} diff - The diff returned by `/history/diff`.
+ * @returns {string} - The HTML of the differences.
+ */
+function snapshotDiffToHtml(diff) {
+	const section = (title, changes) => {
+		const items = changes.added.map((item) => `<li class="diff-added">+ ${escapeHtml(item)}</li>`)
+			.concat(changes.removed.map((item) => `<li class="diff-removed">− ${escapeHtml(item)}</li>`));
+		return `<h3>${title} (+${changes.added.length} / −${changes.removed.length})</h3>` + (items.length > 0 ? `<ul>${items.join("")}</ul>` : "");
+	};
+	const sameFilters = JSON.stringify(diff.filters.from) === JSON.stringify(diff.filters.to);
+	return `<p>${escapeHtml(diff.from)} → ${escapeHtml(diff.to)}</p>` +
+		(sameFilters ? "" : `<p>The snapshots were generated with different filters; some differences may come from the filters.</p>`) +
+		section("Users", diff.users) + section("Trials", diff.trials) + section("Files", diff.files);
+}
+
+/**
+ * Event listener for the "Snapshot History" button: lists the saved snapshots in the history panel.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("historyBtn").addEventListener("click", async () => {
+	console.log(`[Frontend] History button clicked.`);
+	const snapshots = await fetchSnapshots();
+	if (snapshots) {
+		document.getElementById("historyList").innerHTML = snapshotListToHtml(snapshots);
+		document.getElementById("historyDiff").innerHTML = "";
+		document.getElementById("historyStatus").textContent = `${snapshots.length} snapshot(s)`;
+		document.getElementById("historyPanel").hidden = false;
+	}
+});
+
+/**
+ * Event listener for the "Open" buttons of the snapshot list: shows the snapshot's tree as Markdown and Markmap.
+ * Live refresh is paused until a tree is generated again, so that the snapshot stays on screen.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("historyList").addEventListener("click", async (event) => {
+	const id = event.target.dataset && event.target.dataset.snapshot;
+	if (!id) return;
+	const snapshot = await fetchSnapshot(id);
+	if (!snapshot) return;
+	renderTree(snapshot.tree);
+	currentTree = null;
+	document.getElementById("liveStatus").textContent = `Showing snapshot of ${new Date(snapshot.created).toLocaleString()}`;
+	console.log(`[Frontend] Snapshot ${id} displayed.`);
+});
+
+/**
+ * Event listener for the "Compare Selected" button: shows what changed between the selected snapshots.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("historyCompareBtn").addEventListener("click", async () => {
+	const from = document.querySelector(`input[name="historyFrom"]:checked`);
+	const to = document.querySelector(`input[name="historyTo"]:checked`);
+	if (!from || !to) {
+		document.getElementById("historyStatus").textContent = "Select a snapshot to compare from and one to compare to.";
+		return;
+	}
+	const diff = await fetchSnapshotDiff(from.value, to.value);
+	if (diff) document.getElementById("historyDiff").innerHTML = snapshotDiffToHtml(diff);
+});
+
+/**
+ * Offers every registered export format in `#exportFormat`.
+ */
+function initExportFormats() {
+	document.getElementById("exportFormat").innerHTML = listExporters()
+		.map((format) => `<option value="${escapeHtml(format)}">${escapeHtml(format.toUpperCase())}</option>`).join("");
+}
+
+/**
+ * Event listener for the "Export" button: downloads the tree on screen in the selected format, using the
+ * same exporters as the server's `/export` endpoint.
+ *
+ * @function
+ */
+document.getElementById("exportBtn").addEventListener("click", () => {
+	if (!renderedTree) {
+		alert("Generate a tree or open a snapshot first.");
+		return;
+	}
+	const format = document.getElementById("exportFormat").value;
+	const exported = exportTree(renderedTree, format);
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(new Blob([exported.content], { type: exported.contentType }));
+	link.download = `data_collection_tree.${exported.extension}`;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 0);
+	console.log(`[Frontend] Tree exported as ${format}.`);
+});
+
+/**
+ * Fetches the allowed instance names of each class (users, activities, data types) from the server.
+ *
+ * @returns {Promise<Object|null>} - A promise resolving to the instance names, or `null` if an error occurs.
+ */
+async function fetchInstanceNames() {
+	const response = await fetch(`/instance-names?${datasetQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching instance names:`, responseData.error_msg);
+	}
+	return responseData.instanceNames;
+}
+
+/**
+ * Fetches the tree options from the server: the classes a tree can be built by, in the schema's default
+ * order, and the users, activities, trials and data types present in the data collection.
+ *
+ * @returns {Promise<Object|null>} - A promise resolving to `{ levels, present }`, or `null` if an error occurs.
+ */
+async function fetchTreeOptions() {
+	const response = await fetch(`/instance-names?${datasetQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching tree options:`, responseData.error_msg);
+		return null;
+	}
+	return { levels: responseData.levels, present: responseData.present };
+}
+
+/**
+ * Replaces the options of a select element, keeping the values that were selected and still exist.
+ *
+ * @param {HTMLSelectElement} select - The select element.
+ * @param {Array<string>} values - The option values.
+ * @param {Function} [label] - Builds the option text from a value. Defaults to the value itself.
+ */
+function setSelectOptions(select, values, label = (value) => value) {
+	const selected = Array.from(select.selectedOptions).map((option) => option.value);
+	select.innerHTML = values
+		.map((value) => `<option value="${escapeHtml(value)}"${selected.includes(value) ? " selected" : ""}>${escapeHtml(label(value))}</option>`)
+		.join("");
+	if (!select.multiple && values.includes(selected[0])) select.value = selected[0];
+}
+
+/**
+ * Offers every class of the schema as starting node type (e.g. "Data Type" for `data_type`), and the
+ * users, activities and data types present in the data collection as filter choices.
+ *
+ * @async
+ */
+async function initTreeControls() {
+	const options = await fetchTreeOptions();
+	if (!options) return;
+	setSelectOptions(document.getElementById("startNodeType"), options.levels,
+		(level) => level.replace(/_/g, " ").replace(/\b\w/g, (letter) => letter.toUpperCase()));
+	setSelectOptions(document.getElementById("filterUsers"), options.present.users);
+	setSelectOptions(document.getElementById("filterActivities"), options.present.activities);
+	setSelectOptions(document.getElementById("filterDataTypes"), options.present.dataTypes);
+}
+
+/**
+ * Reads the custom level order and the filter controls into `/get-tree` query parameters.
+ * Empty controls are left out.
+ *
+ * @returns {Object} - The query parameters (e.g. `{ users: "01,02", minRows: "100" }`).
+ */
+function readTreeQuery() {
+	const query = {};
+	const selected = (id) => Array.from(document.getElementById(id).selectedOptions).map((option) => option.value).join(",");
+	const value = (id) => document.getElementById(id).value.trim();
+	query.hierarchy = value("hierarchyInput").replace(/\s+/g, "");
+	query.users = selected("filterUsers");
+	query.activities = selected("filterActivities");
+	query.dataTypes = selected("filterDataTypes");
+	query.trialFrom = value("filterTrialFrom");
+	query.trialTo = value("filterTrialTo");
+	query.minSize = value("filterMinSize") && String(Math.round(Number(value("filterMinSize")) * 1024));
+	query.minRows = value("filterMinRows");
+	query.modifiedFrom = value("filterModifiedFrom");
+	query.modifiedTo = value("filterModifiedTo");
+	return Object.fromEntries(Object.entries(query).filter(([, parameter]) => parameter));
+}
+
+/**
+ * Event listener for the "Clear" button of the filters: resets every filter control.
+ */
+document.getElementById("filterClearBtn").addEventListener("click", () => {
+	document.querySelectorAll("#treeFilters select").forEach((select) => {
+		Array.from(select.options).forEach((option) => { option.selected = false; });
+	});
+	document.querySelectorAll("#treeFilters input").forEach((input) => { input.value = ""; });
+});
+
+/**
+ * Fills the upload form with the registered activities and one file input per data type.
+ *
+ * @async
+ */
+async function initUploadForm() {
+	const instanceNames = await fetchInstanceNames();
+	if (!instanceNames) return;
+	document.getElementById("uploadActivity").innerHTML = instanceNames.activity
+		.map((activity) => `<option value="${escapeHtml(activity)}">${escapeHtml(activity)}</option>`).join("");
+	document.getElementById("uploadFiles").innerHTML = instanceNames.data_type
+		.map((dataType) => `<label>${escapeHtml(dataType)}.csv <input type="file" name="${escapeHtml(dataType)}" accept=".csv"></label>`).join("");
+}
+
+/**
+ * Event listener for the upload form: sends the trial to `POST /trials`, which validates the files and
+ * assigns the next free trial number, then reports the result next to the button.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("uploadForm").addEventListener("submit", async (event) => {
+	event.preventDefault();
+	const form = event.target;
+	const status = document.getElementById("uploadStatus");
+	// Drop the data types for which no file was chosen
+	const formData = new FormData(form);
+	Array.from(form.querySelectorAll("input[type=file]"))
+		.filter((input) => input.files.length === 0)
+		.forEach((input) => formData.delete(input.name));
+	
+	status.textContent = "Uploading…";
+	console.log(`[Frontend] Uploading trial.`);
+	const response = await fetch(`/trials?${datasetQuery()}`, { method: "POST", body: formData });
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while uploading trial:`, responseData.error_msg);
+		status.textContent = `Error: ${responseData.error_msg}`;
+		return;
+	}
+	const trial = responseData.trial;
+	status.textContent = `Stored as ${trial.folder}` + (trial.warnings.length > 0 ? ` (warning: ${trial.warnings.join(" ")})` : "");
+	console.log(`[Frontend] Trial uploaded:`, trial);
+	form.reset();
+});
+
+/**
+ * Fills the cohort form with the registered activities.
+ *
+ * @async
+ */
+async function initCohortForm() {
+	const instanceNames = await fetchInstanceNames();
+	if (!instanceNames) return;
+	setSelectOptions(document.getElementById("cohortActivity"), instanceNames.activity);
+}
+
+/**
+ * Builds the query of a `/cohort` request from the cohort form.
+ *
+ * @param {Object} [params={}] - Further parameters (e.g. `{ format: "csv", table: "summary" }`).
+ * @returns {URLSearchParams} - The query parameters.
+ */
+function cohortQuery(params = {}) {
+	const query = { activity: document.getElementById("cohortActivity").value, ...params };
+	const channel = document.getElementById("cohortChannel").value.trim();
+	if (channel) query.channel = channel;
+	return datasetQuery(query);
+}
+
+/**
+ * Fetches the fatigue statistics of the activity chosen in the cohort form.
+ *
+ * @returns {Promise<Object|null>} - A promise resolving to the statistics, or `null` if an error occurs.
+ */
+async function fetchCohort() {
+	console.log(`[Frontend] Fetching cohort statistics.`);
+	const response = await fetch(`/cohort?${cohortQuery()}`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching cohort statistics:`, responseData.error_msg);
+		alert(`Error while fetching cohort statistics: ${responseData.error_msg} Please check the server.`);
+	}
+	return responseData.cohort;
+}
+
+/**
+ * Renders cohort statistics as HTML: the summary of each metric with its repeatability, then one row per
+ * trial with outliers highlighted.
+ *
+ * @param {Object} cohort - The statistics returned by `/cohort`.
+ * @returns {string} - The HTML of the statistics.
+ */
+function cohortToHtml(cohort) {
+	const format = (value, digits = 3) => value === null || value === undefined ? "—" : Number(value.toFixed(digits)).toString();
+	const summary = `<table><tr><th>Metric</th><th>Unit</th><th>n</th><th>Mean</th><th>SD</th><th>Min</th><th>Median</th><th>Max</th>` +
+		`<th>ICC</th><th>Mean user CV (%)</th></tr>` + cohort.metrics.map((metric) => {
+			const stats = cohort.summary[metric.key];
+			const repeatability = cohort.repeatability[metric.key];
+			return `<tr><td>${escapeHtml(metric.label)}</td><td>${escapeHtml(metric.unit)}</td><td>${stats.n}</td>` +
+				[stats.mean, stats.sd, stats.min, stats.median, stats.max, repeatability.icc, repeatability.meanCv]
+					.map((value) => `<td>${format(value)}</td>`).join("") + `</tr>`;
+		}).join("") + `</table>`;
+	const trials = `<table><tr><th>User</th><th>Trial</th>${cohort.metrics.map((metric) => `<th>${escapeHtml(metric.label)}</th>`).join("")}<th>Error</th></tr>` +
+		cohort.trials.map((trial) => `<tr><td>${escapeHtml(trial.user)}</td><td>${escapeHtml(trial.trial)}</td>` +
+			cohort.metrics.map((metric) => trial.outliers.includes(metric.key)
+				? `<td class="cohort-outlier" title="Outside the Tukey fences of the cohort">${format(trial[metric.key])}</td>`
+				: `<td>${format(trial[metric.key])}</td>`).join("") +
+			`<td>${escapeHtml(trial.error || "")}</td></tr>`).join("") + `</table>`;
+	const analysed = cohort.trials.filter((trial) => !trial.error).length;
+	return `<p>${escapeHtml(cohort.activity)} · channel <b>${escapeHtml(cohort.channel || "none")}</b> · ` +
+		`${analysed} of ${cohort.trials.length} trial(s) analysed · ${Object.keys(cohort.users).length} user(s)</p>` +
+		`<h3>Summary</h3>${summary}<h3>Trials</h3>${trials}`;
+}
+
+/**
+ * Event listener for the cohort form: computes and shows the statistics of the chosen activity.
+ *
+ * @async
+ * @function
+ */
+document.getElementById("cohortForm").addEventListener("submit", async (event) => {
+	event.preventDefault();
+	const cohort = await fetchCohort();
+	if (cohort) {
+		document.getElementById("cohortReport").innerHTML = cohortToHtml(cohort);
+		console.log(`[Frontend] Cohort statistics displayed.`);
+	}
+});
+
+/**
+ * Event listener for the cohort CSV buttons: downloads the table named by the button's `data-table`.
+ */
+document.querySelectorAll("#cohortForm [data-table]").forEach((button) => {
+	button.addEventListener("click", () => {
+		window.location.href = `/cohort?${cohortQuery({ format: "csv", table: button.dataset.table })}`;
+	});
+});
+
+/**
+ * Fetches the datasets served and offers them in `#datasetSelect`. The switcher stays hidden when the
+ * server has a single dataset.
+ *
+ * @async
+ */
+async function initDatasetSwitcher() {
+	const response = await fetch(`/datasets`);
+	const responseData = await response.json();
+	if (!response.ok) {
+		console.error(`[Frontend] Error while fetching datasets:`, responseData.error_msg);
+		return;
+	}
+	const datasets = responseData.datasets;
+	const select = document.getElementById("datasetSelect");
+	setSelectOptions(select, datasets.map((dataset) => dataset.name));
+	select.value = currentDataset || datasets.find((dataset) => dataset.default).name;
+	document.getElementById("datasetSwitcher").hidden = datasets.length < 2;
+}
+
+/**
+ * Event listener for the dataset switcher: clears what was shown for the previous dataset and reloads the
+ * tree controls, the upload form and the change stream for the chosen one.
+ */
+document.getElementById("datasetSelect").addEventListener("change", (event) => {
+	currentDataset = event.target.value;
+	console.log(`[Frontend] Dataset switched to ${currentDataset}.`);
+	closeViewer();
+	currentTree = null;
+	renderedTree = null;
+	document.getElementById("markdownOutput").textContent = "";
+	document.getElementById("markmapCanvas").innerHTML = "";
+	document.getElementById("auditPanel").hidden = true;
+	document.getElementById("historyPanel").hidden = true;
+	document.getElementById("profilePanel").hidden = true;
+	document.getElementById("liveStatus").textContent = `Dataset ${currentDataset}`;
+	initTreeControls();
+	initUploadForm();
+	initCohortForm();
+	subscribeToDatasetEvents();
+	if (document.getElementById("streamPanel").open) connectStreamSocket();
+});
+
+initDatasetSwitcher();
+initTreeControls();
+initExportFormats();
+initUploadForm();
+initCohortForm();
+
+// Connection to the live EMG streams of the dataset shown (null while the "Live Stream" panel is closed)
+let streamSocket = null;
+// Live streams by session number: { session, update, time, index } with the fatigue index history for the chart
+const streamViews = new Map();
+let streamChart = null;
+// Seconds of fatigue index kept in the chart
+const STREAM_HISTORY = 60;
+// Fatigue index (%) from which the meter turns orange, then red
+const STREAM_INDEX_WARNING = 15;
+const STREAM_INDEX_ALERT = 30;
+
+/**
+ * Renders the live streams: the fatigue index of each as a meter, then the RMS and median frequency of each channel.
+ */
+function renderStreamSessions() {
+	const format = (value, digits = 1) => value === null || value === undefined ? "—" : value.toFixed(digits);
+	document.getElementById("streamSessions").innerHTML = Array.from(streamViews.values()).map(({ session, update }) => {
+		const index = update ? update.fatigueIndex : null;
+		const title = `User ${escapeHtml(session.user)}, ${escapeHtml(session.activity)}` +
+			(session.folder ? ` (recording ${escapeHtml(session.folder)})` : "");
+		const channels = update ? Object.entries(update.channels).map(([name, values]) =>
+			`<tr><td>${escapeHtml(name)}</td><td>${format(values.rms, 4)}</td><td>${format(values.mdf)}</td>` +
+			`<td>${format(values.mdfDecline)}</td><td>${format(values.rmsChange)}</td></tr>`).join("") : "";
+		return `<h3>${title}</h3>` +
+			`<p>t = ${format(update ? update.time : 0)} s · Fatigue index ` +
+			`<meter min="0" max="50" low="${STREAM_INDEX_WARNING}" high="${STREAM_INDEX_ALERT}" optimum="0" value="${index === null ? 0 : Math.max(0, index)}"></meter> ` +
+			`${index === null ? "baseline…" : `${format(index)} %`}</p>` +
+			`<table><tr><th>Channel</th><th>RMS</th><th>MDF (Hz)</th><th>MDF decline (%)</th><th>RMS change (%)</th></tr>${channels}</table>`;
+	}).join("") || "<p>No live stream.</p>";
+}
+
+/**
+ * Plots the fatigue index of a live stream over the last `STREAM_HISTORY` seconds.
+ *
+ * @param {Object} view - The stream (see `streamViews`).
+ */
+function renderStreamChart(view) {
+	const chartElement = document.getElementById("streamChart");
+	if (!streamChart) {
+		streamChart = new uPlot({
+			width: chartElement.clientWidth || 600,
+			height: 200,
+			scales: { x: { time: false } },
+			axes: [{ label: "Time (s)" }, { label: "Fatigue index (%)" }],
+			series: [{ label: "Time (s)" }, { label: "Fatigue index (%)", stroke: CHANNEL_COLORS[1], width: 2 }],
+		}, [[], []], chartElement);
+	}
+	streamChart.setData([view.time, view.index]);
+}
+
+/**
+ * Handles a message of the live stream endpoint (see `handleStreamConnection()` in `visualization-tool.js`).
+ *
+ * @param {Object} message - The message: `sessions`, `started`, `update` or `stopped`.
+ */
+function handleStreamMessage(message) {
+	if (message.type === "sessions") {
+		streamViews.clear();
+		message.sessions.forEach((session) => streamViews.set(session.session, { session: session, update: null, time: [], index: [] }));
+	} else if (message.type === "started") {
+		console.log(`[Frontend] Live stream ${message.session.session} started.`);
+		streamViews.set(message.session.session, { session: message.session, update: null, time: [], index: [] });
+	} else if (message.type === "stopped") {
+		console.log(`[Frontend] Live stream ${message.session.session} stopped.`);
+		streamViews.delete(message.session.session);
+		document.getElementById("streamStatus").textContent = message.session.folder
+			? `Stream of user ${message.session.user} stopped, recorded as ${message.session.folder}.` : `Stream of user ${message.session.user} stopped.`;
+	} else if (message.type === "update") {
+		const view = streamViews.get(message.session);
+		if (!view) return;
+		view.update = message;
+		if (message.fatigueIndex !== null) {
+			view.time.push(message.time);
+			view.index.push(message.fatigueIndex);
+			while (view.time[0] < message.time - STREAM_HISTORY) {
+				view.time.shift();
+				view.index.shift();
+			}
+			renderStreamChart(view);
+		}
+	}
+	renderStreamSessions();
+}
+
+/**
+ * Connects to the live EMG streams of the dataset shown (`/stream`), replacing any previous connection, and
+ * reconnects after interruptions while the "Live Stream" panel is open.
+ */
+function connectStreamSocket() {
+	disconnectStreamSocket();
+	const protocol = location.protocol === "https:" ? "wss" : "ws";
+	const socket = new WebSocket(`${protocol}://${location.host}/stream?${datasetQuery({ role: "viewer" })}`);
+	streamSocket = socket;
+	socket.addEventListener("open", () => {
+		document.getElementById("streamStatus").textContent = "Connected, waiting for streams.";
+	});
+	socket.addEventListener("message", (event) => handleStreamMessage(JSON.parse(event.data)));
+	socket.addEventListener("close", () => {
+		if (streamSocket !== socket) return;
+		console.warn(`[Frontend] Live stream connection interrupted, reconnecting.`);
+		document.getElementById("streamStatus").textContent = "Connection interrupted, reconnecting…";
+		setTimeout(() => {
+			if (streamSocket === socket) connectStreamSocket();
+		}, 3000);
+	});
+}
+
+/**
+ * Closes the connection to the live EMG streams and clears the panel.
+ */
+function disconnectStreamSocket() {
+	const socket = streamSocket;
+	streamSocket = null;
+	if (socket) socket.close();
+	streamViews.clear();
+	if (streamChart) streamChart.destroy();
+	streamChart = null;
+	renderStreamSessions();
+	document.getElementById("streamStatus").textContent = "Not connected.";
+}
+
+/**
+ * Event listener for the "Live Stream" panel: follows the live streams while it is open.
+ */
+document.getElementById("streamPanel").addEventListener("toggle", (event) => {
+	if (event.target.open) connectStreamSocket();
+	else disconnectStreamSocket();
+});
+
+// Pending automatic tree refresh after dataset changes
+let liveRefreshTimer = null;
+
+/**
+ * Refreshes the displayed tree after dataset changes and highlights the nodes that appeared.
+ * Does nothing until a tree has been generated. The refreshed tree is not saved to the history folder.
+ *
+ * @async
+ */
+async function refreshTreeLive() {
+	if (!currentTree) return;
+	const tree = await fetchDirectoryTree(currentStartNodeType, false, currentTreeQuery);
+	if (!tree) return;
+	const previousPaths = collectNodePaths(currentTree);
+	const added = new Set(Array.from(collectNodePaths(tree)).filter((nodePath) => !previousPaths.has(nodePath)));
+	renderTree(tree, added);
+	currentTree = tree;
+	console.log(`[Frontend] Tree refreshed live, ${added.size} new node(s).`);
+}
+
+// Change stream of the dataset shown
+let datasetEventSource = null;
+
+/**
+ * Subscribes to dataset change events from the server (`/events`) for the dataset shown, replacing any
+ * previous subscription. Each batch of changes is shown in `#liveStatus` and schedules a refresh of the displayed tree.
+ */
+function subscribeToDatasetEvents() {
+	if (datasetEventSource) datasetEventSource.close();
+	const source = new EventSource(`/events?${datasetQuery()}`);
+	datasetEventSource = source;
+	source.addEventListener("dataset", (event) => {
+		const changes = JSON.parse(event.data);
+		console.log(`[Frontend] Dataset changes received:`, changes);
+		document.getElementById("liveStatus").textContent =
+			`Live: ${changes.map((change) => `${change.type.replace("_", " ")} ${change.path}`).join(", ")}`;
+		clearTimeout(liveRefreshTimer);
+		liveRefreshTimer = setTimeout(() => {
+			refreshTreeLive();
+			initTreeControls(); // New users or data types become filter choices
+		}, 500);
+	});
+	source.addEventListener("error", () => console.warn(`[Frontend] Dataset event stream interrupted, reconnecting.`));
+}
+
+subscribeToDatasetEvents();
@@ -0,0 +1,320 @@
+/*!
+ * Author: Franz Chuquirachi
+ * Program: tree-exporters.js
+ * Date Created: October 19, 2026
+ * Copyright (c) 2026, Franz Arthur Chuquirachi Rosales. All rights reserved.
+ */
+
+/**
+ * Output formats of the data collection tree, shared by the server (`require("./public/tree-exporters")`)
+ * and the browser (`<script src="tree-exporters.js">`, exposed as `window.TreeExporters`).
+ *
+ * Every exporter takes the tree returned by `buildTree()` (`/get-tree`) and returns a string.
+ */
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.TreeExporters = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	"use strict";
+
+	// Title of the tree in every format
+	const TREE_TITLE = "Data Collection";
+
+	/**
+	 * Formats a byte count with a binary unit (B, kB, MB, GB).
+	 *
+	 * @param {number} bytes - The number of bytes.
+	 * @returns {string} - The human-readable size, e.g. `"1.2 MB"`.
+	 */
+	function formatBytes(bytes) {
+		const units = ["B", "kB", "MB", "GB"];
+		let value = bytes;
+		let unit = 0;
+		while (value >= 1024 && unit < units.length - 1) {
+			value /= 1024;
+			unit++;
+		}
+		return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+	}
+
+	/**
+	 * Builds a one-line, human-readable summary of the file metadata attached to tree leaves.
+	 *
+	 * @param {Object} metadata - The `metadata` object of a file leaf (see `getCsvMetadata()` in `lib/csv.js`).
+	 * @returns {string} - The summary, e.g. `"1200 rows · 1000 Hz · 1.2 s · 3 cols [time, ch1, ch2] · 24.1 kB"`.
+	 *
+	 * @example
+	 * describeMetadata({ size: 0, rows: 0, columns: [] });
+	 * // Returns: "empty"
+	 */
+	function describeMetadata(metadata) {
+		if (metadata.error) return `unreadable (${metadata.error})`;
+		if (metadata.size === 0) return "empty";
+		const parts = [`${metadata.rows} rows`];
+		if (metadata.samplingRate) parts.push(`${Math.round(metadata.samplingRate)} Hz`);
+		if (metadata.duration !== null) parts.push(`${metadata.duration.toFixed(1)} s`);
+		if (metadata.columns.length > 0) {
+			const shown = metadata.columns.slice(0, 4).join(", ");
+			const more = metadata.columns.length > 4 ? ", …" : "";
+			parts.push(`${metadata.columns.length} cols [${shown}${more}]`);
+		}
+		parts.push(formatBytes(metadata.size));
+		return parts.join(" · ");
+	}
+
+	/**
+	 * Builds a one-line summary of the annotations of a trial, attached to its `annotations` leaf.
+	 *
+	 * @param {Object} annotations - The `annotations` object of the leaf (see `summarizeAnnotations()` in `lib/annotations.js`).
+	 * @returns {string} - The summary, e.g. `"3 labels: fatigue_onset, task_failure, rep_boundary ×4"`.
+	 */
+	function describeAnnotations(annotations) {
+		if (annotations.error) return `unreadable (${annotations.error})`;
+		const types = Object.entries(annotations.types).map(([type, count]) => (count > 1 ? `${type} ×${count}` : type));
+		return `${annotations.count} label${annotations.count === 1 ? "" : "s"}${types.length > 0 ? `: ${types.join(", ")}` : ""}`;
+	}
+
+	/**
+	 * Converts a hierarchical tree structure into a Markdown-formatted string.
+	 *
+	 * @param {Array<Object>} tree - An array of tree nodes, each consisting of a `name` (string) and `children` (array) property.
+	 *                               File leaves may also carry a `metadata` object, and annotation leaves an `annotations`
+	 *                               object, summarised next to their name.
+	 * @param {number} [level=0] - The current depth level in the tree hierarchy (used for indentation).
+	 * @param {Object} [options={}] - Options:
+	 *                                - `link`: Function building a URL from a leaf's `instance`; leaves then become links.
+	 *                                - `subjectLink`: Function building a URL from a user node's `subject`; user nodes then become links.
+	 *                                - `highlight`: Set of node paths (e.g. `"/user/01"`) to wrap in `<mark>` tags.
+	 * @param {string} [parentPath=''] - The path of the parent node (used while recursing).
+	 * @returns {string} - A Markdown-formatted string representing the tree structure.
+	 *
+	 * @example
+	 * const tree = [
+	 *   { name: "User1", children: [
+	 *     { name: "Activity1", children: [
+	 *       { name: "Trial1", children: [
+	 *         { name: "File1", metadata: { size: 0, rows: 0, columns: [] } }
+	 *       ]}
+	 *     ]}
+	 *   ]}
+	 * ];
+	 *
+	 * const markdown = treeToMarkdown(tree);
+	 * console.log(markdown);
+	 * // Outputs:
+	 * // ## User1
+	 * // - Activity1
+	 * //   - Trial1
+	 * //     - File1 — empty
+	 */
+	function treeToMarkdown(tree, level = 0, options = {}, parentPath = "") {
+		const indent = "  ".repeat(level); // Indentation for hierarchy
+		let markdown = "";
+
+		// Iterate over each node in the tree
+		tree.forEach((node) => {
+			const nodePath = `${parentPath}/${node.name}`;
+			const mark = (text) => (options.highlight && options.highlight.has(nodePath) ? `<mark>${text}</mark>` : text);
+			if (level === 0) {
+				markdown += `${indent}## ${mark(node.name.charAt(0).toUpperCase() + node.name.slice(1))}\n`;
+			}
+			else if (node.annotations) {
+				markdown += `${indent}- ${mark(node.name)} — ${describeAnnotations(node.annotations)}\n`;
+			}
+			else if (node.metadata) {
+				// File leaves carry their parsed metadata, and optionally a link
+				const label = node.instance && options.link ? `[${node.name}](${options.link(node.instance)})` : node.name;
+				markdown += `${indent}- ${mark(label)} — ${describeMetadata(node.metadata)}\n`;
+			}
+			else {
+				const label = node.subject && options.subjectLink ? `[${node.name}](${options.subjectLink(node.subject)})` : node.name;
+				markdown += `${indent}- ${mark(label)}\n`;
+			}
+
+			// If the node has children, recursively process them
+			if (Array.isArray(node.children) && node.children.length > 0) {
+				markdown += treeToMarkdown(node.children, level + 1, options, nodePath);
+			}
+		});
+		return markdown;
+	}
+
+	/**
+	 * Lists the file leaves of a tree.
+	 *
+	 * @param {Array<Object>} tree - The tree nodes.
+	 * @param {Array<string>} [parents=[]] - Names of the ancestor nodes (used while recursing).
+	 * @returns {Array<Object>} - One `{ node, treePath }` per leaf, where `treePath` joins the node names with `/`.
+	 */
+	function collectLeaves(tree, parents = []) {
+		return tree.flatMap((node) => {
+			const names = parents.concat(node.name);
+			if (Array.isArray(node.children) && node.children.length > 0) return collectLeaves(node.children, names);
+			return [{ node: node, treePath: names.join("/") }];
+		});
+	}
+
+	/**
+	 * Quotes a CSV field when needed.
+	 *
+	 * @param {*} value - The field value (`null` and `undefined` become empty fields).
+	 * @returns {string} - The CSV field.
+	 */
+	function csvField(value) {
+		const text = value === null || value === undefined ? "" : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	/**
+	 * Converts a tree into a flat CSV manifest with one row per file.
+	 *
+	 * @param {Array<Object>} tree - The tree returned by `/get-tree`.
+	 * @returns {string} - The CSV text. Columns: path (relative to the data collection), user, activity, trial,
+	 *                     data_type, size, rows, columns (`;`-separated), sampling_rate, start, end, duration,
+	 *                     absolute_time, error.
+	 */
+	function treeToCsvManifest(tree) {
+		const header = ["path", "user", "activity", "trial", "data_type", "size", "rows", "columns", "sampling_rate",
+			"start", "end", "duration", "absolute_time", "error"];
+		const rows = collectLeaves(tree).map(({ node, treePath }) => {
+			const instance = node.instance || {};
+			const metadata = node.metadata || {};
+			return [node.path || treePath, instance.user, instance.activity, instance.trial, instance.dataType,
+				metadata.size, metadata.rows, (metadata.columns || []).join(";"), metadata.samplingRate,
+				metadata.start, metadata.end, metadata.duration, metadata.absoluteTime, metadata.error];
+		});
+		return [header].concat(rows).map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+	}
+
+	/**
+	 * Converts a tree into a Mermaid mindmap.
+	 * Characters that Mermaid reads as node shapes (brackets and parentheses) are replaced by spaces.
+	 *
+	 * @param {Array<Object>} tree - The tree returned by `/get-tree`.
+	 * @returns {string} - The Mermaid source, e.g. `"mindmap\n  root((Data Collection))\n    user\n      01\n..."`.
+	 */
+	function treeToMermaid(tree) {
+		const lines = ["mindmap", `  root((${TREE_TITLE}))`];
+		const walk = (nodes, level) => nodes.forEach((node) => {
+			lines.push(`${"  ".repeat(level)}${node.name.replace(/[()[\]{}]/g, " ").trim() || "_"}`);
+			if (Array.isArray(node.children)) walk(node.children, level + 1);
+		});
+		walk(tree, 2);
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * Escapes text for HTML content and attributes.
+	 *
+	 * @param {string} text - The text to escape.
+	 * @returns {string} - The escaped text.
+	 */
+	function escapeHtml(text) {
+		return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+	}
+
+	/**
+	 * Converts a tree into a standalone HTML page: the Markdown is inlined into a markmap, rendered by the
+	 * markmap autoloader, and the same tree is listed below it so that the page stays readable offline.
+	 *
+	 * @param {Array<Object>} tree - The tree returned by `/get-tree`.
+	 * @param {Object} [options={}] - Options:
+	 *                                - `generated`: Date shown in the page (defaults to now).
+	 * @returns {string} - The HTML page.
+	 */
+	function treeToHtml(tree, options = {}) {
+		const generated = options.generated || new Date().toISOString();
+		const markdown = `---\nmarkmap:\n  colorFreezeLevel: 5\n---\n\n# ${TREE_TITLE}\n${treeToMarkdown(tree)}`;
+		const list = (nodes) => `<ul>${nodes.map((node) => `<li>${escapeHtml(node.name)}` +
+			(node.metadata ? ` — ${escapeHtml(describeMetadata(node.metadata))}` : "") +
+			(node.annotations ? ` — ${escapeHtml(describeAnnotations(node.annotations))}` : "") +
+			(Array.isArray(node.children) && node.children.length > 0 ? list(node.children) : "") + `</li>`).join("")}</ul>`;
+		return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${TREE_TITLE}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 20px; }
+.markmap > svg { width: 100%; height: 80vh; }
+</style>
+</head>
+<body>
+<h1>${TREE_TITLE}</h1>
+<p>Generated ${escapeHtml(generated)}</p>
+<div class="markmap">
+<script type="text/template">
+${markdown.replace(/<\//g, "<\\/")}
+</script>
+</div>
+<details>
+<summary>Tree as list</summary>
+${list(tree)}
+</details>
+<script src="https://cdn.jsdelivr.net/npm/markmap-autoloader@latest"></script>
+</body>
+</html>
+`;
+	}
+
+	// Registered output formats
+	const EXPORTERS = {
+		markdown: { extension: "md", contentType: "text/markdown; charset=utf-8", render: (tree) => `# ${TREE_TITLE}\n${treeToMarkdown(tree)}` },
+		json: { extension: "json", contentType: "application/json; charset=utf-8", render: (tree) => JSON.stringify(tree, null, 2) },
+		csv: { extension: "csv", contentType: "text/csv; charset=utf-8", render: treeToCsvManifest },
+		mermaid: { extension: "mmd", contentType: "text/plain; charset=utf-8", render: treeToMermaid },
+		html: { extension: "html", contentType: "text/html; charset=utf-8", render: treeToHtml },
+	};
+
+	/**
+	 * Adds an output format, or replaces one.
+	 *
+	 * @param {string} format - The format name (e.g. "yaml").
+	 * @param {Object} exporter - `{ extension, contentType, render }` where `render(tree, options)` returns a string.
+	 */
+	function registerExporter(format, exporter) {
+		EXPORTERS[format] = exporter;
+	}
+
+	/**
+	 * Lists the registered output formats.
+	 *
+	 * @returns {Array<string>} - The format names.
+	 */
+	function listExporters() {
+		return Object.keys(EXPORTERS);
+	}
+
+	/**
+	 * Exports a tree in a registered format.
+	 *
+	 * @param {Array<Object>} tree - The tree returned by `/get-tree`.
+	 * @param {string} format - One of `listExporters()`.
+	 * @param {Object} [options={}] - Options passed to the exporter.
+	 * @returns {Object} - `{ content, extension, contentType }`.
+	 * @throws {Error} - Throws an error if the format is unknown.
+	 */
+	function exportTree(tree, format, options = {}) {
+		const exporter = Object.prototype.hasOwnProperty.call(EXPORTERS, format) ? EXPORTERS[format] : null;
+		if (!exporter) {
+			throw new Error(`Unknown export format: ${format}. Must be one of ${listExporters().join(", ")}.`);
+		}
+		return { content: exporter.render(tree, options), extension: exporter.extension, contentType: exporter.contentType };
+	}
+
+	return {
+		formatBytes,
+		describeMetadata,
+		describeAnnotations,
+		treeToMarkdown,
+		treeToCsvManifest,
+		treeToMermaid,
+		treeToHtml,
+		registerExporter,
+		listExporters,
+		exportTree,
+	};
+});
@@ -6,353 +6,156 @@
  */
 
 const express = require("express");
+const multer = require("multer");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
+const { getCsvMetadata, readSignals } = require("./lib/csv");
+const { analyzeFatigue, DEFAULT_ANALYSIS_OPTIONS } = require("./lib/emg-analysis");
+const { preprocessSignal, validatePipeline, DEFAULT_PIPELINE } = require("./lib/emg-preprocessing");
+const { analyzeElbowKinematics } = require("./lib/kinematics");
+const { summarizeCohortInWorker, cohortToCsv } = require("./lib/cohort");
+const { buildFeatureDataset, buildFeatureDatasetInWorker, featuresToCsv, featuresToColumns, SPLIT_NAMES } = require("./lib/features");
+const { trainFatigueModel, trainFatigueModelInWorker, predictFatigue, saveModel, readModel, MODEL_TYPES } = require("./lib/fatigue-model");
+const { detectTrialExhaustion, detectActivityExhaustionInWorker, exhaustionToCsv } = require("./lib/endurance");
+const { buildSubjectProfile, computeMvcReference, normalizeToMvc, relateToBody, BODY_COMPOSITION_DATA_TYPE, DEFAULT_MVC_WINDOW } = require("./lib/body-composition");
+const { timeRangeIndices, downsampleIndices, DOWNSAMPLING_METHODS } = require("./lib/downsampling");
+const { synchronizeStreams, readSyncSettings, writeSyncSettings, SYNC_METHODS, SYNC_FILE_NAME, MAX_SYNC_RATE, MAX_XCORR_LAG } = require("./lib/synchronization");
+const { auditDataset } = require("./lib/audit");
+const { nextTrialNumber, validateTrialFile, writeTrialAtomically, startTrialRecording } = require("./lib/ingestion");
+const { validateStreamStart, validateStreamFrame, createStreamAnalysis, frameToCsvRows } = require("./lib/emg-stream");
+const { replayEmgFile } = require("./lib/stream-replay");
+const { WebSocketServer, WebSocket } = require("ws");
+const { watchDataset } = require("./lib/dataset-watcher");
+const { readAnnotations, addAnnotation, updateAnnotation, deleteAnnotation, ANNOTATION_TYPES, ANNOTATIONS_FILE_NAME } = require("./lib/annotations");
+const { createDatasetIndex } = require("./lib/dataset-index");
+const { compileSchema, formatSegment } = require("./lib/schema");
+const { resolveTrialFile, parseTreeRequest, describeFacets, buildTree, buildTreeAsync } = require("./lib/dataset");
+const { loadConfig, DEFAULT_CONFIG, DEFAULT_DATASET_NAME, ENVIRONMENT_VARIABLES, CONFIG_FILE_NAME } = require("./lib/config");
+const { treeToMarkdown, exportTree, listExporters } = require("./public/tree-exporters");
+const { listSnapshots, readSnapshot, writeSnapshotSidecar, findDuplicateSnapshot, applyRetention, diffSnapshots, DEFAULT_RETENTION } = require("./lib/tree-history");
 
 const server = express();
-const PORT = 3000;
 
 // Serve static files
 server.use(express.static('public'));
-console.log(`[Backend] Static files served from /public.`);
-
-// Allowed instances names of each class
-const INSTANCE_NAMES = JSON.parse(fs.readFileSync('instanceNames.json', 'utf8'));
-
-/**
- * Validates whether a given folder name starts with any of the registered instance names
- * for a specified class type.
- * @param {string} name - The folder name to validate.
- * @param {string} className - The category of the instance. Must be one of the following:
- *                             - 'user': Represents user-related folders.
- *                             - 'activity': Represents activity-related folders.
- *                             - 'data_type': Represents data type-related files or folders.
- * @returns {boolean} - Returns `true` if the folder name starts with a valid prefix for the
- *                      specified class, or `false` otherwise.
- * @throws {Error} - Throws an error if the provided `className` is invalid (not found in
- *                   `INSTANCE_NAMES`).
-*/
-function isValidInstance(name, className) {
-    if (!INSTANCE_NAMES[className]) {
-		throw new Error(`Invalid class name: ${className}`);
-        return false;
-    }
-    return INSTANCE_NAMES[className].some((prefix) => name.startsWith(prefix));
-}
 
-/**
- * Filters directories in a given folder based on class name.
- * @param {string} folderPath - The path of the folder to scan.
- * @param {string} className - The class name to validate ('user', 'activity').
- * @returns {Array} - An array of directory entries that match the criteria.
- 
-function getVerifiedFolders(folderPath, className) {
-    return fs.readdirSync(folderPath, { withFileTypes: true }).filter(
-                                                                      (entry) => entry.isDirectory() && isValidInstance(entry.name, className)
-                                                                      );
-}
-*/
+// Parse JSON request bodies (e.g. preprocessing pipeline definitions)
+server.use(express.json({ limit: '1mb' }));
 
 /**
- * Groups directories within a specified folder based on their prefixes, which correspond to
- * the allowed instance names for a given class.
- * @param {string} folderPath - The absolute path of the folder to scan.
- * @param {string} className - The category of the instance. Must be one of the following:
- *                             - 'user': Represents user-related folders.
- *                             - 'activity': Represents activity-related folders.
- *                             - 'data_type': Represents data type-related files or folders.
- * @returns {Object} - An object where each key is a valid instance name (prefix) from
- *                     `INSTANCE_NAMES[className]`, and its value is an array of directory names
- *                     in `folderPath` that start with the corresponding instance name.
- * @throws {Error} - Throws an error if the provided `className` is invalid (not found in
- *                   `INSTANCE_NAMES`).
- */
-function getGroupedFolders(folderPath, className) {
-    const leadingNames = INSTANCE_NAMES[className];
-    if (!leadingNames) {
-        throw new Error(`Invalid class name: ${className}`);
-    }
-    
-    // Initialize result object with keys for each leading name
-    const groupedFolders = Object.fromEntries(leadingNames.map(name => [name, []]));
-    
-    // Read and group folders
-    const entries = fs.readdirSync(folderPath, { withFileTypes: true });
-    entries.forEach(entry => {
-        if (entry.isDirectory()) {
-            leadingNames.forEach(name => {
-                if (entry.name.startsWith(name)) {
-                    groupedFolders[name].push(entry.name);
-                }
-            });
-        }
-    });
-    return groupedFolders;
-}
+ * Answers JSON bodies that cannot be parsed, are too large or are not objects like the other validation errors,
+ * `{ error_msg }` with 400 (413 if too large), instead of Express's default HTML error page.
+ */
+server.use((error, req, res, next) => {
+	if (error.type === 'entity.parse.failed') {
+		// Strict parsing also rejects valid JSON that is not an object or array (e.g. `null`)
+		let valid = true;
+		try {
+			JSON.parse(error.body);
+		} catch (parseError) {
+			valid = false;
+		}
+		return res.status(400).json({ error_msg: valid ? "Invalid request body: must be a JSON object." : `Invalid request body: malformed JSON (${error.message}).` });
+	}
+	if (error.type === 'entity.too.large') {
+		return res.status(413).json({ error_msg: `Invalid request body: larger than ${error.limit} bytes.` });
+	}
+	next(error);
+});
+server.use((req, res, next) => {
+	if (req.is('application/json') && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+		return res.status(400).json({ error_msg: "Invalid request body: must be a JSON object." });
+	}
+	next();
+});
+
+// Files allowed in trial folders besides the data CSVs
+const AUDIT_SIDECARS = [SYNC_FILE_NAME, ANNOTATIONS_FILE_NAME];
+
+// Folder of the tree snapshots and how long they are kept
+const HISTORY_FOLDER = path.join(__dirname, 'public', 'tree_history');
+const SNAPSHOT_RETENTION = { ...DEFAULT_RETENTION };
+
+// Folder of the persistent dataset indexes (see `lib/dataset-index.js`), one file per dataset
+const INDEX_FOLDER = path.join(__dirname, '.dataset_index');
+
+// Folder of the trained fatigue models (see `lib/fatigue-model.js`), one file per dataset
+const MODEL_FOLDER = path.join(__dirname, 'models');
+
+// Folder uploaded trial files are written to until they are checked and moved into the data collection
+const UPLOAD_FOLDER = path.join(os.tmpdir(), 'muscle-fatigue-uploads');
+
+// Datasets served, by name (see `configureDatasets()`), and the one used without `?dataset=`
+const DATASETS = new Map();
+let defaultDatasetName = null;
 
 /**
- * Constructs a hierarchical directory tree from a `data_collection` folder.
- * The tree structure varies depending on the specified starting class name (`user` or `activity`).
- *
- * ### Overview
- * - If `startingClassName` is `'user'`:
- *   - Builds the tree starting with user directories, grouping their activities, trials, and associated `.csv` files.
- * - If `startingClassName` is `'activity'`:
- *   - Groups activities as the top-level nodes, linking them to users, their trials, and associated `.csv` files.
- *
- * ### Tree Structure
- * - Each node in the tree is an object containing:
- *   - `name`: Name of the instance or file or the number of the instance.
- *   - `children`: Array of child nodes (if applicable).
- *
- * @param {string} rootFolder - The path to the root folder containing the `data_collection` directory.
- * @param {string} startingClassName - Specifies the top-level hierarchy:
- *                                     - `'user'`: Users are the top-level nodes.
- *                                     - `'activity'`: Activities are the top-level nodes.
- * @returns {Array<Object>} - A hierarchical tree structure representing the directory organization.
- * @throws {Error} - Throws an error if the `startingClassName` is invalid.
- *
- * ### Examples
- * #### Input Directory Structure:
- * ```
- * data_collection/
- * ├── user_01/
- * │   └── walk_01/
- * │   │   ├── acceleration.csv
- * │   │   └── gyroscope.csv
- * │   └── run_01/
- * │       └── acceleration.csv
- * └── user_02/
- * ```
- *
- * #### Usage:
- * ```javascript
- * const tree = buildTree('/path/to/data_collection', 'user');
- * console.log(tree);
- * ```
- * #### Output:
- * ```javascript
- * [
- *   {
- *     name: "user",
- *     children: [
- *       {
- *         name: "01",
- *         children: [
- *           {
- *             name: "walk",
- *             children: [
- *               {
- *                 name: "01",
- *                 children: [
- *                   { name: "acceleration" },
- *                   { name: "gyroscope" }
- *                 ]
- *              }
- *             ]
- *           },
- *           {
- *             name: "run",
- *             children: [
- *               {
- *                 name: "01",
- *                 children: [
- *                   { name: "acceleration" }
- *                 ]
- *               }
- *             ]
- *           },
- *         ]
- *       },
- *       {
- *         name: "02",
- *         children: [
- *           {
- *             name: "walk",
- *             children: [
- *               {
- *                 name: "01",
- *                 children: []
- *               }
- *             ]
- *           },
- *         ]
- *       }
- *     ]
- *   },
- * ]
- * ```
- */
-function buildTree(rootFolder, startingClassName) {
-    const tree = [];
-    
-    if (startingClassName === 'user'){
-		specificActivityName = null;
-		// Process user folders
-		const userGroups = getGroupedFolders(rootFolder, 'user');
-		Object.entries(userGroups).forEach(([userInstanceName, userFolders]) => {
-			const user = {
-				name : userInstanceName,
-				children : [], // userInstance
-			}
-			userFolders.forEach(userFolder => {
-//				console.log(`Processing user folder: ${userFolder}`);
-				const userPath = path.join(rootFolder, userFolder);
-				const userInstance = {
-				    name: userFolder.split("_")[1], // Extract user number (e.g., "01")
-				    children: [], // activity
-				}
-				// Process activities
-				const activityGroups = getGroupedFolders(userPath, 'activity');
-				Object.entries(activityGroups)
-				.filter(([activityInstanceName, activityFolders]) =>
-						specificActivityName ? activityInstanceName === specificActivityName : true
-						)
-				.forEach(([activityInstanceName, activityFolders]) => {
-					const activity = {
-						name : activityInstanceName,
-						children : [], // trial
-					}
-					activityFolders.forEach(activityFolder => {
-//						console.log(`Processing activity folder: ${activityFolder}`);
-						const activityPath = path.join(userPath, activityFolder);
-						const trial = {
-						    name: activityFolder.split("_").pop(), // Extract activity trial number (e.g., "01")
-						    children: [], // fileInstance
-						}
-						// Process data files
-						const csvFiles = fs.readdirSync(activityPath)
-						.filter(file => file.endsWith(".csv") && isValidInstance(file, 'data_type'));
-//						console.log(`CSV files in ${activityPath}:`, csvFiles);
-						if (Array.isArray(csvFiles)){
-							csvFiles.forEach((file) => {
-								const fileInstance = {
-								name: file.replace(".csv", ""),
-								}
-								trial.children.push(fileInstance);
-							});
-						}
-						//  trial.children = csvFiles.map((file) => file.replace(".csv", ""));
-						if (trial.children.length > 0) activity.children.push(trial);
-					});
-					if (activity.children.length > 0) userInstance.children.push(activity);
-				});
-				if (userInstance.children.length > 0) user.children.push(userInstance);
-			});
-			if (user.children.length > 0) tree.push(user);
-		});
-		return tree;
-    }
-	else if (startingClassName === 'activity'){
-		INSTANCE_NAMES[startingClassName].forEach((specificActivityName) => {
-			// Create the activity nodes
-			const activity = {
-				name : specificActivityName,
-				children : [], // user
-			}
-			// Process users
-			const userGroups = getGroupedFolders(rootFolder, 'user');
-			Object.entries(userGroups).forEach(([userInstanceName, userFolders]) => {
-				const user = {
-					name : userInstanceName,
-					children : [], // userInstance
-				}
-				userFolders.forEach(userFolder => {
-					console.log(`Processing user folder: ${userFolder}`);
-					const userPath = path.join(rootFolder, userFolder);
-					const userInstance = {
-					    name: userFolder.split("_")[1], // Extract user number (e.g., "01")
-					    children: [], // trial
-					}
-					// Process activities
-					const activityGroups = getGroupedFolders(userPath, 'activity');
-					Object.entries(activityGroups)
-					.filter( ([activityInstanceName, activityFolders]) =>
-							specificActivityName ? activityInstanceName === specificActivityName : true)
-					.forEach( ([activityInstanceName, activityFolders]) => {
-						activityFolders.forEach(activityFolder => {
-							console.log(`Processing activity folder: ${activityFolder}`);
-							const activityPath = path.join(userPath, activityFolder);
-							const trial = {
-							    name: activityFolder.split("_").pop(), // Extract activity trial number (e.g., "01")
-							    children: [], // fileInstance
-							}
-							// Process data files
-							const csvFiles = fs.readdirSync(activityPath)
-							.filter(file => file.endsWith(".csv") && isValidInstance(file, 'data_type'));
-							console.log(`CSV files in ${activityPath}:`, csvFiles);
-							if (Array.isArray(csvFiles)){
-								csvFiles.forEach((file) => {
-									const fileInstance = {
-									name: file.replace(".csv", ""),
-									}
-									trial.children.push(fileInstance);
-								});
-							}
-							//	trial.children = csvFiles.map((file) => file.replace(".csv", ""));
-							if (trial.children.length > 0) userInstance.children.push(trial);
-						});
-						
-					});
-					if (userInstance.children.length > 0) user.children.push(userInstance);
-				});
-				if (user.children.length > 0) activity.children.push(user);
-			});
-			if (activity.children.length > 0) tree.push(activity);
-		});
-		return tree;
+ * Opens a dataset: reads its instance names and compiles its schema.
+ *
+ * @param {Object} entry - `{ name, root, instanceNames }` as listed by `loadConfig()` in `lib/config.js`.
+ * @returns {Object} - The dataset:
+ *                     - `name`, `root`: The dataset name and the absolute path of its `data_collection` folder.
+ *                     - `instanceNames`: The allowed instance names of each class, from its `instanceNames.json`.
+ *                     - `schema`: The compiled folder naming and tree levels (see `compileSchema()`).
+ *                     - `historyFolder`: The folder of its tree snapshots; `tree_history` itself for the
+ *                       default unnamed dataset, `tree_history/<name>` otherwise.
+ *                     - `uploadTrialFiles`: Multipart parser for trial uploads, one optional file field per data type.
+ *                     - `index`: The persistent index of its files and their metadata (see `createDatasetIndex()`).
+ *                     - `schemaHash`: A hash of its instance names, part of the `/get-tree` ETags.
+ *                     - `modelFile`: The file its fatigue model is saved to by `POST /model/train`.
+ * @throws {Error} - Throws an error if the instance names cannot be read or the schema is invalid.
+ */
+function openDataset(entry) {
+	let instanceNames;
+	try {
+		instanceNames = JSON.parse(fs.readFileSync(entry.instanceNames, 'utf8'));
+	} catch (error) {
+		throw new Error(`Cannot read the instance names of dataset '${entry.name}' (${entry.instanceNames}): ${error.message}`);
 	}
+	const schema = compileSchema(instanceNames);
+	return {
+		name: entry.name,
+		root: entry.root,
+		instanceNames: instanceNames,
+		schema: schema,
+		historyFolder: entry.name === DEFAULT_DATASET_NAME ? HISTORY_FOLDER : path.join(HISTORY_FOLDER, entry.name),
+		uploadTrialFiles: multer({
+			dest: UPLOAD_FOLDER,
+			limits: { fileSize: 512 * 1024 * 1024 },
+		}).fields(instanceNames.data_type.map((name) => ({ name: name, maxCount: 1 }))),
+		index: createDatasetIndex(entry.root, schema, path.join(INDEX_FOLDER, `${entry.name}.json`)),
+		schemaHash: crypto.createHash('sha1').update(JSON.stringify(instanceNames)).digest('hex'),
+		modelFile: path.join(MODEL_FOLDER, `${entry.name}.json`),
+	};
 }
 
 /**
- * Converts a hierarchical tree structure into a Markdown-formatted string.
+ * Opens the datasets of a configuration and makes them available to the routes.
  *
- * @param {Array<Object>} tree - An array of tree nodes, each consisting of a `name` (string) and `children` (array) property.
- * @param {number} [level=0] - The current depth level in the tree hierarchy (used for indentation).
- * @returns {string} - A Markdown-formatted string representing the tree structure.
- *
- * @example
- * const tree = [
- *   { name: "User1", children: [
- *     { name: "Activity1", children: [
- *       { name: "Trial1", children: [
- *         { name: "File1" }
- *       ]}
- *     ]}
- *   ]}
- * ];
- *
- * const markdown = treeToMarkdown(tree);
- * console.log(markdown);
- * // Outputs:
- * // ## User1
- * // - Activity1
- * //   - Trial1
- * //     - File1
- */
-function treeToMarkdown(tree, level = 0) {
-	const indent = '  '.repeat(level); // Indentation for hierarchy
-	let markdown = '';
-	
-	// Iterate over each node in the tree
-	tree.forEach((node) => {
-		if (level === 0) {
-			markdown += `${indent}## ${node.name.charAt(0).toUpperCase() + node.name.slice(1)}\n`;
-		}
-		else {
-			markdown += `${indent}- ${node.name}\n`;
-		}
-		
-		// If the node has children, recursively process them
-		if (Array.isArray(node.children) && node.children.length > 0) {
-			markdown += treeToMarkdown(node.children, level + 1);
-		}
-	});
-	
-//	console.log(`[Backend] Markdown content for level ${level}:\n`, markdown);
-	return markdown;
+ * @param {Object} config - The settings returned by `loadConfig()`.
+ * @throws {Error} - Throws an error if a dataset cannot be opened.
+ */
+function configureDatasets(config) {
+	DATASETS.clear();
+	config.datasets.forEach((entry) => DATASETS.set(entry.name, openDataset(entry)));
+	defaultDatasetName = config.defaultDataset;
 }
 
+/**
+ * Resolves the dataset of every request from its `dataset` query parameter, or the default dataset
+ * without it, into `req.dataset`. Requests for unknown datasets are answered with 400.
+ */
+server.use((req, res, next) => {
+	const name = req.query.dataset === undefined ? defaultDatasetName : req.query.dataset;
+	req.dataset = typeof name === 'string' ? DATASETS.get(name) : undefined;
+	if (!req.dataset) {
+		return res.status(400).json({ error_msg: `Invalid parameter: 'dataset' must be one of ${[...DATASETS.keys()].join(", ")}.` });
+	}
+	next();
+});
+
 /**
  * Saves a Markdown-formatted string as a file in the 'public' directory.
  *
@@ -378,14 +181,22 @@ function saveMarkdownFile(markdownContent, fileName) {
  * Saves a Markdown file with content and a dynamically generated file name.
  *
  * The file name is constructed with the current date and time, followed by the base name
- * and the provided `startingClassName` at the end.
+ * and the provided `startingClassName` at the end. A JSON sidecar with the tree and how it was built
+ * is saved next to it, so that the snapshot can be reopened and compared (see `lib/tree-history.js`).
+ * Nothing is saved if the content is identical to the latest snapshot of the same hierarchy, and
+ * snapshots beyond the retention policy (`SNAPSHOT_RETENTION`) are deleted afterwards.
  *
  * @param {string} markdownContent - The Markdown content to save.
  * @param {string} baseName - The base name of the file (e.g., "data_collection_tree").
  * @param {string} startingClassName - The starting class name to append to the file name (e.g., "user", "activity").
+ * @param {Object} [details=null] - `{ hierarchy, filters, tree }` for the JSON sidecar. No sidecar is saved without it.
+ * @param {string} [historyFolder=HISTORY_FOLDER] - The history folder of the dataset the tree was built from.
+ * @param {Function} [log=console.log] - Receives the progress messages; the command-line interface passes
+ *                                       `console.error` to keep standard output for the command output.
+ * @returns {string} - The id of the saved snapshot, or of the identical latest one.
  * @throws {Error} - If there is an issue writing the file.
  */
-function saveMarkdownFile(markdownContent, baseName, startingClassName) {
+function saveMarkdownFile(markdownContent, baseName, startingClassName, details = null, historyFolder = HISTORY_FOLDER, log = console.log) {
 	// Get the current date and time in the desired format
 	const now = new Date();
 	// Format the date and time manually as YYYYMMDDhhmmss in local timezone
@@ -403,12 +214,21 @@ function saveMarkdownFile(markdownContent, baseName, startingClassName) {
 	const fileName = `${timestamp}_${baseName}_by_${startingClassName}.md`;
 	
 	// Define the folder path
-	const folderPath = path.join(__dirname, 'public', 'tree_history');
+	const folderPath = historyFolder;
 	
 	// Check if the folder exists and create the folder if it doesn't exist
 	if (!fs.existsSync(folderPath)) {
 		fs.mkdirSync(folderPath, { recursive: true });
-		console.log('[Backend] tree_history folder created');
+		log('[Backend] tree_history folder created');
+	}
+	
+	// An unchanged tree does not need another snapshot
+	if (SNAPSHOT_RETENTION.skipDuplicates) {
+		const duplicate = findDuplicateSnapshot(folderPath, baseName, startingClassName, markdownContent);
+		if (duplicate) {
+			log(`[Backend] Tree unchanged since snapshot ${duplicate}, not saved again.`);
+			return duplicate;
+		}
 	}
 	
 	// Define the file path in the 'public' directory
@@ -417,11 +237,16 @@ function saveMarkdownFile(markdownContent, baseName, startingClassName) {
 	try {
 		// Write the content to the file
 		fs.writeFileSync(filePath, markdownContent, 'utf8');
-		console.log(`[Backend] Markdown file added to history folder at: ${filePath}`);
+		if (details) writeSnapshotSidecar(filePath, details);
+		log(`[Backend] Markdown file added to history folder at: ${filePath}`);
 	} catch (error) {
 		console.error(`[Backend] Failed to save markdown file:`, error);
 		throw error; // Re-throw the error to the caller
 	}
+	
+	const deleted = applyRetention(folderPath, SNAPSHOT_RETENTION);
+	if (deleted.length > 0) log(`[Backend] Deleted ${deleted.length} snapshot(s) beyond the retention policy.`);
+	return fileName.replace(/\.md$/, '');
 }
 
 /**
@@ -429,20 +254,43 @@ function saveMarkdownFile(markdownContent, baseName, startingClassName) {
  * It also generates and saves a Markdown representation of the tree.
  *
  * @route GET /get-tree
- * @query {string} startingClassName - The class name to start tree generation from ('user' or 'activity').
+ * @query {string} startingClassName - The class name to start tree generation from (a level of the schema in
+ *                                      `instanceNames.json`: 'user', 'activity', 'trial' or 'data_type').
  *                                      Defaults to 'user' if not provided.
+ * @query {string} [hierarchy] - Comma-separated level order, e.g. 'data_type,activity,user,trial'. Levels not
+ *                               given follow in the schema's default order. Takes precedence over `startingClassName`.
+ * @query {string} [snapshot='true'] - 'false' skips saving the Markdown snapshot to the history folder
+ *                                     (used by the viewer's automatic refresh).
+ * @query {string} [users] - Comma-separated user numbers to include (e.g., '01,02').
+ * @query {string} [activities] - Comma-separated activity names to include.
+ * @query {string} [dataTypes] - Comma-separated data types to include (e.g., 'emg,skeleton').
+ * @query {number} [trialFrom] - Lowest trial number to include.
+ * @query {number} [trialTo] - Highest trial number to include.
+ * @query {number} [minSize] - Minimum file size in bytes.
+ * @query {number} [minRows] - Minimum number of data rows (parses the matching files).
+ * @query {string} [modifiedFrom] - Earliest file modification date (e.g., '2026-10-12' or an ISO date and time).
+ * @query {string} [modifiedTo] - Latest file modification date; a plain date includes the whole day.
+ *
+ * The files are listed from the dataset index, which only reads folders whose modification time changed and
+ * parses CSV files whose size or modification time changed. Responses carry an `ETag` derived from the files'
+ * paths, sizes and modification times and the query; a request with a matching `If-None-Match` is answered
+ * with 304 Not Modified without building the tree (nor saving a snapshot, which would be identical).
  *
  * @returns {Object} - JSON response containing the result of the directory tree generation and Markdown file saving.
- *                     The response object contains two properties:
+ *                     The response object contains three properties:
  *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
  *                     - tree: The generated directory tree as a JSON object, or null if an error occurred.
+ *                     - snapshot: The id of the history snapshot holding this tree (see `/history`), or null if
+ *                       no snapshot was requested.
  *
- * @throws {400} - If `startingClassName` is invalid or missing (not 'user' or 'activity').
+ * @throws {304} - If the tree is unchanged since the response whose ETag is given in `If-None-Match`.
+ * @throws {400} - If `startingClassName` or `hierarchy` names an unknown class, or repeats one, or a filter is invalid.
  * @throws {500} - If an error occurs during tree generation or file saving.
  *
  * @example
  * // Request:
  * // GET /get-tree?startingClassName=user
+ * // GET /get-tree?startingClassName=user&activities=max_endurance_elbow_flexion_standing&modifiedFrom=2026-10-12&modifiedTo=2026-10-18
  *
  * // Response (JSON) - Successful:
  * {
@@ -499,27 +347,42 @@ function saveMarkdownFile(markdownContent, baseName, startingClassName) {
  *   - Trial1
  *     - File1
  */
-server.get("/get-tree", (req, res) => {
-	const startingClassName = req.query.startingClassName || 'user';
-	
-	if (!startingClassName || !["user", "activity"].includes(startingClassName)) {
+server.get("/get-tree", async (req, res) => {
+	let hierarchy;
+	let filters;
+	let by;
+	try {
+		({ hierarchy, filters, by } = parseTreeRequest(req.dataset.schema, req.query));
+	} catch (error) {
 		// Return JSON response
 		return res.status(400).json({
-			error_msg: "Invalid or missing parameter: 'startingClassName' must be 'user' or 'activity'.",
+			error_msg: error.message,
 			tree: null,
 		});
 	}
 	
 	try {
-		console.log(`[Backend] Received startingClassName: ${startingClassName}`);
+		console.log(`[Backend] Received hierarchy: ${hierarchy.join(' > ')}`);
 		// Specify the starting folder
-		const rootFolder = path.resolve("data_collection");
+		const { root: rootFolder, schema, index } = req.dataset;
 		console.log(`[Backend] Resolving root folder: ${rootFolder}`);
 		
+		// Unchanged files and query give the same tree, which the client already has
+		const records = await index.records();
+		const etag = crypto.createHash('sha1')
+			.update([req.dataset.name, req.dataset.schemaHash, index.fingerprint(records), JSON.stringify(req.query)].join('\n'))
+			.digest('hex');
+		res.set({ 'ETag': `"${etag}"`, 'Cache-Control': 'no-cache' });
+		if (req.fresh) {
+			console.log(`[Backend] Tree unchanged, answered 304 Not Modified.`);
+			return res.status(304).end();
+		}
+		
 		// Generate tree
-		const tree = buildTree(rootFolder, startingClassName);
-		console.log(`[Backend] Generated tree:`);
-		console.dir(tree, { depth: null }); // Log the tree object in detail
+		const tree = await buildTreeAsync(rootFolder, schema, hierarchy, filters, { records, readMetadata: index.readMetadata });
+		index.save().catch((error) => console.error(`[Backend] Failed to save the dataset index:`, error));
+		if (Object.keys(filters).length > 0) console.log(`[Backend] Tree filters:`, filters);
+		console.log(`[Backend] Generated tree from ${records.length} indexed file(s).`);
 		
 		// Convert tree to markdown file
 		const markdownContent = '# Data Collection\n' + treeToMarkdown(tree);
@@ -527,8 +390,12 @@ server.get("/get-tree", (req, res) => {
 		console.log(markdownContent); // Log the markdown tree
 		
 		// Save the markdown content into a file
+		let snapshot = null;
 		try {
-			saveMarkdownFile(markdownContent, 'data_collection_tree', startingClassName);
+			if (req.query.snapshot !== 'false') {
+				snapshot = saveMarkdownFile(markdownContent, 'data_collection_tree', by,
+					{ hierarchy: hierarchy, filters: filters, tree: tree }, req.dataset.historyFolder);
+			}
 		}
 		catch (fileError){
 			// Return JSON response
@@ -542,6 +409,7 @@ server.get("/get-tree", (req, res) => {
 		res.json({
 			error_msg: null,
 			tree: tree,
+			snapshot: snapshot,
 		});
 	} catch (error) {
 		console.error("Error generating tree:", error);
@@ -554,23 +422,2576 @@ server.get("/get-tree", (req, res) => {
 });
 
 /**
- * Initializes the server and automatically opens the default web browser to the server's URL.
+ * Handles GET requests to export the directory tree in another format, as a file download. Accepts the
+ * same hierarchy and filter parameters as `/get-tree`; no snapshot is saved.
+ *
+ * @route GET /export
+ * @query {string} [format='json'] - The output format, one of the registered exporters in `public/tree-exporters.js`:
+ *                                   - 'markdown': The Markdown shown in the page.
+ *                                   - 'json': The nested tree as returned by `/get-tree`.
+ *                                   - 'csv': A flat manifest with one row per file (path, identifiers, size and metadata).
+ *                                   - 'mermaid': A Mermaid mindmap.
+ *                                   - 'html': A standalone page with the markmap inlined.
+ * @query {string} [startingClassName], [hierarchy], [users], ... - As for `/get-tree`.
+ *
+ * @returns {string} - The exported tree, with a matching `Content-Type` and an attachment file name such as
+ *                     `data_collection_tree_by_user.csv`. Errors are returned as JSON `{ error_msg, content: null }`.
+ *
+ * @throws {400} - If the format, a class name or a filter is invalid.
+ * @throws {500} - If an error occurs during tree generation.
+ *
+ * @example
+ * // Request:
+ * // GET /export?format=csv&startingClassName=activity&dataTypes=emg
+ *
+ * // Response (text/csv):
+ * // path,user,activity,trial,data_type,size,rows,columns,sampling_rate,start,end,duration,absolute_time,error
+ * // user_01/max_endurance_elbow_flexion_standing_01/emg.csv,01,max_endurance_elbow_flexion_standing,01,emg,490172,20000,time;biceps;triceps,1000,0,19.999,19.999,false,
+ */
+server.get("/export", async (req, res) => {
+	const format = req.query.format || 'json';
+	let request;
+	try {
+		if (typeof format !== 'string' || !listExporters().includes(format)) {
+			throw new Error(`Invalid parameter: 'format' must be one of ${listExporters().join(", ")}.`);
+		}
+		request = parseTreeRequest(req.dataset.schema, req.query);
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, content: null });
+	}
+	
+	try {
+		const { root, schema, index } = req.dataset;
+		const tree = await buildTreeAsync(root, schema, request.hierarchy, request.filters,
+			{ records: await index.records(), readMetadata: index.readMetadata });
+		index.save().catch((error) => console.error(`[Backend] Failed to save the dataset index:`, error));
+		const exported = exportTree(tree, format);
+		console.log(`[Backend] Exported tree by ${request.by} as ${format}.`);
+		res.attachment(`data_collection_tree_by_${request.by}.${exported.extension}`);
+		res.set('Content-Type', exported.contentType);
+		res.send(exported.content);
+	} catch (error) {
+		console.error(`[Backend] Failed to export tree:`, error);
+		res.status(500).json({ error_msg: "An error occurred while exporting the tree.", content: null });
+	}
+});
+
+/**
+ * Handles GET requests to list the tree snapshots saved by `/get-tree`, newest first.
+ *
+ * @route GET /history
+ *
+ * @returns {Object} - JSON response `{ error_msg, snapshots }` where each snapshot is
+ *                     `{ id, created, baseName, by, size, hasTree }` (see `listSnapshots()` in `lib/tree-history.js`).
+ *
+ * @example
+ * // Request:
+ * // GET /history
+ *
+ * // Response (JSON):
+ * {
+ *   "error_msg": null,
+ *   "snapshots": [
+ *     { "id": "20261019120000_data_collection_tree_by_user", "created": "2026-10-19T10:00:00.000Z",
+ *       "baseName": "data_collection_tree", "by": "user", "size": 2048, "hasTree": true }
+ *   ]
+ * }
+ */
+server.get("/history", (req, res) => {
+	try {
+		res.json({ error_msg: null, snapshots: listSnapshots(req.dataset.historyFolder) });
+	} catch (error) {
+		console.error(`[Backend] Failed to list snapshots:`, error);
+		res.status(500).json({ error_msg: "Failed to list the tree snapshots.", snapshots: null });
+	}
+});
+
+/**
+ * Handles GET requests to compare two tree snapshots: which users, trials and files were added or removed
+ * between them. Snapshots built by different hierarchies can be compared; snapshots built with different
+ * filters can be too, but then differences may come from the filters (both are returned).
+ *
+ * @route GET /history/diff
+ * @query {string} from - The id of the older snapshot.
+ * @query {string} to - The id of the newer snapshot.
+ *
+ * @returns {Object} - JSON response `{ error_msg, diff }` where `diff` is
+ *                     `{ from, to, filters: { from, to }, users, trials, files }` and `users`, `trials` and `files`
+ *                     are `{ added, removed }` lists of relative paths.
+ *
+ * @throws {400} - If a snapshot id is invalid or its hierarchy is unknown.
+ * @throws {404} - If a snapshot does not exist.
+ *
+ * @example
+ * // Request:
+ * // GET /history/diff?from=20261012090000_data_collection_tree_by_user&to=20261019120000_data_collection_tree_by_user
+ *
+ * // Response (JSON):
+ * {
+ *   "error_msg": null,
+ *   "diff": {
+ *     "from": "20261012090000_data_collection_tree_by_user",
+ *     "to": "20261019120000_data_collection_tree_by_user",
+ *     "filters": { "from": {}, "to": {} },
+ *     "users": { "added": ["user_03"], "removed": [] },
+ *     "trials": { "added": ["user_03/max_endurance_elbow_flexion_standing_01"], "removed": [] },
+ *     "files": { "added": ["user_03/max_endurance_elbow_flexion_standing_01/emg.csv"], "removed": [] }
+ *   }
+ * }
+ */
+server.get("/history/diff", (req, res) => {
+	let before;
+	let after;
+	try {
+		before = readSnapshot(req.dataset.historyFolder, req.query.from);
+		after = readSnapshot(req.dataset.historyFolder, req.query.to);
+	} catch (error) {
+		return res.status(400).json({ error_msg: `${error.message} 'from' and 'to' must be snapshot ids listed by /history.`, diff: null });
+	}
+	if (!before || !after) {
+		return res.status(404).json({ error_msg: `Snapshot ${before ? req.query.to : req.query.from} not found.`, diff: null });
+	}
+	try {
+		res.json({
+			error_msg: null,
+			diff: {
+				from: before.id,
+				to: after.id,
+				filters: { from: before.filters, to: after.filters },
+				...diffSnapshots(req.dataset.schema, before, after),
+			},
+		});
+	} catch (error) {
+		res.status(400).json({ error_msg: `Cannot compare the snapshots: ${error.message}`, diff: null });
+	}
+});
+
+/**
+ * Handles GET requests to open a tree snapshot.
+ *
+ * @route GET /history/:id
+ * @param {string} id - The snapshot id listed by `/history`.
+ *
+ * @returns {Object} - JSON response `{ error_msg, snapshot }` where `snapshot` is
+ *                     `{ id, created, by, hierarchy, filters, markdown, tree }`. Snapshots saved before JSON
+ *                     sidecars existed have a tree rebuilt from their Markdown and null `hierarchy` and `filters`.
+ *
+ * @throws {400} - If the id is not a snapshot name.
+ * @throws {404} - If the snapshot does not exist.
+ */
+server.get("/history/:id", (req, res) => {
+	let snapshot;
+	try {
+		snapshot = readSnapshot(req.dataset.historyFolder, req.params.id);
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, snapshot: null });
+	}
+	if (!snapshot) {
+		return res.status(404).json({ error_msg: `Snapshot ${req.params.id} not found.`, snapshot: null });
+	}
+	res.json({ error_msg: null, snapshot: snapshot });
+});
+
+/**
+ * Builds the body composition profile of a subject from the `body_composition.csv` files of their trials.
  *
  * @async
- * @function
- * @throws {Error} - If the `open` module fails to load or the server encounters an error during startup.
+ * @param {Object} dataset - The dataset (see `openDataset()`).
+ * @param {string} user - The user number (e.g., "01").
+ * @returns {Promise<Object|null>} - The profile (see `buildSubjectProfile()` in `lib/body-composition.js`) with
+ *                                   the subject's `user` number and `trials`, or `null` if the user has no data files.
+ * @throws {Error} - Throws an error if the user number is invalid.
+ */
+async function loadSubjectProfile(dataset, user) {
+	if (typeof user !== "string" || !/^\d+$/.test(user)) {
+		throw new Error("Invalid or missing parameter: 'user' must be a user number (e.g., '01').");
+	}
+	const records = (await dataset.index.records()).filter((record) => record.values.user_id === user);
+	if (records.length === 0) return null;
+	const sources = records
+		.filter((record) => record.values.data_type === BODY_COMPOSITION_DATA_TYPE)
+		.map((record) => ({
+			activity: record.values.activity,
+			trial: record.values.trial,
+			path: record.relativePath,
+			filePath: record.filePath,
+			mtimeMs: record.stats.mtimeMs,
+		}));
+	const trials = new Map();
+	records.forEach(({ values }) => trials.set(`${values.activity}/${values.trial}`, { activity: values.activity, trial: values.trial }));
+	return { user: user, ...buildSubjectProfile(sources), trials: [...trials.values()] };
+}
+
+/**
+ * Handles GET requests for the body composition profile of a subject, read from the `body_composition.csv`
+ * files of their trials (mass, body fat, limb circumferences, ...), with the values derived from them.
+ *
+ * Both a long layout (`measure,value,unit` rows) and a wide layout (one column per measure) are accepted;
+ * values are converted to kg, cm and mm. When several files give a measure, the most recently modified wins.
+ *
+ * @route GET /profile
+ * @query {string} user - The user number (e.g., "01").
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - profile: `{ user, measures, derived, definitions, sources, trials }`, or null if an error occurred.
+ *
+ * @throws {400} - If the user number is invalid.
+ * @throws {404} - If the user has no data files.
+ *
+ * @example
+ * // Request:
+ * // GET /profile?user=01
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "profile": {
+ *     "user": "01",
+ *     "measures": { "mass_kg": 74.8, "height_cm": 180, "fat_percent": 18, "upper_arm_circumference_cm": 31 },
+ *     "derived": { "fat_mass_kg": 13.5, "lean_mass_kg": 61.4, "bmi": 23.1 },
+ *     "definitions": { "mass_kg": { "label": "Body mass", "unit": "kg" }, ... },
+ *     "sources": [ { "activity": "max_endurance_elbow_flexion_standing", "trial": "01", "path": "user_01/...", "empty": false, "measures": { ... }, "warnings": [] } ],
+ *     "trials": [ { "activity": "max_endurance_elbow_flexion_standing", "trial": "01" }, ... ]
+ *   }
+ * }
  */
-(async () => {
+server.get("/profile", async (req, res) => {
+	let profile;
 	try {
-		const open = await import('open'); // Dynamically import the `open` package
-		
-		server.listen(PORT, () => {
-			console.log(`Server running at http://localhost:${PORT}`);
-			// Automatically open the browser
-			open.default(`http://localhost:${PORT}`);
+		profile = await loadSubjectProfile(req.dataset, req.query.user);
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, profile: null });
+	}
+	if (!profile) {
+		return res.status(404).json({ error_msg: `User ${req.query.user} has no data files.`, profile: null });
+	}
+	console.log(`[Backend] Profile of user ${profile.user} read from ${profile.sources.length} body composition file(s).`);
+	res.json({ error_msg: null, profile: profile });
+});
+
+/**
+ * Handles GET requests to compute the EMG fatigue analysis of a trial.
+ *
+ * The trial's `emg.csv` is cut into sliding windows; for each window and channel the mean frequency
+ * (MNF), median frequency (MDF) and RMS are computed, and the slope of a line fitted to MDF over
+ * time is returned as the fatigue index.
+ *
+ * @route GET /analysis/emg
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name (e.g., "max_endurance_elbow_flexion_standing").
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {string} [channel] - A single channel (column) to analyse. Defaults to every numeric channel.
+ * @query {number} [windowSize=1] - Window length in seconds.
+ * @query {number} [overlap=0.5] - Fraction of overlap between consecutive windows.
+ * @query {number} [minFrequency=20] - Lower bound of the MNF/MDF band in Hz.
+ * @query {number} [maxFrequency=450] - Upper bound of the MNF/MDF band in Hz.
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the file has no time column.
+ * @query {string} [normalize] - `mvc` to express RMS amplitudes as a percentage of the subject's maximal voluntary
+ *                               contraction, so that amplitudes can be compared across subjects.
+ * @query {string} [mvcActivity] - With `normalize=mvc`: the activity of the subject's MVC reference trial.
+ * @query {string} [mvcTrial] - With `normalize=mvc`: the MVC reference trial. Defaults to the first trial of `mvcActivity`.
+ * @query {number} [mvcWindow=0.5] - With `normalize=mvc`: the moving window the peak MVC RMS is taken over, in seconds.
+ * @query {string} [relativeTo] - Comma-separated body measures of the subject's profile (see `/profile`), e.g.
+ *                                `lean_mass_kg,upper_arm_circumference_cm`, to report amplitudes per unit of.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - analysis: `{ samplingRate, duration, options, channels }` where `channels` maps each
+ *                       channel name to the result of `analyzeFatigue()`, or null if an error occurred.
+ *                       With `normalize=mvc`, windows carry `rmsPercentMvc`, channels an `amplitude` summary (see
+ *                       `normalizeToMvc()`) and the analysis a `normalization: { method, activity, trial, window }`.
+ *                       With `relativeTo`, channels carry `bodyRelative` (see `relateToBody()`).
+ *
+ * @throws {400} - If a trial identifier or an analysis option is invalid, or the profile lacks a `relativeTo` measure.
+ * @throws {404} - If the trial has no `emg.csv` file, the MVC reference trial has none, or the subject's profile
+ *                  (read for `mvcActivity` without `mvcTrial`, or for `relativeTo`) finds no data files.
+ * @throws {422} - If the file is empty or cannot be analysed, or the MVC reference lacks a channel.
+ *
+ * @example
+ * // Request:
+ * // GET /analysis/emg?user=01&activity=max_endurance_elbow_flexion_standing&trial=01
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "analysis": {
+ *     "samplingRate": 1000,
+ *     "duration": 95.2,
+ *     "options": { "windowSize": 1, "overlap": 0.5, "minFrequency": 20, "maxFrequency": 450 },
+ *     "channels": {
+ *       "biceps": {
+ *         "windows": [ { "start": 0, "end": 1, "mnf": 92.4, "mdf": 78.1, "rms": 0.21 }, ... ],
+ *         "fatigueIndex": { "mdfSlope": -0.14, "mdfSlopePercent": -0.18, "mnfSlope": -0.16, "r2": 0.71 }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+server.get("/analysis/emg", async (req, res) => {
+	let filePath;
+	try {
+		filePath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, 'emg');
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, analysis: null });
+	}
+	if (!fs.existsSync(filePath)) {
+		return res.status(404).json({ error_msg: "The requested trial has no emg.csv file.", analysis: null });
+	}
+	
+	// Collect the analysis options given in the query
+	const options = {};
+	["windowSize", "overlap", "minFrequency", "maxFrequency"].forEach((name) => {
+		if (req.query[name] !== undefined) options[name] = Number(req.query[name]);
+	});
+	const band = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+	if (!(band.minFrequency >= 0 && band.minFrequency < band.maxFrequency)) {
+		return res.status(400).json({
+			error_msg: "Invalid parameters: 'minFrequency' must be a non-negative number below 'maxFrequency'.",
+			analysis: null,
 		});
+	}
+	
+	let signals;
+	try {
+		console.log(`[Backend] Analysing EMG file: ${filePath}`);
+		signals = readSignals(filePath, { samplingRate: Number(req.query.samplingRate) || undefined });
 	} catch (error) {
-		console.error("Error loading the 'open' module:", error);
+		console.error(`[Backend] Failed to read EMG file:`, error);
+		return res.status(422).json({ error_msg: `Failed to read emg.csv: ${error.message}`, analysis: null });
+	}
+	
+	const channelNames = req.query.channel ? [req.query.channel] : Object.keys(signals.channels);
+	const unknown = channelNames.filter((name) => !signals.channels[name]);
+	if (unknown.length > 0 || channelNames.length === 0) {
+		return res.status(400).json({
+			error_msg: `Unknown or non-numeric EMG channel: ${unknown.join(", ") || "none available"}.`,
+			analysis: null,
+		});
+	}
+	
+	let channels;
+	try {
+		channels = {};
+		channelNames.forEach((name) => {
+			channels[name] = analyzeFatigue(signals.channels[name], signals.samplingRate, options);
+		});
+	} catch (error) {
+		console.error("Error analysing EMG:", error);
+		return res.status(400).json({ error_msg: error.message, analysis: null });
+	}
+	const analysis = {
+		samplingRate: signals.samplingRate,
+		duration: signals.time[signals.time.length - 1],
+		options: { ...DEFAULT_ANALYSIS_OPTIONS, ...options },
+		channels: channels,
+	};
+	
+	// Amplitudes relative to the subject's maximal voluntary contraction
+	if (req.query.normalize !== undefined) {
+		if (req.query.normalize !== 'mvc') {
+			return res.status(400).json({ error_msg: "Invalid parameter: 'normalize' must be mvc.", analysis: null });
+		}
+		if (!req.query.mvcActivity) {
+			return res.status(400).json({ error_msg: "Missing parameter: 'mvcActivity' names the MVC reference trial.", analysis: null });
+		}
+		const window = req.query.mvcWindow !== undefined ? Number(req.query.mvcWindow) : DEFAULT_MVC_WINDOW;
+		let mvcTrial = req.query.mvcTrial;
+		if (mvcTrial === undefined) {
+			let profile;
+			try {
+				profile = await loadSubjectProfile(req.dataset, req.query.user);
+			} catch (error) {
+				return res.status(400).json({ error_msg: error.message, analysis: null });
+			}
+			if (!profile) {
+				return res.status(404).json({ error_msg: `User ${req.query.user} has no data files.`, analysis: null });
+			}
+			const candidates = profile.trials.filter((trial) => trial.activity === req.query.mvcActivity).map((trial) => trial.trial);
+			mvcTrial = candidates.sort((a, b) => Number(a) - Number(b))[0];
+			if (mvcTrial === undefined) {
+				return res.status(404).json({ error_msg: `User ${req.query.user} has no ${req.query.mvcActivity} trial.`, analysis: null });
+			}
+		}
+		let mvcPath;
+		try {
+			mvcPath = resolveTrialFile(req.dataset.root, req.dataset.schema,
+				{ user: req.query.user, activity: req.query.mvcActivity, trial: mvcTrial }, 'emg');
+		} catch (error) {
+			return res.status(400).json({ error_msg: `Invalid MVC reference trial: ${error.message}`, analysis: null });
+		}
+		if (!fs.existsSync(mvcPath)) {
+			return res.status(404).json({ error_msg: "The MVC reference trial has no emg.csv file.", analysis: null });
+		}
+		try {
+			console.log(`[Backend] Reading MVC reference: ${mvcPath}`);
+			const mvcSignals = mvcPath === filePath ? signals : readSignals(mvcPath, { samplingRate: Number(req.query.samplingRate) || undefined });
+			const reference = computeMvcReference(mvcSignals, window);
+			channelNames.forEach((name) => {
+				if (!reference[name]) throw new Error(`The MVC reference trial has no '${name}' channel.`);
+				channels[name] = normalizeToMvc(channels[name], reference[name].rms);
+			});
+		} catch (error) {
+			console.error(`[Backend] Failed to normalize to the MVC reference:`, error);
+			return res.status(422).json({ error_msg: `Failed to normalize to the MVC reference: ${error.message}`, analysis: null });
+		}
+		analysis.normalization = { method: 'mvc', activity: req.query.mvcActivity, trial: mvcTrial, window: window };
+	}
+	
+	// Amplitudes per unit of body measures
+	if (req.query.relativeTo) {
+		let profile;
+		try {
+			profile = await loadSubjectProfile(req.dataset, req.query.user);
+		} catch (error) {
+			return res.status(400).json({ error_msg: error.message, analysis: null });
+		}
+		if (!profile) {
+			return res.status(404).json({ error_msg: `User ${req.query.user} has no data files.`, analysis: null });
+		}
+		try {
+			const bodyMeasures = { ...profile.measures, ...profile.derived };
+			const keys = String(req.query.relativeTo).split(',').map((key) => key.trim()).filter(Boolean);
+			channelNames.forEach((name) => {
+				channels[name].bodyRelative = relateToBody(channels[name], bodyMeasures, keys);
+			});
+		} catch (error) {
+			return res.status(400).json({ error_msg: error.message, analysis: null });
+		}
 	}
-})();
+	res.json({ error_msg: null, analysis: analysis });
+});
+
+/**
+ * Handles GET requests for the default EMG preprocessing pipeline, as a starting point for
+ * lab-specific pipeline definitions.
+ *
+ * @route GET /preprocessing/pipeline
+ *
+ * @returns {Object} - JSON response `{ error_msg: null, pipeline }` where `pipeline` is `DEFAULT_PIPELINE`.
+ */
+server.get("/preprocessing/pipeline", (req, res) => {
+	res.json({
+		error_msg: null,
+		pipeline: DEFAULT_PIPELINE,
+	});
+});
 
+/**
+ * Handles POST requests to run a trial's `emg.csv` through a preprocessing pipeline and return
+ * the processed signal.
+ *
+ * @route POST /preprocessing/emg
+ * @body {string} user - The user number (e.g., "01").
+ * @body {string} activity - The activity name (e.g., "max_endurance_elbow_flexion_standing").
+ * @body {string} trial - The trial number (e.g., "01").
+ * @body {Array<Object>} [pipeline] - The stages to apply (see `preprocessSignal()` in `lib/emg-preprocessing.js`).
+ *                                    Defaults to `DEFAULT_PIPELINE`.
+ * @body {Array<string>} [channels] - The channels to process. Defaults to every numeric channel.
+ * @body {number} [samplingRate] - Sampling rate in Hz, required only if the file has no time column.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - signal: `{ samplingRate, pipeline, time, channels }` with the processed channels, or null.
+ *
+ * @throws {400} - If a trial identifier, the pipeline or a channel name is invalid.
+ * @throws {404} - If the trial has no `emg.csv` file.
+ * @throws {422} - If the file is empty or cannot be read.
+ *
+ * @example
+ * // Request:
+ * // POST /preprocessing/emg
+ * {
+ *   "user": "01",
+ *   "activity": "max_endurance_elbow_flexion_standing",
+ *   "trial": "01",
+ *   "pipeline": [
+ *     { "type": "bandpass", "low": 20, "high": 450 },
+ *     { "type": "notch", "frequency": 60, "harmonics": 2 },
+ *     { "type": "rectify" },
+ *     { "type": "envelope", "method": "rms", "window": 0.1 }
+ *   ]
+ * }
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "signal": {
+ *     "samplingRate": 1000,
+ *     "pipeline": [ ... ],
+ *     "time": [0, 0.001, 0.002, ...],
+ *     "channels": { "biceps": [0.012, 0.013, ...] }
+ *   }
+ * }
+ */
+server.post("/preprocessing/emg", (req, res) => {
+	const body = req.body || {};
+	const pipeline = body.pipeline || DEFAULT_PIPELINE;
+	
+	let filePath;
+	try {
+		filePath = resolveTrialFile(req.dataset.root, req.dataset.schema, body, 'emg');
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, signal: null });
+	}
+	if (!fs.existsSync(filePath)) {
+		return res.status(404).json({ error_msg: "The requested trial has no emg.csv file.", signal: null });
+	}
+	
+	let signals;
+	try {
+		console.log(`[Backend] Preprocessing EMG file: ${filePath}`);
+		signals = readSignals(filePath, { samplingRate: Number(body.samplingRate) || undefined });
+	} catch (error) {
+		console.error(`[Backend] Failed to read EMG file:`, error);
+		return res.status(422).json({ error_msg: `Failed to read emg.csv: ${error.message}`, signal: null });
+	}
+	
+	const channelNames = Array.isArray(body.channels) ? body.channels : Object.keys(signals.channels);
+	const unknown = channelNames.filter((name) => !signals.channels[name]);
+	if (unknown.length > 0 || channelNames.length === 0) {
+		return res.status(400).json({
+			error_msg: `Unknown or non-numeric EMG channel: ${unknown.join(", ") || "none available"}.`,
+			signal: null,
+		});
+	}
+	
+	try {
+		validatePipeline(pipeline, signals.samplingRate);
+	} catch (error) {
+		return res.status(400).json({ error_msg: `Invalid pipeline: ${error.message}`, signal: null });
+	}
+	
+	const channels = {};
+	try {
+		channelNames.forEach((name) => {
+			channels[name] = Array.from(preprocessSignal(signals.channels[name], signals.samplingRate, pipeline));
+		});
+	} catch (error) {
+		console.error(`[Backend] Failed to preprocess EMG:`, error);
+		return res.status(500).json({ error_msg: `Failed to preprocess the signal: ${error.message}`, signal: null });
+	}
+	res.json({
+		error_msg: null,
+		signal: {
+			samplingRate: signals.samplingRate,
+			pipeline: pipeline,
+			time: Array.from(signals.time),
+			channels: channels,
+		},
+	});
+});
+
+/**
+ * Handles GET requests to compute the elbow kinematics of a trial from its `skeleton.csv`: the
+ * shoulder–elbow–wrist angle over time and the curl repetitions with their range of motion and tempo.
+ *
+ * @route GET /analysis/kinematics
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name (e.g., "dynamic_endurance_bicep_curls_standing").
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {string} [side='right'] - The arm to analyse: 'right' or 'left'.
+ * @query {number} [minRange=30] - Minimum angle excursion in degrees for a flexion or extension phase.
+ * @query {number} [minDuration=0.5] - Minimum repetition duration in seconds.
+ * @query {number} [smoothing=0.1] - Moving-average window applied to the angle in seconds.
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the file has no time column.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - kinematics: The result of `analyzeElbowKinematics()` in `lib/kinematics.js`, or null.
+ *
+ * @throws {400} - If a trial identifier or an option is invalid.
+ * @throws {404} - If the trial has no `skeleton.csv` file.
+ * @throws {422} - If the file is empty or lacks the shoulder, elbow or wrist coordinates.
+ *
+ * @example
+ * // Request:
+ * // GET /analysis/kinematics?user=01&activity=dynamic_endurance_bicep_curls_standing&trial=01
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "kinematics": {
+ *     "side": "right",
+ *     "samplingRate": 30,
+ *     "time": [0, 0.033, ...],
+ *     "angle": [169.8, 169.5, ...],
+ *     "repetitions": [
+ *       { "number": 1, "start": 1.5, "peak": 3, "end": 4.5, "rangeOfMotion": 139.8,
+ *         "duration": 3, "concentric": 1.5, "eccentric": 1.5, ... }
+ *     ],
+ *     "summary": { "count": 6, "meanRangeOfMotion": 139.8, "meanDuration": 3, "repetitionRate": 20 }
+ *   }
+ * }
+ */
+server.get("/analysis/kinematics", (req, res) => {
+	let filePath;
+	try {
+		filePath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, 'skeleton');
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, kinematics: null });
+	}
+	if (req.query.side && !["right", "left"].includes(req.query.side)) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'side' must be 'right' or 'left'.", kinematics: null });
+	}
+	if (!fs.existsSync(filePath)) {
+		return res.status(404).json({ error_msg: "The requested trial has no skeleton.csv file.", kinematics: null });
+	}
+	
+	// Collect the segmentation options given in the query
+	const options = { side: req.query.side || 'right' };
+	for (const name of ["minRange", "minDuration", "smoothing"]) {
+		if (req.query[name] === undefined) continue;
+		options[name] = Number(req.query[name]);
+		if (!(Number.isFinite(options[name]) && options[name] >= 0)) {
+			return res.status(400).json({ error_msg: `Invalid parameter: '${name}' must be a non-negative number.`, kinematics: null });
+		}
+	}
+	
+	try {
+		console.log(`[Backend] Analysing skeleton file: ${filePath}`);
+		const signals = readSignals(filePath, { samplingRate: Number(req.query.samplingRate) || undefined });
+		const kinematics = analyzeElbowKinematics(signals, options);
+		res.json({
+			error_msg: null,
+			kinematics: {
+				...kinematics,
+				time: Array.from(kinematics.time),
+				angle: Array.from(kinematics.angle, (value) => (Number.isNaN(value) ? null : value)),
+			},
+		});
+	} catch (error) {
+		console.error(`[Backend] Failed to analyse skeleton file:`, error);
+		res.status(422).json({ error_msg: `Failed to analyse skeleton.csv: ${error.message}`, kinematics: null });
+	}
+});
+
+/**
+ * Handles GET requests for the fatigue statistics of an activity across users and trials: the MDF slope,
+ * time to exhaustion (detected as for `/exhaustion`, endurance activity only) and RMS increase of every trial,
+ * their cohort mean/SD, each user's trial-to-trial repeatability (CV, and the ICC across users) and outlier
+ * flags (see `summarizeCohort()` in `lib/cohort.js`). The statistics are computed in a worker thread (see
+ * `summarizeCohortInWorker()`), off the server's event loop.
+ *
+ * @route GET /cohort
+ * @query {string} activity - The activity name (e.g., "max_endurance_elbow_flexion_standing").
+ * @query {string} [channel] - The EMG channel. Defaults to the first channel of the first readable trial.
+ * @query {number} [windowSize], [overlap], [minFrequency], [maxFrequency] - Analysis options, as for `/analysis/emg`.
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the files have no time column.
+ * @query {string} [format='json'] - 'json', or 'csv' to download a table.
+ * @query {string} [table='trials'] - With `format=csv`: 'trials' (one row per trial), 'summary' (one row per
+ *                                    metric) or 'users' (one row per user and metric).
+ *
+ * @returns {Object|string} - JSON response `{ error_msg, cohort }`, or with `format=csv` the table as an attachment
+ *                            named like `cohort_max_endurance_elbow_flexion_standing_trials.csv`.
+ *
+ * @throws {400} - If the activity, an analysis option, the format or the table is invalid.
+ * @throws {500} - If the data collection cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /cohort?activity=max_endurance_elbow_flexion_standing&channel=biceps
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "cohort": {
+ *     "activity": "max_endurance_elbow_flexion_standing",
+ *     "channel": "biceps",
+ *     "metrics": [ { "key": "mdfSlope", "label": "MDF slope", "unit": "Hz/s" }, ... ],
+ *     "trials": [ { "user": "01", "trial": "01", "path": "user_01/...", "mdfSlope": -0.21, "timeToExhaustion": 95.2, ..., "outliers": [] } ],
+ *     "summary": { "mdfSlope": { "n": 12, "mean": -0.19, "sd": 0.06, "cv": 31.5, "min": -0.3, "median": -0.2, "max": -0.1 }, ... },
+ *     "users": { "01": { "mdfSlope": { "n": 3, "mean": -0.21, "sd": 0.02, "cv": 9.5, ... }, ... } },
+ *     "repeatability": { "mdfSlope": { "icc": 0.82, "meanCv": 11.2 }, ... }
+ *   }
+ * }
+ */
+server.get("/cohort", async (req, res) => {
+	const format = req.query.format || 'json';
+	const table = req.query.table || 'trials';
+	if (!['json', 'csv'].includes(format)) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'format' must be json or csv.", cohort: null });
+	}
+	if (!['trials', 'summary', 'users'].includes(table)) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'table' must be trials, summary or users.", cohort: null });
+	}
+	const { root, schema } = req.dataset;
+	if (!schema.instanceNames.activity.includes(req.query.activity)) {
+		return res.status(400).json({
+			error_msg: `Invalid or missing parameter: 'activity' must be one of ${schema.instanceNames.activity.join(", ")}.`,
+			cohort: null,
+		});
+	}
+	const analysis = {};
+	["windowSize", "overlap", "minFrequency", "maxFrequency"].forEach((name) => {
+		if (req.query[name] !== undefined) analysis[name] = Number(req.query[name]);
+	});
+	if (Object.values(analysis).some(Number.isNaN)) {
+		return res.status(400).json({ error_msg: "Invalid parameters: analysis options must be numbers.", cohort: null });
+	}
+	if ((analysis.windowSize !== undefined && !(analysis.windowSize > 0)) ||
+		(analysis.overlap !== undefined && !(analysis.overlap >= 0 && analysis.overlap < 1))) {
+		return res.status(400).json({ error_msg: "Invalid parameters: 'windowSize' must be positive and 'overlap' between 0 and 1.", cohort: null });
+	}
+	const band = { ...DEFAULT_ANALYSIS_OPTIONS, ...analysis };
+	if (!(band.minFrequency >= 0 && band.minFrequency < band.maxFrequency)) {
+		return res.status(400).json({ error_msg: "Invalid parameters: 'minFrequency' must be a non-negative number below 'maxFrequency'.", cohort: null });
+	}
+	
+	let cohort;
+	try {
+		console.log(`[Backend] Computing cohort statistics for ${req.query.activity}.`);
+		cohort = await summarizeCohortInWorker(root, req.dataset.instanceNames, req.query.activity, {
+			channel: req.query.channel,
+			analysis: analysis,
+			samplingRate: Number(req.query.samplingRate) || undefined,
+		});
+	} catch (error) {
+		console.error(`[Backend] Failed to compute cohort statistics:`, error);
+		return res.status(500).json({ error_msg: "An error occurred while computing the cohort statistics.", cohort: null });
+	}
+	const failed = cohort.trials.filter((trial) => trial.error);
+	console.log(`[Backend] Cohort statistics of ${cohort.trials.length - failed.length}/${cohort.trials.length} trial(s) computed.`);
+	
+	if (format === 'csv') {
+		res.attachment(`cohort_${cohort.activity}_${table}.csv`);
+		res.set('Content-Type', 'text/csv; charset=utf-8');
+		return res.send(cohortToCsv(cohort, table));
+	}
+	res.json({ error_msg: null, cohort: cohort });
+});
+
+// Numeric options of the time-to-exhaustion detector accepted in queries (see `DEFAULT_EXHAUSTION_OPTIONS`)
+const EXHAUSTION_QUERY_OPTIONS = ["targetAngle", "tolerance", "referenceStart", "referenceDuration", "minExit",
+	"smoothing", "emgWindow", "collapseRatio", "agreement"];
+
+/**
+ * Reads the options of the time-to-exhaustion detector from a query.
+ *
+ * @param {Object} query - The request query.
+ * @returns {Object} - The options of `detectTrialExhaustion()` in `lib/endurance.js`.
+ * @throws {Error} - Throws an error if an option is not a number or the side is invalid.
+ */
+function parseExhaustionQuery(query) {
+	const options = {};
+	if (query.side !== undefined) {
+		if (!["right", "left"].includes(query.side)) throw new Error("Invalid parameter: 'side' must be 'right' or 'left'.");
+		options.side = query.side;
+	}
+	if (query.channel) options.channel = String(query.channel);
+	EXHAUSTION_QUERY_OPTIONS.forEach((name) => {
+		if (query[name] === undefined) return;
+		options[name] = Number(query[name]);
+		if (!Number.isFinite(options[name])) throw new Error(`Invalid parameter: '${name}' must be a number.`);
+	});
+	if (query.samplingRate !== undefined) options.samplingRate = Number(query.samplingRate) || undefined;
+	return options;
+}
+
+/**
+ * Handles GET requests to estimate the time to exhaustion of an endurance trial, i.e. how long the elbow
+ * position was held: the elbow angle of `skeleton.csv` leaving a tolerance band around the held angle,
+ * cross-checked against the collapse of the EMG amplitude of `emg.csv` (see `detectExhaustion()` in `lib/endurance.js`).
+ *
+ * @route GET /exhaustion
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name (e.g., "max_endurance_elbow_flexion_standing").
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {string} [channel] - The EMG channel. Defaults to the first channel.
+ * @query {string} [side='right'] - The arm to follow: 'right' or 'left'.
+ * @query {number} [targetAngle] - The elbow angle held, in degrees. Defaults to the median angle of the reference window.
+ * @query {number} [tolerance=10] - Half-width of the band around the target angle, in degrees.
+ * @query {number} [referenceStart=1], [referenceDuration=5] - The window, in seconds, giving the target angle and the reference EMG level.
+ * @query {number} [minExit=1] - Seconds the angle or the amplitude must stay out of its band to count as failure.
+ * @query {number} [collapseRatio=0.5] - Share of the reference EMG level below which the amplitude has collapsed.
+ * @query {number} [agreement=2] - Largest gap in seconds between both estimates for a high confidence.
+ * @query {number} [smoothing=0.2], [emgWindow=0.5] - Smoothing of the angle and RMS window of the EMG, in seconds.
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the files have no time column.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - exhaustion: `{ time, confidence, reason, source, angle, emg, offset, errors }`, or null.
+ *                       Times are in seconds on the trial's EMG time axis.
+ *
+ * @throws {400} - If a trial identifier or an option is invalid.
+ * @throws {404} - If the trial has neither an `emg.csv` nor a `skeleton.csv` file.
+ * @throws {422} - If a file cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /exhaustion?user=01&activity=max_endurance_elbow_flexion_standing&trial=01&channel=biceps
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "exhaustion": {
+ *     "time": 184.23,
+ *     "confidence": "high",
+ *     "reason": "The elbow angle left the ±10° band around 89.4° at 184.23 s, and the biceps EMG amplitude fell below 50% of its reference level at 184.71 s, 0.48 s apart.",
+ *     "source": "angle",
+ *     "angle": { "time": 184.23, "targetAngle": 89.4, "tolerance": 10, "exitAngle": 99.6 },
+ *     "emg": { "channel": "biceps", "time": 184.71, "referenceLevel": 0.21, "threshold": 0.105 },
+ *     "offset": 0,
+ *     "errors": { "angle": null, "emg": null }
+ *   }
+ * }
+ */
+server.get("/exhaustion", (req, res) => {
+	let trialFolder, files, options;
+	try {
+		const dataTypes = ['emg', 'skeleton'].filter((dataType) => req.dataset.instanceNames.data_type.includes(dataType));
+		if (dataTypes.length === 0) throw new Error("Invalid dataset: it registers neither an emg nor a skeleton data type.");
+		files = dataTypes.map((dataType) => resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, dataType));
+		trialFolder = path.dirname(files[0]);
+		options = parseExhaustionQuery(req.query);
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, exhaustion: null });
+	}
+	if (!files.some((filePath) => fs.existsSync(filePath))) {
+		return res.status(404).json({ error_msg: "The requested trial has neither an emg.csv nor a skeleton.csv file.", exhaustion: null });
+	}
+	
+	let exhaustion;
+	try {
+		console.log(`[Backend] Detecting time to exhaustion in ${trialFolder}`);
+		exhaustion = detectTrialExhaustion(trialFolder, req.dataset.schema, options);
+	} catch (error) {
+		const invalid = /^Invalid option/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to detect time to exhaustion:`, error);
+		return res.status(invalid ? 400 : 422).json({ error_msg: invalid ? error.message : `Failed to detect time to exhaustion: ${error.message}`, exhaustion: null });
+	}
+	console.log(`[Backend] Time to exhaustion: ${exhaustion.time} s (${exhaustion.confidence} confidence).`);
+	res.json({ error_msg: null, exhaustion: exhaustion });
+});
+
+/**
+ * Handles GET requests to estimate the time to exhaustion of every trial of an endurance activity across users
+ * (see `GET /exhaustion` for the detection and its options). The trials are read in a worker thread (see
+ * `detectActivityExhaustionInWorker()` in `lib/endurance.js`), off the server's event loop.
+ *
+ * @route GET /exhaustion/batch
+ * @query {string} [activity] - The activity name. Defaults to the first of the schema's `endurance_activities`
+ *                             (see `lib/schema.js`), `max_endurance_elbow_flexion_standing` unless configured.
+ * @query {string} [format='json'] - 'json', or 'csv' to download one row per trial.
+ * @query {*} [...] - The detector options of `GET /exhaustion`, applied to every trial.
+ *
+ * @returns {Object|string} - JSON response `{ error_msg, exhaustion }` where `exhaustion` is `{ activity, trials }`
+ *                            with one `{ user, trial, path, time, confidence, reason, ..., error }` per trial, or with
+ *                            `format=csv` the table as an attachment named like `exhaustion_max_endurance_elbow_flexion_standing.csv`.
+ *
+ * @throws {400} - If the activity, an option or the format is invalid.
+ * @throws {500} - If the data collection cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /exhaustion/batch?channel=biceps&format=csv
+ */
+server.get("/exhaustion/batch", async (req, res) => {
+	const format = req.query.format || 'json';
+	if (!['json', 'csv'].includes(format)) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'format' must be json or csv.", exhaustion: null });
+	}
+	const { root, schema } = req.dataset;
+	const activity = req.query.activity || schema.enduranceActivities[0];
+	if (!schema.instanceNames.activity.includes(activity)) {
+		return res.status(400).json({
+			error_msg: `Invalid or missing parameter: 'activity' must be one of ${schema.instanceNames.activity.join(", ")}.`,
+			exhaustion: null,
+		});
+	}
+	
+	let batch;
+	try {
+		const options = parseExhaustionQuery(req.query);
+		console.log(`[Backend] Detecting time to exhaustion in every ${activity} trial.`);
+		batch = await detectActivityExhaustionInWorker(root, req.dataset.instanceNames, activity, options);
+	} catch (error) {
+		const invalid = /^Invalid/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to detect times to exhaustion:`, error);
+		return res.status(invalid ? 400 : 500).json({
+			error_msg: invalid ? error.message : "An error occurred while detecting the times to exhaustion.",
+			exhaustion: null,
+		});
+	}
+	const detected = batch.trials.filter((trial) => trial.time !== null).length;
+	console.log(`[Backend] Time to exhaustion estimated for ${detected}/${batch.trials.length} trial(s).`);
+	
+	if (format === 'csv') {
+		res.attachment(`exhaustion_${batch.activity}.csv`);
+		res.set('Content-Type', 'text/csv; charset=utf-8');
+		return res.send(exhaustionToCsv(batch));
+	}
+	res.json({ error_msg: null, exhaustion: batch });
+});
+
+// Numeric options of the feature extraction accepted in queries and on the command line (see `DEFAULT_FEATURE_OPTIONS`)
+const FEATURE_QUERY_OPTIONS = ["windowSize", "overlap", "minFrequency", "maxFrequency", "threshold", "seed"];
+
+/**
+ * Reads the options of the feature extraction from a query, or from the options of the `features` command.
+ *
+ * @param {Object} query - The request query or command-line options.
+ * @returns {Object} - The options of `buildFeatureDataset()` in `lib/features.js`.
+ * @throws {Error} - Throws an error if an option is not a number or a list is invalid.
+ */
+function parseFeatureQuery(query) {
+	const options = {};
+	const list = (value) => String(value).split(",").map((item) => item.trim()).filter(Boolean);
+	if (query.activities) options.activities = list(query.activities);
+	if (query.channels) options.channels = list(query.channels);
+	if (query.users) {
+		options.users = list(query.users);
+		if (options.users.some((user) => !/^\d+$/.test(user))) {
+			throw new Error("Invalid parameter: 'users' must be comma-separated user numbers (e.g., '01,02').");
+		}
+	}
+	FEATURE_QUERY_OPTIONS.forEach((name) => {
+		if (query[name] === undefined) return;
+		options[name] = Number(query[name]);
+		if (!Number.isFinite(options[name])) throw new Error(`Invalid parameter: '${name}' must be a number.`);
+	});
+	if (query.splits !== undefined) {
+		const shares = list(query.splits).map(Number);
+		if (shares.length !== SPLIT_NAMES.length || shares.some(Number.isNaN)) {
+			throw new Error(`Invalid parameter: 'splits' must be the ${SPLIT_NAMES.join(", ")} shares (e.g., '0.7,0.15,0.15').`);
+		}
+		options.splits = Object.fromEntries(SPLIT_NAMES.map((name, index) => [name, shares[index]]));
+	}
+	if (query.samplingRate !== undefined) options.samplingRate = Number(query.samplingRate) || undefined;
+	return options;
+}
+
+/**
+ * Handles GET requests for an ML-ready table of windowed EMG features: every trial's `emg.csv` is cut into
+ * overlapping windows, and each window becomes a row with the trial identifiers, the subject-wise split of its
+ * user, the labels from the trial's annotations and the MAV, RMS, waveform length, zero crossings, slope sign
+ * changes, MNF, MDF and spectral moments of each channel (see `buildFeatureDataset()` in `lib/features.js`).
+ * The table is built in a worker thread (see `buildFeatureDatasetInWorker()`), off the server's event loop.
+ *
+ * The same table is written by the `features` command of the command-line interface.
+ *
+ * @route GET /features
+ * @query {string} [format='csv'] - 'csv' (one row per window, as an attachment) or 'json' (columnar, one array per column).
+ * @query {string} [activities] - Comma-separated activities (default: all).
+ * @query {string} [users] - Comma-separated user numbers (default: all).
+ * @query {string} [channels] - Comma-separated EMG channels (default: every channel of each file).
+ * @query {number} [windowSize=0.25] - Window length in seconds.
+ * @query {number} [overlap=0.5] - Fraction of the window shared with the next one.
+ * @query {number} [minFrequency=20], [maxFrequency=450] - Band of the spectral features in Hz.
+ * @query {number} [threshold=0] - Amplitude a zero crossing or slope sign change must exceed.
+ * @query {string} [splits='0.7,0.15,0.15'] - Shares of the users in the train, validation and test splits.
+ * @query {number} [seed=1] - Seed of the split assignment.
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the files have no time column.
+ *
+ * @returns {string|Object} - The CSV table as `emg_features.csv`, or with `format=json` the JSON response
+ *                            `{ error_msg, features }` where `features` is `{ schema, rows, data, metadata }`;
+ *                            `metadata.trials` lists the trials that could not be read with their error.
+ *
+ * @throws {400} - If the format, an activity, a user or an option is invalid.
+ * @throws {500} - If the data collection cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /features?activities=max_endurance_elbow_flexion_standing&channels=biceps&windowSize=0.5
+ *
+ * // Response (CSV):
+ * // user,activity,trial,split,window_start,window_end,label,bad_segment,repetition,biceps_mav,biceps_rms,...
+ * // 01,max_endurance_elbow_flexion_standing,01,train,0,0.5,fresh,0,,0.135,0.156,...
+ */
+server.get("/features", async (req, res) => {
+	const format = req.query.format || 'csv';
+	if (!['json', 'csv'].includes(format)) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'format' must be csv or json.", features: null });
+	}
+	let table;
+	try {
+		const options = parseFeatureQuery(req.query);
+		console.log(`[Backend] Extracting windowed EMG features.`);
+		table = await buildFeatureDatasetInWorker(req.dataset.root, req.dataset.instanceNames, options);
+	} catch (error) {
+		const invalid = /^Invalid/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to extract features:`, error);
+		return res.status(invalid ? 400 : 500).json({
+			error_msg: invalid ? error.message : "An error occurred while extracting the features.",
+			features: null,
+		});
+	}
+	const failed = table.trials.filter((trial) => trial.error).length;
+	console.log(`[Backend] Extracted ${table.rows.length} window(s) from ${table.trials.length - failed}/${table.trials.length} trial(s).`);
+	
+	if (format === 'csv') {
+		res.attachment('emg_features.csv');
+		res.set('Content-Type', 'text/csv; charset=utf-8');
+		return res.send(featuresToCsv(table));
+	}
+	res.json({ error_msg: null, features: featuresToColumns(table) });
+});
+
+// Numeric options of the fatigue model training accepted in requests and on the command line (see `DEFAULT_MODEL_OPTIONS`)
+const MODEL_NUMBER_OPTIONS = ["lambda", "baseline", "iterations", "learningRate", "windowSize", "overlap", "minFrequency", "maxFrequency"];
+
+/**
+ * Reads the options of the fatigue model training from a request body, or from the options of the `train` command.
+ * Lists may be given as arrays or comma-separated strings.
+ *
+ * @param {Object} source - The request body or command-line options.
+ * @returns {Object} - The options of `trainFatigueModel()` in `lib/fatigue-model.js`.
+ * @throws {Error} - Throws an error if an option is not a number or a list is invalid.
+ */
+function parseModelOptions(source) {
+	const options = {};
+	const list = (value) => (Array.isArray(value) ? value : String(value).split(",")).map((item) => String(item).trim()).filter(Boolean);
+	if (source.type !== undefined) options.type = source.type;
+	["features", "channels", "activities"].forEach((name) => {
+		if (source[name] !== undefined && source[name] !== null) options[name] = list(source[name]);
+	});
+	MODEL_NUMBER_OPTIONS.forEach((name) => {
+		if (source[name] === undefined) return;
+		options[name] = Number(source[name]);
+		if (!Number.isFinite(options[name])) throw new Error(`Invalid parameter: '${name}' must be a number.`);
+	});
+	if (source.samplingRate !== undefined) options.samplingRate = Number(source.samplingRate) || undefined;
+	return options;
+}
+
+// Datasets whose fatigue model is being trained by `POST /model/train`
+const trainingDatasets = new Set();
+
+/**
+ * Handles POST requests to train the fatigue model of the dataset on its labeled trials, evaluate it with
+ * leave-one-subject-out cross-validation, and save it for `/predict` (see `trainFatigueModel()` in `lib/fatigue-model.js`).
+ *
+ * Windows of windowed EMG features are labeled from the trial annotations: before the fatigue onset is fresh (0),
+ * after it fatigued (1). A previously saved model is replaced. The training runs in a worker thread, so that other
+ * requests and the live streams are served meanwhile; one training per dataset runs at a time.
+ *
+ * @route POST /model/train
+ * @body {string} [type='logistic'] - 'logistic' (probability of fatigue) or 'ridge' (regression on the 0/1 label).
+ * @body {number} [lambda=1] - L2 penalty of the weights.
+ * @body {Array<string>|string} [features] - Feature keys used for each channel (default: mav, rms, wl, zc, ssc, mnf, mdf).
+ * @body {Array<string>|string} [channels] - EMG channels used (default: those of every labeled trial).
+ * @body {Array<string>|string} [activities] - Activities trained on (default: all).
+ * @body {number} [baseline=5] - Seconds at the start of each trial the features are taken relative to (0 disables it).
+ * @body {number} [windowSize=0.5], [overlap=0.5], [minFrequency=20], [maxFrequency=450] - Feature extraction options.
+ * @body {number} [iterations=500], [learningRate=0.5] - Gradient descent of the logistic regression.
+ *
+ * @returns {Object} - JSON response `{ error_msg, model }` with the saved model, including its `evaluation`:
+ *                     `{ subjects: { [user]: { n, accuracy, mae } }, mean: { accuracy, mae } }`.
+ *
+ * @throws {400} - If an option is invalid.
+ * @throws {409} - If the model of the dataset is already being trained.
+ * @throws {422} - If the dataset holds no labeled windows of both classes.
+ * @throws {500} - If the model cannot be saved.
+ *
+ * @example
+ * // Request:
+ * // POST /model/train
+ * // { "type": "logistic", "channels": ["biceps"] }
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "model": {
+ *     "version": 1, "type": "logistic", "trained": "2026-10-19T12:00:00.000Z",
+ *     "channels": ["biceps"], "features": ["mav", "rms", ...], "columns": ["biceps_mav", ...],
+ *     "weights": [0.41, ...], "bias": -0.12, ...,
+ *     "training": { "windows": 952, "fatigued": 496, "subjects": ["01", "02", "03", "04"], "trials": 8 },
+ *     "evaluation": { "subjects": { "01": { "n": 238, "accuracy": 0.93, "mae": 0.08 }, ... }, "mean": { "accuracy": 0.94, "mae": 0.07 } }
+ *   }
+ * }
+ */
+server.post("/model/train", async (req, res) => {
+	let options;
+	try {
+		options = parseModelOptions(req.body || {});
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, model: null });
+	}
+	if (trainingDatasets.has(req.dataset.name)) {
+		return res.status(409).json({ error_msg: "The fatigue model of this dataset is already being trained.", model: null });
+	}
+	
+	let model;
+	trainingDatasets.add(req.dataset.name);
+	try {
+		console.log(`[Backend] Training the fatigue model of dataset ${req.dataset.name}.`);
+		model = await trainFatigueModelInWorker(req.dataset.root, req.dataset.instanceNames, options);
+	} catch (error) {
+		const invalid = /^Invalid/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to train the fatigue model:`, error.message);
+		return res.status(invalid ? 400 : 422).json({ error_msg: error.message, model: null });
+	} finally {
+		trainingDatasets.delete(req.dataset.name);
+	}
+	try {
+		saveModel(model, req.dataset.modelFile);
+	} catch (error) {
+		console.error(`[Backend] Failed to save the fatigue model:`, error);
+		return res.status(500).json({ error_msg: `Failed to save the model: ${error.message}`, model: null });
+	}
+	const mean = model.evaluation && model.evaluation.mean;
+	console.log(`[Backend] Fatigue model trained on ${model.training.windows} window(s)` +
+		(mean ? `, leave-one-subject-out accuracy ${mean.accuracy.toFixed(3)}, MAE ${mean.mae.toFixed(3)}.` : '.'));
+	res.json({ error_msg: null, model: model });
+});
+
+/**
+ * Handles GET requests for the saved fatigue model of the dataset, with its leave-one-subject-out evaluation.
+ *
+ * @route GET /model
+ *
+ * @returns {Object} - JSON response `{ error_msg, model }` (see `POST /model/train`).
+ *
+ * @throws {404} - If no model has been trained for the dataset (on its current data collection folder).
+ * @throws {500} - If the model file cannot be read.
+ */
+server.get("/model", (req, res) => {
+	let model;
+	try {
+		model = readModel(req.dataset.modelFile, req.dataset.root);
+	} catch (error) {
+		console.error(`[Backend] Failed to read the fatigue model:`, error);
+		return res.status(500).json({ error_msg: `Failed to read the model: ${error.message}`, model: null });
+	}
+	if (!model) {
+		return res.status(404).json({ error_msg: "No fatigue model has been trained for this dataset (POST /model/train).", model: null });
+	}
+	res.json({ error_msg: null, model: model });
+});
+
+/**
+ * Handles GET requests for the fatigue score over time of a trial, from the saved fatigue model of the dataset:
+ * each window of the trial's `emg.csv` is scored between 0 (fresh) and 1 (fatigued). Windows lacking a feature
+ * (e.g. no MDF in a silent window) are not scored and get a `null` score.
+ *
+ * @route GET /predict
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name.
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the file has no time column.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - prediction: `{ type, trained, channels, windowSize, time, score }` where `time` holds the
+ *                       window centres in seconds from the first EMG sample, or null.
+ *
+ * @throws {400} - If a trial identifier is invalid.
+ * @throws {404} - If the trial has no `emg.csv` file or no model has been trained.
+ * @throws {422} - If the file cannot be read or lacks a channel of the model.
+ * @throws {500} - If the model file cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /predict?user=01&activity=max_endurance_elbow_flexion_standing&trial=01
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "prediction": {
+ *     "type": "logistic", "trained": "2026-10-19T12:00:00.000Z", "channels": ["biceps"], "windowSize": 0.5,
+ *     "time": [0.25, 0.5, 0.75, ...],
+ *     "score": [0.02, 0.03, 0.02, ..., 0.97]
+ *   }
+ * }
+ */
+server.get("/predict", (req, res) => {
+	let filePath;
+	try {
+		filePath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, 'emg');
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, prediction: null });
+	}
+	if (!fs.existsSync(filePath)) {
+		return res.status(404).json({ error_msg: "The requested trial has no emg.csv file.", prediction: null });
+	}
+	let model;
+	try {
+		model = readModel(req.dataset.modelFile, req.dataset.root);
+	} catch (error) {
+		console.error(`[Backend] Failed to read the fatigue model:`, error);
+		return res.status(500).json({ error_msg: `Failed to read the model: ${error.message}`, prediction: null });
+	}
+	if (!model) {
+		return res.status(404).json({ error_msg: "No fatigue model has been trained for this dataset (POST /model/train).", prediction: null });
+	}
+	
+	try {
+		console.log(`[Backend] Predicting fatigue of ${filePath}`);
+		const signals = readSignals(filePath, { samplingRate: Number(req.query.samplingRate) || undefined });
+		res.json({ error_msg: null, prediction: { trained: model.trained, ...predictFatigue(model, signals) } });
+	} catch (error) {
+		console.error(`[Backend] Failed to predict fatigue:`, error);
+		res.status(422).json({ error_msg: `Failed to predict fatigue: ${error.message}`, prediction: null });
+	}
+});
+
+// Rows `GET /data` returns without `points` and `limit`, and most rows or points it returns per request
+const DEFAULT_DATA_ROWS = 10000;
+const MAX_DATA_ROWS = 50000;
+
+// Most recordings `GET /data` keeps parsed, so that zooming and panning do not re-read the file
+const SIGNAL_CACHE_SIZE = 8;
+
+// Parsed recordings of `GET /data` by path and sampling rate, least recently used first
+const signalCache = new Map();
+
+/**
+ * Reads a data file like `readSignals()`, reusing the parsed recording while the file keeps its size and
+ * modification time. The `SIGNAL_CACHE_SIZE` most recently read recordings are kept.
+ *
+ * @param {string} filePath - The absolute path of the CSV file.
+ * @param {number} [samplingRate] - Sampling rate in Hz, for files without a time column.
+ * @returns {Object} - The recording, as returned by `readSignals()` in `lib/csv.js`.
+ * @throws {Error} - Throws an error if the file cannot be read or is not a time series.
+ */
+function readCachedSignals(filePath, samplingRate) {
+	const key = `${filePath}\t${samplingRate || ""}`;
+	const { size, mtimeMs } = fs.statSync(filePath);
+	const cached = signalCache.get(key);
+	signalCache.delete(key);
+	if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+		signalCache.set(key, cached);
+		return cached.signals;
+	}
+	const signals = readSignals(filePath, { samplingRate: samplingRate });
+	signalCache.set(key, { size: size, mtimeMs: mtimeMs, signals: signals });
+	if (signalCache.size > SIGNAL_CACHE_SIZE) signalCache.delete(signalCache.keys().next().value);
+	return signals;
+}
+
+/**
+ * Handles GET requests for the contents of a trial's data file as numeric time series, for the
+ * signal viewer and other clients.
+ *
+ * The file is resolved from trial identifiers only (see `resolveTrialFile()`). The rows are then
+ * narrowed in this order: time range (`start`/`end`), pagination (`offset`/`limit`, counted within the
+ * time range) and finally downsampling to about `points` samples per channel. Without `points`, at most
+ * `limit` rows are returned (`DEFAULT_DATA_ROWS` by default); `range.to` tells where the next page starts. The parsed file is cached
+ * (see `readCachedSignals()`), so that successive ranges of a recording are served without re-reading it.
+ *
+ * @route GET /data
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name (e.g., "max_endurance_elbow_flexion_standing").
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {string} dataType - The data type of the file (e.g., "emg" or "skeleton").
+ * @query {string} [channels] - Comma-separated channels to return. Defaults to every numeric channel.
+ * @query {number} [start] - Start of the time range in seconds from the first sample.
+ * @query {number} [end] - End of the time range in seconds from the first sample.
+ * @query {number} [offset=0] - Number of rows of the time range to skip.
+ * @query {number} [limit] - Maximum number of rows to return before downsampling, at most 50000. Defaults to 10000
+ *                          without `points`, to the whole range with it.
+ * @query {number} [points] - Target number of points per channel, at most 50000 (at least 3 for 'lttb'). No
+ *                           downsampling if omitted.
+ * @query {string} [method='minmax'] - Downsampling method: 'minmax', 'lttb' or 'none' (then `limit` applies as without
+ *                                     `points`).
+ * @query {number} [samplingRate] - Sampling rate in Hz, required only if the file has no time column.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - data: `{ samplingRate, startTime, totalRows, range, downsampling, time, channels }`, or null.
+ *                       `range` is `{ from, to, returned }` in row indices of the file (`to` exclusive) and
+ *                       `downsampling` is the method applied, or null if every row in the range is returned.
+ *
+ * @throws {400} - If a trial identifier, the data type, a channel or a range option is invalid.
+ * @throws {404} - If the file does not exist.
+ * @throws {422} - If the file is empty or is not a time series.
+ *
+ * @example
+ * // Request:
+ * // GET /data?user=01&activity=max_endurance_elbow_flexion_standing&trial=01&dataType=emg&start=10&end=20&points=2000
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "data": {
+ *     "samplingRate": 1000,
+ *     "startTime": 0,
+ *     "totalRows": 95000,
+ *     "range": { "from": 10000, "to": 20001, "returned": 3998 },
+ *     "downsampling": "minmax",
+ *     "time": [10, 10.004, ...],
+ *     "channels": { "biceps": [0.012, -0.031, ...], "triceps": [...] }
+ *   }
+ * }
+ */
+server.get("/data", (req, res) => {
+	let filePath;
+	try {
+		filePath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, req.query.dataType);
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, data: null });
+	}
+	
+	// Validate the range and downsampling options
+	const numeric = {};
+	for (const name of ["start", "end", "offset", "limit", "points"]) {
+		if (req.query[name] === undefined) continue;
+		numeric[name] = Number(req.query[name]);
+		if (!Number.isFinite(numeric[name]) || (name !== "start" && name !== "end" && numeric[name] < 0)) {
+			return res.status(400).json({ error_msg: `Invalid parameter: '${name}' must be a non-negative number.`, data: null });
+		}
+	}
+	const method = req.query.points !== undefined ? (req.query.method || 'minmax') : 'none';
+	if (!DOWNSAMPLING_METHODS.includes(method)) {
+		return res.status(400).json({
+			error_msg: `Invalid parameter: 'method' must be one of ${DOWNSAMPLING_METHODS.join(", ")}.`,
+			data: null,
+		});
+	}
+	for (const name of ["limit", "points"]) {
+		if (numeric[name] !== undefined && !(Number.isInteger(numeric[name]) && numeric[name] >= 1 && numeric[name] <= MAX_DATA_ROWS)) {
+			return res.status(400).json({ error_msg: `Invalid parameter: '${name}' must be an integer from 1 to ${MAX_DATA_ROWS}.`, data: null });
+		}
+	}
+	if (method === 'lttb' && numeric.points < 3) {
+		return res.status(400).json({ error_msg: "Invalid parameter: 'points' must be at least 3 with the lttb method.", data: null });
+	}
+	if (method === 'none' && numeric.limit === undefined) numeric.limit = DEFAULT_DATA_ROWS;
+	
+	if (!fs.existsSync(filePath)) {
+		return res.status(404).json({ error_msg: `The requested trial has no ${req.query.dataType}.csv file.`, data: null });
+	}
+	
+	let signals;
+	try {
+		console.log(`[Backend] Serving data file: ${filePath}`);
+		signals = readCachedSignals(filePath, Number(req.query.samplingRate) || undefined);
+	} catch (error) {
+		console.error(`[Backend] Failed to read data file:`, error);
+		return res.status(422).json({ error_msg: `Failed to read ${req.query.dataType}.csv: ${error.message}`, data: null });
+	}
+	
+	const channelNames = req.query.channels ? String(req.query.channels).split(",") : Object.keys(signals.channels);
+	const unknown = channelNames.filter((name) => !signals.channels[name]);
+	if (unknown.length > 0) {
+		return res.status(400).json({ error_msg: `Unknown or non-numeric channel: ${unknown.join(", ")}.`, data: null });
+	}
+	
+	// Time range, then pagination within the range
+	const range = timeRangeIndices(signals.time, numeric.start, numeric.end);
+	const from = Math.min(range.to, range.from + Math.floor(numeric.offset || 0));
+	const to = numeric.limit !== undefined ? Math.min(range.to, from + Math.floor(numeric.limit)) : range.to;
+	const time = signals.time.subarray(from, to);
+	const selected = channelNames.map((name) => signals.channels[name].subarray(from, to));
+	
+	// Downsampling of what is left
+	const indices = downsampleIndices(time, selected, numeric.points, method);
+	const channels = {};
+	channelNames.forEach((name, index) => {
+		channels[name] = indices.map((i) => selected[index][i]);
+	});
+	res.json({
+		error_msg: null,
+		data: {
+			samplingRate: signals.samplingRate,
+			startTime: signals.startTime,
+			totalRows: signals.time.length,
+			range: { from: from, to: to, returned: indices.length },
+			downsampling: indices.length < time.length ? method : null,
+			time: indices.map((i) => time[i]),
+			channels: channels,
+		},
+	});
+});
+
+/**
+ * Handles GET requests to align a trial's `emg.csv` and `skeleton.csv` on a common time base and
+ * return both streams resampled to one rate and joined.
+ *
+ * @route GET /sync
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name (e.g., "dynamic_endurance_bicep_curls_standing").
+ * @query {string} trial - The trial number (e.g., "01").
+ * @query {string} [method='timestamp'] - Alignment method: 'timestamp', 'offset' (manual offset stored
+ *                                       with PUT /sync/offset) or 'xcorr' (cross-correlation with a sync event).
+ * @query {number} [rate=100] - Output rate in Hz, at most 2000.
+ * @query {number} [eventStart=0] - For 'xcorr': start of the EMG segment holding the sync event, in seconds.
+ * @query {number} [eventEnd=10] - For 'xcorr': end of the EMG segment holding the sync event, in seconds.
+ * @query {number} [maxLag=2] - For 'xcorr': largest offset searched in either direction, in seconds (at most 10).
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - sync: `{ method, offset, correlation, rate, settings, time, channels }` where `offset` is
+ *                       added to skeleton times to put them on the EMG time axis, `settings` holds the stored
+ *                       trial settings and `channels` holds `emg.<name>` and `skeleton.<name>` columns, or null.
+ *
+ * @throws {400} - If a trial identifier or an option is invalid.
+ * @throws {404} - If the trial lacks `emg.csv` or `skeleton.csv`.
+ * @throws {422} - If a file cannot be read or the streams cannot be aligned.
+ *
+ * @example
+ * // Request:
+ * // GET /sync?user=01&activity=dynamic_endurance_bicep_curls_standing&trial=01&method=xcorr&rate=50
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "sync": {
+ *     "method": "xcorr",
+ *     "offset": 0.48,
+ *     "correlation": 0.97,
+ *     "rate": 50,
+ *     "settings": {},
+ *     "time": [0.48, 0.5, ...],
+ *     "channels": { "emg.biceps": [...], "skeleton.right_elbow_x": [...] }
+ *   }
+ * }
+ */
+server.get("/sync", (req, res) => {
+	let emgPath, skeletonPath;
+	try {
+		emgPath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, 'emg');
+		skeletonPath = resolveTrialFile(req.dataset.root, req.dataset.schema, req.query, 'skeleton');
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, sync: null });
+	}
+	const method = req.query.method || 'timestamp';
+	if (!SYNC_METHODS.includes(method)) {
+		return res.status(400).json({ error_msg: `Invalid parameter: 'method' must be one of ${SYNC_METHODS.join(", ")}.`, sync: null });
+	}
+	if (!fs.existsSync(emgPath) || !fs.existsSync(skeletonPath)) {
+		return res.status(404).json({ error_msg: "The requested trial needs both emg.csv and skeleton.csv files.", sync: null });
+	}
+	
+	// Collect the alignment options given in the query
+	const options = { method: method };
+	for (const name of ["rate", "eventStart", "eventEnd", "maxLag"]) {
+		if (req.query[name] === undefined) continue;
+		options[name] = Number(req.query[name]);
+		if (!Number.isFinite(options[name])) {
+			return res.status(400).json({ error_msg: `Invalid parameter: '${name}' must be a number.`, sync: null });
+		}
+	}
+	if (options.rate !== undefined && !(options.rate > 0 && options.rate <= MAX_SYNC_RATE)) {
+		return res.status(400).json({ error_msg: `Invalid parameter: 'rate' must be a positive number of Hz, at most ${MAX_SYNC_RATE}.`, sync: null });
+	}
+	if (options.maxLag !== undefined && !(options.maxLag > 0 && options.maxLag <= MAX_XCORR_LAG)) {
+		return res.status(400).json({ error_msg: `Invalid parameter: 'maxLag' must be a positive number of seconds, at most ${MAX_XCORR_LAG}.`, sync: null });
+	}
+	
+	try {
+		console.log(`[Backend] Synchronizing ${emgPath} and ${skeletonPath} by ${method}`);
+		options.settings = readSyncSettings(path.dirname(emgPath));
+		const result = synchronizeStreams(readSignals(emgPath), readSignals(skeletonPath), options);
+		const channels = {};
+		Object.entries(result.channels).forEach(([name, values]) => {
+			channels[name] = Array.from(values, (value) => (Number.isNaN(value) ? null : value));
+		});
+		res.json({
+			error_msg: null,
+			sync: {
+				method: result.method,
+				offset: result.offset,
+				correlation: result.correlation,
+				rate: result.rate,
+				settings: options.settings,
+				time: Array.from(result.time),
+				channels: channels,
+			},
+		});
+	} catch (error) {
+		console.error(`[Backend] Failed to synchronize streams:`, error);
+		res.status(422).json({ error_msg: `Failed to synchronize streams: ${error.message}`, sync: null });
+	}
+});
+
+/**
+ * Handles PUT requests to store the manual skeleton-to-EMG offset of a trial in its `sync.json`
+ * sidecar file, used by `GET /sync?method=offset`.
+ *
+ * @route PUT /sync/offset
+ * @body {string} user - The user number (e.g., "01").
+ * @body {string} activity - The activity name.
+ * @body {string} trial - The trial number (e.g., "01").
+ * @body {number} offset - Seconds added to skeleton times to put them on the EMG time axis.
+ *
+ * @returns {Object} - JSON response `{ error_msg, settings }` with the stored settings, or null.
+ *
+ * @throws {400} - If a trial identifier or the offset is invalid.
+ * @throws {404} - If the trial folder does not exist.
+ * @throws {500} - If the sidecar file cannot be written.
+ */
+server.put("/sync/offset", (req, res) => {
+	const body = req.body || {};
+	let trialFolder;
+	try {
+		trialFolder = path.dirname(resolveTrialFile(req.dataset.root, req.dataset.schema, body, 'emg'));
+	} catch (error) {
+		return res.status(400).json({ error_msg: error.message, settings: null });
+	}
+	if (typeof body.offset !== "number" || !Number.isFinite(body.offset)) {
+		return res.status(400).json({ error_msg: "Invalid or missing parameter: 'offset' must be a number of seconds.", settings: null });
+	}
+	if (!fs.existsSync(trialFolder)) {
+		return res.status(404).json({ error_msg: "The requested trial does not exist.", settings: null });
+	}
+	
+	try {
+		const settings = writeSyncSettings(trialFolder, { offset: body.offset });
+		console.log(`[Backend] Stored sync offset ${body.offset} s for ${trialFolder}`);
+		res.json({ error_msg: null, settings: settings });
+	} catch (error) {
+		console.error(`[Backend] Failed to store sync settings:`, error);
+		res.status(500).json({ error_msg: "Failed to store the synchronization settings.", settings: null });
+	}
+});
+
+/**
+ * Resolves the folder of an existing trial from its identifiers, for the annotation endpoints.
+ *
+ * @param {Object} dataset - The dataset (see `openDataset()`).
+ * @param {Object} instance - The `{ user, activity, trial }` identifiers, from the query or the body.
+ * @returns {Object} - `{ trialFolder }`, or `{ status, error_msg }` if the identifiers are invalid (400) or the
+ *                     trial does not exist (404).
+ */
+function resolveAnnotatedTrial(dataset, instance) {
+	let trialFolder;
+	try {
+		trialFolder = path.dirname(resolveTrialFile(dataset.root, dataset.schema, instance, 'emg'));
+	} catch (error) {
+		return { status: 400, error_msg: error.message };
+	}
+	if (!fs.existsSync(trialFolder)) {
+		return { status: 404, error_msg: "The requested trial does not exist." };
+	}
+	return { trialFolder: trialFolder };
+}
+
+/**
+ * Handles GET requests for the annotations of a trial (fatigue onset, task failure, bad segments, repetition
+ * boundaries), stored in the `annotations.json` sidecar of its `<activity>_NN` folder.
+ *
+ * @route GET /annotations
+ * @query {string} user - The user number (e.g., "01").
+ * @query {string} activity - The activity name.
+ * @query {string} trial - The trial number (e.g., "01").
+ *
+ * @returns {Object} - JSON response with three properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - annotations: The annotations ordered by time, or null. Times are in seconds on the trial's
+ *                       EMG time axis (the first sample is at 0).
+ *                     - types: The annotation types, `{ [type]: { label, span } }`.
+ *
+ * @throws {400} - If a trial identifier is invalid.
+ * @throws {404} - If the trial does not exist.
+ * @throws {500} - If the sidecar file cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /annotations?user=01&activity=max_endurance_elbow_flexion_standing&trial=01
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "annotations": [
+ *     { "id": "5f0c...", "type": "fatigue_onset", "time": 42.5, "end": null, "channel": "biceps", "note": null, "created": "...", "updated": "..." },
+ *     { "id": "9a1e...", "type": "bad_segment", "time": 60.1, "end": 61.4, "channel": null, "note": "electrode lifted", ... }
+ *   ],
+ *   "types": { "fatigue_onset": { "label": "Fatigue onset", "span": false }, ... }
+ * }
+ */
+server.get("/annotations", (req, res) => {
+	const trial = resolveAnnotatedTrial(req.dataset, req.query);
+	if (!trial.trialFolder) {
+		return res.status(trial.status).json({ error_msg: trial.error_msg, annotations: null, types: ANNOTATION_TYPES });
+	}
+	try {
+		res.json({ error_msg: null, annotations: readAnnotations(trial.trialFolder), types: ANNOTATION_TYPES });
+	} catch (error) {
+		console.error(`[Backend] Failed to read annotations:`, error);
+		res.status(500).json({ error_msg: `Failed to read ${ANNOTATIONS_FILE_NAME}: ${error.message}`, annotations: null, types: ANNOTATION_TYPES });
+	}
+});
+
+/**
+ * Handles POST requests to add an annotation to a trial.
+ *
+ * @route POST /annotations
+ * @body {string} user - The user number (e.g., "01").
+ * @body {string} activity - The activity name.
+ * @body {string} trial - The trial number (e.g., "01").
+ * @body {string} type - One of `fatigue_onset`, `task_failure`, `bad_segment` or `rep_boundary`.
+ * @body {number} time - The time of the event in seconds on the trial's EMG time axis, or the start of a span.
+ * @body {number} [end] - The end of a span in seconds; required for `bad_segment`, not allowed otherwise.
+ * @body {string} [channel] - The channel the annotation applies to; all channels if omitted.
+ * @body {string} [note] - A free-text note.
+ *
+ * @returns {Object} - JSON response `{ error_msg, annotation }` with status 201 and the stored annotation, or null.
+ *
+ * @throws {400} - If a trial identifier or an annotation field is invalid.
+ * @throws {404} - If the trial does not exist.
+ * @throws {500} - If the sidecar file cannot be read or written.
+ */
+server.post("/annotations", (req, res) => {
+	const body = req.body || {};
+	const trial = resolveAnnotatedTrial(req.dataset, body);
+	if (!trial.trialFolder) {
+		return res.status(trial.status).json({ error_msg: trial.error_msg, annotation: null });
+	}
+	let annotation;
+	try {
+		annotation = addAnnotation(trial.trialFolder, body);
+	} catch (error) {
+		const invalid = /^Invalid/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to store annotation:`, error);
+		return res.status(invalid ? 400 : 500).json({ error_msg: error.message, annotation: null });
+	}
+	console.log(`[Backend] Added ${annotation.type} annotation at ${annotation.time} s to ${trial.trialFolder}`);
+	res.status(201).json({ error_msg: null, annotation: annotation });
+});
+
+/**
+ * Handles PUT requests to change an annotation of a trial. Fields left out keep their value.
+ *
+ * @route PUT /annotations/:id
+ * @param {string} id - The annotation id.
+ * @body {string} user, activity, trial - The trial identifiers.
+ * @body {string} [type], [time], [end], [channel], [note] - The fields to change, as for `POST /annotations`;
+ *                                                            `null` clears `end`, `channel` or `note`.
+ *
+ * @returns {Object} - JSON response `{ error_msg, annotation }` with the updated annotation, or null.
+ *
+ * @throws {400} - If a trial identifier or an annotation field is invalid.
+ * @throws {404} - If the trial or the annotation does not exist.
+ * @throws {500} - If the sidecar file cannot be read or written.
+ */
+server.put("/annotations/:id", (req, res) => {
+	const body = req.body || {};
+	const trial = resolveAnnotatedTrial(req.dataset, body);
+	if (!trial.trialFolder) {
+		return res.status(trial.status).json({ error_msg: trial.error_msg, annotation: null });
+	}
+	let annotation;
+	try {
+		annotation = updateAnnotation(trial.trialFolder, req.params.id, body);
+	} catch (error) {
+		const invalid = /^Invalid/.test(error.message);
+		if (!invalid) console.error(`[Backend] Failed to update annotation:`, error);
+		return res.status(invalid ? 400 : 500).json({ error_msg: error.message, annotation: null });
+	}
+	if (!annotation) {
+		return res.status(404).json({ error_msg: `Annotation ${req.params.id} not found.`, annotation: null });
+	}
+	console.log(`[Backend] Updated annotation ${annotation.id} of ${trial.trialFolder}`);
+	res.json({ error_msg: null, annotation: annotation });
+});
+
+/**
+ * Handles DELETE requests to remove an annotation of a trial.
+ *
+ * @route DELETE /annotations/:id
+ * @param {string} id - The annotation id.
+ * @query {string} user, activity, trial - The trial identifiers.
+ *
+ * @returns {Object} - JSON response `{ error_msg, annotation }` with the removed annotation, or null.
+ *
+ * @throws {400} - If a trial identifier is invalid.
+ * @throws {404} - If the trial or the annotation does not exist.
+ * @throws {500} - If the sidecar file cannot be read or written.
+ */
+server.delete("/annotations/:id", (req, res) => {
+	const trial = resolveAnnotatedTrial(req.dataset, req.query);
+	if (!trial.trialFolder) {
+		return res.status(trial.status).json({ error_msg: trial.error_msg, annotation: null });
+	}
+	let annotation;
+	try {
+		annotation = deleteAnnotation(trial.trialFolder, req.params.id);
+	} catch (error) {
+		console.error(`[Backend] Failed to delete annotation:`, error);
+		return res.status(500).json({ error_msg: `Failed to delete the annotation: ${error.message}`, annotation: null });
+	}
+	if (!annotation) {
+		return res.status(404).json({ error_msg: `Annotation ${req.params.id} not found.`, annotation: null });
+	}
+	console.log(`[Backend] Deleted annotation ${annotation.id} of ${trial.trialFolder}`);
+	res.json({ error_msg: null, annotation: annotation });
+});
+
+/**
+ * Handles GET requests to audit the data collection for completeness and integrity before a data freeze.
+ *
+ * @route GET /audit
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - report: The report returned by `auditDataset()` in `lib/audit.js`, or null.
+ *
+ * @throws {500} - If the data collection folder cannot be read.
+ *
+ * @example
+ * // Request:
+ * // GET /audit
+ *
+ * // Response (JSON) - Successful:
+ * {
+ *   "error_msg": null,
+ *   "report": {
+ *     "generated": "2026-10-19T12:00:00.000Z",
+ *     "summary": { "users": 2, "trials": 5, "files": 15, "emptyFiles": 15, ... },
+ *     "completeness": { "01": { "max_endurance_elbow_flexion_standing": { "01": { "emg": "empty", ... } } } },
+ *     "emptyFiles": ["user_01/max_endurance_elbow_flexion_standing_01/emg.csv", ...],
+ *     "unparseableFiles": [],
+ *     "trialGaps": [],
+ *     "unrecognized": [],
+ *     "inconsistentHeaders": []
+ *   }
+ * }
+ */
+server.get("/audit", (req, res) => {
+	try {
+		console.log(`[Backend] Auditing data collection: ${req.dataset.root}`);
+		const report = auditDataset(req.dataset.root, req.dataset.instanceNames, { sidecars: AUDIT_SIDECARS });
+		console.log(`[Backend] Audit summary:`, report.summary);
+		res.json({ error_msg: null, report: report });
+	} catch (error) {
+		console.error("Error auditing data collection:", error);
+		res.status(500).json({ error_msg: "An error occurred while auditing the data collection.", report: null });
+	}
+});
+
+/**
+ * Handles GET requests for the allowed instance names of each class, so that clients (e.g. the
+ * upload form) offer only valid users, activities and data types.
+ *
+ * @route GET /instance-names
+ *
+ * @returns {Object} - JSON response `{ error_msg: null, instanceNames, levels, present }` with the content of
+ *                     `instanceNames.json`, the classes a tree can be built by (in default order) and the
+ *                     `{ users, activities, trials, dataTypes }` currently in the data collection (see `describeFacets()`).
+ */
+server.get("/instance-names", async (req, res) => {
+	const { schema, instanceNames, index } = req.dataset;
+	const levels = schema.defaultOrder.concat(Object.keys(schema.levels).filter((level) => !schema.defaultOrder.includes(level)));
+	let present;
+	try {
+		present = describeFacets(schema, await index.records());
+	} catch (error) {
+		console.error(`[Backend] Failed to list the data collection:`, error);
+		return res.status(500).json({ error_msg: "Failed to list the data collection.", instanceNames: null });
+	}
+	res.json({ error_msg: null, instanceNames: instanceNames, levels: levels, present: present });
+});
+
+/**
+ * Handles POST requests to ingest a new trial into the data collection.
+ *
+ * The request is a multipart form with the trial identifiers and one CSV file per data type. Names
+ * are validated against the schema's folder naming, every file must pass the header check of `validateTrialFile()`,
+ * and the trial is written atomically into `user_XX/<activity>_NN/`. Without an explicit `trial`, the next
+ * free trial number is assigned. Existing trials are never overwritten.
+ *
+ * @route POST /trials
+ * @body {string} user - The user number (e.g., "01"). The user folder is created if needed.
+ * @body {string} activity - An activity name registered in the instance names of the dataset.
+ * @body {string} [trial] - An explicit trial number. Defaults to the next free number.
+ * @body {File} [emg|skeleton|body_composition] - One CSV file per data type; at least one is required.
+ *
+ * @returns {Object} - JSON response with two properties:
+ *                     - error_msg: A string representing an error message if any error occurred, otherwise null.
+ *                     - trial: `{ user, activity, trial, folder, files, warnings }` describing the stored trial,
+ *                       where `warnings` lists column headers that differ from the user's previous trial, or null.
+ *
+ * @throws {400} - If an identifier is invalid, no file is given, or a file fails the header check.
+ * @throws {409} - If the trial already exists.
+ * @throws {500} - If the files cannot be written.
+ *
+ * @example
+ * // Request (multipart/form-data):
+ * // POST /trials  user=01, activity=max_endurance_elbow_flexion_standing, emg=@emg.csv, skeleton=@skeleton.csv
+ *
+ * // Response (JSON) - Successful (201):
+ * {
+ *   "error_msg": null,
+ *   "trial": {
+ *     "user": "01",
+ *     "activity": "max_endurance_elbow_flexion_standing",
+ *     "trial": "03",
+ *     "folder": "user_01/max_endurance_elbow_flexion_standing_03",
+ *     "files": ["emg.csv", "skeleton.csv"],
+ *     "warnings": []
+ *   }
+ * }
+ */
+server.post("/trials", (req, res) => {
+	const { root, schema, instanceNames } = req.dataset;
+	req.dataset.uploadTrialFiles(req, res, async (uploadError) => {
+		// Uploads are stored on disk; the files that are not moved into a trial are removed afterwards
+		const uploadedPaths = Object.values(req.files || {}).flat().map((file) => file.path);
+		try {
+			if (uploadError) {
+				return res.status(400).json({ error_msg: `Upload rejected: ${uploadError.message}`, trial: null });
+			}
+			const body = req.body || {};
+			const uploaded = req.files || {};
+		
+			// Validate the identifiers; the trial number is only checked when given explicitly
+			let userFolder;
+			try {
+				const trialPath = resolveTrialFile(root, schema, { ...body, trial: body.trial || "1" }, instanceNames.data_type[0]);
+				userFolder = path.dirname(path.dirname(trialPath));
+			} catch (error) {
+				return res.status(400).json({ error_msg: error.message, trial: null });
+			}
+			const dataTypes = Object.keys(uploaded);
+			if (dataTypes.length === 0) {
+				return res.status(400).json({
+					error_msg: `No data file given. Upload at least one of: ${instanceNames.data_type.join(", ")}.`,
+					trial: null,
+				});
+			}
+		
+			// Header check of every file
+			const files = {};
+			const columns = {};
+			try {
+				for (const dataType of dataTypes) {
+					let fileName;
+					try {
+						fileName = formatSegment(schema, schema.segments.length - 1, { data_type: dataType });
+					} catch (error) {
+						throw new Error(`Invalid data type: ${dataType}`);
+					}
+					columns[dataType] = await validateTrialFile(dataType, uploaded[dataType][0].path);
+					files[fileName] = uploaded[dataType][0].path;
+				}
+			} catch (error) {
+				return res.status(400).json({ error_msg: `File rejected: ${error.message}`, trial: null });
+			}
+		
+			// Compare the headers with the user's previous trial of the same activity
+			const trial = body.trial ? body.trial.padStart(2, "0") : nextTrialNumber(userFolder, body.activity, schema);
+			const warnings = [];
+			const previousNumber = Number(nextTrialNumber(userFolder, body.activity, schema)) - 1;
+			if (previousNumber > 0) {
+				const previousTrial = String(previousNumber).padStart(trial.length, "0");
+				dataTypes.forEach((dataType) => {
+					const previousPath = resolveTrialFile(root, schema, { ...body, trial: previousTrial }, dataType);
+					if (!fs.existsSync(previousPath)) return;
+					const previousColumns = getCsvMetadata(previousPath).columns;
+					if (previousColumns.length > 0 && previousColumns.join(",") !== columns[dataType].join(",")) {
+						warnings.push(`${dataType}.csv columns differ from trial ${previousTrial}.`);
+					}
+				});
+			}
+		
+			const trialFolderName = formatSegment(schema, 1, { activity: body.activity, trial: trial });
+			try {
+				writeTrialAtomically(userFolder, trialFolderName, files);
+			} catch (error) {
+				if (error.code === "EEXIST") {
+					return res.status(409).json({ error_msg: `Trial ${trial} of ${body.activity} already exists for user ${body.user}.`, trial: null });
+				}
+				console.error(`[Backend] Failed to write trial:`, error);
+				return res.status(500).json({ error_msg: "Failed to write the trial files.", trial: null });
+			}
+			console.log(`[Backend] Ingested trial ${trialFolderName} for user ${body.user}`);
+			res.status(201).json({
+				error_msg: null,
+				trial: {
+					user: body.user,
+					activity: body.activity,
+					trial: trial,
+					folder: path.relative(root, path.join(userFolder, trialFolderName)).split(path.sep).join("/"),
+					files: Object.keys(files),
+					warnings: warnings,
+				},
+			});
+		} catch (error) {
+			console.error(`[Backend] Failed to ingest trial:`, error);
+			if (!res.headersSent) res.status(500).json({ error_msg: "Failed to ingest the trial.", trial: null });
+		} finally {
+			uploadedPaths.forEach((filePath) => fs.rmSync(filePath, { force: true }));
+		}
+	});
+});
+
+// Browsers connected to the dataset change stream, with the name of the dataset each one follows
+const eventClients = new Map();
+
+/**
+ * Handles GET requests to subscribe to dataset changes as server-sent events (SSE).
+ *
+ * Every batch of changes detected by the dataset watcher is sent as one `dataset` event whose data is
+ * a JSON array of `{ type, path, size }` objects (see `diffScans()` in `lib/dataset-watcher.js`), e.g.
+ * a trial added, a file grown while recording, or a folder removed. A comment line is sent every 25 s
+ * to keep the connection open through proxies.
+ *
+ * @route GET /events
+ * @query {string} [dataset] - The dataset to follow. Defaults to the default dataset.
+ *
+ * @example
+ * // Stream:
+ * // event: dataset
+ * // data: [{"type":"trial_added","path":"user_01/max_endurance_elbow_flexion_standing_03","size":0}]
+ */
+server.get("/events", (req, res) => {
+	res.writeHead(200, {
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		"Connection": "keep-alive",
+	});
+	res.write(": connected\n\n");
+	eventClients.set(res, req.dataset.name);
+	console.log(`[Backend] Event client connected (${eventClients.size} connected).`);
+	
+	const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 25000);
+	req.on("close", () => {
+		clearInterval(heartbeat);
+		eventClients.delete(res);
+		console.log(`[Backend] Event client disconnected (${eventClients.size} connected).`);
+	});
+});
+
+/**
+ * Handles GET requests for the datasets served, so that clients can offer a dataset switcher.
+ *
+ * @route GET /datasets
+ *
+ * @returns {Object} - JSON response `{ error_msg: null, datasets }` with one `{ name, default }` per dataset, in
+ *                     configuration order. Other endpoints select a dataset with the `dataset` query parameter.
+ *
+ * @example
+ * // Response (JSON):
+ * { "error_msg": null, "datasets": [{ "name": "study_a", "default": true }, { "name": "study_b", "default": false }] }
+ */
+server.get("/datasets", (req, res) => {
+	res.json({
+		error_msg: null,
+		datasets: [...DATASETS.keys()].map((name) => ({ name: name, default: name === defaultDatasetName })),
+	});
+});
+
+/**
+ * Starts watching the data collection of a dataset and forwards every batch of changes to the
+ * event clients following it.
+ *
+ * @param {Object} dataset - The dataset (see `openDataset()`).
+ * @returns {EventEmitter} - The dataset watcher (see `watchDataset()` in `lib/dataset-watcher.js`).
+ */
+function startDatasetWatcher(dataset) {
+	const watcher = watchDataset(dataset.root, dataset.schema);
+	watcher.on("change", (events) => {
+		console.log(`[Backend] Dataset ${dataset.name} changed:`, events.map((event) => `${event.type} ${event.path}`).join(", "));
+		const message = `event: dataset\ndata: ${JSON.stringify(events)}\n\n`;
+		eventClients.forEach((name, client) => {
+			if (name === dataset.name) client.write(message);
+		});
+	});
+	watcher.on("error", (error) => console.error(`[Backend] Dataset watcher error (${dataset.name}):`, error));
+	console.log(`[Backend] Watching data collection of ${dataset.name}: ${dataset.root}`);
+	return watcher;
+}
+
+// Largest WebSocket message of a live stream in bytes: a frame of samples, far below the ws default of 100 MiB
+const STREAM_MAX_PAYLOAD = 4 * 1024 * 1024;
+
+// WebSocket connections of the live EMG streams, upgraded from requests to `/stream` (see `handleStreamUpgrade()`)
+const streamServer = new WebSocketServer({ noServer: true, maxPayload: STREAM_MAX_PAYLOAD });
+
+// Live EMG streams being received, by session number
+const streamSessions = new Map();
+let nextStreamSession = 1;
+
+/**
+ * Describes a live EMG stream for its clients.
+ *
+ * @param {Object} session - The stream session.
+ * @returns {Object} - `{ session, user, activity, channels, samplingRate, trial, folder, samples, duration }` where
+ *                     `trial` and `folder` are null if the stream is not recorded.
+ */
+function describeStreamSession(session) {
+	return {
+		session: session.id,
+		user: session.user,
+		activity: session.activity,
+		channels: session.channels,
+		samplingRate: session.samplingRate,
+		trial: session.trial,
+		folder: session.folder,
+		samples: session.analysis.samples(),
+		duration: session.analysis.time(),
+	};
+}
+
+/**
+ * Sends a JSON message to a WebSocket client, if it is still connected.
+ *
+ * @param {WebSocket} socket - The client.
+ * @param {Object} message - The message.
+ */
+function sendStreamMessage(socket, message) {
+	if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+/**
+ * Sends a JSON message to every browser following the live streams of a dataset.
+ *
+ * @param {string} datasetName - The dataset name.
+ * @param {Object} message - The message.
+ */
+function broadcastStreamMessage(datasetName, message) {
+	const text = JSON.stringify(message);
+	streamServer.clients.forEach((socket) => {
+		if (socket.streamRole === "viewer" && socket.datasetName === datasetName && socket.readyState === WebSocket.OPEN) socket.send(text);
+	});
+}
+
+/**
+ * Starts a live EMG stream from the `start` message of an acquisition client and, unless `record` is false,
+ * the recording of its samples into the next free trial of the user and activity.
+ *
+ * @param {Object} dataset - The dataset (see `openDataset()`).
+ * @param {Object} message - `{ user, activity, samplingRate, channels, record }`, optionally with overrides of
+ *                           `DEFAULT_STREAM_OPTIONS` in `lib/emg-stream.js`.
+ * @returns {Object} - The stream session.
+ * @throws {Error} - Throws an error if the message is invalid or the recording cannot be started.
+ */
+function startStreamSession(dataset, message) {
+	const { root, schema } = dataset;
+	const stream = validateStreamStart(message);
+	const emgPath = resolveTrialFile(root, schema, { user: message.user, activity: message.activity, trial: "1" }, "emg");
+	const session = {
+		id: nextStreamSession++,
+		dataset: dataset.name,
+		user: message.user,
+		activity: message.activity,
+		channels: stream.channels,
+		samplingRate: stream.samplingRate,
+		trial: null,
+		folder: null,
+		analysis: createStreamAnalysis(stream, stream.options),
+		recording: null,
+	};
+	if (message.record !== false) {
+		const userFolder = path.dirname(path.dirname(emgPath));
+		session.recording = startTrialRecording(userFolder, message.activity, schema, path.basename(emgPath), ["time", ...stream.channels]);
+		session.trial = session.recording.trial;
+		session.folder = path.relative(root, path.join(userFolder, formatSegment(schema, 1, { activity: message.activity, trial: session.trial })))
+			.split(path.sep).join("/");
+	}
+	streamSessions.set(session.id, session);
+	return session;
+}
+
+/**
+ * Stops a live EMG stream and moves its recording, if any, into place as a new trial.
+ *
+ * @param {Object} session - The stream session.
+ * @returns {Object} - The description of the stopped stream (see `describeStreamSession()`), with the trial it was
+ *                     recorded as (which differs from the reserved one if an upload took that number meanwhile).
+ * @throws {Error} - Throws an error if the recording cannot be moved into place; it is then kept in its staging folder.
+ */
+function stopStreamSession(session) {
+	streamSessions.delete(session.id);
+	try {
+		if (session.recording) {
+			const { trial, trialFolder } = session.recording.finish();
+			session.trial = trial;
+			session.folder = path.relative(DATASETS.get(session.dataset).root, trialFolder).split(path.sep).join("/");
+		}
+	} catch (error) {
+		broadcastStreamMessage(session.dataset, { type: "stopped", session: { ...describeStreamSession(session), trial: null, folder: null } });
+		throw error;
+	}
+	const description = describeStreamSession(session);
+	broadcastStreamMessage(session.dataset, { type: "stopped", session: description });
+	console.log(`[Backend] Stream ${session.id} stopped after ${description.duration.toFixed(1)} s` +
+		(session.folder ? `, recorded as ${session.folder}.` : '.'));
+	return description;
+}
+
+/**
+ * Handles a WebSocket connection to `/stream`, either from an acquisition client (`role=source`) sending EMG
+ * samples, or from a browser (`role=viewer`, the default) following the live streams of the dataset.
+ *
+ * Messages are JSON objects with a `type`. An acquisition client sends:
+ * - `{ type: "start", user, activity, samplingRate, channels, record? }`, answered with `{ type: "started", session }`.
+ *   Unless `record` is false, the samples are recorded into the next free trial, `user_XX/<activity>_NN/emg.csv`,
+ *   which appears once the stream stops.
+ * - `{ type: "samples", samples: { [channel]: [...] }, time? }` with optional sample times in seconds.
+ * - `{ type: "stop" }`, answered with `{ type: "stopped", session }`. Closing the connection stops the stream too.
+ * Invalid messages are answered with `{ type: "error", error_msg }`. A protocol error, or a message larger than
+ * `STREAM_MAX_PAYLOAD`, closes the connection and stops its stream.
+ *
+ * A browser receives `{ type: "sessions", sessions }` on connection, then `started`, `stopped` and, every
+ * `updateInterval` seconds of samples, `{ type: "update", session, time, channels: { [channel]: { rms, mdf,
+ * mdfDecline, rmsChange } }, fatigueIndex }` messages (see `createStreamAnalysis()` in `lib/emg-stream.js`).
+ *
+ * @param {WebSocket} socket - The client.
+ * @param {Object} dataset - The dataset (see `openDataset()`).
+ * @param {string} role - "source" or "viewer".
+ *
+ * @example
+ * // Acquisition client:
+ * // ws://localhost:3000/stream?role=source
+ * // > { "type": "start", "user": "01", "activity": "max_endurance_elbow_flexion_standing", "samplingRate": 1000, "channels": ["biceps"] }
+ * // < { "type": "started", "session": { "session": 1, "trial": "03", "folder": "user_01/max_endurance_elbow_flexion_standing_03", ... } }
+ * // > { "type": "samples", "samples": { "biceps": [0.012, -0.004, ...] } }
+ * // > { "type": "stop" }
+ *
+ * // Browser:
+ * // < { "type": "update", "session": 1, "time": 12.5, "channels": { "biceps": { "rms": 0.21, "mdf": 74.2, "mdfDecline": 8.3, "rmsChange": 12.1 } }, "fatigueIndex": 8.3 }
+ */
+function handleStreamConnection(socket, dataset, role) {
+	socket.streamRole = role;
+	socket.datasetName = dataset.name;
+	let session = null;
+	// Protocol errors (e.g. invalid UTF-8, an oversized message) are emitted on the socket, which ws then closes
+	socket.on("error", (error) => {
+		console.error(`[Backend] Stream connection (${role}) failed:`, error.message);
+		if (session) stop();
+	});
+	if (role === "viewer") {
+		const sessions = [...streamSessions.values()].filter((session) => session.dataset === dataset.name);
+		sendStreamMessage(socket, { type: "sessions", sessions: sessions.map(describeStreamSession) });
+		return;
+	}
+
+	const stop = () => {
+		const stopped = session;
+		session = null;
+		try {
+			return { type: "stopped", session: stopStreamSession(stopped) };
+		} catch (error) {
+			console.error(`[Backend] Failed to save the recording of stream ${stopped.id}:`, error.message);
+			return { type: "error", error_msg: `Failed to save the recording: ${error.message}` };
+		}
+	};
+	const handleMessage = (message) => {
+		if (message.type === "start") {
+			if (session) return sendStreamMessage(socket, { type: "error", error_msg: "The stream is already started." });
+			session = startStreamSession(dataset, message);
+			console.log(`[Backend] Stream ${session.id} started for user ${session.user}, ${session.activity}` +
+				(session.folder ? `, recording ${session.folder}.` : '.'));
+			const description = describeStreamSession(session);
+			sendStreamMessage(socket, { type: "started", session: description });
+			broadcastStreamMessage(dataset.name, { type: "started", session: description });
+		} else if (message.type === "samples") {
+			if (!session) return sendStreamMessage(socket, { type: "error", error_msg: "The stream is not started." });
+			const frame = validateStreamFrame(message, session.channels, session.analysis.samples() > 0 ? session.analysis.time() : -Infinity);
+			if (session.recording) session.recording.append(frameToCsvRows(frame, session.channels, session.analysis.samples(), session.samplingRate));
+			session.analysis.push(frame).forEach((update) => broadcastStreamMessage(dataset.name, { type: "update", session: session.id, ...update }));
+		} else if (message.type === "stop") {
+			if (!session) return sendStreamMessage(socket, { type: "error", error_msg: "The stream is not started." });
+			sendStreamMessage(socket, stop());
+		} else {
+			sendStreamMessage(socket, { type: "error", error_msg: "Invalid message: 'type' must be start, samples or stop." });
+		}
+	};
+	socket.on("message", (data) => {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			return sendStreamMessage(socket, { type: "error", error_msg: "Invalid message: not JSON." });
+		}
+		if (message === null || typeof message !== "object" || Array.isArray(message)) {
+			return sendStreamMessage(socket, { type: "error", error_msg: "Invalid message: must be a JSON object." });
+		}
+		// Errors of one message (invalid content, a failed write) are answered, never left to crash the server
+		try {
+			handleMessage(message);
+		} catch (error) {
+			if (!/^Invalid/.test(error.message)) console.error(`[Backend] Stream message failed:`, error.message);
+			sendStreamMessage(socket, { type: "error", error_msg: error.message });
+		}
+	});
+	socket.on("close", () => {
+		if (session) stop();
+	});
+}
+
+/**
+ * Upgrades HTTP requests to `/stream` to WebSocket connections of the live EMG streams; the dataset is chosen with
+ * the `dataset` query parameter as for the other endpoints. Other upgrade requests are refused.
+ *
+ * @param {http.IncomingMessage} request - The upgrade request.
+ * @param {stream.Duplex} socket - The network socket.
+ * @param {Buffer} head - The first packet of the upgraded stream.
+ */
+function handleStreamUpgrade(request, socket, head) {
+	const url = new URL(request.url, "http://localhost");
+	const name = url.searchParams.has("dataset") ? url.searchParams.get("dataset") : defaultDatasetName;
+	const role = url.searchParams.get("role") || "viewer";
+	const dataset = DATASETS.get(name);
+	if (url.pathname !== "/stream" || !dataset || !["source", "viewer"].includes(role)) {
+		socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+		return;
+	}
+	streamServer.handleUpgrade(request, socket, head, (client) => handleStreamConnection(client, dataset, role));
+}
+
+/**
+ * Initializes the server and, unless disabled, opens the default web browser to the server's URL.
+ *
+ * @async
+ * @function
+ * @param {Object} config - The settings returned by `loadConfig()`; the datasets must be configured already.
+ * @throws {Error} - If the `open` module fails to load or the server encounters an error during startup.
+ */
+async function startServer(config) {
+	try {
+		const open = config.open ? await import('open') : null; // Dynamically import the `open` package
+		
+		console.log(`[Backend] Static files served from /public.`);
+		if (config.configFile) console.log(`[Backend] Configuration read from ${config.configFile}`);
+		DATASETS.forEach((dataset) => startDatasetWatcher(dataset));
+		server.listen(config.port, () => {
+			console.log(`Server running at http://localhost:${config.port}`);
+			console.log(`[Backend] Live EMG streams accepted at ws://localhost:${config.port}/stream`);
+			// Automatically open the browser
+			if (open) open.default(`http://localhost:${config.port}`);
+		}).on('upgrade', handleStreamUpgrade).on('error', (error) => {
+			console.error(`[Backend] Server could not start:`, error.message);
+			process.exitCode = 1;
+		});
+	} catch (error) {
+		console.error("Error loading the 'open' module:", error);
+	}
+}
+
+// Exit codes of the command-line interface
+const EXIT_CODES = {
+	ok: 0,
+	failure: 1, // The command failed (e.g. unreadable data collection, unwritable output)
+	usage: 2, // Unknown command, option or value
+	issues: 3, // `audit --strict` found problems in the data collection
+};
+
+const CLI_USAGE = `Usage: node visualization-tool.js [command] [options]
+
+Without a command, starts the web server (port ${DEFAULT_CONFIG.port} by default).
+
+Commands:
+  tree     Print the directory tree (default format: markdown).
+  export   Write the directory tree to files named like the /export downloads (default format: json).
+  audit    Print the dataset audit report as JSON.
+  features Write the windowed EMG feature table for machine learning (default format: csv), as /features does.
+  train    Train the fatigue model on the annotated trials and print its leave-one-subject-out evaluation.
+  replay   Stream an emg.csv file to a running server's live stream endpoint at its real sampling rate.
+  help     Show this message.
+
+Tree and export options:
+  --by <classes>            Starting class, or comma-separated level order (e.g. activity or data_type,activity).
+  --format <formats>        ${listExporters().join(", ")}. export accepts several, comma-separated.
+  --out <path>              tree/audit: output file (default: standard output). export: output folder (default: .).
+  --snapshot                tree: also save the Markdown snapshot to the history folder, as /get-tree does.
+  --users <list>            Filters, as for /get-tree: --users 01,02  --activities <list>  --data-types <list>
+  --trial-from <n>          --trial-to <n>  --min-size <bytes>  --min-rows <n>
+  --modified-from <date>    --modified-to <date>
+
+Audit options:
+  --out <path>              Output file (default: standard output).
+  --strict                  Exit with code ${EXIT_CODES.issues} if the audit finds empty, unparseable or unrecognized files,
+                            trial gaps or inconsistent headers.
+
+Features options:
+  --out <path>              Output file (default: standard output).
+  --format <format>         csv (one row per window) or json (columnar).
+  --activities <list>       --users <list>  --channels <list>  Restrict the trials and channels.
+  --window-size <s>         --overlap <fraction>  --min-frequency <Hz>  --max-frequency <Hz>  --threshold <amplitude>
+  --splits <shares>         Train, validation and test shares of the users (default: 0.7,0.15,0.15).  --seed <n>
+  --sampling-rate <Hz>      For files without a time column.
+
+Train options:
+  --out <path>              Model file (default: the dataset's model, used by /predict).
+  --type <type>             ${MODEL_TYPES.join(" or ")} (default: logistic).  --lambda <penalty>
+  --features <list>         --channels <list>  --activities <list>  --baseline <s>
+  --window-size <s>         --overlap <fraction>  --min-frequency <Hz>  --max-frequency <Hz>
+  --iterations <n>          --learning-rate <step>  --sampling-rate <Hz>
+
+Replay options:
+  --file <path>             The emg.csv file to stream, or --trial <n> with --user and --activity for a dataset trial.
+  --user <n>                --activity <name>  The trial the stream is recorded as (the next free trial number).
+  --no-record               Only stream, without recording a new trial.
+  --url <url>               Stream endpoint (default: ws://localhost:<port>/stream of the dataset).
+  --speed <factor>          Playback speed (default: 1).  --frame-size <s>  Seconds per frame (default: 0.05).
+  --sampling-rate <Hz>      For files without a time column.
+
+Server options:
+  --port <n>                Port of the web server.
+  --open, --no-open         Open the browser when the server starts (default: open).
+  --default-dataset <name>  Dataset served without ?dataset= (default: the first one).
+
+Dataset options (server and commands):
+  --config <path>           Config file (default: ${CONFIG_FILE_NAME} in the working directory, if present).
+  --data <roots>            Data collection folder, or name=folder pairs for several datasets
+                            (e.g. --data study_a=/data/a,study_b=/data/b). Repeatable.
+  --instance-names <path>   instanceNames.json with the schema and instance names (default: ${DEFAULT_CONFIG.instanceNames}).
+  --dataset <name>          Commands: the dataset to read (default: the default dataset).
+
+Environment variables: ${Object.entries(ENVIRONMENT_VARIABLES).map(([variable, setting]) => `${variable} (${setting})`).join(", ")}.
+Flags take precedence over environment variables, which take precedence over the config file.
+
+Exit codes: ${EXIT_CODES.ok} success, ${EXIT_CODES.failure} failure, ${EXIT_CODES.usage} invalid usage, ${EXIT_CODES.issues} audit issues (--strict).
+`;
+
+// Options of each command; `true` marks flags without a value, 'list' options that can be repeated
+const CONFIG_OPTIONS = { config: false, data: 'list', instanceNames: false };
+const CLI_OPTIONS = {
+	serve: { ...CONFIG_OPTIONS, port: false, open: true, noOpen: true, defaultDataset: false },
+	tree: { ...CONFIG_OPTIONS, dataset: false, by: false, format: false, out: false, snapshot: true, users: false,
+		activities: false, dataTypes: false, trialFrom: false, trialTo: false, minSize: false, minRows: false,
+		modifiedFrom: false, modifiedTo: false },
+	audit: { ...CONFIG_OPTIONS, dataset: false, out: false, strict: true },
+	features: { ...CONFIG_OPTIONS, dataset: false, out: false, format: false, activities: false, users: false,
+		channels: false, windowSize: false, overlap: false, minFrequency: false, maxFrequency: false, threshold: false,
+		splits: false, seed: false, samplingRate: false },
+	train: { ...CONFIG_OPTIONS, dataset: false, out: false, type: false, lambda: false, features: false, channels: false,
+		activities: false, baseline: false, windowSize: false, overlap: false, minFrequency: false, maxFrequency: false,
+		iterations: false, learningRate: false, samplingRate: false },
+	replay: { ...CONFIG_OPTIONS, dataset: false, port: false, file: false, user: false, activity: false, trial: false,
+		noRecord: true, url: false, speed: false, frameSize: false, samplingRate: false },
+};
+CLI_OPTIONS.export = { ...CLI_OPTIONS.tree };
+delete CLI_OPTIONS.export.snapshot;
+
+/**
+ * Parses the command-line arguments of a subcommand. Options are written `--name value` or `--name=value`,
+ * with kebab-case names (`--data-types`) mapped to camelCase (`dataTypes`).
+ *
+ * @param {string} command - The subcommand (a key of `CLI_OPTIONS`).
+ * @param {Array<string>} args - The arguments after the subcommand.
+ * @returns {Object} - The options, e.g. `{ by: "activity", format: "json", snapshot: true }`.
+ * @throws {Error} - Throws an error for unknown options, missing values or positional arguments.
+ */
+function parseCliOptions(command, args) {
+	const allowed = CLI_OPTIONS[command];
+	const options = {};
+	for (let i = 0; i < args.length; i++) {
+		const match = args[i].match(/^--([a-z][a-z-]*)(?:=(.*))?$/);
+		if (!match) {
+			throw new Error(`Unexpected argument: ${args[i]}`);
+		}
+		const name = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+		if (!Object.prototype.hasOwnProperty.call(allowed, name)) {
+			throw new Error(`Unknown option for ${command}: --${match[1]}`);
+		}
+		if (allowed[name] === true) {
+			options[name] = true;
+			continue;
+		}
+		const value = match[2] !== undefined ? match[2] : args[++i];
+		if (value === undefined || (match[2] === undefined && value.startsWith('--'))) {
+			throw new Error(`Missing value for --${match[1]}`);
+		}
+		options[name] = allowed[name] === 'list' && options[name] !== undefined ? [].concat(options[name], value) : value;
+	}
+	return options;
+}
+
+/**
+ * Builds the directory tree described by command-line options, reusing the `/get-tree` parameter handling.
+ *
+ * @param {Object} dataset - The dataset to read (see `openDataset()`).
+ * @param {Object} options - The parsed options of `tree` or `export`.
+ * @returns {Object} - `{ tree, hierarchy, filters, by }`.
+ * @throws {Error} - Throws an error with `usage` set if a class name or filter is invalid.
+ */
+function buildCliTree(dataset, options) {
+	const { by, format, out, snapshot, dataset: name, config, data, instanceNames, ...filters } = options;
+	const query = { ...filters };
+	if (by && by.includes(',')) query.hierarchy = by;
+	else if (by) query.startingClassName = by;
+	let request;
+	try {
+		request = parseTreeRequest(dataset.schema, query);
+	} catch (error) {
+		error.usage = true;
+		throw error;
+	}
+	return { tree: buildTree(dataset.root, dataset.schema, request.hierarchy, request.filters), ...request };
+}
+
+/**
+ * Writes command output to a file, or to standard output if no file is given.
+ *
+ * @param {string} content - The output.
+ * @param {string} [out] - The output file path.
+ */
+function writeCliOutput(content, out) {
+	if (out) {
+		fs.writeFileSync(out, content, 'utf8');
+		console.error(`[CLI] Written to ${path.resolve(out)}`);
+	} else {
+		process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+	}
+}
+
+/**
+ * Resolves the settings of command-line options (see `loadConfig()`) and opens their datasets.
+ *
+ * @param {Object} options - The parsed options.
+ * @returns {Object} - The settings.
+ * @throws {Error} - Throws an error with `usage` set if a setting is invalid.
+ */
+function configureFromCli(options) {
+	let config;
+	try {
+		config = loadConfig({
+			config: options.config,
+			data: options.data,
+			instanceNames: options.instanceNames,
+			port: options.port,
+			open: options.noOpen ? false : options.open,
+			defaultDataset: options.defaultDataset,
+		});
+	} catch (error) {
+		error.usage = true;
+		throw error;
+	}
+	configureDatasets(config);
+	return config;
+}
+
+/**
+ * Runs a command of the command-line interface, or starts the server without a command.
+ *
+ * Diagnostics of the commands are logged to standard error, so that standard output carries only the
+ * requested output and can be piped (e.g. `node visualization-tool.js tree --format csv > manifest.csv`).
+ *
+ * @param {Array<string>} argv - The arguments after the script name (e.g. `["tree", "--by", "activity"]`).
+ * @returns {number} - The exit code (see `EXIT_CODES`); `ok` once the server is starting.
+ *
+ * @example
+ * // node visualization-tool.js --port 8080 --no-open --data study_a=/data/a,study_b=/data/b
+ * // node visualization-tool.js tree --by activity --format json --out manifest.json
+ * // node visualization-tool.js export --format csv,mermaid --out exports --data-types emg --dataset study_b
+ * // node visualization-tool.js audit --strict > audit.json || echo "Dataset has issues"
+ * // node visualization-tool.js replay --file emg.csv --user 05 --activity max_endurance_elbow_flexion_standing
+ * // node visualization-tool.js train --type ridge --channels biceps > evaluation.json
+ * // node visualization-tool.js features --activities max_endurance_elbow_flexion_standing --window-size 0.5 --out features.csv
+ */
+function runCli(argv) {
+	const command = argv.length === 0 || /^--(?!help$)/.test(argv[0]) ? 'serve' : argv[0];
+	const args = command === 'serve' ? argv : argv.slice(1);
+	if (command === 'help' || command === '--help' || command === '-h') {
+		process.stdout.write(CLI_USAGE);
+		return EXIT_CODES.ok;
+	}
+	if (!CLI_OPTIONS[command]) {
+		console.error(`Unknown command: ${command}\n\n${CLI_USAGE}`);
+		return EXIT_CODES.usage;
+	}
+	try {
+		const options = parseCliOptions(command, args);
+		const config = configureFromCli(options);
+		if (command === 'serve') {
+			startServer(config);
+			return EXIT_CODES.ok;
+		}
+		const dataset = DATASETS.get(options.dataset || config.defaultDataset);
+		if (!dataset) {
+			throw Object.assign(new Error(`Invalid --dataset: ${options.dataset}. Must be one of ${[...DATASETS.keys()].join(", ")}.`), { usage: true });
+		}
+		
+		if (command === 'audit') {
+			const report = auditDataset(dataset.root, dataset.instanceNames, { sidecars: AUDIT_SIDECARS });
+			writeCliOutput(JSON.stringify(report, null, 2), options.out);
+			const { users, trials, files, ...problems } = report.summary;
+			const issues = Object.values(problems).reduce((sum, count) => sum + count, 0);
+			console.error(`[CLI] Audit: ${users} users, ${trials} trials, ${files} files, ${issues} issue(s).`);
+			return options.strict && issues > 0 ? EXIT_CODES.issues : EXIT_CODES.ok;
+		}
+		
+		if (command === 'features') {
+			const format = options.format || 'csv';
+			let table;
+			try {
+				if (!['csv', 'json'].includes(format)) throw new Error(`Invalid --format: ${format}. Must be csv or json.`);
+				table = buildFeatureDataset(dataset.root, dataset.schema, parseFeatureQuery(options));
+			} catch (error) {
+				if (/^Invalid/.test(error.message)) error.usage = true;
+				throw error;
+			}
+			writeCliOutput(format === 'csv' ? featuresToCsv(table) : JSON.stringify(featuresToColumns(table)), options.out);
+			const failed = table.trials.filter((trial) => trial.error);
+			failed.forEach((trial) => console.error(`[CLI] Skipped ${trial.path}: ${trial.error}`));
+			console.error(`[CLI] Features: ${table.rows.length} window(s) from ${table.trials.length - failed.length}/${table.trials.length} trial(s).`);
+			return EXIT_CODES.ok;
+		}
+		
+		if (command === 'train') {
+			let model;
+			try {
+				model = trainFatigueModel(dataset.root, dataset.schema, parseModelOptions(options));
+			} catch (error) {
+				if (/^Invalid/.test(error.message)) error.usage = true;
+				throw error;
+			}
+			const modelFile = options.out ? path.resolve(options.out) : dataset.modelFile;
+			saveModel(model, modelFile);
+			console.error(`[CLI] ${model.type} model trained on ${model.training.windows} window(s) of ${model.training.trials} trial(s), saved to ${modelFile}`);
+			process.stdout.write(`${JSON.stringify(model.evaluation, null, 2)}\n`);
+			return EXIT_CODES.ok;
+		}
+		
+		if (command === 'replay') {
+			let filePath, url, replay;
+			try {
+				filePath = options.file ? path.resolve(options.file)
+					: resolveTrialFile(dataset.root, dataset.schema, { user: options.user, activity: options.activity, trial: options.trial }, 'emg');
+				url = new URL(options.url || `ws://localhost:${config.port}/stream`);
+				url.searchParams.set('role', 'source');
+				if (options.dataset && !options.url) url.searchParams.set('dataset', options.dataset);
+				const replayOptions = {
+					user: options.user,
+					activity: options.activity,
+					record: !options.noRecord,
+					samplingRate: Number(options.samplingRate) || undefined,
+					onStarted: (session) => console.error(`[CLI] Streaming ${filePath} as stream ${session.session} to ${url}`),
+				};
+				if (options.speed !== undefined) replayOptions.speed = Number(options.speed);
+				if (options.frameSize !== undefined) replayOptions.frameSize = Number(options.frameSize);
+				replay = replayEmgFile(filePath, url.toString(), replayOptions);
+			} catch (error) {
+				if (/^Invalid/.test(error.message)) error.usage = true;
+				throw error;
+			}
+			replay.then((session) => {
+				console.error(`[CLI] Replayed ${session.samples} sample(s) (${session.duration.toFixed(1)} s)` +
+					(session.folder ? `, recorded as ${session.folder}.` : '.'));
+			}).catch((error) => {
+				console.error(`[CLI] replay failed:`, error.message);
+				process.exitCode = EXIT_CODES.failure;
+			});
+			return EXIT_CODES.ok;
+		}
+		
+		const formats = (options.format || (command === 'tree' ? 'markdown' : 'json')).split(',');
+		const unknown = formats.filter((format) => !listExporters().includes(format));
+		if (unknown.length > 0 || (command === 'tree' && formats.length > 1)) {
+			throw Object.assign(new Error(`Invalid --format: ${options.format}. Must be ${command === 'tree' ? 'one' : 'some'} of ${listExporters().join(", ")}.`), { usage: true });
+		}
+		const { tree, hierarchy, filters, by } = buildCliTree(dataset, options);
+		
+		if (command === 'tree') {
+			writeCliOutput(exportTree(tree, formats[0]).content, options.out);
+			if (options.snapshot) {
+				const markdownContent = '# Data Collection\n' + treeToMarkdown(tree);
+				saveMarkdownFile(markdownContent, 'data_collection_tree', by, { hierarchy: hierarchy, filters: filters, tree: tree }, dataset.historyFolder, console.error);
+			}
+		} else {
+			const folder = options.out || '.';
+			fs.mkdirSync(folder, { recursive: true });
+			formats.forEach((format) => {
+				const exported = exportTree(tree, format);
+				writeCliOutput(exported.content, path.join(folder, `data_collection_tree_by_${by}.${exported.extension}`));
+			});
+		}
+		return EXIT_CODES.ok;
+	} catch (error) {
+		if (error.usage || /^(Unexpected argument|Unknown option|Missing value)/.test(error.message)) {
+			console.error(`${error.message}\n\n${CLI_USAGE}`);
+			return EXIT_CODES.usage;
+		}
+		console.error(`[CLI] ${command} failed:`, error.message);
+		return EXIT_CODES.failure;
+	}
+}
+
+// Entry point: the web server without a command, otherwise the command-line interface
+if (require.main === module) {
+	process.exitCode = runCli(process.argv.slice(2));
+}